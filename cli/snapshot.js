@@ -1,316 +1,476 @@
 #!/usr/bin/env node
 
-import { program } from 'commander';
-import { existsSync, mkdirSync } from 'fs';
-import { dirname } from 'path';
-import { request } from 'undici';
-import Database from 'better-sqlite3';
+import { InvalidArgumentError, program } from 'commander';
+import { appendFileSync, existsSync, readFileSync, unlinkSync, writeFileSync } from 'fs';
+import { initDatabase } from '../src/db/index.js';
+import { BalanceRepository } from '../src/db/BalanceRepository.js';
+import { UtxoStore } from '../src/db/UtxoStore.js';
+import { AddressService } from '../src/services/AddressService.js';
+import { AlphaRpcClient } from '../src/services/AlphaRpcClient.js';
+import { BlockFileReader, SHA256D_HEADERS } from '../src/services/BlockFileReader.js';
+import { FulcrumService } from '../src/services/FulcrumService.js';
+import { FulcrumSnapshotService } from '../src/services/FulcrumSnapshotService.js';
+import { UtxoSnapshotService } from '../src/services/UtxoSnapshotService.js';
+import {
+  TOKEN_CONFIG,
+  DEFAULT_CAMPAIGN_ID,
+  CAMPAIGN_ID_PATTERN,
+  SNAPSHOT_QUERY_BATCH_SIZE,
+  SNAPSHOT_CONCURRENCY
+} from '../src/config/constants.js';
+
+const pkg = JSON.parse(readFileSync(new URL('../package.json', import.meta.url), 'utf8'));
 
 /**
  * Alpha Blockchain UTXO Snapshot CLI
  *
- * Scans the UTXO set at a specific block height and creates a database
- * of address balances for the faucet proxy.
+ * Scans the UTXO set at a specific block height and stores the address
+ * balances as a campaign in the faucet proxy database. The database is
+ * created if needed; further campaigns can be added to an existing one.
+ *
+ * Balances come from a full node over RPC (--rpc), from a copy of the node's
+ * raw block files read offline (--blocks-dir), or from a Fulcrum server
+ * (--addresses) for a list of candidate addresses, reconstructed at the
+ * target height from their UTXOs and history. Fulcrum scans record finished
+ * addresses in a progress file and resume from it when rerun.
+ * RPC and block file scans apply every block up to the target height to a
+ * UTXO set in an on-disk staging database, so memory stays bounded; they
+ * checkpoint it and continue from the checkpoint with --resume.
+ *
+ * The campaign records the snapshot block hash, chain, UTXO set size and CLI
+ * version, so the server can check that the block is still on the best chain.
+ *
+ * P2PKH, P2SH, P2WPKH, P2WSH and P2TR outputs are captured; outputs to
+ * other scripts (bare multisig, OP_RETURN...) have no claimable address.
+ */
+
+const addressService = new AddressService();
+
+/**
+ * Option parser for counts; commander would pass the default as parseInt's radix
+ * @param {string} value
+ * @returns {number}
  */
+function parseCount(value) {
+  const count = Number(value);
+  if (!Number.isInteger(count) || count < 1) {
+    throw new InvalidArgumentError('Expected a positive integer.');
+  }
+  return count;
+}
+
+/**
+ * Option parser for the network magic, given as its four bytes in file order
+ * @param {string} value - e.g. f9beb4d9
+ * @returns {number} The little-endian uint32 read from block files
+ */
+function parseMagic(value) {
+  if (!/^[0-9a-f]{8}$/i.test(value)) {
+    throw new InvalidArgumentError('Expected 4 bytes of hex.');
+  }
+  return Buffer.from(value, 'hex').readUInt32LE(0);
+}
 
 program
   .name('snapshot')
   .description('Create balance snapshot from Alpha blockchain UTXO set')
-  .requiredOption('--rpc <url>', 'Alpha full node RPC URL (e.g., http://localhost:8332)')
+  .option('--rpc <url>', 'Alpha full node RPC URL (e.g., http://localhost:8332)')
+  .option('--addresses <path>', 'Candidate addresses (text, CSV or JSON) to look up on Fulcrum instead of RPC')
+  .option('--blocks-dir <path>', 'Node blocks directory (blk*.dat) to read offline instead of RPC')
+  .option('--block-hash <hash>', 'Expected hash of the snapshot block read from --blocks-dir (required with --no-pow-check)')
+  .option('--network-magic <hex>', 'Network magic starting every blk*.dat record, in file byte order (required with --blocks-dir)', parseMagic)
+  .option('--header-size <bytes>', 'Block header size in blk*.dat, for chains with headers longer than 80 bytes', parseCount, 80)
+  .option('--no-pow-check', 'Accept blk*.dat headers without checking their double SHA-256 proof of work, for chains mined otherwise')
+  .option('--chain <name>', 'Chain name to record, e.g. main (RPC scans check it against the node)')
   .requiredOption('--block <number>', 'Block height for snapshot', parseInt)
   .option('--rpc-user <user>', 'RPC username', '')
   .option('--rpc-pass <pass>', 'RPC password', '')
-  .option('--output <path>', 'Database output path', './data/faucet.db')
-  .option('--fulcrum <url>', 'Fulcrum endpoint to store in metadata', 'wss://fulcrum.unicity.network:50004')
+  .option('--rpc-timeout <ms>', 'RPC timeout in milliseconds', parseCount, 300000)
+  .option('--output <path>', 'Database path (created if missing)', './data/faucet.db')
+  .option('--campaign <id>', 'Campaign ID to create', DEFAULT_CAMPAIGN_ID)
+  .option('--name <name>', 'Campaign display name (default: "Snapshot at block <block>")')
+  .option('--token <path>', 'JSON file with token metadata overriding the built-in ALPHT token')
+  .option('--claim-start <date>', 'When claims open (ISO 8601; default: immediately)')
+  .option('--claim-end <date>', 'When claims close (ISO 8601; default: never)')
+  .option('--partial-claims', 'Let addresses claim their balance in several tranches')
+  .option('--fulcrum <url>', 'Fulcrum endpoint to query with --addresses, and to store in metadata', 'wss://fulcrum.unicity.network:50004')
+  .option('--concurrency <number>', 'Fulcrum query or RPC block batches in flight', parseCount, SNAPSHOT_CONCURRENCY)
+  .option('--query-batch <number>', 'Addresses per Fulcrum query batch', parseCount, SNAPSHOT_QUERY_BATCH_SIZE)
+  .option('--progress <path>', 'Fulcrum scan progress file (default: <output>.<campaign>.progress.jsonl)')
+  .option('--rpc-batch <number>', 'Blocks per RPC batch', parseCount, 20)
+  .option('--staging <path>', 'On-disk UTXO set of RPC and block file scans, kept for --resume (default: <output>.<campaign>.utxo.db)')
+  .option('--checkpoint-interval <blocks>', 'Blocks between checkpoints', parseCount, 10000)
+  .option('--resume', 'Continue an RPC or block file scan from its checkpoint')
   .option('--faucet <url>', 'Upstream faucet URL to store in metadata', 'https://faucet.unicity.network/')
-  .option('--batch-size <number>', 'Batch size for database inserts', parseInt, 1000)
+  .option('--batch-size <number>', 'Batch size for database inserts', parseCount, 1000)
   .parse();
 
 const opts = program.opts();
 
+const rpc = new AlphaRpcClient({
+  url: opts.rpc,
+  user: opts.rpcUser,
+  pass: opts.rpcPass,
+  timeoutMs: opts.rpcTimeout
+});
+
 /**
- * Make RPC call to Alpha node
+ * Validate campaign options before the (slow) scan starts
+ * @returns {{token: Object, claimStartsAt: string|null, claimEndsAt: string|null}}
  */
-async function rpcCall(method, params = []) {
-  const auth = opts.rpcUser && opts.rpcPass
-    ? Buffer.from(`${opts.rpcUser}:${opts.rpcPass}`).toString('base64')
-    : null;
-
-  const headers = {
-    'Content-Type': 'application/json'
-  };
-
-  if (auth) {
-    headers['Authorization'] = `Basic ${auth}`;
+function parseCampaignOptions() {
+  if ([opts.rpc, opts.addresses, opts.blocksDir].filter(Boolean).length !== 1) {
+    throw new Error('Specify exactly one of --rpc, --addresses or --blocks-dir');
+  }
+  if (opts.blocksDir && opts.networkMagic === undefined) {
+    throw new Error('--blocks-dir needs the --network-magic of the chain the files are expected from');
+  }
+  if (opts.blockHash !== undefined && !/^[0-9a-f]{64}$/i.test(opts.blockHash)) {
+    throw new Error('--block-hash must be 32 bytes of hex');
+  }
+  if (opts.blocksDir && !opts.powCheck && opts.blockHash === undefined) {
+    throw new Error('--no-pow-check needs the --block-hash of the snapshot block: without proof of work the best chain cannot be trusted');
+  }
+  if (opts.headerSize < 80) {
+    throw new Error('--header-size must be at least 80 bytes');
+  }
+  if (!new RegExp(CAMPAIGN_ID_PATTERN).test(opts.campaign)) {
+    throw new Error(`Invalid campaign ID "${opts.campaign}": use lowercase letters, digits, - and _`);
   }
 
-  const response = await request(opts.rpc, {
-    method: 'POST',
-    headers,
-    body: JSON.stringify({
-      jsonrpc: '2.0',
-      id: Date.now(),
-      method,
-      params
-    })
-  });
-
-  const body = await response.body.json();
+  const token = opts.token
+    ? { ...TOKEN_CONFIG, ...JSON.parse(readFileSync(opts.token, 'utf8')) }
+    : TOKEN_CONFIG;
 
-  if (body.error) {
-    throw new Error(`RPC error: ${body.error.message || JSON.stringify(body.error)}`);
+  const claimStartsAt = opts.claimStart ? parseDate(opts.claimStart, '--claim-start') : null;
+  const claimEndsAt = opts.claimEnd ? parseDate(opts.claimEnd, '--claim-end') : null;
+  if (claimStartsAt && claimEndsAt && claimStartsAt >= claimEndsAt) {
+    throw new Error('--claim-end must be after --claim-start');
   }
 
-  return body.result;
+  return { token, claimStartsAt, claimEndsAt };
 }
 
 /**
- * Get block hash at height
+ * @param {string} value
+ * @param {string} option - Option name for error messages
+ * @returns {string} ISO 8601 timestamp
  */
-async function getBlockHash(height) {
-  return await rpcCall('getblockhash', [height]);
+function parseDate(value, option) {
+  const time = Date.parse(value);
+  if (Number.isNaN(time)) {
+    throw new Error(`${option} is not a valid date: ${value}`);
+  }
+  return new Date(time).toISOString();
 }
 
 /**
- * Scan UTXO set using scantxoutset
- * This is the most efficient method if the node supports it
+ * Aggregate the UTXO set by address, on disk
+ * @param {UtxoStore} store
+ * @returns {{addressCount: number, totalAmount: bigint, entries: Iterable<[string, bigint]>}}
  */
-async function scanUtxoSet() {
-  console.log('Scanning UTXO set...');
+function aggregateBalances(store) {
+  const { count } = store.totals();
+  const { addressCount, totalAmount } = store.aggregateBalances();
 
-  // First, check current block height
-  const blockchainInfo = await rpcCall('getblockchaininfo');
-  console.log(`Current chain height: ${blockchainInfo.blocks}`);
+  console.log(`Found ${count} unspent outputs across ${addressCount} addresses`);
+  return { addressCount, totalAmount, entries: store.iterateBalances() };
+}
 
-  if (opts.block > blockchainInfo.blocks) {
-    throw new Error(`Block ${opts.block} not yet reached. Current height: ${blockchainInfo.blocks}`);
-  }
+/**
+ * Service building the UTXO set of RPC and block file scans in a staging store
+ * @param {UtxoStore} store
+ * @returns {UtxoSnapshotService}
+ */
+function utxoSnapshotService(store) {
+  return new UtxoSnapshotService(store, {
+    rpcClient: rpc,
+    addressService,
+    batchSize: opts.rpcBatch,
+    concurrency: opts.concurrency,
+    checkpointInterval: opts.checkpointInterval,
+    resume: opts.resume
+  });
+}
 
-  // Get block hash at snapshot height
-  const blockHash = await getBlockHash(opts.block);
-  console.log(`Snapshot block hash: ${blockHash}`);
+/**
+ * Build the UTXO set at the snapshot height from the full node, block by block
+ * @param {UtxoStore} store
+ */
+async function scanRpc(store) {
+  const { blockHash } = await utxoSnapshotService(store).scanRpc(opts.block);
+  return { balances: aggregateBalances(store), blockHash };
+}
 
-  // Try scantxoutset first (most efficient)
+/**
+ * Build the UTXO set at the snapshot height from a copy of the node's block
+ * files, without any network access
+ *
+ * Blocks of the best chain in the files are applied in chain order,
+ * whatever order they were stored in, and other branches are ignored. With
+ * --block-hash, the snapshot block must be that block.
+ *
+ * @param {UtxoStore} store
+ */
+async function scanBlockFiles(store) {
+  console.log(`Indexing block files in ${opts.blocksDir}...`);
+  const headers = {
+    ...SHA256D_HEADERS,
+    size: opts.headerSize,
+    checkProofOfWork: opts.powCheck ? SHA256D_HEADERS.checkProofOfWork : () => true
+  };
+  const reader = new BlockFileReader(opts.blocksDir, { magic: opts.networkMagic, headers });
   try {
-    console.log('Attempting scantxoutset scan...');
-
-    // Scan all P2WPKH outputs (alpha1 addresses)
-    const scanResult = await rpcCall('scantxoutset', ['start', ['combo(*)']]);
-
-    if (!scanResult) {
-      throw new Error('scantxoutset returned null');
-    }
-
-    console.log(`Found ${scanResult.unspents?.length || 0} UTXOs`);
-
-    // Aggregate by address
-    const balances = new Map();
-
-    for (const utxo of scanResult.unspents || []) {
-      // Only include UTXOs that existed at or before our snapshot block
-      if (utxo.height > opts.block) {
-        continue;
-      }
-
-      const address = utxo.scriptPubKey?.address || utxo.address;
-      if (!address) continue;
+    const count = reader.buildIndex();
+    console.log(`Indexed ${count} blocks, best chain height: ${reader.bestChain().length - 1}`);
+    const { blockHash } = await utxoSnapshotService(store).scanBlockFiles(reader, opts.block, opts.blockHash?.toLowerCase());
+    return { balances: aggregateBalances(store), blockHash };
+  } finally {
+    reader.close();
+  }
+}
 
-      // Only include alpha1 addresses (P2WPKH)
-      if (!address.startsWith('alpha1')) {
-        continue;
-      }
+/**
+ * @returns {string} Path of the staging database holding the UTXO set of RPC scans
+ */
+function stagingPath() {
+  return opts.staging || `${opts.output}.${opts.campaign}.utxo.db`;
+}
 
-      const amount = Math.round(utxo.amount * 1e8); // Convert to satoshis
-      const current = balances.get(address) || 0n;
-      balances.set(address, current + BigInt(amount));
+/**
+ * Delete the staging database and its WAL files
+ */
+function removeStaging() {
+  for (const suffix of ['', '-wal', '-shm']) {
+    if (existsSync(stagingPath() + suffix)) {
+      unlinkSync(stagingPath() + suffix);
     }
-
-    return { balances, blockHash };
-  } catch (err) {
-    console.warn(`scantxoutset failed: ${err.message}`);
-    console.log('Falling back to block-by-block scan...');
-    return await scanBlockByBlock();
   }
 }
 
 /**
- * Fallback: Scan blocks one by one
- * This is slower but works on all nodes
+ * Read candidate addresses from a file
+ *
+ * Accepts a JSON array of addresses, a JSON object keyed by address (such as
+ * an address index export), or text with one address per line, where only
+ * the first comma-separated column counts and # starts a comment. Header
+ * rows and other invalid entries are skipped with a warning.
  *
- * Maintains a proper UTXO set:
- * - Add outputs when created
- * - Remove outputs when spent
- * - Aggregate by address at the end
+ * @param {string} path
+ * @returns {string[]} Unique normalized addresses, in file order
  */
-async function scanBlockByBlock() {
-  // Track individual UTXOs: txid:vout -> {address, amount}
-  const utxoSet = new Map();
-
-  console.log(`Scanning blocks 0 to ${opts.block}...`);
-
-  for (let height = 0; height <= opts.block; height++) {
-    if (height % 1000 === 0) {
-      console.log(`Processing block ${height}/${opts.block}...`);
-    }
-
-    const blockHash = await getBlockHash(height);
-    const block = await rpcCall('getblock', [blockHash, 2]); // verbosity=2 for full tx details
-
-    for (const tx of block.tx) {
-      // First: Remove spent outputs from UTXO set
-      for (const vin of tx.vin) {
-        if (vin.txid) {
-          const key = `${vin.txid}:${vin.vout}`;
-          utxoSet.delete(key);
-        }
-      }
-
-      // Then: Add new outputs to UTXO set
-      for (let vout = 0; vout < tx.vout.length; vout++) {
-        const output = tx.vout[vout];
-        const address = output.scriptPubKey?.address ||
-                       output.scriptPubKey?.addresses?.[0];
-
-        if (!address || !address.startsWith('alpha1')) {
-          continue;
-        }
+function readAddressFile(path) {
+  const content = readFileSync(path, 'utf8');
+
+  let candidates;
+  if (/^\s*[[{]/.test(content)) {
+    const parsed = JSON.parse(content);
+    candidates = Array.isArray(parsed) ? parsed : Object.keys(parsed);
+  } else {
+    candidates = content
+      .split(/\r?\n/)
+      .map((line) => line.split('#')[0].split(',')[0].trim().replace(/^"|"$/g, ''))
+      .filter(Boolean);
+  }
 
-        const key = `${tx.txid}:${vout}`;
-        const amount = Math.round(output.value * 1e8);
-        utxoSet.set(key, { address, amount });
+  const addresses = new Set();
+  let skipped = 0;
+  for (const candidate of candidates) {
+    const validation = addressService.validateAddress(String(candidate));
+    if (validation.valid) {
+      addresses.add(validation.normalized);
+    } else {
+      skipped++;
+      if (skipped <= 10) {
+        console.warn(`Skipping invalid address "${candidate}": ${validation.error}`);
       }
     }
   }
-
-  // Aggregate UTXOs by address
-  const balances = new Map();
-  for (const { address, amount } of utxoSet.values()) {
-    const current = balances.get(address) || 0n;
-    balances.set(address, current + BigInt(amount));
+  if (skipped > 10) {
+    console.warn(`Skipped ${skipped} invalid addresses in total`);
   }
 
-  console.log(`Found ${utxoSet.size} unspent outputs across ${balances.size} addresses`);
-
-  const blockHash = await getBlockHash(opts.block);
-  return { balances, blockHash };
+  return [...addresses];
 }
 
 /**
- * Create database and populate with balances
+ * @returns {string} Path of the Fulcrum scan progress file
  */
-function createDatabase(balances, blockHash) {
-  const dbPath = opts.output;
+function progressPath() {
+  return opts.progress || `${opts.output}.${opts.campaign}.progress.jsonl`;
+}
 
-  // Check if database already exists
-  if (existsSync(dbPath)) {
-    console.error(`Error: Database ${dbPath} already exists.`);
-    console.error('Use a different output path or delete the existing file.');
-    process.exit(1);
+/**
+ * Load balances recorded by an interrupted Fulcrum scan
+ * The file holds a header line with the block height, then one
+ * {address, amount} line per finished address.
+ * @param {string} path
+ * @returns {Map<string, bigint>} Finished addresses, zero balances included
+ */
+function loadProgress(path) {
+  const done = new Map();
+  if (!existsSync(path)) {
+    writeFileSync(path, JSON.stringify({ blockHeight: opts.block }) + '\n');
+    return done;
   }
 
-  // Ensure directory exists
-  const dir = dirname(dbPath);
-  if (!existsSync(dir)) {
-    mkdirSync(dir, { recursive: true });
+  const [header, ...lines] = readFileSync(path, 'utf8').split('\n');
+  const { blockHeight } = JSON.parse(header);
+  if (blockHeight !== opts.block) {
+    throw new Error(`Progress file ${path} is for block ${blockHeight}; delete it or pass --block ${blockHeight}`);
   }
 
-  console.log(`Creating database at ${dbPath}...`);
-
-  const db = new Database(dbPath);
-  db.pragma('journal_mode = WAL');
-
-  // Create tables
-  db.exec(`
-    CREATE TABLE balances (
-      l1_address TEXT PRIMARY KEY,
-      initial_amount INTEGER NOT NULL,
-      spent INTEGER NOT NULL DEFAULT 0,
-      unicity_id TEXT,
-      mint_tx_id TEXT,
-      minted_at TEXT,
-      created_at TEXT DEFAULT CURRENT_TIMESTAMP
-    );
-
-    CREATE TABLE snapshot_meta (
-      id INTEGER PRIMARY KEY CHECK (id = 1),
-      block_height INTEGER NOT NULL,
-      fulcrum_endpoint TEXT,
-      faucet_endpoint TEXT,
-      address_count INTEGER DEFAULT 0,
-      total_amount INTEGER DEFAULT 0,
-      created_at TEXT DEFAULT CURRENT_TIMESTAMP
-    );
-
-    CREATE TABLE mint_requests (
-      id INTEGER PRIMARY KEY AUTOINCREMENT,
-      l1_address TEXT NOT NULL,
-      unicity_id TEXT NOT NULL,
-      amount INTEGER NOT NULL,
-      signature TEXT NOT NULL,
-      status TEXT NOT NULL,
-      error_message TEXT,
-      faucet_response TEXT,
-      created_at TEXT DEFAULT CURRENT_TIMESTAMP,
-      processed_at TEXT
-    );
-
-    CREATE INDEX idx_balances_spent ON balances(spent);
-    CREATE INDEX idx_mint_requests_address ON mint_requests(l1_address);
-    CREATE INDEX idx_mint_requests_status ON mint_requests(status);
-  `);
-
-  // Insert balances in batches
-  const insertStmt = db.prepare(
-    'INSERT INTO balances (l1_address, initial_amount) VALUES (?, ?)'
-  );
-
-  const insertBatch = db.transaction((batch) => {
-    for (const [address, amount] of batch) {
-      insertStmt.run(address, amount.toString());
+  for (const line of lines) {
+    // The last line may be cut short if the previous run was killed mid-write
+    try {
+      const { address, amount } = JSON.parse(line);
+      done.set(address, BigInt(amount));
+    } catch {
+      continue;
     }
+  }
+  console.log(`Resuming from ${path}: ${done.size} addresses already scanned`);
+  return done;
+}
+
+/**
+ * Reconstruct balances at the snapshot height from a Fulcrum server
+ * @returns {Promise<{balances: {addressCount: number, totalAmount: bigint,
+ *   entries: Iterable<[string, bigint]>}, blockHash: string}>}
+ */
+async function scanFulcrum() {
+  const addresses = readAddressFile(opts.addresses);
+  console.log(`Loaded ${addresses.length} candidate addresses from ${opts.addresses}`);
+
+  const path = progressPath();
+  const done = loadProgress(path);
+  const pending = addresses.filter((address) => !done.has(address));
+
+  const fulcrum = new FulcrumService(opts.fulcrum, { addressService });
+  const snapshot = new FulcrumSnapshotService(fulcrum, {
+    batchSize: opts.queryBatch,
+    concurrency: opts.concurrency
   });
 
-  console.log(`Inserting ${balances.size} addresses...`);
+  console.log(`Querying ${pending.length} addresses on ${opts.fulcrum}...`);
+  let scanned = 0;
+  let result;
+  try {
+    result = await snapshot.scan(pending, opts.block, {
+      onBatch: (entries) => {
+        appendFileSync(path, entries
+          .map(([address, amount]) => JSON.stringify({ address, amount: amount.toString() }) + '\n')
+          .join(''));
+        scanned += entries.length;
+        console.log(`Scanned ${scanned}/${pending.length} addresses`);
+      }
+    });
+  } finally {
+    fulcrum.close();
+  }
+  console.log(`Snapshot block hash: ${result.blockHash}`);
 
-  let batch = [];
+  const balances = new Map();
   let totalAmount = 0n;
+  for (const address of addresses) {
+    const amount = result.balances.get(address) ?? done.get(address);
+    if (amount > 0n) {
+      balances.set(address, amount);
+      totalAmount += amount;
+    }
+  }
+
+  return {
+    balances: { addressCount: balances.size, totalAmount, entries: balances },
+    blockHash: result.blockHash
+  };
+}
 
-  for (const [address, amount] of balances) {
-    batch.push([address, amount]);
-    totalAmount += amount;
+/**
+ * Open the database, creating it with the server schema if needed
+ * @returns {BalanceRepository}
+ */
+function openDatabase() {
+  console.log(`Opening database at ${opts.output}...`);
+  return new BalanceRepository(initDatabase(opts.output));
+}
 
-    if (batch.length >= opts.batchSize) {
-      insertBatch(batch);
-      batch = [];
+/**
+ * Store the balances as a new campaign
+ * The campaign row and its balances are written in one transaction, so an
+ * interrupted run leaves no partial campaign behind. Entries are streamed
+ * in batches, so they may come straight from the staging database.
+ * @param {BalanceRepository} balanceRepo
+ * @param {{addressCount: number, totalAmount: bigint, entries: Iterable<[string, bigint]>}} balances
+ * @param {Object} snapshot
+ * @param {string} snapshot.blockHash
+ * @param {string|null} snapshot.chain
+ * @param {{count: number, amount: bigint}|null} snapshot.utxos - Whole UTXO set at the
+ *   block; null for Fulcrum scans, which only see the candidate addresses
+ * @param {Object} campaignOptions
+ */
+function createCampaign(balanceRepo, balances, snapshot, campaignOptions) {
+  const { blockHash, chain, utxos } = snapshot;
+  const { addressCount, totalAmount } = balances;
+  console.log(`Inserting ${addressCount} addresses into campaign ${opts.campaign}...`);
+
+  const countsByType = {};
+
+  balanceRepo.db.transaction(() => {
+    balanceRepo.createCampaign({
+      id: opts.campaign,
+      name: opts.name || `Snapshot at block ${opts.block}`,
+      blockHeight: opts.block,
+      token: campaignOptions.token,
+      claimStartsAt: campaignOptions.claimStartsAt,
+      claimEndsAt: campaignOptions.claimEndsAt,
+      partialClaims: Boolean(opts.partialClaims),
+      fulcrumEndpoint: opts.fulcrum,
+      faucetEndpoint: opts.faucet,
+      addressCount,
+      totalAmount,
+      blockHash,
+      chain,
+      utxoCount: utxos?.count ?? null,
+      utxoAmount: utxos?.amount ?? null,
+      cliVersion: pkg.version
+    });
+
+    let batch = [];
+    for (const [address, amount] of balances.entries) {
+      const { type } = addressService.validateAddress(address);
+      countsByType[type] = (countsByType[type] || 0) + 1;
+      batch.push({ address, amount });
+
+      if (batch.length >= opts.batchSize) {
+        balanceRepo.insertBalancesBatch(batch, opts.campaign);
+        batch = [];
+      }
     }
-  }
 
-  if (batch.length > 0) {
-    insertBatch(batch);
-  }
+    if (batch.length > 0) {
+      balanceRepo.insertBalancesBatch(batch, opts.campaign);
+    }
+  })();
 
-  // Insert metadata
-  db.prepare(`
-    INSERT INTO snapshot_meta
-    (id, block_height, fulcrum_endpoint, faucet_endpoint, address_count, total_amount)
-    VALUES (1, ?, ?, ?, ?, ?)
-  `).run(
-    opts.block,
-    opts.fulcrum,
-    opts.faucet,
-    balances.size,
-    totalAmount.toString()
-  );
-
-  db.close();
+  balanceRepo.close();
 
   console.log('');
   console.log('=== Snapshot Complete ===');
+  console.log(`Campaign: ${opts.campaign}`);
+  console.log(`Token: ${campaignOptions.token.name}`);
   console.log(`Block height: ${opts.block}`);
   console.log(`Block hash: ${blockHash}`);
-  console.log(`Total addresses: ${balances.size}`);
+  console.log(`Chain: ${chain ?? 'unknown'}`);
+  if (utxos) {
+    console.log(`UTXO set: ${utxos.count} outputs, ${Number(utxos.amount) / 1e8} ALPHA`);
+  }
+  console.log(`Total addresses: ${addressCount}`);
+  for (const [type, count] of Object.entries(countsByType)) {
+    console.log(`  ${type}: ${count}`);
+  }
   console.log(`Total amount: ${Number(totalAmount) / 1e8} ALPHA`);
-  console.log(`Database: ${dbPath}`);
+  console.log(`Database: ${opts.output}`);
 }
 
 /**
@@ -319,27 +479,66 @@ function createDatabase(balances, blockHash) {
 async function main() {
   console.log('Alpha Blockchain UTXO Snapshot Tool');
   console.log('===================================');
-  console.log(`RPC endpoint: ${opts.rpc}`);
+  if (opts.rpc) {
+    console.log(`RPC endpoint: ${opts.rpc}`);
+  } else if (opts.blocksDir) {
+    console.log(`Block files: ${opts.blocksDir}`);
+  } else {
+    console.log(`Fulcrum endpoint: ${opts.fulcrum}`);
+  }
   console.log(`Target block: ${opts.block}`);
   console.log(`Output: ${opts.output}`);
+  console.log(`Campaign: ${opts.campaign}`);
   console.log('');
 
   try {
-    // Test RPC connection
-    console.log('Testing RPC connection...');
-    const info = await rpcCall('getblockchaininfo');
-    console.log(`Connected to ${info.chain} network`);
-    console.log('');
+    const campaignOptions = parseCampaignOptions();
 
-    // Scan UTXO set
-    const { balances, blockHash } = await scanUtxoSet();
+    // Fail before scanning if the campaign already exists
+    const balanceRepo = openDatabase();
+    if (balanceRepo.findCampaign(opts.campaign)) {
+      balanceRepo.close();
+      throw new Error(`Campaign ${opts.campaign} already exists in ${opts.output}`);
+    }
+
+    let balances;
+    let blockHash;
+    let chain = opts.chain ?? null;
+    let store = null;
+    if (opts.rpc) {
+      // Test RPC connection
+      console.log('Testing RPC connection...');
+      const info = await rpc.call('getblockchaininfo');
+      console.log(`Connected to ${info.chain} network`);
+      console.log('');
+      if (chain && chain !== info.chain) {
+        throw new Error(`Node is on the ${info.chain} chain, not ${chain}`);
+      }
+      chain = info.chain;
+
+      // Scan UTXO set
+      store = new UtxoStore(stagingPath());
+      ({ balances, blockHash } = await scanRpc(store));
+    } else if (opts.blocksDir) {
+      store = new UtxoStore(stagingPath());
+      ({ balances, blockHash } = await scanBlockFiles(store));
+    } else {
+      ({ balances, blockHash } = await scanFulcrum());
+    }
 
-    if (balances.size === 0) {
+    if (balances.addressCount === 0) {
       console.warn('Warning: No addresses found with balance');
     }
 
-    // Create database
-    createDatabase(balances, blockHash);
+    const utxos = store ? store.totals() : null;
+    createCampaign(balanceRepo, balances, { blockHash, chain, utxos }, campaignOptions);
+
+    if (store) {
+      store.close();
+      removeStaging();
+    } else {
+      unlinkSync(progressPath());
+    }
 
     process.exit(0);
   } catch (err) {
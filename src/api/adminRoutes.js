@@ -0,0 +1,310 @@
+import { createHash, timingSafeEqual } from 'crypto';
+import {
+  UnauthorizedError,
+  ValidationError,
+  NotFoundError,
+  InvalidStateError,
+  ERROR_CODES
+} from '../utils/errors.js';
+import { MINT_STATUS, CAMPAIGN_ID_PATTERN } from '../config/constants.js';
+import config from '../config/index.js';
+import {
+  adminClaimsPageSchema,
+  addressDetailSchema,
+  auditPageSchema,
+  claimSchema,
+  frozenResponseSchema
+} from './schemas.js';
+import { campaignOf } from './routes.js';
+
+/**
+ * Register admin API routes under /api/v1/admin
+ * @param {import('fastify').FastifyInstance} fastify
+ * @param {Object} services - Injected services
+ * @param {Array<{name: string, key: string}>} apiKeys - Accepted API keys
+ */
+export async function registerAdminRoutes(fastify, services, apiKeys) {
+  const { adminService, addressService } = services;
+
+  // Compare digests so the check takes the same time for every key length
+  const keyDigests = apiKeys.map(({ name, key }) => ({ name, digest: sha256(key) }));
+
+  const addressParamsSchema = {
+    type: 'object',
+    properties: {
+      l1_addr: { type: 'string', minLength: 1 }
+    },
+    required: ['l1_addr']
+  };
+
+  const campaignProperty = {
+    type: 'string',
+    pattern: CAMPAIGN_ID_PATTERN,
+    description: `Campaign ID; defaults to "${config.defaultCampaign}"`
+  };
+
+  const campaignQuerySchema = {
+    type: 'object',
+    properties: {
+      campaign: campaignProperty
+    }
+  };
+
+  const claimsQuerySchema = {
+    type: 'object',
+    properties: {
+      campaign: { ...campaignProperty, description: 'Only claims in this campaign' },
+      status: { type: 'string', enum: Object.values(MINT_STATUS) },
+      address: { type: 'string', minLength: 1 },
+      unicityId: { type: 'string', minLength: 1 },
+      from: { type: 'string', format: 'date-time' },
+      to: { type: 'string', format: 'date-time' },
+      limit: { type: 'integer', minimum: 1, maximum: 200, default: 50 },
+      offset: { type: 'integer', minimum: 0, default: 0 }
+    }
+  };
+
+  const pageQuerySchema = {
+    type: 'object',
+    properties: {
+      limit: { type: 'integer', minimum: 1, maximum: 200, default: 50 },
+      offset: { type: 'integer', minimum: 0, default: 0 }
+    }
+  };
+
+  const reasonBodySchema = {
+    type: 'object',
+    properties: {
+      reason: { type: 'string', minLength: 1, maxLength: 500 }
+    },
+    required: ['reason']
+  };
+
+  const confirmBodySchema = {
+    type: 'object',
+    properties: {
+      txId: { type: 'string', minLength: 1 },
+      reason: { type: 'string', minLength: 1, maxLength: 500 }
+    },
+    required: ['txId', 'reason']
+  };
+
+  // OpenAPI metadata shared by every admin route
+  const adminSchema = {
+    tags: ['admin'],
+    security: [{ bearerAuth: [] }, { apiKey: [] }]
+  };
+
+  /**
+   * Resolve the caller's API key to its name
+   * Accepts "Authorization: Bearer <key>" or "X-API-Key: <key>".
+   */
+  function authenticate(request) {
+    const header = request.headers.authorization || '';
+    const presented = header.startsWith('Bearer ')
+      ? header.slice('Bearer '.length)
+      : request.headers['x-api-key'];
+
+    if (!presented) {
+      throw new UnauthorizedError('Missing API key');
+    }
+
+    const digest = sha256(presented);
+    const match = keyDigests.find((entry) => timingSafeEqual(entry.digest, digest));
+
+    if (!match) {
+      throw new UnauthorizedError('Invalid API key');
+    }
+
+    return match.name;
+  }
+
+  /**
+   * Validate and normalize an address path parameter
+   */
+  function normalizeAddress(l1_addr) {
+    const validation = addressService.validateAddress(l1_addr);
+    if (!validation.valid) {
+      throw new ValidationError(`Invalid L1 address: ${validation.error}`, {
+        code: ERROR_CODES.INVALID_ADDRESS
+      });
+    }
+    return validation.normalized;
+  }
+
+  await fastify.register(async (admin) => {
+    admin.decorateRequest('adminActor', null);
+
+    admin.addHook('onRequest', async (request) => {
+      request.adminActor = authenticate(request);
+    });
+
+    /**
+     * GET /api/v1/admin/claims
+     * Paginated, filterable list of mint requests
+     */
+    admin.get('/claims', {
+      schema: {
+        ...adminSchema,
+        summary: 'List mint requests',
+        querystring: claimsQuerySchema,
+        response: { 200: adminClaimsPageSchema }
+      },
+      config: { errors: [UnauthorizedError] }
+    }, async (request) => {
+      const { campaign, status, address, unicityId, from, to, limit, offset } = request.query;
+
+      return adminService.listClaims({
+        campaignId: campaign,
+        status,
+        l1Address: address,
+        unicityId,
+        from,
+        to,
+        limit,
+        offset
+      });
+    });
+
+    /**
+     * GET /api/v1/admin/addresses/:l1_addr
+     * Balance row, claim history and audit trail for an address
+     */
+    admin.get('/addresses/:l1_addr', {
+      schema: {
+        ...adminSchema,
+        summary: 'Inspect an address',
+        params: addressParamsSchema,
+        querystring: campaignQuerySchema,
+        response: { 200: addressDetailSchema }
+      },
+      config: { errors: [UnauthorizedError, NotFoundError] }
+    }, async (request) => {
+      return adminService.getAddressDetail(
+        normalizeAddress(request.params.l1_addr),
+        campaignOf(request)
+      );
+    });
+
+    /**
+     * POST /api/v1/admin/addresses/:l1_addr/release
+     * Release a reserved or unknown claim so the address can be claimed again
+     */
+    admin.post('/addresses/:l1_addr/release', {
+      schema: {
+        ...adminSchema,
+        summary: 'Release a reserved or unknown claim',
+        params: addressParamsSchema,
+        querystring: campaignQuerySchema,
+        body: reasonBodySchema,
+        response: { 200: claimSchema }
+      },
+      config: { errors: [UnauthorizedError, NotFoundError, InvalidStateError] }
+    }, async (request) => {
+      return adminService.releaseReservation(
+        normalizeAddress(request.params.l1_addr),
+        request.adminActor,
+        request.body.reason,
+        campaignOf(request)
+      );
+    });
+
+    /**
+     * POST /api/v1/admin/addresses/:l1_addr/confirm
+     * Mark an unknown claim as minted with the upstream txId
+     */
+    admin.post('/addresses/:l1_addr/confirm', {
+      schema: {
+        ...adminSchema,
+        summary: 'Mark an unknown claim as minted',
+        params: addressParamsSchema,
+        querystring: campaignQuerySchema,
+        body: confirmBodySchema,
+        response: { 200: claimSchema }
+      },
+      config: { errors: [UnauthorizedError, NotFoundError, InvalidStateError] }
+    }, async (request) => {
+      return adminService.confirmClaim(
+        normalizeAddress(request.params.l1_addr),
+        request.body.txId,
+        request.adminActor,
+        request.body.reason,
+        campaignOf(request)
+      );
+    });
+
+    /**
+     * POST /api/v1/admin/addresses/:l1_addr/freeze
+     * Block new claims for an address
+     */
+    admin.post('/addresses/:l1_addr/freeze', {
+      schema: {
+        ...adminSchema,
+        summary: 'Block new claims for an address',
+        params: addressParamsSchema,
+        querystring: campaignQuerySchema,
+        body: reasonBodySchema,
+        response: { 200: frozenResponseSchema }
+      },
+      config: { errors: [UnauthorizedError, NotFoundError] }
+    }, async (request) => {
+      return adminService.setFrozen(
+        normalizeAddress(request.params.l1_addr),
+        true,
+        request.adminActor,
+        request.body.reason,
+        campaignOf(request)
+      );
+    });
+
+    /**
+     * POST /api/v1/admin/addresses/:l1_addr/unfreeze
+     * Allow claims for a previously frozen address
+     */
+    admin.post('/addresses/:l1_addr/unfreeze', {
+      schema: {
+        ...adminSchema,
+        summary: 'Allow claims for a frozen address',
+        params: addressParamsSchema,
+        querystring: campaignQuerySchema,
+        body: reasonBodySchema,
+        response: { 200: frozenResponseSchema }
+      },
+      config: { errors: [UnauthorizedError, NotFoundError] }
+    }, async (request) => {
+      return adminService.setFrozen(
+        normalizeAddress(request.params.l1_addr),
+        false,
+        request.adminActor,
+        request.body.reason,
+        campaignOf(request)
+      );
+    });
+
+    /**
+     * GET /api/v1/admin/audit
+     * Paginated admin audit log
+     */
+    admin.get('/audit', {
+      schema: {
+        ...adminSchema,
+        summary: 'List admin actions',
+        querystring: pageQuerySchema,
+        response: { 200: auditPageSchema }
+      },
+      config: { errors: [UnauthorizedError] }
+    }, async (request) => {
+      return adminService.listAuditLog(request.query.limit, request.query.offset);
+    });
+  }, { prefix: '/api/v1/admin' });
+}
+
+/**
+ * @param {string} value
+ * @returns {Buffer}
+ */
+function sha256(value) {
+  return createHash('sha256').update(value, 'utf8').digest();
+}
+
+export default { registerAdminRoutes };
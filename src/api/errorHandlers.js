@@ -0,0 +1,51 @@
+import config from '../config/index.js';
+import {
+  AppError,
+  ValidationError,
+  NotFoundError,
+  RateLimitError,
+  ERROR_CODES
+} from '../utils/errors.js';
+
+/**
+ * Answer errors and unknown routes with JSON error responses
+ *
+ * Set before the routes so encapsulated plugins inherit the error handler.
+ * Rate limit errors carry Retry-After; unexpected errors only show their
+ * message in development.
+ *
+ * @param {import('fastify').FastifyInstance} fastify
+ */
+export function registerErrorHandlers(fastify) {
+  fastify.setErrorHandler((error, request, reply) => {
+    request.log.error(error);
+
+    // Handle validation errors from Fastify
+    if (error.validation) {
+      return reply.code(400).send(
+        new ValidationError('Validation error', { details: error.validation }).toResponse()
+      );
+    }
+
+    // Handle our custom errors
+    if (error instanceof AppError) {
+      if (error instanceof RateLimitError) {
+        reply.header('Retry-After', String(error.retryAfter));
+      }
+      return reply.code(error.statusCode).send(error.toResponse());
+    }
+
+    // Handle unexpected errors
+    return reply.code(500).send(
+      new AppError(config.isDev ? error.message : 'Internal server error').toResponse()
+    );
+  });
+
+  fastify.setNotFoundHandler((request, reply) => {
+    return reply.code(404).send(
+      new NotFoundError(`Route ${request.method} ${request.url.split('?')[0]} not found`, {
+        code: ERROR_CODES.ROUTE_NOT_FOUND
+      }).toResponse()
+    );
+  });
+}
@@ -0,0 +1,59 @@
+import {
+  registry as defaultRegistry,
+  httpRequestsTotal,
+  httpRequestDuration,
+  snapshotAddresses,
+  snapshotAmount
+} from '../utils/metrics.js';
+
+/**
+ * Record HTTP metrics and serve them at /metrics in Prometheus text format
+ *
+ * Register before the routes so the response hook sees every request.
+ * Snapshot gauges are read from the database on each scrape.
+ *
+ * @param {import('fastify').FastifyInstance} fastify
+ * @param {Object} services
+ * @param {import('../db/BalanceRepository.js').BalanceRepository} services.balanceRepo
+ * @param {import('../utils/metrics.js').Registry} [registry]
+ */
+export async function registerMetrics(fastify, { balanceRepo }, registry = defaultRegistry) {
+  registry.onCollect(() => {
+    for (const totals of balanceRepo.getTotals()) {
+      const campaign = totals.campaignId;
+      const minted = totals.totalAddresses - totals.availableAddresses;
+
+      snapshotAddresses.set({ campaign, state: 'total' }, totals.totalAddresses);
+      snapshotAddresses.set({ campaign, state: 'available' }, totals.availableAddresses);
+      snapshotAddresses.set({ campaign, state: 'minted' }, minted);
+      snapshotAmount.set({ campaign, state: 'total' }, totals.totalAmount);
+      snapshotAmount.set({ campaign, state: 'available' }, totals.availableAmount);
+      snapshotAmount.set({ campaign, state: 'minted' }, totals.totalAmount - totals.availableAmount);
+    }
+  });
+
+  fastify.addHook('onResponse', async (request, reply) => {
+    // Label by route pattern, not raw URL, to keep cardinality bounded
+    const labels = {
+      method: request.method,
+      route: request.routeOptions.url || 'unmatched',
+      status: reply.statusCode
+    };
+    httpRequestsTotal.inc(labels);
+    httpRequestDuration.observe(labels, reply.elapsedTime / 1000);
+  });
+
+  /**
+   * GET /metrics
+   * Prometheus scrape endpoint
+   */
+  fastify.get('/metrics', {
+    schema: { hide: true }
+  }, async (request, reply) => {
+    return reply
+      .type('text/plain; version=0.0.4; charset=utf-8')
+      .send(registry.render());
+  });
+}
+
+export default { registerMetrics };
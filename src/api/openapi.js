@@ -0,0 +1,259 @@
+import { readFileSync } from 'fs';
+import { errorResponseSchema } from './schemas.js';
+import { ValidationError, RateLimitError } from '../utils/errors.js';
+
+const pkg = JSON.parse(readFileSync(new URL('../../package.json', import.meta.url), 'utf8'));
+
+// Swagger UI release loaded by the docs page
+const SWAGGER_UI_URL = 'https://cdn.jsdelivr.net/npm/swagger-ui-dist@5.17.14';
+
+const DOCS_PAGE = `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8">
+  <title>${pkg.name} API</title>
+  <link rel="stylesheet" href="${SWAGGER_UI_URL}/swagger-ui.css">
+</head>
+<body>
+  <div id="swagger-ui"></div>
+  <script src="${SWAGGER_UI_URL}/swagger-ui-bundle.js"></script>
+  <script>
+    SwaggerUIBundle({ url: '/api/openapi.json', dom_id: '#swagger-ui' });
+  </script>
+</body>
+</html>
+`;
+
+/**
+ * Serve an OpenAPI 3.1 document built from the registered routes
+ *
+ * Must be registered before the routes it documents, since it collects them
+ * with an onRoute hook. Routes describe themselves through their schema
+ * (summary, description, tags, security, produces and the usual
+ * body/querystring/params/headers/response) and list the AppError classes
+ * they may throw in config.errors.
+ *
+ * @param {import('fastify').FastifyInstance} fastify
+ * @param {Object} [options]
+ * @param {string[]} [options.rateLimitedPrefixes] - URL prefixes that may answer 429
+ */
+export async function registerOpenApi(fastify, options = {}) {
+  const rateLimitedPrefixes = options.rateLimitedPrefixes || [];
+  const routes = [];
+  let document = null;
+
+  fastify.addHook('onRoute', (route) => {
+    if (route.schema?.hide) {
+      return;
+    }
+    const methods = [].concat(route.method).filter((method) => method !== 'HEAD');
+    for (const method of methods) {
+      routes.push({ ...route, method });
+    }
+  });
+
+  /**
+   * GET /api/openapi.json
+   * OpenAPI document for every registered route
+   */
+  fastify.get('/api/openapi.json', {
+    schema: { hide: true }
+  }, async () => {
+    document ??= buildDocument(routes, rateLimitedPrefixes);
+    return document;
+  });
+
+  /**
+   * GET /api/docs
+   * Browsable API documentation
+   */
+  fastify.get('/api/docs', {
+    schema: { hide: true }
+  }, async (request, reply) => {
+    return reply.type('text/html').send(DOCS_PAGE);
+  });
+}
+
+/**
+ * Build the OpenAPI document
+ * @param {Object[]} routes - Collected route options
+ * @param {string[]} rateLimitedPrefixes
+ * @returns {Object}
+ */
+export function buildDocument(routes, rateLimitedPrefixes = []) {
+  const paths = {};
+
+  for (const route of routes) {
+    const path = route.url.replace(/:(\w+)/g, '{$1}');
+    paths[path] ??= {};
+    paths[path][route.method.toLowerCase()] = buildOperation(route, rateLimitedPrefixes);
+  }
+
+  return {
+    openapi: '3.1.0',
+    info: {
+      title: pkg.name,
+      version: pkg.version,
+      description: pkg.description
+    },
+    paths,
+    components: {
+      schemas: {
+        Error: errorResponseSchema
+      },
+      securitySchemes: {
+        bearerAuth: { type: 'http', scheme: 'bearer' },
+        apiKey: { type: 'apiKey', in: 'header', name: 'X-API-Key' }
+      }
+    }
+  };
+}
+
+/**
+ * Build one OpenAPI operation from a route
+ * @param {Object} route
+ * @param {string[]} rateLimitedPrefixes
+ * @returns {Object}
+ */
+function buildOperation(route, rateLimitedPrefixes) {
+  const schema = route.schema || {};
+  const operation = {};
+
+  for (const key of ['summary', 'description', 'tags', 'security']) {
+    if (schema[key]) {
+      operation[key] = schema[key];
+    }
+  }
+
+  const parameters = [
+    ...toParameters(schema.params, 'path'),
+    ...toParameters(schema.querystring, 'query'),
+    ...toParameters(schema.headers, 'header')
+  ];
+  if (parameters.length > 0) {
+    operation.parameters = parameters;
+  }
+
+  if (schema.body) {
+    operation.requestBody = {
+      required: true,
+      content: { 'application/json': { schema: schema.body } }
+    };
+  }
+
+  operation.responses = {};
+  const produces = schema.produces || ['application/json'];
+
+  for (const [status, responseSchema] of Object.entries(schema.response || {})) {
+    const { description, ...body } = responseSchema;
+    operation.responses[status] = {
+      description: description || 'Success',
+      content: Object.fromEntries(produces.map((type) => [type, { schema: body }]))
+    };
+  }
+
+  // Errors: declared AppErrors, schema validation, rate limits and the catch-all
+  const errors = [...(route.config?.errors || [])];
+  if (schema.body || schema.params || schema.querystring || schema.headers) {
+    errors.push(ValidationError);
+  }
+  if (rateLimitedPrefixes.some((prefix) => route.url.startsWith(prefix))) {
+    errors.push(RateLimitError);
+  }
+
+  for (const [status, classes] of groupByStatus(errors)) {
+    operation.responses[status] = errorResponse(classes);
+  }
+  operation.responses[500] = {
+    description: 'Internal server error',
+    content: { 'application/json': { schema: { $ref: '#/components/schemas/Error' } } }
+  };
+
+  return operation;
+}
+
+/**
+ * Turn an object schema into OpenAPI parameters
+ * @param {Object|undefined} objectSchema
+ * @param {string} location - 'path', 'query' or 'header'
+ * @returns {Object[]}
+ */
+function toParameters(objectSchema, location) {
+  if (!objectSchema?.properties) {
+    return [];
+  }
+
+  const required = objectSchema.required || [];
+
+  return Object.entries(objectSchema.properties).map(([name, property]) => {
+    const { description, ...propertySchema } = property;
+    const parameter = {
+      name,
+      in: location,
+      required: location === 'path' || required.includes(name),
+      schema: propertySchema
+    };
+    if (description) {
+      parameter.description = description;
+    }
+    return parameter;
+  });
+}
+
+/**
+ * Group AppError classes by HTTP status, dropping duplicates
+ * @param {Function[]} errorClasses
+ * @returns {Map<number, Function[]>}
+ */
+function groupByStatus(errorClasses) {
+  const groups = new Map();
+
+  for (const ErrorClass of new Set(errorClasses)) {
+    const { statusCode } = new ErrorClass();
+    if (!groups.has(statusCode)) {
+      groups.set(statusCode, []);
+    }
+    groups.get(statusCode).push(ErrorClass);
+  }
+
+  return new Map([...groups].sort(([a], [b]) => a - b));
+}
+
+/**
+ * Describe the AppErrors sharing one status code
+ * @param {Function[]} classes
+ * @returns {Object} OpenAPI response object
+ */
+function errorResponse(classes) {
+  const examples = {};
+  for (const ErrorClass of classes) {
+    const error = new ErrorClass();
+    examples[error.name] = {
+      summary: error.message,
+      value: error.toResponse()
+    };
+  }
+
+  const response = {
+    description: classes.map((ErrorClass) => ErrorClass.name).join(', '),
+    content: {
+      'application/json': {
+        schema: { $ref: '#/components/schemas/Error' },
+        examples
+      }
+    }
+  };
+
+  if (classes.includes(RateLimitError)) {
+    response.headers = {
+      'Retry-After': {
+        description: 'Seconds until the request may be retried',
+        schema: { type: 'integer' }
+      }
+    };
+  }
+
+  return response;
+}
+
+export default { registerOpenApi, buildDocument };
@@ -1,4 +1,42 @@
-import { ValidationError, AppError } from '../utils/errors.js';
+import {
+  AppError,
+  NotFoundError,
+  ValidationError,
+  SignatureError,
+  AddressFrozenError,
+  ClaimWindowError,
+  AlreadyMintedError,
+  InvalidStateError,
+  IdempotencyConflictError,
+  IdempotencyKeyMismatchError,
+  FaucetError,
+  MintOutcomeUnknownError,
+  FulcrumError,
+  SnapshotVerificationError,
+  ERROR_CODES,
+  ERROR_CATALOGUE
+} from '../utils/errors.js';
+import {
+  MAX_BATCH_ADDRESSES,
+  MAX_AGGREGATE_ADDRESSES,
+  MAX_MULTISIG_KEYS,
+  CAMPAIGN_ID_PATTERN
+} from '../config/constants.js';
+import config from '../config/index.js';
+import {
+  balanceResponseSchema,
+  balancesResponseSchema,
+  mintResultSchema,
+  claimSchema,
+  claimAcceptedSchema,
+  statsResponseSchema,
+  healthResponseSchema,
+  readinessResponseSchema,
+  errorCatalogueSchema,
+  campaignSchema,
+  claimMessageSchema,
+  campaignsResponseSchema
+} from './schemas.js';
 
 /**
  * Register API routes on Fastify instance
@@ -6,9 +44,48 @@ import { ValidationError, AppError } from '../utils/errors.js';
  * @param {Object} services - Injected services
  */
 export async function registerRoutes(fastify, services) {
-  const { balanceService, addressService } = services;
+  const {
+    balanceService,
+    signatureService,
+    addressService,
+    fulcrumService,
+    readinessService,
+    mintWorker,
+    rateLimiter
+  } = services;
 
   // JSON Schema definitions for validation
+  const campaignQuerySchema = {
+    type: 'object',
+    properties: {
+      campaign: {
+        type: 'string',
+        pattern: CAMPAIGN_ID_PATTERN,
+        description: `Campaign ID; defaults to "${config.defaultCampaign}"`
+      }
+    }
+  };
+
+  const balanceQuerySchema = {
+    type: 'object',
+    properties: {
+      ...campaignQuerySchema.properties,
+      live: {
+        type: 'boolean',
+        default: false,
+        description: 'Also look up the current on-chain balance and history on Fulcrum'
+      }
+    }
+  };
+
+  const campaignParamsSchema = {
+    type: 'object',
+    properties: {
+      id: { type: 'string', pattern: CAMPAIGN_ID_PATTERN }
+    },
+    required: ['id']
+  };
+
   const balanceParamsSchema = {
     type: 'object',
     properties: {
@@ -17,99 +94,683 @@ export async function registerRoutes(fastify, services) {
     required: ['l1_addr']
   };
 
+  const balancesBodySchema = {
+    type: 'object',
+    properties: {
+      addresses: {
+        type: 'array',
+        minItems: 1,
+        maxItems: MAX_BATCH_ADDRESSES,
+        items: { type: 'string', minLength: 1 }
+      }
+    },
+    required: ['addresses']
+  };
+
   const requestBodySchema = {
     type: 'object',
     properties: {
       l1_addr: { type: 'string', minLength: 1 },
       unicityId: { type: 'string', minLength: 1 },
       amount: { type: 'integer', minimum: 1 },
-      signature: { type: 'string', pattern: '^(0x)?[0-9a-fA-F]{130}$' }
+      signature: {
+        type: 'string',
+        maxLength: 2048,
+        pattern: '^((0x)?[0-9a-fA-F]{130}|[A-Za-z0-9+/]+={0,2})$',
+        description: '65-byte compact signature in hex or base64, or a base64 BIP-322 simple or full proof'
+      },
+      witnessScript: {
+        type: 'string',
+        maxLength: 2 * (3 + MAX_MULTISIG_KEYS * 34),
+        pattern: '^([0-9a-fA-F]{2})+$',
+        description: 'm-of-n multisig witness script in hex, for P2WSH and P2SH-P2WSH addresses'
+      },
+      signatures: {
+        type: 'array',
+        minItems: 1,
+        maxItems: MAX_MULTISIG_KEYS,
+        items: { type: 'string', pattern: '^((0x)?[0-9a-fA-F]{130}|[A-Za-z0-9+/]{87}=?)$' },
+        description: 'Compact signatures of m cosigners over the claim message; sent with witnessScript'
+      },
+      expiresAt: {
+        type: 'integer',
+        minimum: 1,
+        description: 'Unix seconds; required when the v2 claim message was signed'
+      }
     },
-    required: ['l1_addr', 'unicityId', 'amount', 'signature']
+    required: ['l1_addr', 'unicityId', 'amount'],
+    oneOf: [
+      { required: ['signature'] },
+      { required: ['witnessScript', 'signatures'] }
+    ]
   };
 
+  const aggregateBodySchema = {
+    type: 'object',
+    properties: {
+      unicityId: { type: 'string', minLength: 1 },
+      entries: {
+        type: 'array',
+        minItems: 1,
+        maxItems: MAX_AGGREGATE_ADDRESSES,
+        items: {
+          type: 'object',
+          properties: {
+            l1_addr: requestBodySchema.properties.l1_addr,
+            amount: requestBodySchema.properties.amount,
+            signature: requestBodySchema.properties.signature,
+            witnessScript: requestBodySchema.properties.witnessScript,
+            signatures: requestBodySchema.properties.signatures,
+            expiresAt: requestBodySchema.properties.expiresAt
+          },
+          required: ['l1_addr', 'amount'],
+          oneOf: requestBodySchema.oneOf
+        }
+      }
+    },
+    required: ['unicityId', 'entries']
+  };
+
+  const requestHeadersSchema = {
+    type: 'object',
+    properties: {
+      'idempotency-key': {
+        type: 'string',
+        minLength: 1,
+        maxLength: 255,
+        description: 'Replays with the same key return the stored response; derived from the signature if omitted'
+      },
+      'prefer': {
+        type: 'string',
+        description: 'Send "respond-async" to get 202 Accepted and follow the claim instead of waiting'
+      }
+    }
+  };
+
+  const claimParamsSchema = {
+    type: 'object',
+    properties: {
+      id: { type: 'string', format: 'uuid' }
+    },
+    required: ['id']
+  };
+
+  // Per-IP token bucket shared by every faucet API route
+  if (rateLimiter) {
+    fastify.addHook('onRequest', async (request) => {
+      if (request.url.startsWith('/api/v1/faucet/')) {
+        rateLimiter.take('ip', request.ip);
+      }
+    });
+  }
+
   /**
    * GET /api/v1/faucet/balance/:l1_addr
    * Get balance information for an L1 address
    */
   fastify.get('/api/v1/faucet/balance/:l1_addr', {
     schema: {
-      params: balanceParamsSchema
-    }
-  }, async (request, reply) => {
+      summary: 'Get the snapshot balance of an address',
+      tags: ['balances'],
+      params: balanceParamsSchema,
+      querystring: balanceQuerySchema,
+      response: { 200: balanceResponseSchema }
+    },
+    config: { errors: [ValidationError, NotFoundError] }
+  }, async (request) => {
     const { l1_addr } = request.params;
 
     // Validate address format
     const validation = addressService.validateAddress(l1_addr);
     if (!validation.valid) {
-      return reply.code(400).send({
-        success: false,
-        error: `Invalid L1 address: ${validation.error}`
+      throw new ValidationError(`Invalid L1 address: ${validation.error}`, {
+        code: ERROR_CODES.INVALID_ADDRESS
       });
     }
 
-    const result = balanceService.getBalance(validation.normalized);
+    const result = balanceService.getBalance(validation.normalized, campaignOf(request));
+
+    // Fulcrum being down must not hide the snapshot balance
+    if (request.query.live) {
+      try {
+        result.onChain = await fulcrumService.getAddressSummary(validation.normalized);
+      } catch (err) {
+        if (!(err instanceof FulcrumError)) {
+          throw err;
+        }
+        request.log.warn({ err }, 'Live balance lookup failed');
+        result.onChain = { error: err.message, code: err.code };
+      }
+    }
+
     return result;
   });
 
+  /**
+   * POST /api/v1/faucet/balances
+   * Get balance information for a whole wallet in one request
+   */
+  fastify.post('/api/v1/faucet/balances', {
+    schema: {
+      summary: 'Get the snapshot balances of many addresses',
+      tags: ['balances'],
+      body: balancesBodySchema,
+      querystring: campaignQuerySchema,
+      response: { 200: balancesResponseSchema }
+    },
+    config: { errors: [NotFoundError] }
+  }, async (request) => {
+    const { addresses } = request.body;
+
+    // Validate each address, skipping duplicates after normalization
+    const valid = [];
+    const invalid = [];
+    const seen = new Set();
+
+    for (const l1_addr of addresses) {
+      const validation = addressService.validateAddress(l1_addr);
+      if (!validation.valid) {
+        invalid.push({
+          l1_addr,
+          error: `Invalid L1 address: ${validation.error}`,
+          code: ERROR_CODES.INVALID_ADDRESS
+        });
+        continue;
+      }
+      if (!seen.has(validation.normalized)) {
+        seen.add(validation.normalized);
+        valid.push(validation.normalized);
+      }
+    }
+
+    const result = balanceService.getBalances(valid, campaignOf(request));
+    return {
+      ...result,
+      invalid
+    };
+  });
+
   /**
    * POST /api/v1/faucet/request
    * Process a mint request
+   *
+   * Replays with the same Idempotency-Key (or, without one, the same
+   * signature) return the originally stored response.
+   *
+   * Limited per address on top of the per-IP limit; clients that keep
+   * sending bad signatures are refused until their failure bucket refills.
    */
   fastify.post('/api/v1/faucet/request', {
     schema: {
-      body: requestBodySchema
+      summary: 'Mint the snapshot balance of an address, or a tranche of it, to a Unicity ID',
+      tags: ['claims'],
+      body: requestBodySchema,
+      headers: requestHeadersSchema,
+      querystring: campaignQuerySchema,
+      response: {
+        200: mintResultSchema,
+        202: claimAcceptedSchema
+      }
+    },
+    config: {
+      errors: [
+        ValidationError,
+        SignatureError,
+        NotFoundError,
+        AddressFrozenError,
+        ClaimWindowError,
+        SnapshotVerificationError,
+        AlreadyMintedError,
+        InvalidStateError,
+        IdempotencyConflictError,
+        IdempotencyKeyMismatchError,
+        FaucetError,
+        MintOutcomeUnknownError
+      ]
     }
   }, async (request, reply) => {
-    const { l1_addr, unicityId, amount, signature } = request.body;
+    const { l1_addr, unicityId, amount, expiresAt = null } = request.body;
+    const signature = signatureOf(request.body);
+    const campaignId = campaignOf(request);
 
-    // Validate address format
-    const validation = addressService.validateAddress(l1_addr);
+    rateLimiter?.ensureAvailable('signatureFailure', request.ip);
+
+    const l1Address = normalizeAddress(l1_addr);
+
+    const idempotency = {
+      key: request.headers['idempotency-key'] ||
+        balanceService.deriveIdempotencyKey(signature, campaignId),
+      requestHash: balanceService.createRequestHash(
+        l1Address,
+        unicityId,
+        amount,
+        signature,
+        campaignId
+      )
+    };
+
+    return sendClaim(request, reply, idempotency, {
+      addresses: [l1Address],
+      enqueue: () => balanceService.enqueueMintRequest(
+        l1Address,
+        unicityId,
+        amount,
+        signature,
+        idempotency,
+        campaignId,
+        expiresAt
+      ),
+      process: () => balanceService.processMintRequest(
+        l1Address,
+        unicityId,
+        amount,
+        signature,
+        idempotency,
+        campaignId,
+        expiresAt
+      )
+    });
+  });
+
+  /**
+   * POST /api/v1/faucet/request/aggregate
+   * Claim many addresses into one Unicity ID with a single upstream mint
+   *
+   * Each entry is signed by its own address exactly as for a single claim.
+   * The addresses are reserved together and confirmed or released together.
+   * Idempotency and rate limits work as for /request; the derived key covers
+   * every signature.
+   */
+  fastify.post('/api/v1/faucet/request/aggregate', {
+    schema: {
+      summary: 'Mint the balances of several addresses to one Unicity ID in a single mint',
+      tags: ['claims'],
+      body: aggregateBodySchema,
+      headers: requestHeadersSchema,
+      querystring: campaignQuerySchema,
+      response: {
+        200: mintResultSchema,
+        202: claimAcceptedSchema
+      }
+    },
+    config: {
+      errors: [
+        ValidationError,
+        SignatureError,
+        NotFoundError,
+        AddressFrozenError,
+        ClaimWindowError,
+        SnapshotVerificationError,
+        AlreadyMintedError,
+        InvalidStateError,
+        IdempotencyConflictError,
+        IdempotencyKeyMismatchError,
+        FaucetError,
+        MintOutcomeUnknownError
+      ]
+    }
+  }, async (request, reply) => {
+    const { unicityId } = request.body;
+    const campaignId = campaignOf(request);
+
+    rateLimiter?.ensureAvailable('signatureFailure', request.ip);
+
+    const entries = request.body.entries.map((entry) => ({
+      l1Address: normalizeAddress(entry.l1_addr),
+      amount: entry.amount,
+      signature: signatureOf(entry),
+      expiresAt: entry.expiresAt
+    }));
+    const idempotency = {
+      key: request.headers['idempotency-key'] ||
+        balanceService.deriveIdempotencyKey(entries.map(({ signature }) => signature), campaignId),
+      requestHash: balanceService.createAggregateRequestHash(unicityId, entries, campaignId)
+    };
+
+    return sendClaim(request, reply, idempotency, {
+      addresses: entries.map(({ l1Address }) => l1Address),
+      enqueue: () => balanceService.enqueueAggregateClaim(unicityId, entries, idempotency, campaignId),
+      process: () => balanceService.processAggregateClaim(unicityId, entries, idempotency, campaignId)
+    });
+  });
+
+  /**
+   * Signature a claim carries; multisig witness scripts and signatures are
+   * packed into one proof so they are stored and replay-checked as one
+   * @param {{signature?: string, witnessScript?: string, signatures?: string[]}} claim
+   * @returns {string}
+   */
+  function signatureOf({ signature, witnessScript, signatures }) {
+    return witnessScript === undefined
+      ? signature
+      : signatureService.encodeMultisigProof(witnessScript, signatures);
+  }
+
+  /**
+   * @param {string} l1Address - Address as submitted
+   * @returns {string} Normalized address
+   * @throws {ValidationError} If the address is malformed
+   */
+  function normalizeAddress(l1Address) {
+    const validation = addressService.validateAddress(l1Address);
     if (!validation.valid) {
-      return reply.code(400).send({
-        success: false,
-        error: `Invalid L1 address: ${validation.error}`
+      throw new ValidationError(`Invalid L1 address: ${validation.error}`, {
+        code: ERROR_CODES.INVALID_ADDRESS,
+        details: { l1_addr: l1Address }
       });
     }
+    return validation.normalized;
+  }
+
+  /**
+   * Replay, queue or process a claim and send its response
+   * Clients opt in to async processing with "Prefer: respond-async".
+   * Replays are answered before the per-address limit, so a retry gets its
+   * stored response rather than 429.
+   * @param {import('fastify').FastifyRequest} request
+   * @param {import('fastify').FastifyReply} reply
+   * @param {{key: string, requestHash: string}} idempotency
+   * @param {Object} submit
+   * @param {string[]} submit.addresses - Normalized addresses claimed
+   * @param {function(): Object} submit.enqueue - Reserve and queue; returns the claim status
+   * @param {function(): Promise<Object>} submit.process - Reserve and mint; returns the mint result
+   */
+  async function sendClaim(request, reply, idempotency, { addresses, enqueue, process }) {
+    reply.header('Idempotency-Key', idempotency.key);
+
+    const respondAsync = /\brespond-async\b/i.test(request.headers.prefer || '');
 
+    // Send a response and keep it for replays of the same key
+    const respond = (statusCode, body) => {
+      balanceService.storeIdempotentResponse(idempotency.key, statusCode, body);
+      return reply.code(statusCode).send(body);
+    };
+
+    // Replays never overwrite the stored response, so errors here are sent as-is
+    let replay;
     try {
-      const result = await balanceService.processMintRequest(
-        validation.normalized,
-        unicityId,
-        amount,
-        signature
-      );
-      return result;
+      replay = balanceService.findIdempotentReplay(idempotency.key, idempotency.requestHash);
     } catch (err) {
-      // Map errors to appropriate HTTP status codes
       if (err instanceof AppError) {
-        return reply.code(err.statusCode).send({
-          success: false,
-          error: err.message
+        return reply.code(err.statusCode).send(err.toResponse());
+      }
+      throw err;
+    }
+
+    if (replay) {
+      return reply
+        .code(replay.statusCode)
+        .header('Idempotent-Replayed', 'true')
+        .send(replay.body);
+    }
+
+    for (const l1Address of addresses) {
+      rateLimiter?.take('address', l1Address);
+    }
+
+    try {
+      if (respondAsync) {
+        const claim = enqueue();
+        mintWorker.notify();
+
+        const statusUrl = `/api/v1/faucet/claims/${claim.claimId}`;
+        reply.header('Location', statusUrl);
+        return respond(202, {
+          ...claim,
+          statusUrl,
+          eventsUrl: `${statusUrl}/events`
         });
       }
+
+      return respond(200, await process());
+    } catch (err) {
+      // Lost a race for the key: the response belongs to the other request
+      if (err instanceof IdempotencyConflictError) {
+        return reply.code(err.statusCode).send(err.toResponse());
+      }
+
+      if (err instanceof SignatureError) {
+        rateLimiter?.penalize('signatureFailure', request.ip);
+      }
+
+      // Map errors to appropriate HTTP status codes
+      if (err instanceof AppError) {
+        return respond(err.statusCode, err.toResponse());
+      }
       throw err;
     }
+  }
+
+  /**
+   * GET /api/v1/faucet/claims/:id
+   * Poll the state of a claim accepted with 202
+   */
+  fastify.get('/api/v1/faucet/claims/:id', {
+    schema: {
+      summary: 'Get the state of a claim',
+      tags: ['claims'],
+      params: claimParamsSchema,
+      response: { 200: claimSchema }
+    },
+    config: { errors: [NotFoundError] }
+  }, async (request) => {
+    return balanceService.getClaim(request.params.id);
+  });
+
+  // Open claim event streams, ended when the server shuts down
+  const claimStreams = new Set();
+
+  fastify.addHook('preClose', async () => {
+    for (const end of claimStreams) {
+      end();
+    }
+  });
+
+  /**
+   * GET /api/v1/faucet/claims/:id/events
+   * Server-Sent Events stream of claim state changes until the claim is final
+   */
+  fastify.get('/api/v1/faucet/claims/:id/events', {
+    schema: {
+      summary: 'Stream claim state changes',
+      description: 'Server-Sent Events. Each "claim" event carries the claim state; ' +
+        'the stream ends once the claim is final.',
+      tags: ['claims'],
+      params: claimParamsSchema,
+      produces: ['text/event-stream'],
+      response: {
+        200: { description: 'Event stream of claim states', type: 'string' }
+      }
+    },
+    config: { errors: [NotFoundError] }
+  }, async (request, reply) => {
+    const { id } = request.params;
+    const claim = balanceService.getClaim(id);
+
+    reply.hijack();
+    const raw = reply.raw;
+    raw.writeHead(200, {
+      ...reply.getHeaders(),
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      'Connection': 'keep-alive',
+      // Disable nginx response buffering
+      'X-Accel-Buffering': 'no'
+    });
+
+    const send = (data) => {
+      raw.write(`event: claim\ndata: ${JSON.stringify(data)}\n\n`);
+    };
+
+    send(claim);
+    if (claim.final) {
+      raw.end();
+      return;
+    }
+
+    const heartbeat = setInterval(() => raw.write(': keep-alive\n\n'), 15000);
+
+    const onClaim = (update) => {
+      if (update.claimId !== id) {
+        return;
+      }
+      send(update);
+      if (update.final) {
+        end();
+      }
+    };
+
+    const end = () => {
+      clearInterval(heartbeat);
+      balanceService.events.off('claim', onClaim);
+      claimStreams.delete(end);
+      if (!raw.writableEnded) {
+        raw.end();
+      }
+    };
+
+    balanceService.events.on('claim', onClaim);
+    claimStreams.add(end);
+    request.raw.on('close', end);
   });
 
   /**
    * GET /api/v1/faucet/stats
    * Get snapshot statistics
    */
-  fastify.get('/api/v1/faucet/stats', async () => {
+  fastify.get('/api/v1/faucet/stats', {
+    schema: {
+      summary: 'Get snapshot statistics',
+      tags: ['snapshot'],
+      querystring: campaignQuerySchema,
+      response: { 200: statsResponseSchema }
+    },
+    config: { errors: [NotFoundError] }
+  }, async (request) => {
+    return {
+      success: true,
+      ...balanceService.getStats(campaignOf(request))
+    };
+  });
+
+  /**
+   * GET /api/v1/faucet/campaigns
+   * List campaigns with their token and claim window
+   */
+  fastify.get('/api/v1/faucet/campaigns', {
+    schema: {
+      summary: 'List campaigns',
+      tags: ['snapshot'],
+      response: { 200: campaignsResponseSchema }
+    }
+  }, async () => {
+    return {
+      success: true,
+      defaultCampaign: config.defaultCampaign,
+      campaigns: balanceService.listCampaigns()
+    };
+  });
+
+  /**
+   * GET /api/v1/faucet/campaigns/:id
+   * Get one campaign
+   */
+  fastify.get('/api/v1/faucet/campaigns/:id', {
+    schema: {
+      summary: 'Get a campaign',
+      tags: ['snapshot'],
+      params: campaignParamsSchema,
+      response: { 200: campaignSchema }
+    },
+    config: { errors: [NotFoundError] }
+  }, async (request) => {
+    return {
+      success: true,
+      ...balanceService.getCampaign(request.params.id)
+    };
+  });
+
+  /**
+   * GET /api/v1/faucet/campaigns/:id/claim-message
+   * Template of the v2 message wallets sign to claim from a campaign
+   */
+  fastify.get('/api/v1/faucet/campaigns/:id/claim-message', {
+    schema: {
+      summary: 'Get the claim message template of a campaign',
+      tags: ['snapshot'],
+      params: campaignParamsSchema,
+      response: { 200: claimMessageSchema }
+    },
+    config: { errors: [NotFoundError] }
+  }, async (request) => {
     return {
       success: true,
-      ...balanceService.getStats()
+      ...balanceService.getClaimMessage(request.params.id)
     };
   });
 
+  /**
+   * GET /api/v1/errors
+   * Catalogue of error codes returned in the `code` field of error responses
+   */
+  fastify.get('/api/v1/errors', {
+    schema: {
+      summary: 'List error codes',
+      tags: ['errors'],
+      response: { 200: errorCatalogueSchema }
+    }
+  }, async () => {
+    return { success: true, errors: ERROR_CATALOGUE };
+  });
+
   /**
    * GET /health
    * Health check endpoint
    */
-  fastify.get('/health', async () => {
+  fastify.get('/health', {
+    schema: {
+      summary: 'Liveness check',
+      tags: ['health'],
+      response: { 200: healthResponseSchema }
+    }
+  }, async () => {
     return { status: 'ok', timestamp: new Date().toISOString() };
   });
+
+  /**
+   * GET /ready
+   * Readiness check: database, snapshot, upstream faucet and token
+   */
+  fastify.get('/ready', {
+    schema: {
+      summary: 'Readiness check',
+      description: 'Checks the database, the loaded snapshot, upstream faucet health and that ' +
+        'upstream offers the token. Upstream results are cached briefly. ' +
+        'Answers 503 when any check fails.',
+      tags: ['health'],
+      response: {
+        200: { description: 'Ready to serve claims', ...readinessResponseSchema },
+        503: { description: 'Not ready; see the failing checks', ...readinessResponseSchema }
+      }
+    }
+  }, async (request, reply) => {
+    const { ready, checks } = await readinessService.check();
+
+    return reply.code(ready ? 200 : 503).send({
+      status: ready ? 'ready' : 'not_ready',
+      timestamp: new Date().toISOString(),
+      checks
+    });
+  });
+}
+
+/**
+ * Campaign named by the request, or the configured default
+ * @param {import('fastify').FastifyRequest} request
+ * @returns {string}
+ */
+export function campaignOf(request) {
+  return request.query.campaign || config.defaultCampaign;
 }
 
 export default { registerRoutes };
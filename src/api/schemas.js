@@ -0,0 +1,490 @@
+import { MINT_STATUS } from '../config/constants.js';
+import { ERROR_CATALOGUE } from '../utils/errors.js';
+
+/**
+ * Response schemas shared by route definitions
+ *
+ * Fastify serializes replies with these, so every field a handler returns
+ * must be listed or it is dropped. They are also published in the OpenAPI
+ * document (JSON Schema 2020-12, hence type arrays for nullable fields).
+ */
+
+const nullableString = { type: ['string', 'null'] };
+
+const mintStatusSchema = {
+  type: 'string',
+  enum: Object.values(MINT_STATUS)
+};
+
+const campaignIdSchema = { type: 'string', description: 'Campaign ID' };
+
+const tokenProperties = {
+  id: { type: 'string', description: 'Token ID' },
+  name: { type: 'string' },
+  symbol: { type: 'string' },
+  decimals: { type: 'integer' },
+  description: { type: 'string' },
+  network: { type: 'string' },
+  assetKind: { type: 'string' },
+  iconUrl: { type: 'string' }
+};
+
+const balanceProperties = {
+  l1_addr: { type: 'string' },
+  unicityId: { ...nullableString, description: 'Unicity ID the address was minted to' },
+  amount: { type: 'number', description: 'Mintable amount in coins' },
+  amountInSmallUnits: { type: 'integer', description: 'Mintable amount in satoshis' },
+  initialAmount: { type: 'number', description: 'Snapshot balance in coins' },
+  initialAmountInSmallUnits: { type: 'integer', description: 'Snapshot balance in satoshis' },
+  claimedAmount: { type: 'number', description: 'Claimed by tranches that were not released, in coins' },
+  claimedAmountInSmallUnits: { type: 'integer', description: 'Claimed amount in satoshis' },
+  remainingAmount: { type: 'number', description: 'Still claimable, in coins' },
+  remainingAmountInSmallUnits: { type: 'integer', description: 'Still claimable, in satoshis' },
+  spent: { type: 'boolean', description: 'Nothing remains to claim' },
+  inSnapshot: { type: 'boolean' },
+  mintStatus: {
+    type: ['string', 'null'],
+    enum: [...Object.values(MINT_STATUS), null],
+    description: 'State of the latest claim; only present for snapshot addresses'
+  },
+  frozen: { type: 'boolean', description: 'Only present for snapshot addresses' },
+  mintedAt: { ...nullableString, description: 'Only present for snapshot addresses' }
+};
+
+const balanceRequired = [
+  'l1_addr',
+  'amount',
+  'amountInSmallUnits',
+  'initialAmount',
+  'initialAmountInSmallUnits',
+  'claimedAmountInSmallUnits',
+  'remainingAmountInSmallUnits',
+  'spent',
+  'inSnapshot'
+];
+
+const aggregatedAddressesSchema = {
+  type: 'array',
+  description: 'Addresses pooled into an aggregated claim; absent for single-address claims',
+  items: {
+    type: 'object',
+    properties: {
+      l1_addr: { type: 'string' },
+      amount: { type: 'number' },
+      amountInSmallUnits: { type: 'integer' }
+    }
+  }
+};
+
+const claimProperties = {
+  success: { type: 'boolean' },
+  claimId: { type: 'string', format: 'uuid' },
+  status: mintStatusSchema,
+  final: { type: 'boolean', description: 'No further state changes will follow' },
+  campaign: campaignIdSchema,
+  l1_addr: { type: 'string' },
+  unicityId: { type: 'string' },
+  amount: { type: 'number' },
+  amountInSmallUnits: { type: 'integer' },
+  addresses: aggregatedAddressesSchema,
+  txId: nullableString,
+  error: { ...nullableString, description: 'Failure reason for failed or unknown claims' },
+  createdAt: { type: 'string' },
+  updatedAt: nullableString
+};
+
+const trancheSchema = {
+  type: 'object',
+  properties: {
+    claimId: nullableString,
+    unicityId: { type: 'string' },
+    amount: { type: 'number' },
+    amountInSmallUnits: { type: 'integer' },
+    status: mintStatusSchema,
+    txId: nullableString,
+    createdAt: { type: 'string' }
+  }
+};
+
+const errorCodeSchema = {
+  type: 'string',
+  enum: ERROR_CATALOGUE.map(({ code }) => code),
+  description: 'Stable machine-readable code; see GET /api/v1/errors'
+};
+
+export const errorResponseSchema = {
+  type: 'object',
+  properties: {
+    success: { type: 'boolean', const: false },
+    error: { type: 'string', description: 'Human-readable message; may change between releases' },
+    code: errorCodeSchema,
+    details: {
+      type: ['object', 'array'],
+      description: 'Structured context; an array of failures for VALIDATION_ERROR'
+    }
+  },
+  required: ['success', 'error', 'code']
+};
+
+export const errorCatalogueSchema = {
+  description: 'Every error code the API can return',
+  type: 'object',
+  properties: {
+    success: { type: 'boolean' },
+    errors: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          code: { type: 'string' },
+          status: { type: 'integer', description: 'HTTP status sent with the code' },
+          description: { type: 'string' }
+        }
+      }
+    }
+  }
+};
+
+const onChainSchema = {
+  type: 'object',
+  description: 'Current on-chain state from Fulcrum; only present with live=true. ' +
+    'Holds only error and code if Fulcrum could not be queried',
+  properties: {
+    confirmed: { type: 'number', description: 'Confirmed balance in coins' },
+    confirmedInSmallUnits: { type: 'integer' },
+    unconfirmed: { type: 'number', description: 'Mempool balance change in coins, may be negative' },
+    unconfirmedInSmallUnits: { type: 'integer' },
+    tipHeight: { type: 'integer', description: 'Chain tip height at lookup time' },
+    historyCount: { type: 'integer', description: 'Transactions touching the address' },
+    history: {
+      type: 'array',
+      description: 'Most recent transactions, newest first; height is 0 or -1 while unconfirmed',
+      items: {
+        type: 'object',
+        properties: {
+          txHash: { type: 'string' },
+          height: { type: 'integer' }
+        }
+      }
+    },
+    error: { type: 'string' },
+    code: { type: 'string' }
+  }
+};
+
+export const balanceResponseSchema = {
+  description: 'Balance of one address',
+  type: 'object',
+  properties: {
+    success: { type: 'boolean' },
+    campaign: campaignIdSchema,
+    ...tokenProperties,
+    ...balanceProperties,
+    tranches: {
+      type: 'array',
+      description: 'Claims that were not released, oldest first; only present for snapshot addresses',
+      items: trancheSchema
+    },
+    onChain: onChainSchema
+  },
+  required: ['success', ...balanceRequired]
+};
+
+export const balancesResponseSchema = {
+  description: 'Balances of every valid address, with totals',
+  type: 'object',
+  properties: {
+    success: { type: 'boolean' },
+    campaign: campaignIdSchema,
+    ...tokenProperties,
+    balances: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: balanceProperties,
+        required: balanceRequired
+      }
+    },
+    totals: {
+      type: 'object',
+      properties: {
+        addresses: { type: 'integer' },
+        inSnapshot: { type: 'integer' },
+        mintable: { type: 'integer' },
+        spent: { type: 'integer' },
+        amount: { type: 'number' },
+        amountInSmallUnits: { type: 'integer' },
+        initialAmount: { type: 'number' },
+        initialAmountInSmallUnits: { type: 'integer' }
+      }
+    },
+    invalid: {
+      type: 'array',
+      description: 'Addresses that failed validation',
+      items: {
+        type: 'object',
+        properties: {
+          l1_addr: { type: 'string' },
+          error: { type: 'string' },
+          code: errorCodeSchema
+        }
+      }
+    }
+  },
+  required: ['success', 'balances', 'totals', 'invalid']
+};
+
+export const mintResultSchema = {
+  description: 'Token minted',
+  type: 'object',
+  properties: {
+    success: { type: 'boolean' },
+    claimId: { type: 'string', format: 'uuid' },
+    campaign: campaignIdSchema,
+    l1_addr: { type: 'string' },
+    unicityId: { type: 'string' },
+    amount: { type: 'number' },
+    amountInSmallUnits: { type: 'integer' },
+    addresses: aggregatedAddressesSchema,
+    txId: { type: 'string' },
+    message: { type: 'string' }
+  },
+  required: ['success', 'claimId', 'txId']
+};
+
+export const claimSchema = {
+  description: 'Current claim state',
+  type: 'object',
+  properties: claimProperties,
+  required: ['success', 'claimId', 'status', 'final']
+};
+
+export const claimAcceptedSchema = {
+  description: 'Claim reserved and queued; follow statusUrl or eventsUrl',
+  type: 'object',
+  properties: {
+    ...claimProperties,
+    statusUrl: { type: 'string' },
+    eventsUrl: { type: 'string' }
+  },
+  required: ['success', 'claimId', 'status', 'final', 'statusUrl', 'eventsUrl']
+};
+
+export const statsResponseSchema = {
+  description: 'Snapshot statistics',
+  type: 'object',
+  properties: {
+    success: { type: 'boolean' },
+    campaign: campaignIdSchema,
+    snapshotBlock: { type: ['integer', 'null'] },
+    snapshotBlockHash: { ...nullableString, description: 'Hash of the snapshot block; null for snapshots that predate it' },
+    chain: { ...nullableString, description: 'Chain the snapshot was taken on, e.g. main' },
+    utxoCount: { type: ['integer', 'null'], description: 'Outputs in the UTXO set at the snapshot block' },
+    utxoAmount: { type: ['number', 'null'], description: 'Their total in coins' },
+    utxoAmountInSmallUnits: { type: ['integer', 'null'], description: 'Their total in satoshis' },
+    cliVersion: { ...nullableString, description: 'Version of the snapshot CLI that built it' },
+    verification: {
+      type: ['object', 'null'],
+      description: 'Last check that the snapshot block is on the best chain; null if disabled or not run yet',
+      properties: {
+        status: { type: 'string', enum: ['ok', 'mismatch', 'error', 'skipped'] },
+        source: { type: 'string', enum: ['rpc', 'fulcrum'] },
+        checkedAt: { type: 'string' },
+        bestChainHash: { type: 'string' },
+        error: { type: 'string' }
+      }
+    },
+    totalAddresses: { type: 'integer' },
+    availableAddresses: { type: 'integer' },
+    mintedAddresses: { type: 'integer' },
+    createdAt: nullableString
+  }
+};
+
+const campaignProperties = {
+  id: campaignIdSchema,
+  name: { type: 'string' },
+  blockHeight: { type: 'integer', description: 'Snapshot block height' },
+  token: {
+    type: 'object',
+    description: 'Token minted for this campaign',
+    properties: tokenProperties
+  },
+  claimStartsAt: { ...nullableString, description: 'Claims open at; open immediately if null' },
+  claimEndsAt: { ...nullableString, description: 'Claims close at; never close if null' },
+  open: { type: 'boolean', description: 'Accepting claims now' },
+  partialClaims: { type: 'boolean', description: 'Balances may be claimed in several tranches' },
+  addressCount: { type: 'integer' },
+  totalAmount: { type: 'number', description: 'Snapshot total in coins' },
+  totalAmountInSmallUnits: { type: 'integer', description: 'Snapshot total in satoshis' },
+  createdAt: { type: 'string' }
+};
+
+export const campaignSchema = {
+  description: 'Campaign details',
+  type: 'object',
+  properties: {
+    success: { type: 'boolean' },
+    ...campaignProperties
+  }
+};
+
+export const campaignsResponseSchema = {
+  description: 'All campaigns, oldest first',
+  type: 'object',
+  properties: {
+    success: { type: 'boolean' },
+    defaultCampaign: { type: 'string', description: 'Used when a request names no campaign' },
+    campaigns: {
+      type: 'array',
+      items: { type: 'object', properties: campaignProperties }
+    }
+  }
+};
+
+export const claimMessageSchema = {
+  description: 'Message template wallets sign for a claim',
+  type: 'object',
+  properties: {
+    success: { type: 'boolean' },
+    campaign: campaignIdSchema,
+    version: { type: 'integer', description: 'Message version; 2' },
+    network: { type: 'string' },
+    domain: { type: 'string' },
+    blockHeight: { type: 'integer', description: 'Snapshot block height' },
+    template: {
+      type: 'string',
+      description: 'Lines joined with \\n; replace {address}, {unicityId}, {amount} and {expiresAt} (Unix seconds)'
+    },
+    maxValiditySeconds: { type: 'integer', description: 'expiresAt may be at most this far in the future' },
+    acceptsV1: { type: 'boolean', description: 'Whether legacy address:unicityId:amount messages are still accepted' }
+  }
+};
+
+export const healthResponseSchema = {
+  description: 'Server is up',
+  type: 'object',
+  properties: {
+    status: { type: 'string' },
+    timestamp: { type: 'string', format: 'date-time' }
+  }
+};
+
+const readinessCheckSchema = {
+  type: 'object',
+  properties: {
+    status: { type: 'string', enum: ['ok', 'fail'] },
+    error: { type: 'string' }
+  },
+  required: ['status'],
+  additionalProperties: true
+};
+
+export const readinessResponseSchema = {
+  type: 'object',
+  properties: {
+    status: { type: 'string', enum: ['ready', 'not_ready'] },
+    timestamp: { type: 'string', format: 'date-time' },
+    checks: {
+      type: 'object',
+      properties: {
+        database: readinessCheckSchema,
+        snapshot: readinessCheckSchema,
+        upstream: readinessCheckSchema,
+        token: readinessCheckSchema
+      }
+    }
+  }
+};
+
+const adminClaimSchema = {
+  type: 'object',
+  properties: {
+    id: { type: 'integer' },
+    claimId: nullableString,
+    campaign: campaignIdSchema,
+    l1_addr: { type: 'string' },
+    unicityId: { type: 'string' },
+    amountInSmallUnits: { type: 'integer' },
+    status: mintStatusSchema,
+    txId: nullableString,
+    error: nullableString,
+    idempotencyKey: nullableString,
+    signature: { type: 'string' },
+    createdAt: { type: 'string' },
+    processedAt: nullableString
+  }
+};
+
+const auditEntrySchema = {
+  type: 'object',
+  properties: {
+    id: { type: 'integer' },
+    actor: { type: 'string' },
+    action: { type: 'string' },
+    l1_addr: nullableString,
+    mintRequestId: { type: ['integer', 'null'] },
+    details: { type: ['object', 'null'], additionalProperties: true },
+    createdAt: { type: 'string' }
+  }
+};
+
+/**
+ * @param {string} description
+ * @param {Object} items - Item schema
+ * @returns {Object} Paginated list schema
+ */
+function pageSchema(description, items) {
+  return {
+    description,
+    type: 'object',
+    properties: {
+      success: { type: 'boolean' },
+      items: { type: 'array', items },
+      total: { type: 'integer' },
+      limit: { type: 'integer' },
+      offset: { type: 'integer' }
+    }
+  };
+}
+
+export const adminClaimsPageSchema = pageSchema('Page of mint requests', adminClaimSchema);
+
+export const auditPageSchema = pageSchema('Page of audit entries, newest first', auditEntrySchema);
+
+export const addressDetailSchema = {
+  description: 'Balance row, claims and audit trail of an address',
+  type: 'object',
+  properties: {
+    success: { type: 'boolean' },
+    balance: {
+      type: 'object',
+      properties: {
+        campaign: campaignIdSchema,
+        l1_addr: { type: 'string' },
+        initialAmountInSmallUnits: { type: 'integer' },
+        claimedAmountInSmallUnits: { type: 'integer' },
+        spent: { type: 'boolean' },
+        frozen: { type: 'boolean' },
+        unicityId: nullableString,
+        mintStatus: { type: ['string', 'null'] },
+        mintRequestId: { type: ['integer', 'null'] },
+        txId: nullableString,
+        mintedAt: nullableString
+      }
+    },
+    claims: { type: 'array', items: adminClaimSchema },
+    audit: { type: 'array', items: auditEntrySchema }
+  }
+};
+
+export const frozenResponseSchema = {
+  description: 'New frozen flag',
+  type: 'object',
+  properties: {
+    success: { type: 'boolean' },
+    campaign: campaignIdSchema,
+    l1_addr: { type: 'string' },
+    frozen: { type: 'boolean' }
+  }
+};
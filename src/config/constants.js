@@ -10,16 +10,106 @@ export const TOKEN_CONFIG = {
   iconUrl: 'https://raw.githubusercontent.com/unicitynetwork/unicity-ids/refs/heads/main/alpha_coin.png'
 };
 
+// Campaign that databases created before campaigns existed are migrated into
+export const DEFAULT_CAMPAIGN_ID = 'default';
+
+// Campaign IDs appear in URLs and query strings
+export const CAMPAIGN_ID_PATTERN = '^[a-z0-9][a-z0-9_-]{0,63}$';
+
 // Alpha blockchain address configuration
 export const ADDRESS_CONFIG = {
   // Human-readable prefix for Bech32 addresses
   hrp: 'alpha',
-  // Witness version for P2WPKH
-  witnessVersion: 0
+  // Base58Check version byte of P2PKH addresses
+  pubKeyHashVersion: 0x00,
+  // Base58Check version byte of P2SH addresses
+  scriptHashVersion: 0x05
+};
+
+// Address types holding snapshot balances
+export const ADDRESS_TYPES = {
+  // Legacy pay-to-pubkey-hash, Base58Check
+  P2PKH: 'p2pkh',
+  // Pay-to-script-hash, Base58Check; claimed as P2SH-wrapped P2WPKH, or
+  // P2SH-wrapped P2WSH multisig
+  P2SH: 'p2sh',
+  // Native segwit v0, Bech32 alpha1q...
+  P2WPKH: 'p2wpkh',
+  // Native segwit v0 script hash, Bech32 alpha1q...; claimed as multisig
+  P2WSH: 'p2wsh',
+  // Taproot, segwit v1, Bech32m alpha1p...
+  P2TR: 'p2tr'
 };
 
 // Satoshis per coin (10^8)
 export const SATOSHIS_PER_COIN = 100_000_000n;
 
+// Largest n of an m-of-n multisig witness script (OP_1..OP_16)
+export const MAX_MULTISIG_KEYS = 16;
+
+// Electrum protocol version requested from Fulcrum
+export const ELECTRUM_PROTOCOL_VERSION = '1.4';
+
+// Most recent transactions returned by a live on-chain balance lookup
+export const MAX_LIVE_HISTORY = 50;
+
+// Fulcrum snapshot defaults: addresses (or transactions) per JSON-RPC batch, batches in flight
+export const SNAPSHOT_QUERY_BATCH_SIZE = 100;
+export const SNAPSHOT_CONCURRENCY = 8;
+
+// Maximum number of addresses accepted by a single batch balance lookup
+export const MAX_BATCH_ADDRESSES = 1000;
+
+// Maximum number of addresses pooled into one aggregated claim; each costs a signature check
+export const MAX_AGGREGATE_ADDRESSES = 100;
+
+// Mint claim lifecycle states, shared by balances.mint_status and mint_requests.status
+export const MINT_STATUS = {
+  // Request logged, not yet validated (mint_requests only)
+  PENDING: 'pending',
+  // Address locked to this request, upstream not yet contacted
+  RESERVED: 'reserved',
+  // Upstream mint call in flight
+  SUBMITTED: 'submitted',
+  // Upstream confirmed the mint
+  CONFIRMED: 'confirmed',
+  // Request rejected; any reservation has been released
+  FAILED: 'failed',
+  // Upstream outcome ambiguous (timeout, 5xx); parked for reconciliation
+  UNKNOWN: 'unknown'
+};
+
+// Allowed transitions between mint states
+export const MINT_TRANSITIONS = {
+  [MINT_STATUS.PENDING]: [MINT_STATUS.RESERVED, MINT_STATUS.FAILED],
+  [MINT_STATUS.RESERVED]: [MINT_STATUS.SUBMITTED, MINT_STATUS.FAILED],
+  [MINT_STATUS.SUBMITTED]: [MINT_STATUS.CONFIRMED, MINT_STATUS.FAILED, MINT_STATUS.UNKNOWN],
+  [MINT_STATUS.UNKNOWN]: [MINT_STATUS.CONFIRMED, MINT_STATUS.FAILED],
+  [MINT_STATUS.CONFIRMED]: [],
+  [MINT_STATUS.FAILED]: []
+};
+
+// Mint job queue states (mint_jobs.status)
+export const MINT_JOB_STATUS = {
+  QUEUED: 'queued',
+  RUNNING: 'running',
+  DONE: 'done'
+};
+
 // Message signing prefix (Bitcoin-style)
 export const MESSAGE_PREFIX = 'Alpha Signed Message:\n';
+
+// v2 claim message, one field per line. The server fills network, domain,
+// campaign and block; wallets fill the rest. expiresAt is in Unix seconds.
+export const CLAIM_MESSAGE_V2_TEMPLATE = [
+  'Unicity faucet claim',
+  'version: 2',
+  'network: {network}',
+  'domain: {domain}',
+  'campaign: {campaign}',
+  'block: {block}',
+  'address: {address}',
+  'unicityId: {unicityId}',
+  'amount: {amount}',
+  'expires: {expiresAt}'
+].join('\n');
@@ -1,4 +1,38 @@
 import 'dotenv/config';
+import { DEFAULT_CAMPAIGN_ID, TOKEN_CONFIG } from './constants.js';
+
+/**
+ * Parse ADMIN_API_KEYS ("name:key,name:key"; bare keys get a numbered name)
+ * @param {string} value
+ * @returns {Array<{name: string, key: string}>}
+ */
+function parseApiKeys(value) {
+  return value
+    .split(',')
+    .map((entry) => entry.trim())
+    .filter(Boolean)
+    .map((entry, index) => {
+      const separator = entry.indexOf(':');
+      return separator > 0
+        ? { name: entry.slice(0, separator), key: entry.slice(separator + 1) }
+        : { name: `key-${index + 1}`, key: entry };
+    });
+}
+
+/**
+ * Parse TRUST_PROXY: 'true'/'false', a hop count, or a list of proxy addresses
+ * @param {string} value
+ * @returns {boolean|number|string}
+ */
+function parseTrustProxy(value) {
+  if (value === '' || value === 'false') {
+    return false;
+  }
+  if (value === 'true') {
+    return true;
+  }
+  return /^\d+$/.test(value) ? parseInt(value, 10) : value;
+}
 
 const config = {
   port: parseInt(process.env.PORT || '3000', 10),
@@ -6,20 +40,86 @@ const config = {
   logLevel: process.env.LOG_LEVEL || 'info',
   isDev: process.env.NODE_ENV === 'development',
 
+  // Proxies in front of the server, so request.ip is the real client IP
+  trustProxy: parseTrustProxy(process.env.TRUST_PROXY || ''),
+
   // Database
   dbPath: process.env.DB_PATH || './data/faucet.db',
 
+  // Campaign used by API requests that do not name one
+  defaultCampaign: process.env.DEFAULT_CAMPAIGN || DEFAULT_CAMPAIGN_ID,
+
+  // Signed claim messages
+  claimMessage: {
+    // Binds v2 signatures to this deployment; set to the public hostname
+    domain: process.env.CLAIM_DOMAIN || 'localhost',
+    network: process.env.CLAIM_NETWORK || TOKEN_CONFIG.network,
+    // Furthest in the future a v2 message may expire
+    maxValiditySeconds: parseInt(process.env.CLAIM_MAX_VALIDITY_SECONDS || '86400', 10),
+    // Keep accepting v1 messages (address:unicityId:amount) during the transition
+    acceptV1: process.env.ACCEPT_V1_MESSAGES !== 'false'
+  },
+
   // Endpoints
   fulcrumEndpoint: process.env.FULCRUM_ENDPOINT || 'wss://fulcrum.unicity.network:50004',
+  fulcrumTimeoutMs: parseInt(process.env.FULCRUM_TIMEOUT_MS || '10000', 10),
   faucetEndpoint: process.env.FAUCET_ENDPOINT || 'https://faucet.unicity.network/',
+  faucetTimeoutMs: parseInt(process.env.FAUCET_TIMEOUT_MS || '30000', 10),
+
+  // Background worker for claims accepted with 202
+  mintWorker: {
+    pollIntervalMs: parseInt(process.env.MINT_WORKER_POLL_MS || '1000', 10),
+    concurrency: parseInt(process.env.MINT_WORKER_CONCURRENCY || '1', 10)
+  },
 
-  // Alpha RPC (for snapshot)
+  // Check at startup that each campaign's snapshot block is still on the
+  // best chain: 'off', 'rpc' (alphaRpc) or 'fulcrum' (fulcrumEndpoint)
+  snapshotVerification: {
+    source: process.env.SNAPSHOT_VERIFY || 'off',
+    timeoutMs: parseInt(process.env.SNAPSHOT_VERIFY_TIMEOUT_MS || '10000', 10)
+  },
+
+  // Alpha RPC (for snapshot and its verification)
   alphaRpc: {
     url: process.env.ALPHA_RPC_URL || 'http://localhost:8332',
     user: process.env.ALPHA_RPC_USER || '',
     pass: process.env.ALPHA_RPC_PASS || ''
   },
 
+  // Token bucket rate limits (capacity = burst size)
+  rateLimit: {
+    enabled: process.env.RATE_LIMIT_ENABLED !== 'false',
+    store: process.env.RATE_LIMIT_STORE || 'memory',
+    buckets: {
+      // Every /api/v1/faucet request, per client IP
+      ip: {
+        capacity: parseFloat(process.env.RATE_LIMIT_IP_BURST || '30'),
+        refillPerMinute: parseFloat(process.env.RATE_LIMIT_IP_PER_MINUTE || '30')
+      },
+      // Mint requests, per L1 address
+      address: {
+        capacity: parseFloat(process.env.RATE_LIMIT_ADDRESS_BURST || '5'),
+        refillPerMinute: parseFloat(process.env.RATE_LIMIT_ADDRESS_PER_MINUTE || '1')
+      },
+      // Failed signature checks, per client IP; mint requests are refused once spent
+      signatureFailure: {
+        capacity: parseFloat(process.env.RATE_LIMIT_SIGNATURE_FAILURES || '5'),
+        refillPerMinute: parseFloat(process.env.RATE_LIMIT_SIGNATURE_FAILURES_PER_MINUTE || '0.2')
+      }
+    }
+  },
+
+  // /ready reuses upstream faucet check results for this long
+  readiness: {
+    upstreamCacheMs: parseInt(process.env.READY_UPSTREAM_CACHE_MS || '30000', 10)
+  },
+
+  // Serve Prometheus metrics at /metrics
+  metricsEnabled: process.env.METRICS_ENABLED !== 'false',
+
+  // Admin API keys; the admin API is disabled when none are set
+  adminApiKeys: parseApiKeys(process.env.ADMIN_API_KEYS || ''),
+
   // CORS
   corsOrigin: process.env.CORS_ORIGIN || '*'
 };
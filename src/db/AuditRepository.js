@@ -0,0 +1,85 @@
+import { DatabaseError } from '../utils/errors.js';
+
+/**
+ * Repository for the admin action audit log
+ */
+export class AuditRepository {
+  /**
+   * @param {import('better-sqlite3').Database} db - SQLite database instance
+   */
+  constructor(db) {
+    this.db = db;
+    this._prepareStatements();
+  }
+
+  /**
+   * Prepare reusable SQL statements for performance
+   */
+  _prepareStatements() {
+    this.stmts = {
+      insert: this.db.prepare(`
+        INSERT INTO admin_audit_log
+        (actor, action, l1_address, mint_request_id, details, created_at)
+        VALUES (?, ?, ?, ?, ?, datetime('now'))
+      `),
+      findByAddress: this.db.prepare(
+        'SELECT * FROM admin_audit_log WHERE l1_address = ? ORDER BY id DESC'
+      ),
+      list: this.db.prepare(
+        'SELECT * FROM admin_audit_log ORDER BY id DESC LIMIT ? OFFSET ?'
+      ),
+      count: this.db.prepare(
+        'SELECT COUNT(*) as count FROM admin_audit_log'
+      )
+    };
+  }
+
+  /**
+   * Record an admin action
+   * @param {string} actor - Name of the API key that performed the action
+   * @param {string} action - Action identifier, e.g. 'release'
+   * @param {Object} [target]
+   * @param {string|null} [target.l1Address]
+   * @param {number|null} [target.mintRequestId]
+   * @param {Object|null} [target.details] - Extra context, stored as JSON
+   * @returns {number} Audit entry ID
+   */
+  record(actor, action, { l1Address = null, mintRequestId = null, details = null } = {}) {
+    try {
+      const result = this.stmts.insert.run(
+        actor,
+        action,
+        l1Address,
+        mintRequestId,
+        details ? JSON.stringify(details) : null
+      );
+      return result.lastInsertRowid;
+    } catch (err) {
+      throw new DatabaseError(`Failed to write audit log: ${err.message}`);
+    }
+  }
+
+  /**
+   * List audit entries for an address, newest first
+   * @param {string} l1Address
+   * @returns {Object[]}
+   */
+  findByAddress(l1Address) {
+    return this.stmts.findByAddress.all(l1Address);
+  }
+
+  /**
+   * Page through all audit entries, newest first
+   * @param {number} limit
+   * @param {number} offset
+   * @returns {{items: Object[], total: number}}
+   */
+  list(limit = 50, offset = 0) {
+    return {
+      items: this.stmts.list.all(limit, offset),
+      total: this.stmts.count.get().count
+    };
+  }
+}
+
+export default AuditRepository;
@@ -1,7 +1,11 @@
 import { DatabaseError } from '../utils/errors.js';
+import { MINT_STATUS, MINT_TRANSITIONS, DEFAULT_CAMPAIGN_ID } from '../config/constants.js';
 
 /**
  * Repository for balance-related database operations
+ *
+ * Balances belong to a campaign; methods taking an address also take the
+ * campaign ID, defaulting to the campaign single-snapshot databases migrate into.
  */
 export class BalanceRepository {
   /**
@@ -18,43 +22,160 @@ export class BalanceRepository {
   _prepareStatements() {
     this.stmts = {
       findByAddress: this.db.prepare(
-        'SELECT * FROM balances WHERE l1_address = ? COLLATE NOCASE'
+        'SELECT * FROM balances WHERE campaign_id = ? AND l1_address = ?'
       ),
+      findByAddresses: this.db.prepare(`
+        SELECT * FROM balances
+        WHERE campaign_id = ?
+          AND l1_address IN (SELECT value FROM json_each(?))
+      `),
       insertBalance: this.db.prepare(`
-        INSERT INTO balances (l1_address, initial_amount, spent, created_at)
-        VALUES (?, ?, 0, datetime('now'))
+        INSERT INTO balances (campaign_id, l1_address, initial_amount, spent, created_at)
+        VALUES (?, ?, ?, 0, datetime('now'))
       `),
       markAsSpent: this.db.prepare(`
         UPDATE balances
         SET spent = 1,
+            claimed_amount = initial_amount,
             unicity_id = ?,
             mint_tx_id = ?,
+            mint_status = 'confirmed',
             minted_at = datetime('now')
-        WHERE l1_address = ? COLLATE NOCASE AND spent = 0
+        WHERE campaign_id = ? AND l1_address = ? AND spent = 0
+      `),
+      reserveBalance: this.db.prepare(`
+        UPDATE balances
+        SET spent = 1,
+            claimed_amount = claimed_amount + :amount,
+            unicity_id = :unicityId,
+            mint_tx_id = NULL,
+            mint_status = 'reserved',
+            mint_request_id = :requestId
+        WHERE campaign_id = :campaignId AND l1_address = :l1Address
+          AND spent = 0 AND frozen = 0 AND claimed_amount + :amount <= initial_amount
+      `),
+      findLiveSignatureUse: this.db.prepare(`
+        SELECT other.id FROM mint_requests other
+        LEFT JOIN mint_request_addresses member
+          ON member.mint_request_id = other.id AND member.l1_address = :l1Address
+        WHERE other.id != :requestId
+          AND other.campaign_id = :campaignId
+          AND other.status NOT IN ('pending', 'failed')
+          AND (
+            (other.l1_address = :l1Address
+              AND replace(lower(other.signature), '0x', '') = :signature)
+            OR replace(lower(member.signature), '0x', '') = :signature
+          )
+        LIMIT 1
+      `),
+      insertMintRequestAddress: this.db.prepare(`
+        INSERT INTO mint_request_addresses (mint_request_id, l1_address, amount, signature)
+        VALUES (?, ?, ?, ?)
+      `),
+      findMintRequestAddresses: this.db.prepare(
+        'SELECT * FROM mint_request_addresses WHERE mint_request_id = ? ORDER BY rowid'
+      ),
+      setFrozen: this.db.prepare(
+        'UPDATE balances SET frozen = ? WHERE campaign_id = ? AND l1_address = ?'
+      ),
+      findMintRequestsByAddress: this.db.prepare(`
+        SELECT mint_requests.*, COALESCE(member.amount, mint_requests.amount) as address_amount
+        FROM mint_requests
+        LEFT JOIN mint_request_addresses member
+          ON member.mint_request_id = mint_requests.id AND member.l1_address = :l1Address
+        WHERE campaign_id = :campaignId
+          AND (mint_requests.l1_address = :l1Address OR member.l1_address IS NOT NULL)
+        ORDER BY id DESC
+      `),
+      setBalanceMintStatus: this.db.prepare(`
+        UPDATE balances
+        SET spent = CASE WHEN ? = 'confirmed' AND claimed_amount < initial_amount THEN 0 ELSE spent END,
+            mint_status = ?,
+            mint_tx_id = COALESCE(?, mint_tx_id),
+            minted_at = CASE WHEN ? = 'confirmed' THEN datetime('now') ELSE minted_at END
+        WHERE mint_request_id = ?
+      `),
+      releaseBalance: this.db.prepare(`
+        UPDATE balances
+        SET spent = 0,
+            claimed_amount = claimed_amount - COALESCE(
+              (SELECT amount FROM mint_request_addresses
+               WHERE mint_request_id = :requestId AND l1_address = balances.l1_address),
+              (SELECT amount FROM mint_requests WHERE id = :requestId)
+            ),
+            unicity_id = NULL,
+            mint_tx_id = NULL,
+            mint_status = NULL,
+            mint_request_id = NULL,
+            minted_at = NULL
+        WHERE mint_request_id = :requestId
       `),
       countUnspent: this.db.prepare(
-        'SELECT COUNT(*) as count FROM balances WHERE spent = 0'
+        'SELECT COUNT(*) as count FROM balances WHERE campaign_id = ? AND claimed_amount < initial_amount'
       ),
       countTotal: this.db.prepare(
-        'SELECT COUNT(*) as count FROM balances'
+        'SELECT COUNT(*) as count FROM balances WHERE campaign_id = ?'
+      ),
+      getTotals: this.db.prepare(`
+        SELECT
+          campaigns.id as campaignId,
+          COUNT(balances.l1_address) as totalAddresses,
+          COALESCE(SUM(balances.claimed_amount < balances.initial_amount), 0) as availableAddresses,
+          COALESCE(SUM(balances.initial_amount), 0) as totalAmount,
+          COALESCE(SUM(balances.initial_amount - balances.claimed_amount), 0) as availableAmount
+        FROM campaigns
+        LEFT JOIN balances ON balances.campaign_id = campaigns.id
+        GROUP BY campaigns.id
+        ORDER BY campaigns.id
+      `),
+      findCampaign: this.db.prepare(
+        'SELECT * FROM campaigns WHERE id = ?'
       ),
-      getSnapshotMeta: this.db.prepare(
-        'SELECT * FROM snapshot_meta WHERE id = 1'
+      listCampaigns: this.db.prepare(
+        'SELECT * FROM campaigns ORDER BY created_at, id'
       ),
-      setSnapshotMeta: this.db.prepare(`
-        INSERT OR REPLACE INTO snapshot_meta
-        (id, block_height, fulcrum_endpoint, faucet_endpoint, address_count, total_amount, created_at)
-        VALUES (1, ?, ?, ?, ?, ?, datetime('now'))
+      insertCampaign: this.db.prepare(`
+        INSERT INTO campaigns
+        (id, name, block_height, token_config, claim_starts_at, claim_ends_at, partial_claims,
+         fulcrum_endpoint, faucet_endpoint, address_count, total_amount,
+         block_hash, chain, utxo_count, utxo_amount, cli_version, created_at)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, datetime('now'))
       `),
+      ping: this.db.prepare(
+        'SELECT 1 FROM balances LIMIT 1'
+      ),
       insertMintRequest: this.db.prepare(`
         INSERT INTO mint_requests
-        (l1_address, unicity_id, amount, signature, status, created_at)
-        VALUES (?, ?, ?, ?, 'pending', datetime('now'))
+        (campaign_id, l1_address, unicity_id, amount, signature, status, claim_id,
+         idempotency_key, request_hash, created_at)
+        VALUES (?, ?, ?, ?, ?, 'pending', ?, ?, ?, datetime('now'))
       `),
-      updateMintRequest: this.db.prepare(`
+      findMintRequest: this.db.prepare(
+        'SELECT * FROM mint_requests WHERE id = ?'
+      ),
+      findMintRequestByClaimId: this.db.prepare(
+        'SELECT * FROM mint_requests WHERE claim_id = ?'
+      ),
+      findMintRequestByIdempotencyKey: this.db.prepare(`
+        SELECT * FROM mint_requests
+        WHERE idempotency_key = ? AND status != 'failed'
+      `),
+      storeMintResponse: this.db.prepare(`
+        UPDATE mint_requests
+        SET response_status = ?, response_body = ?
+        WHERE idempotency_key = ? AND status != 'failed'
+      `),
+      findMintRequestsByStatus: this.db.prepare(
+        'SELECT * FROM mint_requests WHERE status = ? ORDER BY id'
+      ),
+      transitionMintRequest: this.db.prepare(`
         UPDATE mint_requests
-        SET status = ?, error_message = ?, faucet_response = ?, processed_at = datetime('now')
-        WHERE id = ?
+        SET status = ?,
+            error_message = COALESCE(?, error_message),
+            faucet_response = COALESCE(?, faucet_response),
+            tx_id = COALESCE(?, tx_id),
+            processed_at = datetime('now')
+        WHERE id = ? AND status = ?
       `)
     };
   }
@@ -62,24 +183,45 @@ export class BalanceRepository {
   /**
    * Find balance record by L1 address
    * @param {string} l1Address - L1 Alpha address
+   * @param {string} [campaignId]
    * @returns {Object|null} Balance record or null
    */
-  findByAddress(l1Address) {
+  findByAddress(l1Address, campaignId = DEFAULT_CAMPAIGN_ID) {
     try {
-      return this.stmts.findByAddress.get(l1Address) || null;
+      return this.stmts.findByAddress.get(campaignId, l1Address) || null;
     } catch (err) {
       throw new DatabaseError(`Failed to find address: ${err.message}`);
     }
   }
 
+  /**
+   * Find balance records for many L1 addresses in a single query
+   * @param {string[]} l1Addresses - L1 Alpha addresses
+   * @param {string} [campaignId]
+   * @returns {Map<string, Object>} Records keyed by address
+   */
+  findByAddresses(l1Addresses, campaignId = DEFAULT_CAMPAIGN_ID) {
+    if (l1Addresses.length === 0) {
+      return new Map();
+    }
+
+    try {
+      const rows = this.stmts.findByAddresses.all(campaignId, JSON.stringify(l1Addresses));
+      return new Map(rows.map((row) => [row.l1_address, row]));
+    } catch (err) {
+      throw new DatabaseError(`Failed to find addresses: ${err.message}`);
+    }
+  }
+
   /**
    * Insert a new balance record
    * @param {string} l1Address - L1 Alpha address
    * @param {bigint|number} amount - Balance in satoshis
+   * @param {string} [campaignId]
    */
-  insertBalance(l1Address, amount) {
+  insertBalance(l1Address, amount, campaignId = DEFAULT_CAMPAIGN_ID) {
     try {
-      this.stmts.insertBalance.run(l1Address, BigInt(amount).toString());
+      this.stmts.insertBalance.run(campaignId, l1Address, BigInt(amount).toString());
     } catch (err) {
       if (err.code === 'SQLITE_CONSTRAINT_PRIMARYKEY') {
         throw new DatabaseError(`Address ${l1Address} already exists in snapshot`);
@@ -91,11 +233,12 @@ export class BalanceRepository {
   /**
    * Insert multiple balances in a transaction
    * @param {Array<{address: string, amount: bigint}>} balances
+   * @param {string} [campaignId]
    */
-  insertBalancesBatch(balances) {
+  insertBalancesBatch(balances, campaignId = DEFAULT_CAMPAIGN_ID) {
     const insertMany = this.db.transaction((items) => {
       for (const { address, amount } of items) {
-        this.stmts.insertBalance.run(address, BigInt(amount).toString());
+        this.stmts.insertBalance.run(campaignId, address, BigInt(amount).toString());
       }
     });
 
@@ -112,11 +255,12 @@ export class BalanceRepository {
    * @param {string} l1Address - L1 Alpha address
    * @param {string} unicityId - L3 destination
    * @param {string} mintTxId - Upstream faucet transaction ID
+   * @param {string} [campaignId]
    * @returns {boolean} True if update succeeded
    */
-  markAsSpent(l1Address, unicityId, mintTxId) {
+  markAsSpent(l1Address, unicityId, mintTxId, campaignId = DEFAULT_CAMPAIGN_ID) {
     try {
-      const result = this.stmts.markAsSpent.run(unicityId, mintTxId, l1Address);
+      const result = this.stmts.markAsSpent.run(unicityId, mintTxId, campaignId, l1Address);
       return result.changes === 1;
     } catch (err) {
       throw new DatabaseError(`Failed to mark as spent: ${err.message}`);
@@ -124,86 +268,452 @@ export class BalanceRepository {
   }
 
   /**
-   * Atomically mark as spent with double-check
-   * Uses transaction for race condition safety
+   * Atomically reserve the request's amount of an address for a mint request
+   * Moves the request from 'pending' to 'reserved' and locks the balance row
+   * to it, so no other request can claim the address while upstream is called.
+   * A signature may back only one live request, so a tranche cannot be replayed.
    * @param {string} l1Address
    * @param {string} unicityId
-   * @param {string} mintTxId
-   * @returns {{success: boolean, record: Object|null}}
+   * @param {number} requestId - mint_requests row driving the claim
+   * @param {string} [campaignId]
+   * @returns {{success: boolean, error?: string, record: Object|null}}
    */
-  atomicMarkAsSpent(l1Address, unicityId, mintTxId) {
+  atomicReserve(l1Address, unicityId, requestId, campaignId = DEFAULT_CAMPAIGN_ID) {
     const txn = this.db.transaction(() => {
-      // Check current state
-      const record = this.stmts.findByAddress.get(l1Address);
+      const request = this.stmts.findMintRequest.get(requestId);
+      const entry = { l1Address, amount: request.amount, signature: request.signature };
+      const check = this._checkReservable(entry, requestId, campaignId);
 
-      if (!record) {
-        return { success: false, error: 'not_found', record: null };
+      if (check.error) {
+        return { success: false, ...check };
       }
 
-      if (record.spent === 1) {
-        return { success: false, error: 'already_minted', record };
+      // Lock the balance to this request
+      const result = this.stmts.reserveBalance.run({
+        amount: request.amount,
+        unicityId,
+        requestId,
+        campaignId,
+        l1Address
+      });
+
+      if (result.changes !== 1) {
+        return { success: false, error: 'race_condition', record: check.record };
       }
 
-      // Mark as spent
-      const result = this.stmts.markAsSpent.run(unicityId, mintTxId, l1Address);
+      this._transitionMintRequest(requestId, MINT_STATUS.RESERVED);
 
-      if (result.changes !== 1) {
-        return { success: false, error: 'race_condition', record };
+      return { success: true, record: check.record };
+    });
+
+    try {
+      return txn.immediate();
+    } catch (err) {
+      if (err instanceof DatabaseError) {
+        throw err;
       }
+      throw new DatabaseError(`Atomic update failed: ${err.message}`);
+    }
+  }
 
-      return { success: true, record };
+  /**
+   * Atomically reserve every address of an aggregated mint request
+   * All balance rows are locked to the one request, so they are confirmed or
+   * released together. If any address cannot be reserved, none is.
+   * @param {Array<{l1Address: string, amount: bigint, signature: string}>} entries
+   * @param {string} unicityId
+   * @param {number} requestId - mint_requests row driving the claim
+   * @param {string} [campaignId]
+   * @returns {{success: boolean, error?: string, l1Address?: string, record?: Object|null}}
+   */
+  atomicReserveAddresses(entries, unicityId, requestId, campaignId = DEFAULT_CAMPAIGN_ID) {
+    const txn = this.db.transaction(() => {
+      // Check everything first: nothing else writes inside an immediate transaction
+      const records = [];
+      for (const entry of entries) {
+        const check = this._checkReservable(entry, requestId, campaignId);
+        if (check.error) {
+          return { success: false, l1Address: entry.l1Address, ...check };
+        }
+        records.push(check.record);
+      }
+
+      entries.forEach((entry, i) => {
+        const amount = BigInt(entry.amount).toString();
+        const result = this.stmts.reserveBalance.run({
+          amount,
+          unicityId,
+          requestId,
+          campaignId,
+          l1Address: entry.l1Address
+        });
+
+        if (result.changes !== 1) {
+          // Rolls back the addresses reserved so far
+          throw new DatabaseError(`Failed to reserve ${entry.l1Address}`);
+        }
+
+        this.stmts.insertMintRequestAddress.run(
+          requestId,
+          records[i].l1_address,
+          amount,
+          entry.signature
+        );
+      });
+
+      this._transitionMintRequest(requestId, MINT_STATUS.RESERVED);
+
+      return { success: true };
     });
 
     try {
       return txn.immediate();
     } catch (err) {
+      if (err instanceof DatabaseError) {
+        throw err;
+      }
       throw new DatabaseError(`Atomic update failed: ${err.message}`);
     }
   }
 
   /**
-   * Get count of unspent addresses
+   * Check that an address can be reserved for a request
+   * Must be called inside a transaction.
+   * @param {{l1Address: string, amount: bigint|number, signature: string}} entry
+   * @param {number} requestId
+   * @param {string} campaignId
+   * @returns {{error: string|null, record: Object|null}}
+   */
+  _checkReservable({ l1Address, amount, signature }, requestId, campaignId) {
+    const record = this.stmts.findByAddress.get(campaignId, l1Address);
+
+    if (!record) {
+      return { error: 'not_found', record: null };
+    }
+
+    const remaining = BigInt(record.initial_amount) - BigInt(record.claimed_amount);
+    if (remaining <= 0n) {
+      return { error: 'already_minted', record };
+    }
+
+    if (record.spent === 1) {
+      return { error: 'in_progress', record };
+    }
+
+    if (record.frozen === 1) {
+      return { error: 'frozen', record };
+    }
+
+    if (BigInt(amount) > remaining) {
+      return { error: 'insufficient_balance', record };
+    }
+
+    const signatureUse = this.stmts.findLiveSignatureUse.get({
+      requestId,
+      campaignId,
+      l1Address,
+      signature: signature.replace(/^0x/i, '').toLowerCase()
+    });
+    if (signatureUse) {
+      return { error: 'signature_used', record };
+    }
+
+    return { error: null, record };
+  }
+
+  /**
+   * Move a mint request to a new state, keeping its balance row in step
+   * A transition to 'failed' releases the reserved amount so the address
+   * can be claimed again; a confirmed tranche that leaves a remainder
+   * unlocks the address for the next one.
+   * @param {number} requestId
+   * @param {string} status - Target MINT_STATUS value
+   * @param {Object} [details]
+   * @param {string|null} [details.txId] - Upstream transaction ID
+   * @param {string|null} [details.errorMessage]
+   * @param {string|null} [details.faucetResponse] - Raw upstream response JSON
+   * @returns {Object} Updated mint request row
+   */
+  transitionMint(requestId, status, { txId = null, errorMessage = null, faucetResponse = null } = {}) {
+    const txn = this.db.transaction(() => {
+      this._transitionMintRequest(requestId, status, txId, errorMessage, faucetResponse);
+
+      if (status === MINT_STATUS.FAILED) {
+        this.stmts.releaseBalance.run({ requestId });
+      } else {
+        this.stmts.setBalanceMintStatus.run(status, status, txId, status, requestId);
+      }
+
+      return this.stmts.findMintRequest.get(requestId);
+    });
+
+    try {
+      return txn.immediate();
+    } catch (err) {
+      if (err instanceof DatabaseError) {
+        throw err;
+      }
+      throw new DatabaseError(`Mint state update failed: ${err.message}`);
+    }
+  }
+
+  /**
+   * Update the mint_requests row if the transition is allowed
+   * Must be called inside a transaction.
+   */
+  _transitionMintRequest(requestId, status, txId = null, errorMessage = null, faucetResponse = null) {
+    const current = this.stmts.findMintRequest.get(requestId);
+
+    if (!current) {
+      throw new DatabaseError(`Mint request ${requestId} not found`);
+    }
+
+    const allowed = MINT_TRANSITIONS[current.status] || [];
+    if (!allowed.includes(status)) {
+      throw new DatabaseError(
+        `Invalid mint state transition for request ${requestId}: ${current.status} -> ${status}`
+      );
+    }
+
+    this.stmts.transitionMintRequest.run(
+      status,
+      errorMessage,
+      faucetResponse,
+      txId,
+      requestId,
+      current.status
+    );
+  }
+
+  /**
+   * Get a mint request by ID
+   * @param {number} requestId
+   * @returns {Object|null}
+   */
+  findMintRequest(requestId) {
+    return this.stmts.findMintRequest.get(requestId) || null;
+  }
+
+  /**
+   * List all mint requests for an address, newest first
+   * Includes aggregated requests the address is part of; address_amount is
+   * the address's share of the request amount.
+   * @param {string} l1Address
+   * @param {string} [campaignId]
+   * @returns {Object[]}
+   */
+  findMintRequestsByAddress(l1Address, campaignId = DEFAULT_CAMPAIGN_ID) {
+    return this.stmts.findMintRequestsByAddress.all({ campaignId, l1Address });
+  }
+
+  /**
+   * List the addresses pooled into an aggregated mint request
+   * @param {number} requestId
+   * @returns {Object[]} mint_request_addresses rows; empty for single-address requests
+   */
+  findMintRequestAddresses(requestId) {
+    return this.stmts.findMintRequestAddresses.all(requestId);
+  }
+
+  /**
+   * Page through mint requests with optional filters
+   * @param {Object} filters
+   * @param {string} [filters.campaignId]
+   * @param {string} [filters.status] - MINT_STATUS value
+   * @param {string} [filters.l1Address]
+   * @param {string} [filters.unicityId]
+   * @param {string} [filters.from] - Earliest created_at (ISO 8601)
+   * @param {string} [filters.to] - Latest created_at (ISO 8601)
+   * @param {number} [filters.limit]
+   * @param {number} [filters.offset]
+   * @returns {{items: Object[], total: number}}
+   */
+  listMintRequests({ campaignId, status, l1Address, unicityId, from, to, limit = 50, offset = 0 } = {}) {
+    const clauses = [];
+    const params = [];
+
+    if (campaignId) {
+      clauses.push('campaign_id = ?');
+      params.push(campaignId);
+    }
+    if (status) {
+      clauses.push('status = ?');
+      params.push(status);
+    }
+    if (l1Address) {
+      clauses.push(`(l1_address = ? OR id IN (
+        SELECT mint_request_id FROM mint_request_addresses WHERE l1_address = ?
+      ))`);
+      params.push(l1Address, l1Address);
+    }
+    if (unicityId) {
+      clauses.push('unicity_id = ?');
+      params.push(unicityId);
+    }
+    if (from) {
+      clauses.push('created_at >= datetime(?)');
+      params.push(from);
+    }
+    if (to) {
+      clauses.push('created_at <= datetime(?)');
+      params.push(to);
+    }
+
+    const where = clauses.length > 0 ? `WHERE ${clauses.join(' AND ')}` : '';
+
+    try {
+      const total = this.db.prepare(
+        `SELECT COUNT(*) as count FROM mint_requests ${where}`
+      ).get(...params).count;
+      const items = this.db.prepare(
+        `SELECT * FROM mint_requests ${where} ORDER BY id DESC LIMIT ? OFFSET ?`
+      ).all(...params, limit, offset);
+
+      return { items, total };
+    } catch (err) {
+      throw new DatabaseError(`Failed to list mint requests: ${err.message}`);
+    }
+  }
+
+  /**
+   * Freeze or unfreeze an address; frozen addresses cannot be reserved
+   * @param {string} l1Address
+   * @param {boolean} frozen
+   * @param {string} [campaignId]
+   * @returns {boolean} True if the address exists
+   */
+  setFrozen(l1Address, frozen, campaignId = DEFAULT_CAMPAIGN_ID) {
+    try {
+      return this.stmts.setFrozen.run(frozen ? 1 : 0, campaignId, l1Address).changes === 1;
+    } catch (err) {
+      throw new DatabaseError(`Failed to update frozen flag: ${err.message}`);
+    }
+  }
+
+  /**
+   * Get a mint request by its public claim ID
+   * @param {string} claimId
+   * @returns {Object|null}
+   */
+  findMintRequestByClaimId(claimId) {
+    return this.stmts.findMintRequestByClaimId.get(claimId) || null;
+  }
+
+  /**
+   * List mint requests in a given state
+   * @param {string} status - MINT_STATUS value
+   * @returns {Object[]}
+   */
+  findMintRequestsByStatus(status) {
+    return this.stmts.findMintRequestsByStatus.all(status);
+  }
+
+  /**
+   * Get count of unspent addresses in a campaign
+   * @param {string} [campaignId]
    * @returns {number}
    */
-  countUnspent() {
-    return this.stmts.countUnspent.get().count;
+  countUnspent(campaignId = DEFAULT_CAMPAIGN_ID) {
+    return this.stmts.countUnspent.get(campaignId).count;
   }
 
   /**
-   * Get total address count
+   * Get address count of a campaign
+   * @param {string} [campaignId]
    * @returns {number}
    */
-  countTotal() {
-    return this.stmts.countTotal.get().count;
+  countTotal(campaignId = DEFAULT_CAMPAIGN_ID) {
+    return this.stmts.countTotal.get(campaignId).count;
   }
 
   /**
-   * Get snapshot metadata
-   * @returns {Object|null}
+   * Get address counts and amounts (satoshis) per campaign, overall and still unspent
+   * @returns {Array<{campaignId: string, totalAddresses: number, availableAddresses: number,
+   *   totalAmount: number, availableAmount: number}>}
    */
-  getSnapshotMeta() {
-    return this.stmts.getSnapshotMeta.get() || null;
+  getTotals() {
+    return this.stmts.getTotals.all();
   }
 
   /**
-   * Set snapshot metadata
-   * @param {number} blockHeight
-   * @param {string} fulcrumEndpoint
-   * @param {string} faucetEndpoint
-   * @param {number} addressCount
-   * @param {bigint} totalAmount
+   * Get a campaign by ID
+   * @param {string} campaignId
+   * @returns {Object|null} campaigns row
    */
-  setSnapshotMeta(blockHeight, fulcrumEndpoint, faucetEndpoint, addressCount, totalAmount) {
+  findCampaign(campaignId) {
+    return this.stmts.findCampaign.get(campaignId) || null;
+  }
+
+  /**
+   * List all campaigns, oldest first
+   * @returns {Object[]} campaigns rows
+   */
+  listCampaigns() {
+    return this.stmts.listCampaigns.all();
+  }
+
+  /**
+   * Create a campaign
+   * @param {Object} campaign
+   * @param {string} campaign.id - Short identifier used in API requests
+   * @param {string} campaign.name - Display name
+   * @param {number} campaign.blockHeight - Snapshot block height
+   * @param {Object} campaign.token - Token metadata, same shape as TOKEN_CONFIG
+   * @param {string|null} [campaign.claimStartsAt] - ISO 8601; claims open immediately if null
+   * @param {string|null} [campaign.claimEndsAt] - ISO 8601; claims never close if null
+   * @param {boolean} [campaign.partialClaims] - Allow claiming the balance in several tranches
+   * @param {string|null} [campaign.fulcrumEndpoint]
+   * @param {string|null} [campaign.faucetEndpoint]
+   * @param {number} [campaign.addressCount]
+   * @param {bigint|number} [campaign.totalAmount] - Satoshis
+   * @param {string|null} [campaign.blockHash] - Hash of the snapshot block
+   * @param {string|null} [campaign.chain] - Chain name, e.g. 'main'
+   * @param {number|null} [campaign.utxoCount] - Outputs in the UTXO set at the snapshot block
+   * @param {bigint|number|null} [campaign.utxoAmount] - Their total, in satoshis
+   * @param {string|null} [campaign.cliVersion] - Snapshot CLI version
+   */
+  createCampaign({
+    id,
+    name,
+    blockHeight,
+    token,
+    claimStartsAt = null,
+    claimEndsAt = null,
+    partialClaims = false,
+    fulcrumEndpoint = null,
+    faucetEndpoint = null,
+    addressCount = 0,
+    totalAmount = 0,
+    blockHash = null,
+    chain = null,
+    utxoCount = null,
+    utxoAmount = null,
+    cliVersion = null
+  }) {
     try {
-      this.stmts.setSnapshotMeta.run(
+      this.stmts.insertCampaign.run(
+        id,
+        name,
         blockHeight,
+        JSON.stringify(token),
+        claimStartsAt,
+        claimEndsAt,
+        partialClaims ? 1 : 0,
         fulcrumEndpoint,
         faucetEndpoint,
         addressCount,
-        BigInt(totalAmount).toString()
+        BigInt(totalAmount).toString(),
+        blockHash,
+        chain,
+        utxoCount,
+        utxoAmount === null ? null : BigInt(utxoAmount).toString(),
+        cliVersion
       );
     } catch (err) {
-      throw new DatabaseError(`Failed to set snapshot meta: ${err.message}`);
+      if (err.code === 'SQLITE_CONSTRAINT_PRIMARYKEY') {
+        throw new DatabaseError(`Campaign ${id} already exists`);
+      }
+      throw new DatabaseError(`Failed to create campaign: ${err.message}`);
     }
   }
 
@@ -213,34 +723,75 @@ export class BalanceRepository {
    * @param {string} unicityId
    * @param {bigint} amount
    * @param {string} signature
-   * @returns {number} Request ID
+   * @param {string|null} claimId - Public identifier clients use to poll the claim
+   * @param {Object} [idempotency]
+   * @param {string|null} [idempotency.key] - Idempotency key bound to this request
+   * @param {string|null} [idempotency.requestHash] - Hash of the request body
+   * @param {string} [campaignId]
+   * @returns {number|null} Request ID, or null if the idempotency key is already bound
    */
-  logMintRequest(l1Address, unicityId, amount, signature) {
+  logMintRequest(
+    l1Address,
+    unicityId,
+    amount,
+    signature,
+    claimId = null,
+    { key = null, requestHash = null } = {},
+    campaignId = DEFAULT_CAMPAIGN_ID
+  ) {
     try {
       const result = this.stmts.insertMintRequest.run(
+        campaignId,
         l1Address,
         unicityId,
         BigInt(amount).toString(),
-        signature
+        signature,
+        claimId,
+        key,
+        requestHash
       );
       return result.lastInsertRowid;
     } catch (err) {
+      if (err.code === 'SQLITE_CONSTRAINT_UNIQUE' && key) {
+        return null;
+      }
       throw new DatabaseError(`Failed to log mint request: ${err.message}`);
     }
   }
 
   /**
-   * Update mint request status
-   * @param {number} requestId
-   * @param {string} status - 'success' | 'failed'
-   * @param {string|null} errorMessage
-   * @param {string|null} faucetResponse
+   * Find the live request bound to an idempotency key
+   * Requests that failed outright release their key and are not returned.
+   * @param {string} key
+   * @returns {Object|null}
+   */
+  findMintRequestByIdempotencyKey(key) {
+    return this.stmts.findMintRequestByIdempotencyKey.get(key) || null;
+  }
+
+  /**
+   * Store the HTTP response sent for an idempotency key so replays can return it
+   * @param {string} key
+   * @param {number} statusCode
+   * @param {Object} body - Response body
+   */
+  storeMintResponse(key, statusCode, body) {
+    try {
+      this.stmts.storeMintResponse.run(statusCode, JSON.stringify(body), key);
+    } catch (err) {
+      throw new DatabaseError(`Failed to store mint response: ${err.message}`);
+    }
+  }
+
+  /**
+   * Check that the database answers queries
+   * @throws {DatabaseError}
    */
-  updateMintRequest(requestId, status, errorMessage = null, faucetResponse = null) {
+  ping() {
     try {
-      this.stmts.updateMintRequest.run(status, errorMessage, faucetResponse, requestId);
+      this.stmts.ping.get();
     } catch (err) {
-      throw new DatabaseError(`Failed to update mint request: ${err.message}`);
+      throw new DatabaseError(`Database unavailable: ${err.message}`);
     }
   }
 
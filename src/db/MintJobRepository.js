@@ -0,0 +1,117 @@
+import { DatabaseError } from '../utils/errors.js';
+
+/**
+ * Repository for the durable mint job queue
+ */
+export class MintJobRepository {
+  /**
+   * @param {import('better-sqlite3').Database} db - SQLite database instance
+   */
+  constructor(db) {
+    this.db = db;
+    this._prepareStatements();
+  }
+
+  /**
+   * Prepare reusable SQL statements for performance
+   */
+  _prepareStatements() {
+    this.stmts = {
+      enqueue: this.db.prepare(`
+        INSERT INTO mint_jobs (mint_request_id, status, created_at)
+        VALUES (?, 'queued', datetime('now'))
+      `),
+      claimNext: this.db.prepare(`
+        UPDATE mint_jobs
+        SET status = 'running',
+            attempts = attempts + 1,
+            started_at = datetime('now')
+        WHERE id = (
+          SELECT id FROM mint_jobs WHERE status = 'queued' ORDER BY id LIMIT 1
+        )
+        RETURNING *
+      `),
+      finish: this.db.prepare(`
+        UPDATE mint_jobs
+        SET status = 'done', last_error = ?, finished_at = datetime('now')
+        WHERE id = ?
+      `),
+      findByRequestId: this.db.prepare(
+        'SELECT * FROM mint_jobs WHERE mint_request_id = ?'
+      ),
+      findByStatus: this.db.prepare(
+        'SELECT * FROM mint_jobs WHERE status = ? ORDER BY id'
+      ),
+      countByStatus: this.db.prepare(
+        'SELECT COUNT(*) as count FROM mint_jobs WHERE status = ?'
+      )
+    };
+  }
+
+  /**
+   * Queue a reserved mint request for submission
+   * @param {number} requestId - mint_requests row ID
+   * @returns {number} Job ID
+   */
+  enqueue(requestId) {
+    try {
+      return this.stmts.enqueue.run(requestId).lastInsertRowid;
+    } catch (err) {
+      throw new DatabaseError(`Failed to enqueue mint job: ${err.message}`);
+    }
+  }
+
+  /**
+   * Atomically take the oldest queued job and mark it running
+   * @returns {Object|null} Job row or null if the queue is empty
+   */
+  claimNext() {
+    try {
+      return this.stmts.claimNext.get() || null;
+    } catch (err) {
+      throw new DatabaseError(`Failed to claim mint job: ${err.message}`);
+    }
+  }
+
+  /**
+   * Mark a job as finished
+   * @param {number} jobId
+   * @param {string|null} errorMessage
+   */
+  finish(jobId, errorMessage = null) {
+    try {
+      this.stmts.finish.run(errorMessage, jobId);
+    } catch (err) {
+      throw new DatabaseError(`Failed to finish mint job: ${err.message}`);
+    }
+  }
+
+  /**
+   * Get the job for a mint request
+   * @param {number} requestId
+   * @returns {Object|null}
+   */
+  findByRequestId(requestId) {
+    return this.stmts.findByRequestId.get(requestId) || null;
+  }
+
+  /**
+   * List jobs in a given state
+   * @param {string} status - MINT_JOB_STATUS value
+   * @returns {Object[]}
+   */
+  findByStatus(status) {
+    return this.stmts.findByStatus.all(status);
+  }
+
+  /**
+   * Count jobs in a given state
+   * @param {string} status - MINT_JOB_STATUS value
+   * @returns {number}
+   */
+  countByStatus(status) {
+    return this.stmts.countByStatus.get(status).count;
+  }
+}
+
+export default MintJobRepository;
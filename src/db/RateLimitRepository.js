@@ -0,0 +1,71 @@
+import { DatabaseError } from '../utils/errors.js';
+
+/**
+ * SQLite-backed token bucket store
+ *
+ * Keeps rate limit state across restarts. Implements the same interface as
+ * MemoryRateLimitStore.
+ */
+export class RateLimitRepository {
+  /**
+   * @param {import('better-sqlite3').Database} db - SQLite database instance
+   */
+  constructor(db) {
+    this.db = db;
+    this._prepareStatements();
+  }
+
+  /**
+   * Prepare reusable SQL statements for performance
+   */
+  _prepareStatements() {
+    this.stmts = {
+      get: this.db.prepare(
+        'SELECT tokens, updated_at FROM rate_limit_buckets WHERE key = ?'
+      ),
+      upsert: this.db.prepare(`
+        INSERT INTO rate_limit_buckets (key, tokens, updated_at)
+        VALUES (?, ?, ?)
+        ON CONFLICT(key) DO UPDATE SET
+          tokens = excluded.tokens,
+          updated_at = excluded.updated_at
+      `),
+      prune: this.db.prepare(
+        'DELETE FROM rate_limit_buckets WHERE updated_at < ?'
+      )
+    };
+  }
+
+  /**
+   * Read, modify and write a bucket in one transaction
+   * @param {string} key - Bucket key
+   * @param {function(({tokens: number, updatedAt: number}|null)): {state: Object|null, result: *}} fn
+   *   Receives the stored state and returns the state to save (null leaves it unchanged)
+   * @returns {*} The result returned by fn
+   */
+  update(key, fn) {
+    try {
+      return this.db.transaction(() => {
+        const row = this.stmts.get.get(key);
+        const { state, result } = fn(row ? { tokens: row.tokens, updatedAt: row.updated_at } : null);
+        if (state) {
+          this.stmts.upsert.run(key, state.tokens, state.updatedAt);
+        }
+        return result;
+      }).immediate();
+    } catch (err) {
+      throw new DatabaseError(`Failed to update rate limit: ${err.message}`);
+    }
+  }
+
+  /**
+   * Remove buckets untouched since the given time
+   * @param {number} before - Epoch milliseconds
+   * @returns {number} Number of buckets removed
+   */
+  prune(before) {
+    return this.stmts.prune.run(before).changes;
+  }
+}
+
+export default RateLimitRepository;
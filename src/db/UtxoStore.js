@@ -0,0 +1,206 @@
+import Database from 'better-sqlite3';
+import { mkdirSync, existsSync } from 'fs';
+import { dirname } from 'path';
+import { DatabaseError } from '../utils/errors.js';
+
+/**
+ * On-disk UTXO set for snapshot scans
+ *
+ * Keeps outputs in a staging SQLite database keyed by outpoint, so memory
+ * stays bounded however large the chain is. Changes are written inside one
+ * long transaction that checkpoint() commits together with the last applied
+ * block; a crash loses only the blocks applied since, and the file can be
+ * reopened to resume from the checkpoint.
+ */
+export class UtxoStore {
+  /**
+   * @param {string} [dbPath] - Staging database path; ':memory:' keeps it in memory
+   */
+  constructor(dbPath = ':memory:') {
+    if (dbPath !== ':memory:') {
+      const dir = dirname(dbPath);
+      if (!existsSync(dir)) {
+        mkdirSync(dir, { recursive: true });
+      }
+    }
+
+    this.path = dbPath;
+    this.db = new Database(dbPath);
+    this.db.pragma('journal_mode = WAL');
+    this.db.pragma('synchronous = NORMAL');
+    // 64 MiB page cache; the set itself lives on disk
+    this.db.pragma('cache_size = -65536');
+
+    this.db.exec(`
+      -- Unspent outputs; address is NULL for scripts without a claimable address
+      CREATE TABLE IF NOT EXISTS utxos (
+        outpoint TEXT PRIMARY KEY,
+        address TEXT,
+        amount INTEGER NOT NULL
+      ) WITHOUT ROWID;
+
+      -- Last block applied at the most recent checkpoint
+      CREATE TABLE IF NOT EXISTS scan_state (
+        id INTEGER PRIMARY KEY CHECK (id = 1),
+        height INTEGER NOT NULL,
+        block_hash TEXT NOT NULL
+      );
+
+      -- Per-address totals, rebuilt by aggregateBalances()
+      CREATE TABLE IF NOT EXISTS address_balances (
+        address TEXT PRIMARY KEY,
+        amount INTEGER NOT NULL
+      ) WITHOUT ROWID;
+    `);
+
+    this._prepareStatements();
+  }
+
+  /**
+   * Prepare reusable SQL statements for performance
+   */
+  _prepareStatements() {
+    this.stmts = {
+      add: this.db.prepare(
+        'INSERT OR REPLACE INTO utxos (outpoint, address, amount) VALUES (?, ?, ?)'
+      ),
+      spend: this.db.prepare('DELETE FROM utxos WHERE outpoint = ?'),
+      getState: this.db.prepare('SELECT height, block_hash FROM scan_state WHERE id = 1'),
+      setState: this.db.prepare(`
+        INSERT INTO scan_state (id, height, block_hash) VALUES (1, ?, ?)
+        ON CONFLICT(id) DO UPDATE SET height = excluded.height, block_hash = excluded.block_hash
+      `),
+      totals: this.db.prepare(
+        'SELECT COUNT(*) AS count, COALESCE(SUM(amount), 0) AS amount FROM utxos'
+      ).safeIntegers(),
+      clearBalances: this.db.prepare('DELETE FROM address_balances'),
+      aggregate: this.db.prepare(`
+        INSERT INTO address_balances (address, amount)
+        SELECT address, SUM(amount) FROM utxos
+        WHERE address IS NOT NULL
+        GROUP BY address
+        HAVING SUM(amount) > 0
+      `),
+      balanceTotals: this.db.prepare(
+        'SELECT COUNT(*) AS count, COALESCE(SUM(amount), 0) AS amount FROM address_balances'
+      ).safeIntegers(),
+      iterateBalances: this.db.prepare(
+        'SELECT address, amount FROM address_balances ORDER BY address'
+      ).safeIntegers()
+    };
+  }
+
+  /**
+   * Block recorded by the last checkpoint
+   * @returns {{height: number, blockHash: string}|null}
+   */
+  getState() {
+    const row = this.stmts.getState.get();
+    return row ? { height: row.height, blockHash: row.block_hash } : null;
+  }
+
+  /**
+   * Empty the store and forget any checkpoint
+   */
+  reset() {
+    this.db.exec('DELETE FROM utxos; DELETE FROM scan_state; DELETE FROM address_balances;');
+  }
+
+  /**
+   * Start the transaction further changes are written in
+   */
+  begin() {
+    this.db.exec('BEGIN');
+  }
+
+  /**
+   * Commit the changes so far, recording the block they end at, and start a
+   * new transaction
+   * @param {number} height - Last applied block
+   * @param {string} blockHash
+   */
+  checkpoint(height, blockHash) {
+    this.stmts.setState.run(height, blockHash);
+    this.commit();
+    this.begin();
+  }
+
+  /**
+   * Commit the open transaction, if any
+   */
+  commit() {
+    if (this.db.inTransaction) {
+      this.db.exec('COMMIT');
+    }
+  }
+
+  /**
+   * Discard the changes since the last commit, if a transaction is open
+   */
+  rollback() {
+    if (this.db.inTransaction) {
+      this.db.exec('ROLLBACK');
+    }
+  }
+
+  /**
+   * @param {string} outpoint - txid:vout
+   * @param {string|null} address
+   * @param {number} amount - Satoshis
+   */
+  add(outpoint, address, amount) {
+    this.stmts.add.run(outpoint, address, amount);
+  }
+
+  /**
+   * @param {string} outpoint - txid:vout; unknown outpoints are ignored
+   */
+  spend(outpoint) {
+    this.stmts.spend.run(outpoint);
+  }
+
+  /**
+   * @returns {{count: number, amount: bigint}} Outputs in the set and their satoshis
+   */
+  totals() {
+    const { count, amount } = this.stmts.totals.get();
+    return { count: Number(count), amount };
+  }
+
+  /**
+   * Sum the set by address into address_balances, dropping empty addresses
+   * @returns {{addressCount: number, totalAmount: bigint}}
+   */
+  aggregateBalances() {
+    try {
+      this.db.transaction(() => {
+        this.stmts.clearBalances.run();
+        this.stmts.aggregate.run();
+      })();
+    } catch (err) {
+      throw new DatabaseError(`Failed to aggregate balances: ${err.message}`);
+    }
+
+    const { count, amount } = this.stmts.balanceTotals.get();
+    return { addressCount: Number(count), totalAmount: amount };
+  }
+
+  /**
+   * Address totals from the last aggregateBalances(), streamed from disk
+   * @returns {IterableIterator<[string, bigint]>}
+   */
+  * iterateBalances() {
+    for (const { address, amount } of this.stmts.iterateBalances.iterate()) {
+      yield [address, amount];
+    }
+  }
+
+  /**
+   * Close the database; an open transaction is rolled back
+   */
+  close() {
+    this.db.close();
+  }
+}
+
+export default UtxoStore;
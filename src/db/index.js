@@ -1,6 +1,8 @@
 import Database from 'better-sqlite3';
 import { mkdirSync, existsSync } from 'fs';
 import { dirname } from 'path';
+import { TOKEN_CONFIG, DEFAULT_CAMPAIGN_ID, ADDRESS_CONFIG } from '../config/constants.js';
+import { aggregateRequestHash, requestHash, signatureIdempotencyKey } from '../utils/idempotency.js';
 
 /**
  * Initialize SQLite database with schema
@@ -21,31 +23,51 @@ export function initDatabase(dbPath) {
 
   // Create tables
   db.exec(`
-    -- Balance snapshot table
-    CREATE TABLE IF NOT EXISTS balances (
-      l1_address TEXT PRIMARY KEY,
-      initial_amount INTEGER NOT NULL,
-      spent INTEGER NOT NULL DEFAULT 0,
-      unicity_id TEXT,
-      mint_tx_id TEXT,
-      minted_at TEXT,
-      created_at TEXT DEFAULT CURRENT_TIMESTAMP
-    );
-
-    -- Snapshot metadata (single row)
-    CREATE TABLE IF NOT EXISTS snapshot_meta (
-      id INTEGER PRIMARY KEY CHECK (id = 1),
+    -- Airdrop campaigns, each with its own snapshot, token and claim window
+    CREATE TABLE IF NOT EXISTS campaigns (
+      id TEXT PRIMARY KEY,
+      name TEXT NOT NULL,
       block_height INTEGER NOT NULL,
+      token_config TEXT NOT NULL,
+      claim_starts_at TEXT,
+      claim_ends_at TEXT,
       fulcrum_endpoint TEXT,
       faucet_endpoint TEXT,
       address_count INTEGER DEFAULT 0,
       total_amount INTEGER DEFAULT 0,
+      partial_claims INTEGER NOT NULL DEFAULT 0,
+      -- Where the snapshot came from, as recorded by the snapshot CLI
+      block_hash TEXT,
+      chain TEXT,
+      utxo_count INTEGER,
+      utxo_amount INTEGER,
+      cli_version TEXT,
       created_at TEXT DEFAULT CURRENT_TIMESTAMP
     );
 
+    -- Balance snapshot table, one row per address per campaign
+    -- spent locks the row while a claim is in flight and once nothing remains;
+    -- claimed_amount sums the tranches that were not released
+    CREATE TABLE IF NOT EXISTS balances (
+      campaign_id TEXT NOT NULL DEFAULT '${DEFAULT_CAMPAIGN_ID}',
+      l1_address TEXT NOT NULL,
+      initial_amount INTEGER NOT NULL,
+      spent INTEGER NOT NULL DEFAULT 0,
+      claimed_amount INTEGER NOT NULL DEFAULT 0,
+      unicity_id TEXT,
+      mint_tx_id TEXT,
+      minted_at TEXT,
+      mint_status TEXT,
+      mint_request_id INTEGER,
+      frozen INTEGER NOT NULL DEFAULT 0,
+      created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+      PRIMARY KEY (campaign_id, l1_address)
+    );
+
     -- Mint request audit log
     CREATE TABLE IF NOT EXISTS mint_requests (
       id INTEGER PRIMARY KEY AUTOINCREMENT,
+      campaign_id TEXT NOT NULL DEFAULT '${DEFAULT_CAMPAIGN_ID}',
       l1_address TEXT NOT NULL,
       unicity_id TEXT NOT NULL,
       amount INTEGER NOT NULL,
@@ -53,19 +75,298 @@ export function initDatabase(dbPath) {
       status TEXT NOT NULL,
       error_message TEXT,
       faucet_response TEXT,
+      tx_id TEXT,
+      claim_id TEXT,
+      idempotency_key TEXT,
+      request_hash TEXT,
+      response_status INTEGER,
+      response_body TEXT,
       created_at TEXT DEFAULT CURRENT_TIMESTAMP,
       processed_at TEXT
     );
 
+    -- Addresses pooled into one aggregated mint request, each with its own signature
+    CREATE TABLE IF NOT EXISTS mint_request_addresses (
+      mint_request_id INTEGER NOT NULL,
+      l1_address TEXT NOT NULL,
+      amount INTEGER NOT NULL,
+      signature TEXT NOT NULL,
+      PRIMARY KEY (mint_request_id, l1_address)
+    );
+
+    -- Durable queue of reserved claims awaiting upstream submission
+    CREATE TABLE IF NOT EXISTS mint_jobs (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      mint_request_id INTEGER NOT NULL UNIQUE,
+      status TEXT NOT NULL DEFAULT 'queued',
+      attempts INTEGER NOT NULL DEFAULT 0,
+      last_error TEXT,
+      created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+      started_at TEXT,
+      finished_at TEXT
+    );
+
+    -- Record of every admin API action
+    CREATE TABLE IF NOT EXISTS admin_audit_log (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      actor TEXT NOT NULL,
+      action TEXT NOT NULL,
+      l1_address TEXT,
+      mint_request_id INTEGER,
+      details TEXT,
+      created_at TEXT DEFAULT CURRENT_TIMESTAMP
+    );
+
+    -- Token buckets for the SQLite rate limit store
+    CREATE TABLE IF NOT EXISTS rate_limit_buckets (
+      key TEXT PRIMARY KEY,
+      tokens REAL NOT NULL,
+      updated_at INTEGER NOT NULL
+    );
+  `);
+
+  migrateDatabase(db);
+
+  db.exec(`
     -- Indexes
     CREATE INDEX IF NOT EXISTS idx_balances_spent ON balances(spent);
+    CREATE INDEX IF NOT EXISTS idx_balances_mint_status ON balances(mint_status);
+    CREATE INDEX IF NOT EXISTS idx_balances_mint_request ON balances(mint_request_id);
     CREATE INDEX IF NOT EXISTS idx_mint_requests_address ON mint_requests(l1_address);
     CREATE INDEX IF NOT EXISTS idx_mint_requests_status ON mint_requests(status);
+    CREATE INDEX IF NOT EXISTS idx_mint_requests_campaign ON mint_requests(campaign_id);
+    CREATE UNIQUE INDEX IF NOT EXISTS idx_mint_requests_claim_id ON mint_requests(claim_id);
+    -- A key stays bound to its request unless that attempt failed outright
+    CREATE UNIQUE INDEX IF NOT EXISTS idx_mint_requests_idempotency_key
+      ON mint_requests(idempotency_key) WHERE status != 'failed';
+    CREATE INDEX IF NOT EXISTS idx_mint_requests_unicity_id ON mint_requests(unicity_id);
+    CREATE INDEX IF NOT EXISTS idx_mint_request_addresses_address ON mint_request_addresses(l1_address);
+    CREATE INDEX IF NOT EXISTS idx_mint_jobs_status ON mint_jobs(status);
+    CREATE INDEX IF NOT EXISTS idx_admin_audit_log_address ON admin_audit_log(l1_address);
+    CREATE INDEX IF NOT EXISTS idx_rate_limit_buckets_updated ON rate_limit_buckets(updated_at);
   `);
 
   return db;
 }
 
+/**
+ * Add columns introduced after a database was created
+ * Databases built by older snapshot CLI versions lack the mint state columns.
+ * @param {Database} db - SQLite database instance
+ */
+function migrateDatabase(db) {
+  const added = addMissingColumns(db, 'balances', {
+    mint_status: 'TEXT',
+    mint_request_id: 'INTEGER',
+    frozen: 'INTEGER NOT NULL DEFAULT 0',
+    claimed_amount: 'INTEGER NOT NULL DEFAULT 0'
+  });
+  addMissingColumns(db, 'mint_requests', {
+    campaign_id: `TEXT NOT NULL DEFAULT '${DEFAULT_CAMPAIGN_ID}'`,
+    tx_id: 'TEXT',
+    claim_id: 'TEXT',
+    idempotency_key: 'TEXT',
+    request_hash: 'TEXT',
+    response_status: 'INTEGER',
+    response_body: 'TEXT'
+  });
+
+  if (added.includes('mint_status')) {
+    // Spent rows still carrying the 'pending' placeholder never got a txId back
+    db.exec(`
+      UPDATE balances
+      SET mint_status = CASE WHEN mint_tx_id = 'pending' THEN 'unknown' ELSE 'confirmed' END
+      WHERE spent = 1 AND mint_status IS NULL;
+
+      UPDATE mint_requests SET status = 'confirmed' WHERE status = 'success';
+    `);
+  }
+
+  if (added.includes('claimed_amount')) {
+    // Before partial claims every spent address had claimed its whole balance
+    db.exec('UPDATE balances SET claimed_amount = initial_amount WHERE spent = 1');
+  }
+
+  migrateCompactSignatures(db);
+  migrateToCampaigns(db);
+
+  // Addresses are compared exactly: Bech32 ones in lowercase, Base58 ones as
+  // encoded, since their case is significant; rows matched case-insensitively
+  // before may hold uppercase Bech32
+  for (const table of ['balances', 'mint_requests', 'mint_request_addresses', 'admin_audit_log']) {
+    db.exec(`
+      UPDATE OR IGNORE ${table}
+      SET l1_address = lower(l1_address)
+      WHERE lower(l1_address) GLOB '${ADDRESS_CONFIG.hrp}1*' AND l1_address != lower(l1_address)
+    `);
+  }
+
+  addMissingColumns(db, 'campaigns', {
+    partial_claims: 'INTEGER NOT NULL DEFAULT 0',
+    block_hash: 'TEXT',
+    chain: 'TEXT',
+    utxo_count: 'INTEGER',
+    utxo_amount: 'INTEGER',
+    cli_version: 'TEXT'
+  });
+}
+
+/**
+ * Drop the header byte from compact signatures stored with it
+ * Compact signatures are compared as r||s, since the header byte does not
+ * change what they prove. Request hashes and derived idempotency keys cover
+ * the signature, so those of the affected requests are recomputed, and a
+ * retried request still finds its stored outcome. Client-chosen keys are
+ * kept; a derived key another request already holds stays as it was.
+ * @param {Database} db - SQLite database instance
+ */
+function migrateCompactSignatures(db) {
+  const withHeader = `
+    length(replace(signature, '0x', '')) = 130
+    AND lower(replace(signature, '0x', '')) NOT GLOB '*[^0-9a-f]*'
+  `;
+  const requestIds = db.prepare(`
+    SELECT id FROM mint_requests WHERE ${withHeader}
+    UNION SELECT mint_request_id FROM mint_request_addresses WHERE ${withHeader}
+  `).all().map((row) => row.id);
+
+  if (requestIds.length === 0) {
+    return;
+  }
+
+  const findRequest = db.prepare('SELECT * FROM mint_requests WHERE id = ?');
+  const findAddresses = db.prepare('SELECT * FROM mint_request_addresses WHERE mint_request_id = ?');
+  const updateHashes = db.prepare(
+    'UPDATE OR IGNORE mint_requests SET idempotency_key = ?, request_hash = ? WHERE id = ?'
+  );
+
+  db.transaction(() => {
+    for (const table of ['mint_requests', 'mint_request_addresses']) {
+      db.exec(`
+        UPDATE ${table}
+        SET signature = substr(lower(replace(signature, '0x', '')), 3)
+        WHERE ${withHeader}
+      `);
+    }
+
+    for (const id of requestIds) {
+      const request = findRequest.get(id);
+      if (!request?.request_hash) {
+        continue;
+      }
+
+      const campaignId = request.campaign_id;
+      const addresses = findAddresses.all(id);
+      const hash = addresses.length > 0
+        ? aggregateRequestHash(campaignId, request.unicity_id, addresses.map((row) => ({
+          l1Address: row.l1_address,
+          amount: row.amount,
+          signature: row.signature
+        })))
+        : requestHash(campaignId, request.l1_address, request.unicity_id, request.amount, request.signature);
+      const key = request.idempotency_key?.startsWith('sig:')
+        ? signatureIdempotencyKey(campaignId, addresses.length > 0
+          ? addresses.map((row) => row.signature)
+          : [request.signature])
+        : request.idempotency_key;
+
+      updateHashes.run(key, hash, id);
+    }
+  })();
+}
+
+/**
+ * Move a single-snapshot database into the default campaign
+ * balances gains a campaign_id column and a (campaign_id, l1_address) key,
+ * which SQLite can only do by rebuilding the table. The snapshot_meta row
+ * becomes the default campaign.
+ * @param {Database} db - SQLite database instance
+ */
+function migrateToCampaigns(db) {
+  const columns = db.prepare('PRAGMA table_info(balances)').all().map((col) => col.name);
+  const hasSnapshotMeta = db.prepare(
+    "SELECT 1 FROM sqlite_master WHERE type = 'table' AND name = 'snapshot_meta'"
+  ).get();
+
+  if (columns.includes('campaign_id') && !hasSnapshotMeta) {
+    return;
+  }
+
+  db.transaction(() => {
+    if (!columns.includes('campaign_id')) {
+      const copied = columns.join(', ');
+      db.exec(`
+        ALTER TABLE balances RENAME TO balances_single_snapshot;
+
+        CREATE TABLE balances (
+          campaign_id TEXT NOT NULL DEFAULT '${DEFAULT_CAMPAIGN_ID}',
+          l1_address TEXT NOT NULL,
+          initial_amount INTEGER NOT NULL,
+          spent INTEGER NOT NULL DEFAULT 0,
+          claimed_amount INTEGER NOT NULL DEFAULT 0,
+          unicity_id TEXT,
+          mint_tx_id TEXT,
+          minted_at TEXT,
+          mint_status TEXT,
+          mint_request_id INTEGER,
+          frozen INTEGER NOT NULL DEFAULT 0,
+          created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+          PRIMARY KEY (campaign_id, l1_address)
+        );
+
+        INSERT INTO balances (${copied}) SELECT ${copied} FROM balances_single_snapshot;
+        DROP TABLE balances_single_snapshot;
+      `);
+    }
+
+    if (hasSnapshotMeta) {
+      const meta = db.prepare('SELECT * FROM snapshot_meta WHERE id = 1').get();
+      if (meta) {
+        db.prepare(`
+          INSERT OR IGNORE INTO campaigns
+          (id, name, block_height, token_config, fulcrum_endpoint, faucet_endpoint,
+           address_count, total_amount, created_at)
+          VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+        `).run(
+          DEFAULT_CAMPAIGN_ID,
+          `Snapshot at block ${meta.block_height}`,
+          meta.block_height,
+          JSON.stringify(TOKEN_CONFIG),
+          meta.fulcrum_endpoint,
+          meta.faucet_endpoint,
+          meta.address_count,
+          meta.total_amount,
+          meta.created_at
+        );
+      }
+      db.exec('DROP TABLE snapshot_meta');
+    }
+  })();
+}
+
+/**
+ * Add any columns missing from a table
+ * @param {Database} db - SQLite database instance
+ * @param {string} table - Table name
+ * @param {Object<string, string>} columns - Column name to SQL type/definition
+ * @returns {string[]} Names of the columns that were added
+ */
+function addMissingColumns(db, table, columns) {
+  const existing = new Set(
+    db.prepare(`PRAGMA table_info(${table})`).all().map((col) => col.name)
+  );
+  const added = [];
+
+  for (const [name, definition] of Object.entries(columns)) {
+    if (!existing.has(name)) {
+      db.exec(`ALTER TABLE ${table} ADD COLUMN ${name} ${definition}`);
+      added.push(name);
+    }
+  }
+
+  return added;
+}
+
 /**
  * Check if database file exists
  * @param {string} dbPath - Path to database file
@@ -7,12 +7,24 @@ import { dirname, join } from 'path';
 import config from './config/index.js';
 import { initDatabase, databaseExists } from './db/index.js';
 import { BalanceRepository } from './db/BalanceRepository.js';
+import { MintJobRepository } from './db/MintJobRepository.js';
+import { AuditRepository } from './db/AuditRepository.js';
+import { RateLimitRepository } from './db/RateLimitRepository.js';
 import { AddressService } from './services/AddressService.js';
 import { SignatureService } from './services/SignatureService.js';
 import { FaucetProxyService } from './services/FaucetProxyService.js';
+import { FulcrumService } from './services/FulcrumService.js';
 import { BalanceService } from './services/BalanceService.js';
+import { MintWorker } from './services/MintWorker.js';
+import { AdminService } from './services/AdminService.js';
+import { ReadinessService } from './services/ReadinessService.js';
+import { SnapshotVerifier } from './services/SnapshotVerifier.js';
+import { RateLimiter, MemoryRateLimitStore } from './services/RateLimiter.js';
 import { registerRoutes } from './api/routes.js';
-import { AppError } from './utils/errors.js';
+import { registerAdminRoutes } from './api/adminRoutes.js';
+import { registerOpenApi } from './api/openapi.js';
+import { registerMetrics } from './api/metrics.js';
+import { registerErrorHandlers } from './api/errorHandlers.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
@@ -22,6 +34,7 @@ const __dirname = dirname(__filename);
  */
 export async function buildApp() {
   const fastify = Fastify({
+    trustProxy: config.trustProxy,
     logger: {
       level: config.logLevel,
       transport: config.isDev ? {
@@ -47,6 +60,9 @@ export async function buildApp() {
     prefix: '/'
   });
 
+  // Error responses (set before routes so encapsulated plugins inherit them)
+  registerErrorHandlers(fastify);
+
   // Check if database exists
   if (!databaseExists(config.dbPath)) {
     fastify.log.warn(`Database not found at ${config.dbPath}. Run snapshot CLI first.`);
@@ -57,49 +73,95 @@ export async function buildApp() {
 
   // Initialize services
   const balanceRepo = new BalanceRepository(db);
+  const mintJobRepo = new MintJobRepository(db);
+  const auditRepo = new AuditRepository(db);
   const addressService = new AddressService();
   const signatureService = new SignatureService(addressService);
-  const faucetProxy = new FaucetProxyService(config.faucetEndpoint);
-  const balanceService = new BalanceService(balanceRepo, signatureService, faucetProxy);
+  const faucetProxy = new FaucetProxyService(config.faucetEndpoint, config.faucetTimeoutMs);
+  const fulcrumService = new FulcrumService(config.fulcrumEndpoint, { addressService });
+  const snapshotVerifier = new SnapshotVerifier(balanceRepo, { fulcrumService });
+  const balanceService = new BalanceService(
+    balanceRepo,
+    signatureService,
+    faucetProxy,
+    mintJobRepo,
+    snapshotVerifier
+  );
+
+  // Check snapshot blocks before serving; claims stay refused for any that fail
+  for (const result of await snapshotVerifier.verifyAll()) {
+    const message = `Snapshot block of campaign ${result.campaign}: ${result.status}`;
+    if (result.status === 'ok') {
+      fastify.log.info(`${message}, on the best chain`);
+    } else if (result.status === 'mismatch') {
+      fastify.log.error(`${message}, claims refused: ${result.error}`);
+    } else {
+      fastify.log.warn(`${message}: ${result.error}`);
+    }
+  }
 
-  // Register routes
-  await registerRoutes(fastify, {
-    balanceService,
-    addressService
+  // Resolve claims a previous process left mid-flight
+  const recovered = balanceService.recoverInterruptedMints();
+  if (recovered.released > 0 || recovered.parked > 0) {
+    fastify.log.warn(
+      `Recovered interrupted mints: ${recovered.released} released, ${recovered.parked} parked as unknown`
+    );
+  }
+
+  // Drain queued async claims in the background
+  const mintWorker = new MintWorker(balanceService, mintJobRepo, {
+    logger: fastify.log
   });
+  mintWorker.start();
+
+  // Throttle faucet routes per client IP and per address
+  let rateLimiter = null;
+  if (config.rateLimit.enabled) {
+    const store = config.rateLimit.store === 'sqlite'
+      ? new RateLimitRepository(db)
+      : new MemoryRateLimitStore();
+    rateLimiter = new RateLimiter(store);
+    rateLimiter.start();
+  } else {
+    fastify.log.warn('RATE_LIMIT_ENABLED=false, faucet routes are not rate limited');
+  }
 
-  // Global error handler
-  fastify.setErrorHandler((error, request, reply) => {
-    request.log.error(error);
-
-    // Handle validation errors from Fastify
-    if (error.validation) {
-      return reply.code(400).send({
-        success: false,
-        error: 'Validation error',
-        details: error.validation
-      });
-    }
+  // Prometheus metrics for every route registered below
+  if (config.metricsEnabled) {
+    await registerMetrics(fastify, { balanceRepo });
+  }
 
-    // Handle our custom errors
-    if (error instanceof AppError) {
-      return reply.code(error.statusCode).send({
-        success: false,
-        error: error.message
-      });
-    }
+  // OpenAPI document, collected from the routes registered below
+  await registerOpenApi(fastify, {
+    rateLimitedPrefixes: rateLimiter ? ['/api/v1/faucet/'] : []
+  });
 
-    // Handle unexpected errors
-    return reply.code(500).send({
-      success: false,
-      error: config.isDev ? error.message : 'Internal server error'
-    });
+  // Register routes
+  await registerRoutes(fastify, {
+    balanceService,
+    signatureService,
+    addressService,
+    fulcrumService,
+    readinessService: new ReadinessService(balanceRepo, faucetProxy),
+    mintWorker,
+    rateLimiter
   });
 
+  // Admin API is only exposed when API keys are configured
+  if (config.adminApiKeys.length > 0) {
+    const adminService = new AdminService(balanceRepo, auditRepo, balanceService);
+    await registerAdminRoutes(fastify, { adminService, addressService }, config.adminApiKeys);
+  } else {
+    fastify.log.info('ADMIN_API_KEYS not set, admin API disabled');
+  }
+
   // Graceful shutdown
   const shutdown = async () => {
     fastify.log.info('Shutting down...');
     await fastify.close();
+    await mintWorker.stop();
+    rateLimiter?.stop();
+    fulcrumService.close();
     balanceRepo.close();
     process.exit(0);
   };
@@ -1,35 +1,62 @@
-import { bech32 } from 'bech32';
+import { bech32, bech32m } from 'bech32';
 import { createHash } from 'crypto';
-import { ADDRESS_CONFIG } from '../config/constants.js';
-import { ValidationError } from '../utils/errors.js';
+import { ADDRESS_CONFIG, ADDRESS_TYPES } from '../config/constants.js';
+import { ValidationError, ERROR_CODES } from '../utils/errors.js';
+import { decodeBase58Check, encodeBase58Check } from '../utils/base58.js';
+import { tweakPublicKey } from '../utils/schnorr.js';
+
+const BASE58_PATTERN = /^[1-9A-HJ-NP-Za-km-z]+$/;
+
+/**
+ * @param {Buffer} data
+ * @returns {Buffer} RIPEMD160(SHA256(data))
+ */
+function hash160(data) {
+  const sha256Hash = createHash('sha256').update(data).digest();
+  return createHash('ripemd160').update(sha256Hash).digest();
+}
 
 /**
- * Service for handling Alpha L1 addresses (Bech32 format)
+ * Service for handling Alpha L1 addresses
+ *
+ * Segwit addresses (P2WPKH, P2WSH, P2TR) are Bech32/Bech32m and normalized to
+ * lowercase. Legacy addresses (P2PKH, P2SH) are Base58Check, which is
+ * case-sensitive, so they are kept as given.
  */
 export class AddressService {
   constructor(hrp = ADDRESS_CONFIG.hrp) {
     this.hrp = hrp;
-    this.witnessVersion = ADDRESS_CONFIG.witnessVersion;
+    this.pubKeyHashVersion = ADDRESS_CONFIG.pubKeyHashVersion;
+    this.scriptHashVersion = ADDRESS_CONFIG.scriptHashVersion;
   }
 
   /**
    * Validate an Alpha address format
    * @param {string} address - L1 Alpha address
-   * @returns {{valid: boolean, error?: string, normalized?: string}}
+   * @returns {{valid: boolean, error?: string, normalized?: string, type?: string}}
+   *   type is one of ADDRESS_TYPES
    */
   validateAddress(address) {
     if (typeof address !== 'string') {
       return { valid: false, error: 'Address must be a string' };
     }
 
-    // Normalize to lowercase
-    const normalized = address.toLowerCase();
+    if (address.toLowerCase().startsWith(this.hrp + '1')) {
+      return this._validateSegwitAddress(address.toLowerCase());
+    }
 
-    // Check prefix
-    if (!normalized.startsWith(this.hrp + '1')) {
-      return { valid: false, error: `Address must start with ${this.hrp}1` };
+    if (BASE58_PATTERN.test(address)) {
+      return this._validateBase58Address(address);
     }
 
+    return { valid: false, error: `Address must start with ${this.hrp}1 or be a Base58 address` };
+  }
+
+  /**
+   * @param {string} normalized - Lowercase Bech32 address
+   * @returns {Object} See validateAddress
+   */
+  _validateSegwitAddress(normalized) {
     // Check length (prefix + separator + data + checksum)
     if (normalized.length < 14 || normalized.length > 74) {
       return { valid: false, error: 'Invalid address length' };
@@ -42,102 +69,270 @@ export class AddressService {
     }
 
     // Decode and verify checksum
+    let decoded;
     try {
-      const decoded = bech32.decode(normalized);
-
-      if (decoded.prefix !== this.hrp) {
-        return { valid: false, error: 'Invalid HRP' };
-      }
+      decoded = this._decodeSegwit(normalized);
+    } catch (err) {
+      return { valid: false, error: `Bech32 decode failed: ${err.message}` };
+    }
 
-      // Convert 5-bit words to bytes
-      const data = bech32.fromWords(decoded.words.slice(1));
+    if (decoded.prefix !== this.hrp) {
+      return { valid: false, error: 'Invalid HRP' };
+    }
 
-      // Check witness version
-      if (decoded.words[0] !== this.witnessVersion) {
-        return { valid: false, error: 'Invalid witness version' };
+    // P2WPKH expects a 20-byte pubkey hash, P2WSH a 32-byte script hash and
+    // P2TR a 32-byte output key
+    if (decoded.version === 0) {
+      if (decoded.program.length === 20) {
+        return { valid: true, normalized, type: ADDRESS_TYPES.P2WPKH };
+      }
+      if (decoded.program.length === 32) {
+        return { valid: true, normalized, type: ADDRESS_TYPES.P2WSH };
       }
+      return { valid: false, error: 'Invalid witness program length' };
+    }
 
-      // P2WPKH expects 20-byte pubkey hash
-      if (data.length !== 20) {
+    if (decoded.version === 1) {
+      if (decoded.program.length !== 32) {
         return { valid: false, error: 'Invalid witness program length' };
       }
+      return { valid: true, normalized, type: ADDRESS_TYPES.P2TR };
+    }
+
+    return { valid: false, error: 'Invalid witness version' };
+  }
 
-      return { valid: true, normalized };
+  /**
+   * Decode a segwit address; v0 uses Bech32, later versions Bech32m (BIP-350)
+   * @param {string} normalized
+   * @returns {{prefix: string, version: number, program: Buffer}}
+   */
+  _decodeSegwit(normalized) {
+    let decoded;
+    let isBech32m = false;
+    try {
+      decoded = bech32.decode(normalized);
+    } catch {
+      decoded = bech32m.decode(normalized);
+      isBech32m = true;
+    }
+
+    const version = decoded.words[0];
+    if ((version === 0) === isBech32m) {
+      throw new Error(`witness version ${version} must use ${version === 0 ? 'Bech32' : 'Bech32m'}`);
+    }
+
+    return {
+      prefix: decoded.prefix,
+      version,
+      program: Buffer.from(bech32.fromWords(decoded.words.slice(1)))
+    };
+  }
+
+  /**
+   * @param {string} address - Base58Check address
+   * @returns {Object} See validateAddress
+   */
+  _validateBase58Address(address) {
+    let payload;
+    try {
+      payload = decodeBase58Check(address);
     } catch (err) {
-      return { valid: false, error: `Bech32 decode failed: ${err.message}` };
+      return { valid: false, error: `Base58 decode failed: ${err.message}` };
     }
+
+    if (payload.length !== 21) {
+      return { valid: false, error: 'Invalid address length' };
+    }
+
+    if (payload[0] === this.pubKeyHashVersion) {
+      return { valid: true, normalized: address, type: ADDRESS_TYPES.P2PKH };
+    }
+    if (payload[0] === this.scriptHashVersion) {
+      return { valid: true, normalized: address, type: ADDRESS_TYPES.P2SH };
+    }
+
+    return { valid: false, error: 'Invalid address version' };
   }
 
   /**
-   * Decode a Bech32 address to get the pubkey hash
+   * Decode an address to its type and hash
    * @param {string} address - L1 Alpha address
-   * @returns {{witnessVersion: number, pubKeyHash: Buffer}}
+   * @returns {{type: string, hash: Buffer}} 20-byte key or script hash, the
+   *   32-byte P2WSH script hash, or the 32-byte taproot output key
    */
   decodeAddress(address) {
     const validation = this.validateAddress(address);
     if (!validation.valid) {
-      throw new ValidationError(validation.error);
+      throw new ValidationError(validation.error, { code: ERROR_CODES.INVALID_ADDRESS });
     }
 
-    const decoded = bech32.decode(validation.normalized);
-    const witnessVersion = decoded.words[0];
-    const pubKeyHash = Buffer.from(bech32.fromWords(decoded.words.slice(1)));
+    const { type, normalized } = validation;
+    const hash = type === ADDRESS_TYPES.P2PKH || type === ADDRESS_TYPES.P2SH
+      ? decodeBase58Check(normalized).subarray(1)
+      : this._decodeSegwit(normalized).program;
 
-    return { witnessVersion, pubKeyHash };
+    return { type, hash };
   }
 
   /**
-   * Encode a public key hash to Alpha address
-   * @param {Buffer} pubKeyHash - 20-byte RIPEMD160(SHA256(pubkey))
-   * @returns {string} Bech32 address
+   * Encode a hash to an Alpha address
+   * @param {Buffer} hash - 20-byte RIPEMD160(SHA256(pubkey or script)), a
+   *   32-byte SHA256(witness script) or a 32-byte taproot output key
+   * @param {string} [type] - One of ADDRESS_TYPES
+   * @returns {string}
    */
-  encodeAddress(pubKeyHash) {
-    if (pubKeyHash.length !== 20) {
-      throw new ValidationError('Public key hash must be 20 bytes');
+  encodeAddress(hash, type = ADDRESS_TYPES.P2WPKH) {
+    const hashLength = type === ADDRESS_TYPES.P2TR || type === ADDRESS_TYPES.P2WSH ? 32 : 20;
+    if (hash.length !== hashLength) {
+      throw new ValidationError(`Hash must be ${hashLength} bytes`);
     }
 
-    const words = bech32.toWords(pubKeyHash);
-    // Prepend witness version
-    words.unshift(this.witnessVersion);
+    if (type === ADDRESS_TYPES.P2PKH || type === ADDRESS_TYPES.P2SH) {
+      const version = type === ADDRESS_TYPES.P2PKH ? this.pubKeyHashVersion : this.scriptHashVersion;
+      return encodeBase58Check(Buffer.concat([Buffer.from([version]), hash]));
+    }
+
+    if (type === ADDRESS_TYPES.P2TR) {
+      return bech32m.encode(this.hrp, [1, ...bech32m.toWords(hash)]);
+    }
 
-    return bech32.encode(this.hrp, words);
+    return bech32.encode(this.hrp, [0, ...bech32.toWords(hash)]);
   }
 
   /**
-   * Derive address from compressed public key
-   * @param {Buffer|string} publicKey - 33-byte compressed public key
-   * @returns {string} Bech32 address
+   * Derive an address of the given type from a public key
+   * P2SH addresses are P2SH-wrapped P2WPKH; P2TR addresses commit to the key
+   * without a script tree (BIP-86). Only P2PKH accepts uncompressed keys.
+   * @param {Buffer|string} publicKey - 33-byte compressed (or 65-byte uncompressed) public key
+   * @param {string} [type] - One of ADDRESS_TYPES
+   * @returns {string}
    */
-  publicKeyToAddress(publicKey) {
+  publicKeyToAddress(publicKey, type = ADDRESS_TYPES.P2WPKH) {
     const pubKeyBuffer = typeof publicKey === 'string'
       ? Buffer.from(publicKey, 'hex')
       : publicKey;
 
+    if (type === ADDRESS_TYPES.P2PKH && pubKeyBuffer.length === 65) {
+      return this.encodeAddress(hash160(pubKeyBuffer), type);
+    }
+
     if (pubKeyBuffer.length !== 33) {
       throw new ValidationError('Public key must be 33 bytes (compressed)');
     }
 
-    // HASH160 = RIPEMD160(SHA256(pubkey))
-    const sha256Hash = createHash('sha256').update(pubKeyBuffer).digest();
-    const pubKeyHash = createHash('ripemd160').update(sha256Hash).digest();
+    if (type === ADDRESS_TYPES.P2SH) {
+      return this.encodeAddress(hash160(this.p2wpkhScript(pubKeyBuffer)), type);
+    }
+
+    if (type === ADDRESS_TYPES.P2TR) {
+      return this.encodeAddress(tweakPublicKey(pubKeyBuffer.subarray(1)), type);
+    }
+
+    if (type === ADDRESS_TYPES.P2WSH) {
+      throw new ValidationError('P2WSH addresses are derived from a witness script, not a public key');
+    }
+
+    return this.encodeAddress(hash160(pubKeyBuffer), type);
+  }
+
+  /**
+   * Derive a P2WSH or P2SH-P2WSH address from a witness script
+   * @param {Buffer|string} witnessScript
+   * @param {string} [type] - ADDRESS_TYPES.P2WSH or ADDRESS_TYPES.P2SH
+   * @returns {string}
+   */
+  witnessScriptToAddress(witnessScript, type = ADDRESS_TYPES.P2WSH) {
+    const scriptBuffer = typeof witnessScript === 'string'
+      ? Buffer.from(witnessScript, 'hex')
+      : witnessScript;
+    const scriptHash = createHash('sha256').update(scriptBuffer).digest();
+
+    if (type === ADDRESS_TYPES.P2SH) {
+      // Redeem script: OP_0 <32-byte-script-hash>
+      const redeemScript = Buffer.concat([Buffer.from([0x00, 0x20]), scriptHash]);
+      return this.encodeAddress(hash160(redeemScript), type);
+    }
+    if (type === ADDRESS_TYPES.P2WSH) {
+      return this.encodeAddress(scriptHash, type);
+    }
+
+    throw new ValidationError(`Witness scripts cannot back ${type} addresses`);
+  }
+
+  /**
+   * P2WPKH script of a public key, also the redeem script of P2SH-P2WPKH
+   * @param {Buffer} publicKey - 33-byte compressed public key
+   * @returns {Buffer} OP_0 <20-byte-pubkey-hash>
+   */
+  p2wpkhScript(publicKey) {
+    return Buffer.concat([Buffer.from([0x00, 0x14]), hash160(publicKey)]);
+  }
+
+  /**
+   * Output script (scriptPubKey) that pays to an address
+   * @param {string} address - L1 Alpha address
+   * @returns {Buffer}
+   */
+  toOutputScript(address) {
+    const { type, hash } = this.decodeAddress(address);
 
-    return this.encodeAddress(pubKeyHash);
+    if (type === ADDRESS_TYPES.P2PKH) {
+      // OP_DUP OP_HASH160 <20> OP_EQUALVERIFY OP_CHECKSIG
+      return Buffer.concat([Buffer.from([0x76, 0xa9, 0x14]), hash, Buffer.from([0x88, 0xac])]);
+    }
+    if (type === ADDRESS_TYPES.P2SH) {
+      // OP_HASH160 <20> OP_EQUAL
+      return Buffer.concat([Buffer.from([0xa9, 0x14]), hash, Buffer.from([0x87])]);
+    }
+    if (type === ADDRESS_TYPES.P2TR) {
+      // OP_1 <32-byte output key>
+      return Buffer.concat([Buffer.from([0x51, 0x20]), hash]);
+    }
+    if (type === ADDRESS_TYPES.P2WSH) {
+      // OP_0 <32-byte script hash>
+      return Buffer.concat([Buffer.from([0x00, 0x20]), hash]);
+    }
+
+    // P2WPKH script: 0x00 0x14 <20-byte-hash>
+    return Buffer.concat([Buffer.from([0x00, 0x14]), hash]);
+  }
+
+  /**
+   * Address an output script pays to, the inverse of toOutputScript
+   * @param {Buffer|string} script - scriptPubKey, or its hex
+   * @returns {string|null} null for scripts without a supported address
+   *   (P2PK, bare multisig, OP_RETURN, unknown witness versions...)
+   */
+  outputScriptToAddress(script) {
+    const s = typeof script === 'string' ? Buffer.from(script, 'hex') : script;
+
+    if (s.length === 25 && s[0] === 0x76 && s[1] === 0xa9 && s[2] === 0x14 && s[23] === 0x88 && s[24] === 0xac) {
+      return this.encodeAddress(s.subarray(3, 23), ADDRESS_TYPES.P2PKH);
+    }
+    if (s.length === 23 && s[0] === 0xa9 && s[1] === 0x14 && s[22] === 0x87) {
+      return this.encodeAddress(s.subarray(2, 22), ADDRESS_TYPES.P2SH);
+    }
+    if (s.length === 22 && s[0] === 0x00 && s[1] === 0x14) {
+      return this.encodeAddress(s.subarray(2), ADDRESS_TYPES.P2WPKH);
+    }
+    if (s.length === 34 && s[0] === 0x00 && s[1] === 0x20) {
+      return this.encodeAddress(s.subarray(2), ADDRESS_TYPES.P2WSH);
+    }
+    if (s.length === 34 && s[0] === 0x51 && s[1] === 0x20) {
+      return this.encodeAddress(s.subarray(2), ADDRESS_TYPES.P2TR);
+    }
+
+    return null;
   }
 
   /**
    * Compute script hash for Electrum/Fulcrum queries
-   * P2WPKH script: OP_0 <20-byte-pubkey-hash>
    * @param {string} address - L1 Alpha address
    * @returns {string} Hex script hash (reversed)
    */
   computeScriptHash(address) {
-    const { pubKeyHash } = this.decodeAddress(address);
-
-    // P2WPKH script: 0x00 0x14 <20-byte-hash>
-    const script = Buffer.concat([
-      Buffer.from([0x00, 0x14]),
-      pubKeyHash
-    ]);
+    const script = this.toOutputScript(address);
 
     // SHA256 hash
     const hash = createHash('sha256').update(script).digest();
@@ -153,9 +348,12 @@ export class AddressService {
    * @returns {boolean}
    */
   verifyPublicKeyMatchesAddress(publicKey, address) {
+    const validation = this.validateAddress(address);
+    if (!validation.valid) {
+      return false;
+    }
     try {
-      const derivedAddress = this.publicKeyToAddress(publicKey);
-      return derivedAddress.toLowerCase() === address.toLowerCase();
+      return this.publicKeyToAddress(publicKey, validation.type) === validation.normalized;
     } catch {
       return false;
     }
@@ -0,0 +1,243 @@
+import { MINT_STATUS, DEFAULT_CAMPAIGN_ID } from '../config/constants.js';
+import { NotFoundError, InvalidStateError, ERROR_CODES } from '../utils/errors.js';
+
+/**
+ * Operator actions on claims and balances
+ *
+ * Every state-changing action is written to the admin audit log.
+ */
+export class AdminService {
+  /**
+   * @param {import('../db/BalanceRepository.js').BalanceRepository} balanceRepo
+   * @param {import('../db/AuditRepository.js').AuditRepository} auditRepo
+   * @param {import('./BalanceService.js').BalanceService} balanceService
+   */
+  constructor(balanceRepo, auditRepo, balanceService) {
+    this.balanceRepo = balanceRepo;
+    this.auditRepo = auditRepo;
+    this.balanceService = balanceService;
+  }
+
+  /**
+   * Page through mint requests
+   * @param {Object} filters - See BalanceRepository.listMintRequests
+   * @returns {Object}
+   */
+  listClaims(filters) {
+    const { items, total } = this.balanceRepo.listMintRequests(filters);
+
+    return {
+      success: true,
+      items: items.map((row) => this._formatMintRequest(row)),
+      total,
+      limit: filters.limit,
+      offset: filters.offset
+    };
+  }
+
+  /**
+   * Full picture of one address: balance row, claims and admin history
+   * @param {string} l1Address - Normalized L1 address
+   * @param {string} [campaignId]
+   * @returns {Object}
+   */
+  getAddressDetail(l1Address, campaignId = DEFAULT_CAMPAIGN_ID) {
+    const record = this.balanceRepo.findByAddress(l1Address, campaignId);
+
+    if (!record) {
+      throw new NotFoundError('Address not found in snapshot', {
+        code: ERROR_CODES.ADDRESS_NOT_IN_SNAPSHOT
+      });
+    }
+
+    return {
+      success: true,
+      balance: {
+        campaign: record.campaign_id,
+        l1_addr: record.l1_address,
+        initialAmountInSmallUnits: Number(BigInt(record.initial_amount)),
+        claimedAmountInSmallUnits: Number(BigInt(record.claimed_amount)),
+        spent: record.spent === 1,
+        frozen: record.frozen === 1,
+        unicityId: record.unicity_id,
+        mintStatus: record.mint_status,
+        mintRequestId: record.mint_request_id,
+        txId: record.mint_tx_id,
+        mintedAt: record.minted_at
+      },
+      claims: this.balanceRepo.findMintRequestsByAddress(l1Address, campaignId)
+        .map((row) => this._formatMintRequest(row)),
+      audit: this.auditRepo.findByAddress(l1Address)
+        .map((row) => this._formatAuditEntry(row))
+    };
+  }
+
+  /**
+   * Release the reservation holding an address so it can be claimed again
+   * Only reserved or unknown claims can be released; an in-flight upstream
+   * call must finish first.
+   * @param {string} l1Address
+   * @param {string} actor - API key name
+   * @param {string} reason
+   * @param {string} [campaignId]
+   * @returns {Object} Updated claim status
+   */
+  releaseReservation(l1Address, actor, reason, campaignId = DEFAULT_CAMPAIGN_ID) {
+    const mintRequest = this._activeMintRequest(l1Address, [
+      MINT_STATUS.RESERVED,
+      MINT_STATUS.UNKNOWN
+    ], campaignId);
+
+    const claim = this.balanceService.resolveClaim(mintRequest.id, MINT_STATUS.FAILED, {
+      errorMessage: `Released by ${actor}: ${reason}`
+    });
+
+    this.auditRepo.record(actor, 'release', {
+      l1Address,
+      mintRequestId: mintRequest.id,
+      details: { campaign: campaignId, reason, previousStatus: mintRequest.status }
+    });
+
+    return claim;
+  }
+
+  /**
+   * Mark an ambiguous claim as minted after checking upstream by hand
+   * @param {string} l1Address
+   * @param {string} txId - Upstream transaction ID
+   * @param {string} actor - API key name
+   * @param {string} reason
+   * @param {string} [campaignId]
+   * @returns {Object} Updated claim status
+   */
+  confirmClaim(l1Address, txId, actor, reason, campaignId = DEFAULT_CAMPAIGN_ID) {
+    const mintRequest = this._activeMintRequest(l1Address, [MINT_STATUS.UNKNOWN], campaignId);
+
+    const claim = this.balanceService.resolveClaim(mintRequest.id, MINT_STATUS.CONFIRMED, {
+      txId
+    });
+
+    this.auditRepo.record(actor, 'confirm', {
+      l1Address,
+      mintRequestId: mintRequest.id,
+      details: { campaign: campaignId, reason, txId }
+    });
+
+    return claim;
+  }
+
+  /**
+   * Freeze or unfreeze an address
+   * @param {string} l1Address
+   * @param {boolean} frozen
+   * @param {string} actor - API key name
+   * @param {string} reason
+   * @param {string} [campaignId]
+   * @returns {Object}
+   */
+  setFrozen(l1Address, frozen, actor, reason, campaignId = DEFAULT_CAMPAIGN_ID) {
+    if (!this.balanceRepo.setFrozen(l1Address, frozen, campaignId)) {
+      throw new NotFoundError('Address not found in snapshot', {
+        code: ERROR_CODES.ADDRESS_NOT_IN_SNAPSHOT
+      });
+    }
+
+    this.auditRepo.record(actor, frozen ? 'freeze' : 'unfreeze', {
+      l1Address,
+      details: { campaign: campaignId, reason }
+    });
+
+    return { success: true, campaign: campaignId, l1_addr: l1Address, frozen };
+  }
+
+  /**
+   * Page through the audit log
+   * @param {number} limit
+   * @param {number} offset
+   * @returns {Object}
+   */
+  listAuditLog(limit, offset) {
+    const { items, total } = this.auditRepo.list(limit, offset);
+
+    return {
+      success: true,
+      items: items.map((row) => this._formatAuditEntry(row)),
+      total,
+      limit,
+      offset
+    };
+  }
+
+  /**
+   * Get the claim currently holding an address, if it is in an allowed state
+   * @param {string} l1Address
+   * @param {string[]} allowedStatuses
+   * @param {string} campaignId
+   * @returns {Object} mint_requests row
+   */
+  _activeMintRequest(l1Address, allowedStatuses, campaignId) {
+    const record = this.balanceRepo.findByAddress(l1Address, campaignId);
+
+    if (!record) {
+      throw new NotFoundError('Address not found in snapshot', {
+        code: ERROR_CODES.ADDRESS_NOT_IN_SNAPSHOT
+      });
+    }
+
+    const mintRequest = record.mint_request_id
+      ? this.balanceRepo.findMintRequest(record.mint_request_id)
+      : null;
+
+    if (!mintRequest || !allowedStatuses.includes(mintRequest.status)) {
+      const current = mintRequest ? mintRequest.status : 'no active claim';
+      throw new InvalidStateError(
+        `Address ${l1Address} has ${current}; expected ${allowedStatuses.join(' or ')}`,
+        { details: { currentStatus: mintRequest?.status ?? null, allowedStatuses } }
+      );
+    }
+
+    return mintRequest;
+  }
+
+  /**
+   * Shape a mint_requests row for admin responses
+   * @param {Object} row
+   * @returns {Object}
+   */
+  _formatMintRequest(row) {
+    return {
+      id: row.id,
+      claimId: row.claim_id,
+      campaign: row.campaign_id,
+      l1_addr: row.l1_address,
+      unicityId: row.unicity_id,
+      amountInSmallUnits: Number(BigInt(row.amount)),
+      status: row.status,
+      txId: row.tx_id,
+      error: row.error_message,
+      idempotencyKey: row.idempotency_key,
+      signature: row.signature,
+      createdAt: row.created_at,
+      processedAt: row.processed_at
+    };
+  }
+
+  /**
+   * Shape an admin_audit_log row for admin responses
+   * @param {Object} row
+   * @returns {Object}
+   */
+  _formatAuditEntry(row) {
+    return {
+      id: row.id,
+      actor: row.actor,
+      action: row.action,
+      l1_addr: row.l1_address,
+      mintRequestId: row.mint_request_id,
+      details: row.details ? JSON.parse(row.details) : null,
+      createdAt: row.created_at
+    };
+  }
+}
+
+export default AdminService;
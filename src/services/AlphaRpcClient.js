@@ -0,0 +1,118 @@
+import { request } from 'undici';
+import config from '../config/index.js';
+
+// Default for calls without a timeout of their own; full blocks can be slow to serve
+const DEFAULT_TIMEOUT_MS = 300000;
+
+/**
+ * JSON-RPC client for an Alpha full node
+ *
+ * Shared by the snapshot CLI and the server's snapshot verification, so both
+ * apply the same timeout and report failures the same way:
+ * "RPC <method> failed: <node error>" or "RPC <method> failed with HTTP <status>".
+ */
+export class AlphaRpcClient {
+  /**
+   * @param {Object} [options]
+   * @param {string} [options.url] - Node RPC URL
+   * @param {string} [options.user] - RPC username; no authentication if empty
+   * @param {string} [options.pass] - RPC password
+   * @param {number} [options.timeoutMs] - Time to wait for the reply headers, and between body chunks
+   */
+  constructor(options = {}) {
+    this.url = options.url ?? config.alphaRpc.url;
+    this.user = options.user ?? config.alphaRpc.user;
+    this.pass = options.pass ?? config.alphaRpc.pass;
+    this.timeoutMs = options.timeoutMs ?? DEFAULT_TIMEOUT_MS;
+  }
+
+  /**
+   * Call one method
+   * @param {string} method
+   * @param {Array} [params]
+   * @returns {Promise<*>} The result member of the reply
+   * @throws {Error} If the node is unreachable, times out or returns an error
+   */
+  async call(method, params = []) {
+    const body = await this._post({ jsonrpc: '2.0', id: 1, method, params }, method);
+    if (body.error) {
+      throw rpcError(method, body.error);
+    }
+    return body.result;
+  }
+
+  /**
+   * Call several methods in one JSON-RPC batch
+   * @param {Array<[string, Array]>} calls - [method, params] pairs
+   * @returns {Promise<Array>} Results in call order
+   * @throws {Error} If any call fails, or the node does not support batches
+   */
+  async batch(calls) {
+    const label = calls.length > 0 ? `${calls[0][0]} batch` : 'batch';
+    const replies = await this._post(
+      calls.map(([method, params], id) => ({ jsonrpc: '2.0', id, method, params })),
+      label
+    );
+    if (!Array.isArray(replies)) {
+      throw rpcError(label, replies.error || { message: 'batch requests not supported' });
+    }
+
+    const results = new Array(calls.length);
+    for (const reply of replies) {
+      if (reply.error) {
+        throw rpcError(calls[reply.id][0], reply.error);
+      }
+      results[reply.id] = reply.result;
+    }
+    return results;
+  }
+
+  /**
+   * POST a request or batch and parse the reply
+   * The node answers failed calls with HTTP 500 and a JSON error, so only
+   * replies that are not JSON count as HTTP failures.
+   * @param {Object|Object[]} payload
+   * @param {string} label - Method name for error messages
+   * @returns {Promise<Object|Object[]>}
+   */
+  async _post(payload, label) {
+    const headers = { 'Content-Type': 'application/json' };
+    if (this.user && this.pass) {
+      headers['Authorization'] = `Basic ${Buffer.from(`${this.user}:${this.pass}`).toString('base64')}`;
+    }
+
+    let response;
+    try {
+      response = await request(this.url, {
+        method: 'POST',
+        headers,
+        body: JSON.stringify(payload),
+        headersTimeout: this.timeoutMs,
+        bodyTimeout: this.timeoutMs,
+        throwOnError: false
+      });
+    } catch (err) {
+      throw new Error(`RPC ${label} failed: ${err.message}`);
+    }
+
+    try {
+      return await response.body.json();
+    } catch (err) {
+      if (err instanceof SyntaxError) {
+        throw new Error(`RPC ${label} failed with HTTP ${response.statusCode}`);
+      }
+      throw new Error(`RPC ${label} failed: ${err.message}`);
+    }
+  }
+}
+
+/**
+ * @param {string} method
+ * @param {Object} error - JSON-RPC error member
+ * @returns {Error}
+ */
+function rpcError(method, error) {
+  return new Error(`RPC ${method} failed: ${error.message || JSON.stringify(error)}`);
+}
+
+export default AlphaRpcClient;
@@ -1,190 +1,1084 @@
-import { TOKEN_CONFIG, SATOSHIS_PER_COIN } from '../config/constants.js';
+import { EventEmitter } from 'events';
+import { randomUUID } from 'crypto';
 import {
+  SATOSHIS_PER_COIN,
+  MINT_STATUS,
+  MINT_JOB_STATUS,
+  DEFAULT_CAMPAIGN_ID
+} from '../config/constants.js';
+import {
+  AppError,
   NotFoundError,
   AlreadyMintedError,
-  ValidationError
+  ValidationError,
+  FaucetError,
+  MintOutcomeUnknownError,
+  IdempotencyConflictError,
+  IdempotencyKeyMismatchError,
+  AddressFrozenError,
+  ClaimWindowError,
+  InvalidStateError,
+  ERROR_CODES
 } from '../utils/errors.js';
+import { mintOutcomesTotal } from '../utils/metrics.js';
+import { aggregateRequestHash, requestHash, signatureIdempotencyKey } from '../utils/idempotency.js';
+
+// Claim states with no further automatic progress ('unknown' waits for an operator)
+const FINAL_CLAIM_STATES = new Set([
+  MINT_STATUS.CONFIRMED,
+  MINT_STATUS.FAILED,
+  MINT_STATUS.UNKNOWN
+]);
 
 /**
  * Business logic service for balance operations
+ *
+ * Emits 'claim' with the public claim status after every mint state change.
  */
 export class BalanceService {
   /**
    * @param {import('../db/BalanceRepository.js').BalanceRepository} balanceRepo
    * @param {import('./SignatureService.js').SignatureService} signatureService
    * @param {import('./FaucetProxyService.js').FaucetProxyService} faucetProxy
+   * @param {import('../db/MintJobRepository.js').MintJobRepository} [mintJobRepo] - Queue for async claims
+   * @param {import('./SnapshotVerifier.js').SnapshotVerifier} [snapshotVerifier] - Gates claims on the
+   *   snapshot block being on the best chain
    */
-  constructor(balanceRepo, signatureService, faucetProxy) {
+  constructor(balanceRepo, signatureService, faucetProxy, mintJobRepo = null, snapshotVerifier = null) {
     this.balanceRepo = balanceRepo;
     this.signatureService = signatureService;
     this.faucetProxy = faucetProxy;
+    this.mintJobRepo = mintJobRepo;
+    this.snapshotVerifier = snapshotVerifier;
+
+    this.events = new EventEmitter();
+    // One listener per open SSE stream
+    this.events.setMaxListeners(0);
+  }
+
+  /**
+   * List all campaigns
+   * @returns {Object[]} Public campaign details
+   */
+  listCampaigns() {
+    return this.balanceRepo.listCampaigns().map((row) => this._formatCampaign(row));
+  }
+
+  /**
+   * Get one campaign
+   * @param {string} campaignId
+   * @returns {Object} Public campaign details
+   */
+  getCampaign(campaignId) {
+    return this._formatCampaign(this._requireCampaign(campaignId));
+  }
+
+  /**
+   * v2 claim message template for a campaign
+   * @param {string} campaignId
+   * @returns {Object}
+   */
+  getClaimMessage(campaignId) {
+    const campaign = this._requireCampaign(campaignId);
+    const { signatureService } = this;
+
+    return {
+      campaign: campaign.id,
+      version: 2,
+      network: signatureService.network,
+      domain: signatureService.domain,
+      blockHeight: campaign.block_height,
+      template: signatureService.getMessageTemplate(campaign.id, campaign.block_height),
+      maxValiditySeconds: signatureService.maxValiditySeconds,
+      acceptsV1: signatureService.acceptV1
+    };
+  }
+
+  /**
+   * @param {string} campaignId
+   * @returns {Object} campaigns row
+   * @throws {NotFoundError} If there is no such campaign
+   */
+  _requireCampaign(campaignId) {
+    const campaign = this.balanceRepo.findCampaign(campaignId);
+
+    if (!campaign) {
+      throw new NotFoundError(`Campaign ${campaignId} not found`, {
+        code: ERROR_CODES.CAMPAIGN_NOT_FOUND
+      });
+    }
+
+    return campaign;
+  }
+
+  /**
+   * @param {string} campaignId
+   * @returns {Object} campaigns row
+   * @throws {NotFoundError|ClaimWindowError|SnapshotVerificationError} If there is no such
+   *   campaign, it is closed or its snapshot block is not verified to be on the best chain
+   */
+  _requireOpenCampaign(campaignId) {
+    const campaign = this._requireCampaign(campaignId);
+
+    if (!this._isClaimWindowOpen(campaign)) {
+      throw new ClaimWindowError(`Campaign ${campaignId} is not accepting claims`, {
+        details: { claimStartsAt: campaign.claim_starts_at, claimEndsAt: campaign.claim_ends_at }
+      });
+    }
+
+    this.snapshotVerifier?.assertOnBestChain(campaign);
+
+    return campaign;
+  }
+
+  /**
+   * Whether a campaign accepts claims at the given time
+   * Missing bounds leave that side of the window open.
+   * @param {Object} campaign - campaigns row
+   * @param {number} [now] - Epoch milliseconds
+   * @returns {boolean}
+   */
+  _isClaimWindowOpen(campaign, now = Date.now()) {
+    if (campaign.claim_starts_at && now < Date.parse(campaign.claim_starts_at)) {
+      return false;
+    }
+    if (campaign.claim_ends_at && now >= Date.parse(campaign.claim_ends_at)) {
+      return false;
+    }
+    return true;
+  }
+
+  /**
+   * Shape a campaigns row for API responses
+   * @param {Object} campaign
+   * @returns {Object}
+   */
+  _formatCampaign(campaign) {
+    const totalAmount = BigInt(campaign.total_amount || 0);
+
+    return {
+      id: campaign.id,
+      name: campaign.name,
+      blockHeight: campaign.block_height,
+      token: JSON.parse(campaign.token_config),
+      claimStartsAt: campaign.claim_starts_at,
+      claimEndsAt: campaign.claim_ends_at,
+      open: this._isClaimWindowOpen(campaign),
+      partialClaims: campaign.partial_claims === 1,
+      addressCount: campaign.address_count,
+      totalAmount: Number(totalAmount) / Number(SATOSHIS_PER_COIN),
+      totalAmountInSmallUnits: Number(totalAmount),
+      createdAt: campaign.created_at
+    };
   }
 
   /**
    * Get balance information for an L1 address
+   * Snapshot addresses also list their tranches: every claim that was not
+   * released, oldest first.
    * @param {string} l1Address - L1 Alpha address
-   * @returns {Object} Balance info with token metadata
+   * @param {string} [campaignId]
+   * @returns {Object} Balance info with the campaign's token metadata
    */
-  getBalance(l1Address) {
-    const record = this.balanceRepo.findByAddress(l1Address);
+  getBalance(l1Address, campaignId = DEFAULT_CAMPAIGN_ID) {
+    const campaign = this._requireCampaign(campaignId);
+    const record = this.balanceRepo.findByAddress(l1Address, campaignId);
+    const balance = {
+      success: true,
+      campaign: campaign.id,
+      ...JSON.parse(campaign.token_config),
+      ...this._formatBalance(l1Address, record)
+    };
+
+    if (record) {
+      balance.tranches = this.balanceRepo.findMintRequestsByAddress(l1Address, campaignId)
+        .filter((request) => request.status !== MINT_STATUS.PENDING &&
+          request.status !== MINT_STATUS.FAILED)
+        .reverse()
+        .map((request) => this._formatTranche(request));
+    }
+
+    return balance;
+  }
+
+  /**
+   * Get balance information for many L1 addresses at once
+   * Token metadata is returned once rather than repeated per address.
+   * @param {string[]} l1Addresses - Normalized L1 Alpha addresses
+   * @param {string} [campaignId]
+   * @returns {Object} Per-address balances plus aggregate totals
+   */
+  getBalances(l1Addresses, campaignId = DEFAULT_CAMPAIGN_ID) {
+    const campaign = this._requireCampaign(campaignId);
+    const records = this.balanceRepo.findByAddresses(l1Addresses, campaignId);
+
+    let inSnapshot = 0;
+    let mintable = 0;
+    let spent = 0;
+    let mintableAmount = 0n;
+    let initialAmount = 0n;
+
+    const balances = l1Addresses.map((l1Address) => {
+      const record = records.get(l1Address) || null;
+      const balance = this._formatBalance(l1Address, record);
+
+      if (record) {
+        inSnapshot++;
+        initialAmount += BigInt(record.initial_amount);
+        if (balance.spent) {
+          spent++;
+        } else {
+          mintable++;
+          mintableAmount += BigInt(balance.remainingAmountInSmallUnits);
+        }
+      }
 
+      return balance;
+    });
+
+    return {
+      success: true,
+      campaign: campaign.id,
+      ...JSON.parse(campaign.token_config),
+      balances,
+      totals: {
+        addresses: l1Addresses.length,
+        inSnapshot,
+        mintable,
+        spent,
+        amount: Number(mintableAmount) / Number(SATOSHIS_PER_COIN),
+        amountInSmallUnits: Number(mintableAmount),
+        initialAmount: Number(initialAmount) / Number(SATOSHIS_PER_COIN),
+        initialAmountInSmallUnits: Number(initialAmount)
+      }
+    };
+  }
+
+  /**
+   * Shape a balance record into the per-address API fields
+   * @param {string} l1Address - L1 Alpha address that was looked up
+   * @param {Object|null} record - Balance row, or null if not in snapshot
+   * @returns {Object}
+   */
+  _formatBalance(l1Address, record) {
     if (!record) {
       // Address not in snapshot - return zero balance
       return {
-        success: true,
-        ...TOKEN_CONFIG,
         l1_addr: l1Address,
         unicityId: null,
         amount: 0,
         amountInSmallUnits: 0,
         initialAmount: 0,
         initialAmountInSmallUnits: 0,
+        claimedAmount: 0,
+        claimedAmountInSmallUnits: 0,
+        remainingAmount: 0,
+        remainingAmountInSmallUnits: 0,
         spent: false,
         inSnapshot: false
       };
     }
 
     const initialAmount = BigInt(record.initial_amount);
-    const spent = record.spent === 1;
-    const currentAmount = spent ? 0n : initialAmount;
+    const claimedAmount = BigInt(record.claimed_amount);
+    const remainingAmount = initialAmount - claimedAmount;
 
     return {
-      success: true,
-      ...TOKEN_CONFIG,
       l1_addr: record.l1_address,
       unicityId: record.unicity_id,
-      amount: Number(currentAmount) / Number(SATOSHIS_PER_COIN),
-      amountInSmallUnits: Number(currentAmount),
+      amount: Number(remainingAmount) / Number(SATOSHIS_PER_COIN),
+      amountInSmallUnits: Number(remainingAmount),
       initialAmount: Number(initialAmount) / Number(SATOSHIS_PER_COIN),
       initialAmountInSmallUnits: Number(initialAmount),
-      spent,
+      claimedAmount: Number(claimedAmount) / Number(SATOSHIS_PER_COIN),
+      claimedAmountInSmallUnits: Number(claimedAmount),
+      remainingAmount: Number(remainingAmount) / Number(SATOSHIS_PER_COIN),
+      remainingAmountInSmallUnits: Number(remainingAmount),
+      spent: remainingAmount <= 0n,
       inSnapshot: true,
+      mintStatus: record.mint_status,
+      frozen: record.frozen === 1,
       mintedAt: record.minted_at
     };
   }
 
   /**
-   * Process a mint request
+   * Shape a mint_requests row into a tranche of a balance
+   * @param {Object} mintRequest
+   * @returns {Object}
+   */
+  _formatTranche(mintRequest) {
+    // An aggregated request only holds the address's share of its amount
+    const amount = BigInt(mintRequest.address_amount ?? mintRequest.amount);
+
+    return {
+      claimId: mintRequest.claim_id,
+      unicityId: mintRequest.unicity_id,
+      amount: Number(amount) / Number(SATOSHIS_PER_COIN),
+      amountInSmallUnits: Number(amount),
+      status: mintRequest.status,
+      txId: mintRequest.tx_id,
+      createdAt: mintRequest.created_at
+    };
+  }
+
+  /**
+   * Process a mint request synchronously
    * @param {string} l1Address - Source L1 address
    * @param {string} unicityId - Destination L3 Unicity ID
    * @param {number|bigint} amount - Amount in satoshis
-   * @param {string} signature - 65-byte signature in hex
+   * @param {string} signature - 65-byte signature in hex or base64, or a base64 BIP-322 proof
+   * @param {Object} [idempotency] - Idempotency key and request hash to bind
+   * @param {string} [campaignId]
+   * @param {number|null} [expiresAt] - Unix seconds; set when a v2 message was signed
    * @returns {Promise<Object>} Mint result
    */
-  async processMintRequest(l1Address, unicityId, amount, signature) {
+  async processMintRequest(
+    l1Address,
+    unicityId,
+    amount,
+    signature,
+    idempotency = {},
+    campaignId = DEFAULT_CAMPAIGN_ID,
+    expiresAt = null
+  ) {
+    const mintRequest = this.reserveMintRequest(
+      l1Address,
+      unicityId,
+      amount,
+      signature,
+      idempotency,
+      campaignId,
+      expiresAt
+    );
+
+    // Proxy to upstream faucet
+    return await this._submitMint(mintRequest);
+  }
+
+  /**
+   * Verify and reserve a mint request, then queue it for the background worker
+   * @param {string} l1Address - Source L1 address
+   * @param {string} unicityId - Destination L3 Unicity ID
+   * @param {number|bigint} amount - Amount in satoshis
+   * @param {string} signature - 65-byte signature in hex or base64, or a base64 BIP-322 proof
+   * @param {Object} [idempotency] - Idempotency key and request hash to bind
+   * @param {string} [campaignId]
+   * @param {number|null} [expiresAt] - Unix seconds; set when a v2 message was signed
+   * @returns {Object} Claim status
+   */
+  enqueueMintRequest(
+    l1Address,
+    unicityId,
+    amount,
+    signature,
+    idempotency = {},
+    campaignId = DEFAULT_CAMPAIGN_ID,
+    expiresAt = null
+  ) {
+    const mintRequest = this.reserveMintRequest(
+      l1Address,
+      unicityId,
+      amount,
+      signature,
+      idempotency,
+      campaignId,
+      expiresAt
+    );
+
+    return this._enqueue(mintRequest);
+  }
+
+  /**
+   * Claim several addresses into one Unicity ID with a single upstream mint
+   * @param {string} unicityId - Destination L3 Unicity ID
+   * @param {Array<{l1Address: string, amount: number|bigint, signature: string, expiresAt?: number}>} entries
+   * @param {Object} [idempotency] - Idempotency key and request hash to bind
+   * @param {string} [campaignId]
+   * @returns {Promise<Object>} Mint result
+   */
+  async processAggregateClaim(unicityId, entries, idempotency = {}, campaignId = DEFAULT_CAMPAIGN_ID) {
+    const mintRequest = this.reserveAggregateClaim(unicityId, entries, idempotency, campaignId);
+
+    return await this._submitMint(mintRequest);
+  }
+
+  /**
+   * Verify and reserve an aggregated claim, then queue it for the background worker
+   * @param {string} unicityId - Destination L3 Unicity ID
+   * @param {Array<{l1Address: string, amount: number|bigint, signature: string, expiresAt?: number}>} entries
+   * @param {Object} [idempotency] - Idempotency key and request hash to bind
+   * @param {string} [campaignId]
+   * @returns {Object} Claim status
+   */
+  enqueueAggregateClaim(unicityId, entries, idempotency = {}, campaignId = DEFAULT_CAMPAIGN_ID) {
+    const mintRequest = this.reserveAggregateClaim(unicityId, entries, idempotency, campaignId);
+
+    return this._enqueue(mintRequest);
+  }
+
+  /**
+   * Queue a reserved claim for the background worker
+   * @param {Object} mintRequest - Reserved mint_requests row
+   * @returns {Object} Claim status
+   */
+  _enqueue(mintRequest) {
+    try {
+      this.mintJobRepo.enqueue(mintRequest.id);
+    } catch (err) {
+      this._transition(mintRequest.id, MINT_STATUS.FAILED, { errorMessage: err.message });
+      throw err;
+    }
+
+    return this.getClaim(mintRequest.claim_id);
+  }
+
+  /**
+   * Submit a queued claim to the upstream faucet
+   * @param {number} requestId - Reserved mint request
+   * @returns {Promise<Object>} Mint result
+   */
+  async submitQueuedMint(requestId) {
+    const mintRequest = this.balanceRepo.findMintRequest(requestId);
+
+    if (!mintRequest) {
+      throw new NotFoundError(`Mint request ${requestId} not found`, {
+        code: ERROR_CODES.CLAIM_NOT_FOUND
+      });
+    }
+
+    return await this._submitMint(mintRequest);
+  }
+
+  /**
+   * Validate a mint request and reserve the address for it
+   * @param {string} l1Address - Source L1 address
+   * @param {string} unicityId - Destination L3 Unicity ID
+   * @param {number|bigint} amount - Amount in satoshis
+   * @param {string} signature - 65-byte signature in hex or base64, or a base64 BIP-322 proof
+   * @param {Object} [idempotency]
+   * @param {string} [idempotency.key] - Idempotency key to bind to this request
+   * @param {string} [idempotency.requestHash] - Hash from createRequestHash
+   * @param {string} [campaignId]
+   * @param {number|null} [expiresAt] - Unix seconds; set when a v2 message was signed
+   * @returns {Object} Reserved mint_requests row
+   */
+  reserveMintRequest(
+    l1Address,
+    unicityId,
+    amount,
+    signature,
+    idempotency = {},
+    campaignId = DEFAULT_CAMPAIGN_ID,
+    expiresAt = null
+  ) {
     // Validate unicityId format
-    if (!unicityId || typeof unicityId !== 'string' || unicityId.length < 1) {
-      throw new ValidationError('Invalid unicityId');
+    if (!isValidUnicityId(unicityId)) {
+      throw new ValidationError('Invalid unicityId', { code: ERROR_CODES.INVALID_UNICITY_ID });
     }
 
     // Validate amount
     const amountBigInt = BigInt(amount);
     if (amountBigInt <= 0n) {
-      throw new ValidationError('Amount must be positive');
+      throw new ValidationError('Amount must be positive', { code: ERROR_CODES.INVALID_AMOUNT });
     }
 
-    // Log the request
+    const campaign = this._requireOpenCampaign(campaignId);
+
+    // Log the request; the canonical signature lets replays in another encoding be spotted
     const requestId = this.balanceRepo.logMintRequest(
       l1Address,
       unicityId,
       amountBigInt,
-      signature
+      this._normalizeSignature(signature),
+      randomUUID(),
+      idempotency,
+      campaignId
     );
 
+    if (requestId === null) {
+      // A concurrent request bound the key between replay lookup and insert
+      throw new IdempotencyConflictError();
+    }
+
+    // Validate and reserve; a failure here leaves nothing reserved
     try {
-      // 1. Check if address exists and has balance
-      const record = this.balanceRepo.findByAddress(l1Address);
+      // 1. Check the address can claim this amount
+      const record = this.balanceRepo.findByAddress(l1Address, campaignId);
+      this._checkClaimable(record, l1Address, amountBigInt, campaign);
+
+      // 2. Verify signature
+      this.signatureService.verifySignature(l1Address, unicityId, amount, signature, {
+        campaignId,
+        blockHeight: campaign.block_height,
+        expiresAt
+      });
+
+      // 3. Atomically reserve the address for this request (prevents race conditions)
+      const atomicResult = this.balanceRepo.atomicReserve(
+        l1Address,
+        unicityId,
+        requestId,
+        campaignId
+      );
 
-      if (!record) {
-        throw new NotFoundError('Address not found in snapshot');
+      if (!atomicResult.success) {
+        throw reservationError(atomicResult.error, l1Address);
       }
+    } catch (err) {
+      this._transition(requestId, MINT_STATUS.FAILED, { errorMessage: err.message });
+      mintOutcomesTotal.inc({ outcome: err.name });
+      throw err;
+    }
 
-      // 2. Check if already minted
-      if (record.spent === 1) {
-        throw new AlreadyMintedError(
-          `Address ${l1Address} has already been minted to ${record.unicity_id}`
-        );
+    return this.balanceRepo.findMintRequest(requestId);
+  }
+
+  /**
+   * Validate an aggregated claim and reserve all of its addresses together
+   * Every entry is checked and its signature verified as for a single claim;
+   * errors name the offending address in details.l1_addr. The addresses are
+   * then reserved in one transaction, all or none.
+   * @param {string} unicityId - Destination L3 Unicity ID
+   * @param {Array<{l1Address: string, amount: number|bigint, signature: string, expiresAt?: number}>} entries
+   * @param {Object} [idempotency]
+   * @param {string} [idempotency.key] - Idempotency key to bind to this request
+   * @param {string} [idempotency.requestHash] - Hash from createAggregateRequestHash
+   * @param {string} [campaignId]
+   * @returns {Object} Reserved mint_requests row
+   */
+  reserveAggregateClaim(unicityId, entries, idempotency = {}, campaignId = DEFAULT_CAMPAIGN_ID) {
+    if (!isValidUnicityId(unicityId)) {
+      throw new ValidationError('Invalid unicityId', { code: ERROR_CODES.INVALID_UNICITY_ID });
+    }
+
+    if (!Array.isArray(entries) || entries.length === 0) {
+      throw new ValidationError('At least one address is required');
+    }
+
+    const seen = new Set();
+    let total = 0n;
+    for (const entry of entries) {
+      if (seen.has(entry.l1Address)) {
+        throw new ValidationError(`Address ${entry.l1Address} is listed more than once`, {
+          details: { l1_addr: entry.l1Address }
+        });
       }
+      seen.add(entry.l1Address);
 
-      // 3. Validate amount equals full balance (no partial mints)
-      const initialAmount = BigInt(record.initial_amount);
-      if (amountBigInt !== initialAmount) {
-        throw new ValidationError(
-          `Amount mismatch: must mint full balance. Requested ${amountBigInt}, available ${initialAmount}`
-        );
+      if (BigInt(entry.amount) <= 0n) {
+        throw new ValidationError('Amount must be positive', {
+          code: ERROR_CODES.INVALID_AMOUNT,
+          details: { l1_addr: entry.l1Address }
+        });
       }
+      total += BigInt(entry.amount);
+    }
 
-      // 4. Verify signature
-      this.signatureService.verifySignature(l1Address, unicityId, amount, signature);
+    const campaign = this._requireOpenCampaign(campaignId);
 
-      // 5. Atomically mark as spent (prevents race conditions)
-      // Use a placeholder txId until we get the real one from upstream
-      const atomicResult = this.balanceRepo.atomicMarkAsSpent(
-        l1Address,
+    // The request row carries the total; the addresses are recorded on reservation
+    const requestId = this.balanceRepo.logMintRequest(
+      entries[0].l1Address,
+      unicityId,
+      total,
+      this._normalizeSignature(entries[0].signature),
+      randomUUID(),
+      idempotency,
+      campaignId
+    );
+
+    if (requestId === null) {
+      throw new IdempotencyConflictError();
+    }
+
+    try {
+      const records = this.balanceRepo.findByAddresses(
+        entries.map(({ l1Address }) => l1Address),
+        campaignId
+      );
+
+      for (const { l1Address, amount, signature, expiresAt = null } of entries) {
+        try {
+          const record = records.get(l1Address) || null;
+          this._checkClaimable(record, l1Address, BigInt(amount), campaign);
+          this.signatureService.verifySignature(l1Address, unicityId, amount, signature, {
+            campaignId,
+            blockHeight: campaign.block_height,
+            expiresAt
+          });
+        } catch (err) {
+          if (err instanceof AppError) {
+            err.details = { ...err.details, l1_addr: l1Address };
+          }
+          throw err;
+        }
+      }
+
+      const atomicResult = this.balanceRepo.atomicReserveAddresses(
+        entries.map((entry) => ({ ...entry, signature: this._normalizeSignature(entry.signature) })),
         unicityId,
-        'pending'
+        requestId,
+        campaignId
       );
 
       if (!atomicResult.success) {
-        if (atomicResult.error === 'already_minted') {
-          throw new AlreadyMintedError('Address was minted by another request');
-        }
-        throw new ValidationError(`Failed to process: ${atomicResult.error}`);
+        throw reservationError(atomicResult.error, atomicResult.l1Address);
       }
+    } catch (err) {
+      this._transition(requestId, MINT_STATUS.FAILED, { errorMessage: err.message });
+      mintOutcomesTotal.inc({ outcome: err.name });
+      throw err;
+    }
 
-      // 6. Proxy to upstream faucet
-      const amountInCoins = Number(amountBigInt) / Number(SATOSHIS_PER_COIN);
-      const mintResult = await this.faucetProxy.mintToken(unicityId, amountInCoins);
+    return this.balanceRepo.findMintRequest(requestId);
+  }
 
-      // 7. Update with actual txId
-      this.balanceRepo.markAsSpent(l1Address, unicityId, mintResult.txId);
+  /**
+   * Check that an address may claim an amount, before its signature is verified
+   * Campaigns with partial claims accept any amount up to the remaining
+   * balance, one tranche at a time; otherwise the full balance must be claimed.
+   * @param {Object|null} record - Balance row
+   * @param {string} l1Address
+   * @param {bigint} amount - Satoshis
+   * @param {Object} campaign - campaigns row
+   * @throws {AppError} If the claim cannot proceed
+   */
+  _checkClaimable(record, l1Address, amount, campaign) {
+    if (!record) {
+      throw new NotFoundError('Address not found in snapshot', {
+        code: ERROR_CODES.ADDRESS_NOT_IN_SNAPSHOT,
+        details: { l1_addr: l1Address }
+      });
+    }
 
-      // 8. Update request log
-      this.balanceRepo.updateMintRequest(
-        requestId,
-        'success',
-        null,
-        JSON.stringify(mintResult.data)
+    // Already minted, or a tranche is still being processed
+    const initialAmount = BigInt(record.initial_amount);
+    const remainingAmount = initialAmount - BigInt(record.claimed_amount);
+    if (remainingAmount <= 0n) {
+      throw new AlreadyMintedError(
+        `Address ${l1Address} has already been minted to ${record.unicity_id}`,
+        { details: { l1_addr: l1Address, unicityId: record.unicity_id } }
+      );
+    }
+
+    if (record.spent === 1) {
+      throw reservationError('in_progress', l1Address);
+    }
+
+    // An operator froze the address
+    if (record.frozen === 1) {
+      throw reservationError('frozen', l1Address);
+    }
+
+    if (campaign.partial_claims === 1) {
+      if (amount > remainingAmount) {
+        throw new ValidationError(
+          `Amount exceeds remaining balance. Requested ${amount}, remaining ${remainingAmount}`,
+          {
+            code: ERROR_CODES.AMOUNT_EXCEEDS_BALANCE,
+            details: { requested: Number(amount), available: Number(remainingAmount) }
+          }
+        );
+      }
+    } else if (amount !== initialAmount) {
+      throw new ValidationError(
+        `Amount mismatch: must mint full balance. Requested ${amount}, available ${initialAmount}`,
+        {
+          code: ERROR_CODES.AMOUNT_MISMATCH,
+          details: { requested: Number(amount), available: Number(initialAmount) }
+        }
+      );
+    }
+  }
+
+  /**
+   * Submit a reserved claim to the upstream faucet and record the outcome
+   * A definite upstream rejection releases the reservation; an ambiguous
+   * outcome (timeout, 5xx, dropped connection) parks it as 'unknown'.
+   * @param {Object} mintRequest - Reserved mint_requests row
+   * @returns {Promise<Object>} Mint result
+   */
+  async _submitMint(mintRequest) {
+    const { id: requestId, unicity_id: unicityId } = mintRequest;
+    const amountInCoins = Number(BigInt(mintRequest.amount)) / Number(SATOSHIS_PER_COIN);
+    const token = JSON.parse(this._requireCampaign(mintRequest.campaign_id).token_config);
+
+    this._transition(requestId, MINT_STATUS.SUBMITTED);
+
+    let mintResult;
+    try {
+      mintResult = await this.faucetProxy.mintToken(unicityId, amountInCoins, token.name);
+    } catch (err) {
+      if (err instanceof FaucetError && !(err instanceof MintOutcomeUnknownError)) {
+        // Upstream rejected the mint: free the address for another attempt
+        this._transition(requestId, MINT_STATUS.FAILED, { errorMessage: err.message });
+        mintOutcomesTotal.inc({ outcome: err.name });
+        throw err;
+      }
+
+      // Upstream may or may not have minted: hold the address until reconciled
+      this._transition(requestId, MINT_STATUS.UNKNOWN, { errorMessage: err.message });
+      mintOutcomesTotal.inc({ outcome: MintOutcomeUnknownError.name });
+      throw new MintOutcomeUnknownError(
+        `Mint request ${requestId} outcome unknown, held for reconciliation: ${err.message}`
       );
+    }
+
+    this._transition(requestId, MINT_STATUS.CONFIRMED, {
+      txId: mintResult.txId,
+      faucetResponse: JSON.stringify(mintResult.data)
+    });
+    mintOutcomesTotal.inc({ outcome: MINT_STATUS.CONFIRMED });
 
+    return this._formatMintResult(mintRequest, mintResult.txId);
+  }
+
+  /**
+   * Shape a confirmed mint into the synchronous API response
+   * @param {Object} mintRequest - mint_requests row
+   * @param {string} txId - Upstream transaction ID
+   * @returns {Object}
+   */
+  _formatMintResult(mintRequest, txId) {
+    const amount = BigInt(mintRequest.amount);
+
+    return {
+      success: true,
+      claimId: mintRequest.claim_id,
+      campaign: mintRequest.campaign_id,
+      l1_addr: mintRequest.l1_address,
+      unicityId: mintRequest.unicity_id,
+      amount: Number(amount) / Number(SATOSHIS_PER_COIN),
+      amountInSmallUnits: Number(amount),
+      ...this._formatAddresses(mintRequest),
+      txId,
+      message: 'Token minted successfully'
+    };
+  }
+
+  /**
+   * List the addresses of an aggregated mint request
+   * @param {Object} mintRequest - mint_requests row
+   * @returns {{addresses?: Object[]}} Empty for single-address requests
+   */
+  _formatAddresses(mintRequest) {
+    const members = this.balanceRepo.findMintRequestAddresses(mintRequest.id);
+
+    if (members.length === 0) {
+      return {};
+    }
+
+    return {
+      addresses: members.map((member) => {
+        const amount = BigInt(member.amount);
+        return {
+          l1_addr: member.l1_address,
+          amount: Number(amount) / Number(SATOSHIS_PER_COIN),
+          amountInSmallUnits: Number(amount)
+        };
+      })
+    };
+  }
+
+  /**
+   * Hash the fields that make up a mint request, for idempotency checks
+   * @param {string} l1Address - Normalized L1 address
+   * @param {string} unicityId
+   * @param {number|bigint} amount - Amount in satoshis
+   * @param {string} signature - Signature as submitted
+   * @param {string} [campaignId]
+   * @returns {string} Hex SHA-256
+   */
+  createRequestHash(l1Address, unicityId, amount, signature, campaignId = DEFAULT_CAMPAIGN_ID) {
+    return requestHash(campaignId, l1Address, unicityId, amount, this._normalizeSignature(signature));
+  }
+
+  /**
+   * Hash an aggregated claim, for idempotency checks
+   * Entries are sorted by address, so their order does not matter.
+   * @param {string} unicityId
+   * @param {Array<{l1Address: string, amount: number|bigint, signature: string, expiresAt?: number}>} entries
+   * @param {string} [campaignId]
+   * @returns {string} Hex SHA-256
+   */
+  createAggregateRequestHash(unicityId, entries, campaignId = DEFAULT_CAMPAIGN_ID) {
+    return aggregateRequestHash(
+      campaignId,
+      unicityId,
+      entries.map(({ l1Address, amount, signature }) => ({
+        l1Address,
+        amount,
+        signature: this._normalizeSignature(signature)
+      }))
+    );
+  }
+
+  /**
+   * Derive an idempotency key for clients that do not send one
+   * Wallet signatures are deterministic (RFC 6979), so a retried request
+   * carries the same signature and maps to the same key. The campaign is
+   * mixed in because one signature may be presented to several campaigns.
+   * @param {string|string[]} signature - Signature as submitted, or every
+   *   signature of an aggregated claim
+   * @param {string} [campaignId]
+   * @returns {string}
+   */
+  deriveIdempotencyKey(signature, campaignId = DEFAULT_CAMPAIGN_ID) {
+    return signatureIdempotencyKey(campaignId, [].concat(signature).map((sig) => this._normalizeSignature(sig)));
+  }
+
+  /**
+   * @param {string} signature
+   * @returns {string} Canonical form; see SignatureService.normalizeSignature
+   */
+  _normalizeSignature(signature) {
+    return this.signatureService.normalizeSignature(signature);
+  }
+
+  /**
+   * Look up the stored outcome for a replayed idempotency key
+   * @param {string} key - Idempotency key
+   * @param {string} requestHash - Hash of the replayed request
+   * @returns {{statusCode: number, body: Object}|null} Stored response, or null for a new key
+   */
+  findIdempotentReplay(key, requestHash) {
+    const mintRequest = this.balanceRepo.findMintRequestByIdempotencyKey(key);
+
+    if (!mintRequest) {
+      return null;
+    }
+
+    if (mintRequest.request_hash !== requestHash) {
+      throw new IdempotencyKeyMismatchError();
+    }
+
+    if (mintRequest.response_body) {
       return {
-        success: true,
-        l1_addr: l1Address,
-        unicityId: unicityId,
-        amount: amountInCoins,
-        amountInSmallUnits: Number(amountBigInt),
-        txId: mintResult.txId,
-        message: 'Token minted successfully'
+        statusCode: mintRequest.response_status,
+        body: JSON.parse(mintRequest.response_body)
       };
-    } catch (err) {
-      // Update request log with error
-      this.balanceRepo.updateMintRequest(
-        requestId,
-        'failed',
-        err.message,
-        null
+    }
+
+    // Confirmed, but the process stopped before the response was stored
+    if (mintRequest.status === MINT_STATUS.CONFIRMED) {
+      return {
+        statusCode: 200,
+        body: this._formatMintResult(mintRequest, mintRequest.tx_id)
+      };
+    }
+
+    throw new IdempotencyConflictError(
+      `A request with this Idempotency-Key is ${mintRequest.status}; ` +
+      `poll /api/v1/faucet/claims/${mintRequest.claim_id} for its outcome`
+    );
+  }
+
+  /**
+   * Record the response sent for an idempotency key
+   * Ignored when the request failed outright, so the key can be retried.
+   * @param {string} key
+   * @param {number} statusCode
+   * @param {Object} body
+   */
+  storeIdempotentResponse(key, statusCode, body) {
+    this.balanceRepo.storeMintResponse(key, statusCode, body);
+  }
+
+  /**
+   * Settle a claim by operator decision
+   * A confirmed claim's stored error response (the unknown outcome) is
+   * replaced with the mint result, so retries with its idempotency key get
+   * that from now on. Failed claims free their key for a new attempt.
+   * @param {number} requestId
+   * @param {string} status - MINT_STATUS.CONFIRMED or MINT_STATUS.FAILED
+   * @param {Object} [details] - Passed through to BalanceRepository.transitionMint
+   * @returns {Object} Updated claim status
+   */
+  resolveClaim(requestId, status, details) {
+    if (status !== MINT_STATUS.CONFIRMED && status !== MINT_STATUS.FAILED) {
+      throw new ValidationError(`Claims can only be resolved as confirmed or failed, not ${status}`);
+    }
+
+    this._transition(requestId, status, details);
+    const mintRequest = this.balanceRepo.findMintRequest(requestId);
+
+    if (status === MINT_STATUS.CONFIRMED && mintRequest.idempotency_key && mintRequest.response_status >= 400) {
+      this.storeIdempotentResponse(
+        mintRequest.idempotency_key,
+        200,
+        this._formatMintResult(mintRequest, mintRequest.tx_id)
       );
-      throw err;
+    }
+
+    return this._formatClaim(mintRequest);
+  }
+
+  /**
+   * Apply a mint state transition and announce the new claim state
+   * @param {number} requestId
+   * @param {string} status - Target MINT_STATUS value
+   * @param {Object} [details] - Passed through to BalanceRepository.transitionMint
+   */
+  _transition(requestId, status, details) {
+    const mintRequest = this.balanceRepo.transitionMint(requestId, status, details);
+    if (mintRequest.claim_id) {
+      this.events.emit('claim', this._formatClaim(mintRequest));
     }
   }
 
   /**
-   * Get snapshot statistics
+   * Get the current state of a claim
+   * @param {string} claimId - Public claim ID returned when the claim was accepted
+   * @returns {Object} Claim status
+   */
+  getClaim(claimId) {
+    const mintRequest = this.balanceRepo.findMintRequestByClaimId(claimId);
+
+    if (!mintRequest) {
+      throw new NotFoundError('Claim not found', { code: ERROR_CODES.CLAIM_NOT_FOUND });
+    }
+
+    return this._formatClaim(mintRequest);
+  }
+
+  /**
+   * Shape a mint_requests row into the public claim status
+   * @param {Object} mintRequest
+   * @returns {Object}
+   */
+  _formatClaim(mintRequest) {
+    const amount = BigInt(mintRequest.amount);
+    const failed = mintRequest.status === MINT_STATUS.FAILED ||
+      mintRequest.status === MINT_STATUS.UNKNOWN;
+
+    return {
+      success: true,
+      claimId: mintRequest.claim_id,
+      status: mintRequest.status,
+      final: FINAL_CLAIM_STATES.has(mintRequest.status),
+      campaign: mintRequest.campaign_id,
+      l1_addr: mintRequest.l1_address,
+      unicityId: mintRequest.unicity_id,
+      amount: Number(amount) / Number(SATOSHIS_PER_COIN),
+      amountInSmallUnits: Number(amount),
+      ...this._formatAddresses(mintRequest),
+      txId: mintRequest.tx_id,
+      error: failed ? mintRequest.error_message : null,
+      createdAt: mintRequest.created_at,
+      updatedAt: mintRequest.processed_at
+    };
+  }
+
+  /**
+   * Resolve claims left mid-flight by a previous process
+   * Reserved claims still waiting in the job queue are left for the worker;
+   * other reserved claims never reached upstream and are released. Submitted
+   * claims may have minted and are parked as 'unknown'.
+   * @returns {{released: number, parked: number}}
+   */
+  recoverInterruptedMints() {
+    // Jobs that were running belong to submitted claims, parked below
+    if (this.mintJobRepo) {
+      for (const job of this.mintJobRepo.findByStatus(MINT_JOB_STATUS.RUNNING)) {
+        this.mintJobRepo.finish(job.id, 'Interrupted by restart');
+      }
+    }
+
+    let released = 0;
+    for (const request of this.balanceRepo.findMintRequestsByStatus(MINT_STATUS.RESERVED)) {
+      const job = this.mintJobRepo?.findByRequestId(request.id);
+      if (job && job.status === MINT_JOB_STATUS.QUEUED) {
+        continue;
+      }
+
+      this._transition(request.id, MINT_STATUS.FAILED, {
+        errorMessage: 'Interrupted before submission to upstream faucet'
+      });
+      released++;
+    }
+
+    const submitted = this.balanceRepo.findMintRequestsByStatus(MINT_STATUS.SUBMITTED);
+    for (const request of submitted) {
+      this._transition(request.id, MINT_STATUS.UNKNOWN, {
+        errorMessage: 'Interrupted while awaiting upstream faucet response'
+      });
+    }
+
+    return { released, parked: submitted.length };
+  }
+
+  /**
+   * Get snapshot statistics of a campaign
+   * @param {string} [campaignId]
    * @returns {Object}
    */
-  getStats() {
-    const meta = this.balanceRepo.getSnapshotMeta();
-    const totalCount = this.balanceRepo.countTotal();
-    const unspentCount = this.balanceRepo.countUnspent();
+  getStats(campaignId = DEFAULT_CAMPAIGN_ID) {
+    const campaign = this._requireCampaign(campaignId);
+    const totalCount = this.balanceRepo.countTotal(campaignId);
+    const unspentCount = this.balanceRepo.countUnspent(campaignId);
+    const utxoAmount = campaign.utxo_amount === null ? null : Number(campaign.utxo_amount);
 
     return {
-      snapshotBlock: meta?.block_height || null,
+      campaign: campaign.id,
+      snapshotBlock: campaign.block_height,
+      snapshotBlockHash: campaign.block_hash,
+      chain: campaign.chain,
+      utxoCount: campaign.utxo_count,
+      utxoAmount: utxoAmount === null ? null : utxoAmount / Number(SATOSHIS_PER_COIN),
+      utxoAmountInSmallUnits: utxoAmount,
+      cliVersion: campaign.cli_version,
+      verification: this.snapshotVerifier?.getResult(campaign.id) ?? null,
       totalAddresses: totalCount,
       availableAddresses: unspentCount,
       mintedAddresses: totalCount - unspentCount,
-      createdAt: meta?.created_at || null
+      createdAt: campaign.created_at
     };
   }
 }
 
+/**
+ * @param {*} unicityId
+ * @returns {boolean} True for a non-empty single-line string
+ */
+function isValidUnicityId(unicityId) {
+  // Line breaks could forge fields of the line-based v2 message
+  return typeof unicityId === 'string' && unicityId.length > 0 && !/[\r\n]/.test(unicityId);
+}
+
+/**
+ * Map a failed reservation to the error sent to the client
+ * @param {string} reason - Error from BalanceRepository.atomicReserve
+ * @param {string} l1Address
+ * @returns {AppError}
+ */
+function reservationError(reason, l1Address) {
+  if (reason === 'already_minted') {
+    return new AlreadyMintedError('Address was minted by another request', {
+      details: { l1_addr: l1Address }
+    });
+  }
+  if (reason === 'frozen') {
+    return new AddressFrozenError(`Address ${l1Address} is frozen`, {
+      details: { l1_addr: l1Address }
+    });
+  }
+  if (reason === 'in_progress') {
+    return new InvalidStateError(`A claim for address ${l1Address} is still being processed`, {
+      code: ERROR_CODES.CLAIM_IN_PROGRESS,
+      details: { l1_addr: l1Address }
+    });
+  }
+  if (reason === 'signature_used') {
+    return new InvalidStateError('Signature already backs another claim; sign each tranche separately', {
+      code: ERROR_CODES.SIGNATURE_ALREADY_USED,
+      details: { l1_addr: l1Address }
+    });
+  }
+  return new ValidationError(`Failed to process: ${reason}`, {
+    code: ERROR_CODES.RESERVATION_FAILED,
+    details: { l1_addr: l1Address }
+  });
+}
+
 export default BalanceService;
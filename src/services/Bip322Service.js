@@ -0,0 +1,561 @@
+import { createHash } from 'crypto';
+import elliptic from 'elliptic';
+import { MESSAGE_PREFIX, ADDRESS_TYPES } from '../config/constants.js';
+import { SignatureError, ValidationError, ERROR_CODES } from '../utils/errors.js';
+import { taggedHash, verifySchnorr, signSchnorr, tweakPrivateKey } from '../utils/schnorr.js';
+import AddressService from './AddressService.js';
+
+const ec = new elliptic.ec('secp256k1');
+
+const CURVE_ORDER = BigInt('0x' + ec.n.toString(16));
+
+const SIGHASH_DEFAULT = 0x00;
+const SIGHASH_ALL = 0x01;
+const OP_RETURN = Buffer.from([0x6a]);
+
+const BASE64_PATTERN = /^[A-Za-z0-9+/]+={0,2}$/;
+
+/**
+ * @param {string} message
+ * @returns {ValidationError} Error for a malformed proof
+ */
+function invalidProof(message) {
+  return new ValidationError(message, { code: ERROR_CODES.INVALID_SIGNATURE_FORMAT });
+}
+
+/**
+ * @param {Buffer} data
+ * @returns {Buffer} SHA256(data)
+ */
+function sha256(data) {
+  return createHash('sha256').update(data).digest();
+}
+
+/**
+ * @param {Buffer} data
+ * @returns {Buffer} SHA256(SHA256(data))
+ */
+function hash256(data) {
+  return sha256(sha256(data));
+}
+
+/**
+ * @param {number} n
+ * @returns {Buffer} 4-byte little-endian
+ */
+function uint32(n) {
+  const buf = Buffer.alloc(4);
+  buf.writeUInt32LE(n);
+  return buf;
+}
+
+/**
+ * @param {number|bigint} n
+ * @returns {Buffer} 8-byte little-endian
+ */
+function uint64(n) {
+  const buf = Buffer.alloc(8);
+  buf.writeBigUInt64LE(BigInt(n));
+  return buf;
+}
+
+/**
+ * @param {number} n
+ * @returns {Buffer} Bitcoin varint
+ */
+function varInt(n) {
+  if (n < 0xfd) {
+    return Buffer.from([n]);
+  }
+  if (n <= 0xffff) {
+    const buf = Buffer.alloc(3);
+    buf[0] = 0xfd;
+    buf.writeUInt16LE(n, 1);
+    return buf;
+  }
+  return Buffer.concat([Buffer.from([0xfe]), uint32(n)]);
+}
+
+/**
+ * @param {Buffer} data
+ * @returns {Buffer} Length-prefixed data
+ */
+function varSlice(data) {
+  return Buffer.concat([varInt(data.length), data]);
+}
+
+/**
+ * @param {Buffer[]} witness
+ * @returns {Buffer} Serialized witness stack
+ */
+function serializeWitness(witness) {
+  return Buffer.concat([varInt(witness.length), ...witness.map(varSlice)]);
+}
+
+/**
+ * Parse a strict DER (BIP-66) ECDSA signature with a low S value
+ * @param {Buffer} der
+ * @returns {{r: string, s: string}} Hex r and s
+ */
+function parseDerSignature(der) {
+  const notStrict = () => invalidProof('BIP-322 signature is not strict DER');
+
+  // 0x30 <len> 0x02 <rlen> <r> 0x02 <slen> <s>
+  if (der.length < 8 || der.length > 72 || der[0] !== 0x30 || der[1] !== der.length - 2) {
+    throw notStrict();
+  }
+  const rLen = der[3];
+  if (der[2] !== 0x02 || rLen === 0 || 6 + rLen > der.length) {
+    throw notStrict();
+  }
+  const sLen = der[5 + rLen];
+  if (der[4 + rLen] !== 0x02 || sLen === 0 || 6 + rLen + sLen !== der.length) {
+    throw notStrict();
+  }
+
+  const values = [der.subarray(4, 4 + rLen), der.subarray(6 + rLen)].map((value) => {
+    // Positive, minimally encoded integers
+    if (value[0] & 0x80 || (value.length > 1 && value[0] === 0 && !(value[1] & 0x80))) {
+      throw notStrict();
+    }
+    const n = BigInt('0x' + value.toString('hex'));
+    if (n === 0n || n >= CURVE_ORDER) {
+      throw invalidProof('BIP-322 signature value out of range');
+    }
+    return n;
+  });
+
+  if (values[1] > CURVE_ORDER / 2n) {
+    throw invalidProof('BIP-322 signature s value not normalized (BIP-62)');
+  }
+
+  return { r: values[0].toString(16), s: values[1].toString(16) };
+}
+
+/**
+ * Sequential reader over a serialized proof
+ */
+class ProofReader {
+  /**
+   * @param {Buffer} buffer
+   */
+  constructor(buffer) {
+    this.buffer = buffer;
+    this.offset = 0;
+  }
+
+  get done() {
+    return this.offset === this.buffer.length;
+  }
+
+  bytes(n) {
+    if (this.offset + n > this.buffer.length) {
+      throw invalidProof('BIP-322 proof is truncated');
+    }
+    const out = this.buffer.subarray(this.offset, this.offset + n);
+    this.offset += n;
+    return out;
+  }
+
+  uint8() {
+    return this.bytes(1)[0];
+  }
+
+  uint32() {
+    return this.bytes(4).readUInt32LE(0);
+  }
+
+  uint64() {
+    return this.bytes(8).readBigUInt64LE(0);
+  }
+
+  varInt() {
+    const first = this.uint8();
+    if (first < 0xfd) {
+      return first;
+    }
+    if (first === 0xfd) {
+      return this.bytes(2).readUInt16LE(0);
+    }
+    if (first === 0xfe) {
+      return this.uint32();
+    }
+    throw invalidProof('BIP-322 proof length out of range');
+  }
+
+  varSlice() {
+    return this.bytes(this.varInt());
+  }
+
+  witness() {
+    const count = this.varInt();
+    const items = [];
+    for (let i = 0; i < count; i++) {
+      items.push(this.varSlice());
+    }
+    return items;
+  }
+}
+
+/**
+ * Service for BIP-322 generic signed messages
+ *
+ * A proof is a spend of a virtual "to_spend" transaction that commits to the
+ * message and pays to the address's output script. "simple" proofs carry
+ * only the witness of the spending "to_sign" transaction; "full" proofs carry
+ * the whole transaction. Messages are hashed with MESSAGE_PREFIX as the tag,
+ * in place of BIP-322's "BIP0322-signed-message", so proofs made for Bitcoin
+ * do not verify here.
+ *
+ * P2WPKH, P2SH-P2WPKH and taproot key-path (BIP-86) proofs are supported;
+ * P2PKH addresses use compact signatures instead. Proofs of funds (extra
+ * to_sign inputs) are not supported.
+ */
+export class Bip322Service {
+  /**
+   * @param {AddressService} addressService
+   * @param {string} [tag] - Message hash tag; Bitcoin uses "BIP0322-signed-message"
+   */
+  constructor(addressService = new AddressService(), tag = MESSAGE_PREFIX) {
+    this.addressService = addressService;
+    this.tag = tag;
+  }
+
+  /**
+   * Tagged hash of a message
+   * @param {string} message
+   * @returns {Buffer} 32-byte hash
+   */
+  createMessageHash(message) {
+    return taggedHash(this.tag, Buffer.from(message, 'utf8'));
+  }
+
+  /**
+   * Decode a base64 proof, telling simple and full proofs apart
+   * @param {string} proof
+   * @returns {{format: string, witness: Buffer[], version: number, lockTime: number,
+   *   sequence: number, scriptSig?: Buffer, prevout?: {txid: Buffer, index: number}}}
+   */
+  decodeProof(proof) {
+    if (typeof proof !== 'string' || !BASE64_PATTERN.test(proof)) {
+      throw invalidProof('Signature must be 65-byte hex or a base64 BIP-322 proof');
+    }
+    const raw = Buffer.from(proof, 'base64');
+
+    // A full proof starts with the transaction version, which never reads as a complete witness stack
+    try {
+      const reader = new ProofReader(raw);
+      const witness = reader.witness();
+      if (reader.done && witness.length > 0) {
+        return { format: 'simple', witness, version: 0, lockTime: 0, sequence: 0 };
+      }
+    } catch {
+      // Not a simple proof
+    }
+
+    return this._decodeFullProof(raw);
+  }
+
+  /**
+   * @param {Buffer} raw - Serialized to_sign transaction
+   * @returns {Object} See decodeProof
+   */
+  _decodeFullProof(raw) {
+    const reader = new ProofReader(raw);
+    const version = reader.uint32();
+    if (reader.uint8() !== 0x00 || reader.uint8() !== 0x01) {
+      throw invalidProof('BIP-322 full proof must be a segwit transaction');
+    }
+
+    const inputs = [];
+    for (let i = reader.varInt(); i > 0; i--) {
+      inputs.push({
+        txid: reader.bytes(32),
+        index: reader.uint32(),
+        script: reader.varSlice(),
+        sequence: reader.uint32()
+      });
+    }
+    const outputs = [];
+    for (let i = reader.varInt(); i > 0; i--) {
+      outputs.push({ value: reader.uint64(), script: reader.varSlice() });
+    }
+    const witnesses = inputs.map(() => reader.witness());
+    const lockTime = reader.uint32();
+
+    if (!reader.done) {
+      throw invalidProof('BIP-322 full proof has trailing bytes');
+    }
+    if (inputs.length !== 1) {
+      throw invalidProof('BIP-322 proofs with additional inputs are not supported');
+    }
+    if (outputs.length !== 1 || outputs[0].value !== 0n || !outputs[0].script.equals(OP_RETURN)) {
+      throw invalidProof('BIP-322 full proof must have a single empty OP_RETURN output');
+    }
+
+    return {
+      format: 'full',
+      witness: witnesses[0],
+      scriptSig: inputs[0].script,
+      version,
+      lockTime,
+      sequence: inputs[0].sequence,
+      prevout: { txid: inputs[0].txid, index: inputs[0].index }
+    };
+  }
+
+  /**
+   * Canonical form of a proof: the hex of its witness
+   * A simple proof and the full proof wrapping it share one canonical form.
+   * @param {string} proof
+   * @returns {string}
+   */
+  canonicalize(proof) {
+    return serializeWitness(this.decodeProof(proof).witness).toString('hex');
+  }
+
+  /**
+   * Verify a proof that the key behind an address signed a message
+   * @param {string} l1Address - Normalized L1 address
+   * @param {string} message
+   * @param {string} proof - Base64 simple or full proof
+   * @returns {{publicKey: string, derivedAddress: string, format: string}} publicKey is
+   *   the output key for taproot addresses
+   */
+  verify(l1Address, message, proof) {
+    const decoded = this.decodeProof(proof);
+    const type = this._proofAddressType(l1Address);
+    const scriptPubKey = this.addressService.toOutputScript(l1Address);
+    const toSpendTxid = this._toSpendTxid(scriptPubKey, this.createMessageHash(message));
+
+    if (decoded.prevout && (!decoded.prevout.txid.equals(toSpendTxid) || decoded.prevout.index !== 0)) {
+      throw new SignatureError('BIP-322 proof does not spend the message commitment');
+    }
+
+    const publicKey = type === ADDRESS_TYPES.P2TR
+      ? this._verifyTaproot(decoded, toSpendTxid, scriptPubKey)
+      : this._verifySegwitV0(l1Address, type, decoded, toSpendTxid);
+
+    return { publicKey: publicKey.toString('hex'), derivedAddress: l1Address, format: decoded.format };
+  }
+
+  /**
+   * @param {string} l1Address
+   * @returns {string} Address type, one BIP-322 proofs are accepted for
+   */
+  _proofAddressType(l1Address) {
+    const { type } = this.addressService.decodeAddress(l1Address);
+    if (type === ADDRESS_TYPES.P2PKH) {
+      throw invalidProof('P2PKH addresses sign with a compact signature, not BIP-322');
+    }
+    if (type === ADDRESS_TYPES.P2WSH) {
+      throw invalidProof('P2WSH addresses claim with a witness script and signatures, not BIP-322');
+    }
+    return type;
+  }
+
+  /**
+   * Verify a P2WPKH or P2SH-P2WPKH witness: <signature> <public key>
+   * @returns {Buffer} Public key
+   */
+  _verifySegwitV0(l1Address, type, decoded, toSpendTxid) {
+    if (decoded.witness.length !== 2 || decoded.witness[1].length !== 33) {
+      throw invalidProof('BIP-322 witness must hold a signature and a compressed public key');
+    }
+    const [signatureWithType, publicKey] = decoded.witness;
+
+    const derivedAddress = this.addressService.publicKeyToAddress(publicKey, type);
+    if (derivedAddress !== l1Address) {
+      throw new SignatureError(
+        `Address mismatch: derived ${derivedAddress}, claimed ${l1Address}`,
+        {
+          code: ERROR_CODES.SIGNATURE_ADDRESS_MISMATCH,
+          details: { derivedAddress, claimedAddress: l1Address }
+        }
+      );
+    }
+
+    // Simple proofs leave the scriptSig implied; full proofs must carry exactly that one
+    if (decoded.scriptSig && !decoded.scriptSig.equals(this._scriptSig(publicKey, type))) {
+      throw invalidProof('BIP-322 full proof has an unexpected scriptSig');
+    }
+
+    if (signatureWithType[signatureWithType.length - 1] !== SIGHASH_ALL) {
+      throw invalidProof('BIP-322 signature must use SIGHASH_ALL');
+    }
+    const signature = parseDerSignature(signatureWithType.subarray(0, -1));
+    const sighash = this._segwitV0Sighash(toSpendTxid, publicKey, decoded);
+
+    let isValid;
+    try {
+      isValid = ec.keyFromPublic(publicKey.toString('hex'), 'hex').verify(sighash, signature);
+    } catch (err) {
+      throw new SignatureError(`BIP-322 verification failed: ${err.message}`);
+    }
+    if (!isValid) {
+      throw new SignatureError('BIP-322 signature does not verify against the message');
+    }
+
+    return publicKey;
+  }
+
+  /**
+   * Verify a taproot key-path witness: <schnorr signature>
+   * Script-path spends are not supported.
+   * @returns {Buffer} Output key
+   */
+  _verifyTaproot(decoded, toSpendTxid, scriptPubKey) {
+    if (decoded.witness.length !== 1) {
+      throw invalidProof('BIP-322 taproot witness must hold a single key-path signature');
+    }
+    if (decoded.scriptSig?.length) {
+      throw invalidProof('BIP-322 full proof has an unexpected scriptSig');
+    }
+
+    const [signature] = decoded.witness;
+    if (signature.length !== 64 && !(signature.length === 65 && signature[64] === SIGHASH_ALL)) {
+      throw invalidProof('BIP-322 taproot signature must be 64 bytes, or 65 ending in SIGHASH_ALL');
+    }
+    const hashType = signature.length === 65 ? SIGHASH_ALL : SIGHASH_DEFAULT;
+
+    const outputKey = scriptPubKey.subarray(2);
+    const sighash = this._taprootSighash(toSpendTxid, scriptPubKey, decoded, hashType);
+    if (!verifySchnorr(signature.subarray(0, 64), sighash, outputKey)) {
+      throw new SignatureError('BIP-322 signature does not verify against the message');
+    }
+
+    return outputKey;
+  }
+
+  /**
+   * Create a proof for testing purposes
+   * @param {string} privateKeyHex
+   * @param {string} l1Address - P2WPKH, P2SH-P2WPKH or BIP-86 P2TR address of the key
+   * @param {string} message
+   * @param {string} [format] - 'simple' or 'full'
+   * @returns {string} Base64 proof
+   */
+  sign(privateKeyHex, l1Address, message, format = 'simple') {
+    const type = this._proofAddressType(l1Address);
+    const scriptPubKey = this.addressService.toOutputScript(l1Address);
+    const toSpendTxid = this._toSpendTxid(scriptPubKey, this.createMessageHash(message));
+    const toSign = { version: 0, lockTime: 0, sequence: 0 };
+
+    let witness;
+    let scriptSig = Buffer.alloc(0);
+    if (type === ADDRESS_TYPES.P2TR) {
+      const sighash = this._taprootSighash(toSpendTxid, scriptPubKey, toSign, SIGHASH_DEFAULT);
+      witness = [signSchnorr(sighash, tweakPrivateKey(privateKeyHex))];
+    } else {
+      const keyPair = ec.keyFromPrivate(privateKeyHex, 'hex');
+      const publicKey = Buffer.from(keyPair.getPublic(true, 'hex'), 'hex');
+      const signature = keyPair.sign(this._segwitV0Sighash(toSpendTxid, publicKey, toSign), { canonical: true });
+      witness = [
+        Buffer.concat([Buffer.from(signature.toDER()), Buffer.from([SIGHASH_ALL])]),
+        publicKey
+      ];
+      scriptSig = this._scriptSig(publicKey, type);
+    }
+
+    if (format === 'simple') {
+      return serializeWitness(witness).toString('base64');
+    }
+
+    return Buffer.concat([
+      uint32(toSign.version),
+      Buffer.from([0x00, 0x01]),
+      varInt(1), toSpendTxid, uint32(0), varSlice(scriptSig), uint32(toSign.sequence),
+      varInt(1), uint64(0), varSlice(OP_RETURN),
+      serializeWitness(witness),
+      uint32(toSign.lockTime)
+    ]).toString('base64');
+  }
+
+  /**
+   * scriptSig of the to_sign input
+   * @param {Buffer} publicKey
+   * @param {string} type - Address type
+   * @returns {Buffer} A push of the redeem script for P2SH-P2WPKH, else empty
+   */
+  _scriptSig(publicKey, type) {
+    return type === ADDRESS_TYPES.P2SH
+      ? varSlice(this.addressService.p2wpkhScript(publicKey))
+      : Buffer.alloc(0);
+  }
+
+  /**
+   * ID of the virtual transaction that commits to the message
+   * @param {Buffer} scriptPubKey - Output script of the address
+   * @param {Buffer} messageHash
+   * @returns {Buffer} txid in internal byte order
+   */
+  _toSpendTxid(scriptPubKey, messageHash) {
+    return hash256(Buffer.concat([
+      uint32(0),
+      varInt(1), Buffer.alloc(32), uint32(0xffffffff),
+      // scriptSig: OP_0 PUSH32 <message hash>
+      varSlice(Buffer.concat([Buffer.from([0x00, 0x20]), messageHash])),
+      uint32(0),
+      varInt(1), uint64(0), varSlice(scriptPubKey),
+      uint32(0)
+    ]));
+  }
+
+  /**
+   * BIP-143 SIGHASH_ALL digest of the to_sign transaction
+   * @param {Buffer} toSpendTxid
+   * @param {Buffer} publicKey - Key of the P2WPKH or P2SH-P2WPKH address
+   * @param {{version: number, lockTime: number, sequence: number}} toSign
+   * @returns {Buffer}
+   */
+  _segwitV0Sighash(toSpendTxid, publicKey, { version, lockTime, sequence }) {
+    const outpoint = Buffer.concat([toSpendTxid, uint32(0)]);
+    // P2WPKH script code: OP_DUP OP_HASH160 <pubkey hash> OP_EQUALVERIFY OP_CHECKSIG
+    const scriptCode = Buffer.concat([
+      Buffer.from([0x76, 0xa9, 0x14]),
+      this.addressService.p2wpkhScript(publicKey).subarray(2),
+      Buffer.from([0x88, 0xac])
+    ]);
+
+    return hash256(Buffer.concat([
+      uint32(version),
+      hash256(outpoint),
+      hash256(uint32(sequence)),
+      outpoint,
+      varSlice(scriptCode),
+      uint64(0),
+      uint32(sequence),
+      hash256(Buffer.concat([uint64(0), varSlice(OP_RETURN)])),
+      uint32(lockTime),
+      uint32(SIGHASH_ALL)
+    ]));
+  }
+
+  /**
+   * BIP-341 key-path digest of the to_sign transaction
+   * @param {Buffer} toSpendTxid
+   * @param {Buffer} scriptPubKey - P2TR output script
+   * @param {{version: number, lockTime: number, sequence: number}} toSign
+   * @param {number} hashType - SIGHASH_DEFAULT or SIGHASH_ALL
+   * @returns {Buffer}
+   */
+  _taprootSighash(toSpendTxid, scriptPubKey, { version, lockTime, sequence }, hashType) {
+    return taggedHash('TapSighash', Buffer.concat([
+      // Epoch, hash type
+      Buffer.from([0x00, hashType]),
+      uint32(version),
+      uint32(lockTime),
+      sha256(Buffer.concat([toSpendTxid, uint32(0)])),
+      // Amounts and scripts of the spent outputs
+      sha256(uint64(0)),
+      sha256(varSlice(scriptPubKey)),
+      sha256(uint32(sequence)),
+      sha256(Buffer.concat([uint64(0), varSlice(OP_RETURN)])),
+      // Spend type: key path, no annex; input index
+      Buffer.from([0x00]),
+      uint32(0)
+    ]));
+  }
+}
+
+export default Bip322Service;
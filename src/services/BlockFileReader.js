@@ -0,0 +1,312 @@
+import { closeSync, existsSync, openSync, readdirSync, readFileSync, readSync } from 'fs';
+import { join } from 'path';
+import { hash256, merkleRoot, parseBlock, parseBlockHeader } from '../utils/transaction.js';
+
+const BLOCK_FILE_PATTERN = /^blk(\d+)\.dat$/;
+const NULL_HASH = '00'.repeat(32);
+
+/**
+ * Header rules of chains that keep Bitcoin's: 80-byte headers, identified by
+ * their double SHA-256 hash, which must meet the target of their nBits
+ * Chains with another header size or proof of work pass their own rules to
+ * the reader; the standard fields must still come first (see parseBlockHeader).
+ */
+export const SHA256D_HEADERS = {
+  size: 80,
+  hash: (header) => hash256(header).reverse().toString('hex'),
+  checkProofOfWork: (header, { hash, bits }) => meetsTarget(hash, bits)
+};
+
+/**
+ * Offline reader for a node's raw block files (blocks/blk*.dat)
+ *
+ * The files hold blocks in the order they were downloaded, stale forks
+ * included, each record being <magic><size><block>. buildIndex() reads every
+ * header and drops those that fail proof of work (by default, whose hash
+ * does not meet their own target), with their descendants. The LevelDB block index, which records the blocks the
+ * node rejected, is not read: headers alone cannot tell a block that failed
+ * validation from a valid one, so chainTo() rebuilds the chain back from a
+ * block the caller trusts. readBlock() checks each block's transactions
+ * against its merkle root. Files obfuscated with blocks/xor.dat are supported.
+ */
+export class BlockFileReader {
+  /**
+   * @param {string} blocksDir - The node's blocks directory
+   * @param {Object} options
+   * @param {number} options.magic - Network magic of the expected chain, as
+   *   the little-endian uint32 that starts every record
+   * @param {{size: number, hash: function(Buffer): string,
+   *   checkProofOfWork: function(Buffer, Object): boolean}} [options.headers] -
+   *   Header size, block hash and proof of work check; SHA256D_HEADERS by default
+   */
+  constructor(blocksDir, options = {}) {
+    if (!Number.isInteger(options.magic)) {
+      throw new Error('The network magic of the expected chain is required');
+    }
+
+    this.blocksDir = blocksDir;
+    this.magic = options.magic;
+    this.headers = options.headers ?? SHA256D_HEADERS;
+    this.files = readdirSync(blocksDir)
+      .filter((name) => BLOCK_FILE_PATTERN.test(name))
+      .sort((a, b) => Number(a.match(BLOCK_FILE_PATTERN)[1]) - Number(b.match(BLOCK_FILE_PATTERN)[1]));
+    if (this.files.length === 0) {
+      throw new Error(`No blk*.dat files in ${blocksDir}`);
+    }
+
+    const xorPath = join(blocksDir, 'xor.dat');
+    const xorKey = existsSync(xorPath) ? readFileSync(xorPath) : null;
+    this.xorKey = xorKey && xorKey.some((byte) => byte !== 0) ? xorKey : null;
+
+    this.blocks = new Map();
+    this.fds = new Map();
+  }
+
+  /**
+   * Read every block header in the files
+   * @returns {number} Blocks found
+   * @throws {Error} If a record does not start with the expected network magic
+   */
+  buildIndex() {
+    for (const file of this.files) {
+      this._indexFile(file);
+    }
+    return this.blocks.size;
+  }
+
+  /**
+   * Blocks from the genesis block to the given one, indexed by height
+   * @param {string} hash - Block the chain ends at
+   * @returns {Array<{hash: string, prevHash: string, file: string, offset: number, size: number}>}
+   * @throws {Error} If the block is not in the files, or does not descend from
+   *   a genesis block through headers with valid proof of work
+   */
+  chainTo(hash) {
+    const tip = this.blocks.get(hash);
+    if (!tip) {
+      throw new Error(`Block ${hash} is not in ${this.blocksDir}`);
+    }
+    this._resolve(tip);
+    if (tip.height < 0) {
+      throw new Error(`Block ${hash} in ${this.blocksDir} does not descend from a genesis block with valid proof of work`);
+    }
+    return this._chainFrom(tip);
+  }
+
+  /**
+   * Blocks of the valid chain with the most work, indexed by height
+   * Blocks the node rejected for other reasons than proof of work may be on it.
+   * @returns {Array<{hash: string, prevHash: string, file: string, offset: number, size: number}>}
+   */
+  bestChain() {
+    let tip = null;
+    for (const block of this.blocks.values()) {
+      this._resolve(block);
+      if (block.height >= 0 && (!tip || block.work > tip.work)) {
+        tip = block;
+      }
+    }
+    if (!tip) {
+      throw new Error(`No chain from a genesis block found in ${this.blocksDir}`);
+    }
+    return this._chainFrom(tip);
+  }
+
+  /**
+   * Read and parse one block
+   * @param {{hash: string, file: string, offset: number, size: number}} entry - From chainTo() or bestChain()
+   * @returns {Object} See parseBlock
+   * @throws {Error} If the block changed since indexing, or its transactions
+   *   do not match its merkle root
+   */
+  readBlock(entry) {
+    const raw = Buffer.alloc(entry.size);
+    readSync(this._open(entry.file), raw, 0, entry.size, entry.offset);
+    this._deobfuscate(raw, entry.offset);
+
+    const { size } = this.headers;
+    const block = { ...parseBlock(raw, size), hash: this.headers.hash(raw.subarray(0, size)) };
+    if (block.hash !== entry.hash) {
+      throw new Error(`Block at ${entry.file}:${entry.offset} changed since indexing`);
+    }
+
+    const { root, mutated } = block.transactions.length > 0
+      ? merkleRoot(block.transactions.map(({ txid }) => txid))
+      : { root: null, mutated: false };
+    if (root !== block.merkleRoot || mutated) {
+      throw new Error(`Block ${entry.hash} at ${entry.file}:${entry.offset} does not match its merkle root; the files are corrupted`);
+    }
+    return block;
+  }
+
+  /**
+   * Close the open block files
+   */
+  close() {
+    for (const fd of this.fds.values()) {
+      closeSync(fd);
+    }
+    this.fds.clear();
+  }
+
+  /**
+   * @param {string} file
+   */
+  _indexFile(file) {
+    const data = readFileSync(join(this.blocksDir, file));
+    this._deobfuscate(data, 0);
+
+    let offset = 0;
+    while (offset + 8 <= data.length) {
+      const magic = data.readUInt32LE(offset);
+      // The node preallocates files; the zero-filled tail holds no blocks
+      if (magic === 0) {
+        break;
+      }
+      if (magic !== this.magic) {
+        throw new Error(
+          `Unexpected network magic ${formatMagic(magic)} in ${file} at offset ${offset}, ` +
+          `expected ${formatMagic(this.magic)}: the files are from another network or corrupted`
+        );
+      }
+
+      const size = data.readUInt32LE(offset + 4);
+      const start = offset + 8;
+      // A block cut short was being written when the files were copied
+      if (size < this.headers.size || start + size > data.length) {
+        break;
+      }
+
+      const header = data.subarray(start, start + this.headers.size);
+      const fields = { ...parseBlockHeader(header), hash: this.headers.hash(header) };
+      const { hash, prevHash, bits } = fields;
+      if (!this.blocks.has(hash)) {
+        this.blocks.set(hash, {
+          hash, prevHash, bits, file, offset: start, size, height: null, work: 0n,
+          validPow: this.headers.checkProofOfWork(header, fields)
+        });
+      }
+      offset = start + size;
+    }
+  }
+
+  /**
+   * @param {Object} tip - Resolved block
+   * @returns {Array<Object>} Blocks from the genesis block to tip, indexed by height
+   */
+  _chainFrom(tip) {
+    const chain = new Array(tip.height + 1);
+    for (let block = tip; block; block = this.blocks.get(block.prevHash)) {
+      chain[block.height] = block;
+    }
+    return chain;
+  }
+
+  /**
+   * Set height and cumulative work of a block and its unresolved ancestors
+   * Blocks that fail proof of work, or whose ancestry does not reach a
+   * genesis block through blocks that pass it, get height -1.
+   * @param {Object} block
+   */
+  _resolve(block) {
+    const pending = [];
+    let current = block;
+    while (current && current.height === null) {
+      pending.push(current);
+      if (current.prevHash === NULL_HASH) {
+        break;
+      }
+      current = this.blocks.get(current.prevHash);
+    }
+
+    for (let i = pending.length - 1; i >= 0; i--) {
+      const entry = pending[i];
+      const parent = entry.prevHash === NULL_HASH ? null : this.blocks.get(entry.prevHash);
+      if (!entry.validPow) {
+        entry.height = -1;
+      } else if (entry.prevHash === NULL_HASH) {
+        entry.height = 0;
+        entry.work = blockWork(entry.bits);
+      } else if (!parent || parent.height < 0) {
+        entry.height = -1;
+      } else {
+        entry.height = parent.height + 1;
+        entry.work = parent.work + blockWork(entry.bits);
+      }
+    }
+  }
+
+  /**
+   * Undo blocks/xor.dat obfuscation in place
+   * @param {Buffer} data
+   * @param {number} position - File offset of data[0]
+   */
+  _deobfuscate(data, position) {
+    if (!this.xorKey) {
+      return;
+    }
+    for (let i = 0; i < data.length; i++) {
+      data[i] ^= this.xorKey[(position + i) % this.xorKey.length];
+    }
+  }
+
+  /**
+   * @param {string} file
+   * @returns {number} File descriptor, opened once
+   */
+  _open(file) {
+    if (!this.fds.has(file)) {
+      this.fds.set(file, openSync(join(this.blocksDir, file), 'r'));
+    }
+    return this.fds.get(file);
+  }
+}
+
+/**
+ * Target a block hash must not exceed, from its compact form
+ * @param {number} bits - nBits
+ * @returns {bigint} 0 for negative, zero or overflowing targets, which no hash meets
+ */
+function blockTarget(bits) {
+  const exponent = bits >>> 24;
+  const mantissa = BigInt(bits & 0x007fffff);
+  if ((bits & 0x00800000) && mantissa !== 0n) {
+    return 0n;
+  }
+  const target = exponent <= 3
+    ? mantissa >> BigInt(8 * (3 - exponent))
+    : mantissa << BigInt(8 * (exponent - 3));
+  return target < (1n << 256n) ? target : 0n;
+}
+
+/**
+ * @param {string} hash - Block hash, display byte order
+ * @param {number} bits - nBits
+ * @returns {boolean} Whether the hash meets the target its header claims
+ */
+function meetsTarget(hash, bits) {
+  const target = blockTarget(bits);
+  return target > 0n && BigInt(`0x${hash}`) <= target;
+}
+
+/**
+ * Expected number of hashes to mine a block, from its compact target
+ * @param {number} bits - nBits
+ * @returns {bigint}
+ */
+function blockWork(bits) {
+  const target = blockTarget(bits);
+  return target === 0n ? 0n : (1n << 256n) / (target + 1n);
+}
+
+/**
+ * @param {number} magic
+ * @returns {string} The magic bytes in file order, as hex
+ */
+function formatMagic(magic) {
+  const bytes = Buffer.alloc(4);
+  bytes.writeUInt32LE(magic);
+  return bytes.toString('hex');
+}
+
+export default BlockFileReader;
@@ -1,6 +1,19 @@
 import { request } from 'undici';
-import { FaucetError } from '../utils/errors.js';
+import { FaucetError, MintOutcomeUnknownError, ERROR_CODES } from '../utils/errors.js';
 import config from '../config/index.js';
+import { TOKEN_CONFIG } from '../config/constants.js';
+import { upstreamMintDuration, upstreamMintFailuresTotal } from '../utils/metrics.js';
+
+// Connection errors raised before the request could reach upstream
+const NOT_SENT_ERROR_CODES = new Set([
+  'ECONNREFUSED',
+  'ENOTFOUND',
+  'EAI_AGAIN',
+  'UND_ERR_CONNECT_TIMEOUT'
+]);
+
+// Timeout for health and coin list checks
+const CHECK_TIMEOUT_MS = 5000;
 
 /**
  * Service for proxying requests to upstream faucet
@@ -8,23 +21,47 @@ import config from '../config/index.js';
 export class FaucetProxyService {
   /**
    * @param {string} faucetEndpoint - Base URL of upstream faucet
+   * @param {number} timeoutMs - Upstream mint timeout in milliseconds
    */
-  constructor(faucetEndpoint = config.faucetEndpoint) {
+  constructor(faucetEndpoint = config.faucetEndpoint, timeoutMs = config.faucetTimeoutMs) {
     // Ensure endpoint doesn't have trailing slash
     this.faucetEndpoint = faucetEndpoint.replace(/\/+$/, '');
+    this.timeoutMs = timeoutMs;
   }
 
   /**
    * Submit a mint request to the upstream faucet
+   * Throws FaucetError when upstream definitely did not mint (4xx response or
+   * unreachable host) and MintOutcomeUnknownError when it may have (timeouts,
+   * dropped connections, 5xx responses, unreadable success bodies).
    * @param {string} unicityId - L3 destination Unicity ID
    * @param {number} amountInCoins - Amount in coin units (not satoshis)
+   * @param {string} [coin] - Upstream coin name
    * @returns {Promise<{success: boolean, txId?: string, data?: object}>}
    */
-  async mintToken(unicityId, amountInCoins) {
+  async mintToken(unicityId, amountInCoins, coin = TOKEN_CONFIG.name) {
+    const endTimer = upstreamMintDuration.startTimer();
+    try {
+      const result = await this._mintToken(unicityId, amountInCoins, coin);
+      endTimer({ result: 'success' });
+      return result;
+    } catch (err) {
+      endTimer({ result: err instanceof MintOutcomeUnknownError ? 'unknown' : 'rejected' });
+      upstreamMintFailuresTotal.inc({ error: err.name });
+      throw err;
+    }
+  }
+
+  /**
+   * Submit a mint request to the upstream faucet (untimed)
+   * @see mintToken
+   */
+  async _mintToken(unicityId, amountInCoins, coin) {
     const url = `${this.faucetEndpoint}/api/v1/faucet/request`;
 
+    let response;
     try {
-      const response = await request(url, {
+      response = await request(url, {
         method: 'POST',
         headers: {
           'Content-Type': 'application/json',
@@ -32,30 +69,49 @@ export class FaucetProxyService {
         },
         body: JSON.stringify({
           unicityId: unicityId,
-          coin: 'alpha_test',
+          coin,
           amount: amountInCoins
         }),
+        headersTimeout: this.timeoutMs,
+        bodyTimeout: this.timeoutMs,
         throwOnError: false
       });
-
-      const body = await response.body.json();
-
-      if (response.statusCode !== 200) {
-        const errorMsg = body.error || body.message || 'Unknown upstream error';
-        throw new FaucetError(`Upstream faucet error: ${errorMsg}`);
+    } catch (err) {
+      if (NOT_SENT_ERROR_CODES.has(err.code)) {
+        throw new FaucetError(`Failed to contact upstream faucet: ${err.message}`, {
+          code: ERROR_CODES.UPSTREAM_UNAVAILABLE
+        });
       }
+      throw new MintOutcomeUnknownError(`Upstream faucet did not respond: ${err.message}`);
+    }
 
-      return {
-        success: true,
-        txId: body.data?.requestId || body.txId || 'unknown',
-        data: body
-      };
+    let body;
+    try {
+      body = await response.body.json();
     } catch (err) {
-      if (err instanceof FaucetError) {
-        throw err;
+      if (response.statusCode >= 400 && response.statusCode < 500) {
+        throw new FaucetError(`Upstream faucet error: HTTP ${response.statusCode}`);
       }
-      throw new FaucetError(`Failed to contact upstream faucet: ${err.message}`);
+      throw new MintOutcomeUnknownError(
+        `Unreadable upstream response (HTTP ${response.statusCode}): ${err.message}`
+      );
     }
+
+    if (response.statusCode !== 200) {
+      const errorMsg = body?.error || body?.message || 'Unknown upstream error';
+      if (response.statusCode >= 400 && response.statusCode < 500) {
+        throw new FaucetError(`Upstream faucet error: ${errorMsg}`);
+      }
+      throw new MintOutcomeUnknownError(
+        `Upstream faucet error (HTTP ${response.statusCode}): ${errorMsg}`
+      );
+    }
+
+    return {
+      success: true,
+      txId: body?.data?.requestId || body?.txId || 'unknown',
+      data: body
+    };
   }
 
   /**
@@ -66,8 +122,11 @@ export class FaucetProxyService {
     try {
       const response = await request(`${this.faucetEndpoint}/health`, {
         method: 'GET',
+        headersTimeout: CHECK_TIMEOUT_MS,
+        bodyTimeout: CHECK_TIMEOUT_MS,
         throwOnError: false
       });
+      await response.body.dump();
 
       return response.statusCode === 200;
     } catch {
@@ -86,11 +145,16 @@ export class FaucetProxyService {
         headers: {
           'Accept': 'application/json'
         },
+        headersTimeout: CHECK_TIMEOUT_MS,
+        bodyTimeout: CHECK_TIMEOUT_MS,
         throwOnError: false
       });
 
       if (response.statusCode !== 200) {
-        throw new FaucetError('Failed to fetch coins from upstream');
+        await response.body.dump();
+        throw new FaucetError('Failed to fetch coins from upstream', {
+          code: ERROR_CODES.UPSTREAM_UNAVAILABLE
+        });
       }
 
       const body = await response.body.json();
@@ -99,7 +163,9 @@ export class FaucetProxyService {
       if (err instanceof FaucetError) {
         throw err;
       }
-      throw new FaucetError(`Failed to fetch coins: ${err.message}`);
+      throw new FaucetError(`Failed to fetch coins: ${err.message}`, {
+        code: ERROR_CODES.UPSTREAM_UNAVAILABLE
+      });
     }
   }
 }
@@ -0,0 +1,321 @@
+import WebSocket from 'ws';
+import config from '../config/index.js';
+import {
+  ELECTRUM_PROTOCOL_VERSION,
+  MAX_LIVE_HISTORY,
+  SATOSHIS_PER_COIN
+} from '../config/constants.js';
+import { FulcrumError } from '../utils/errors.js';
+import { fulcrumRequestDuration } from '../utils/metrics.js';
+import { hash256 } from '../utils/transaction.js';
+import AddressService from './AddressService.js';
+
+const CLIENT_NAME = 'alphatest-faucet';
+
+/**
+ * Electrum protocol client for a Fulcrum server over WebSocket
+ *
+ * One connection is opened on first use, greeted with `server.version` and
+ * shared by every request; JSON-RPC ids match replies to requests, which may
+ * also be sent as one JSON-RPC batch. A dropped connection fails the requests
+ * in flight and is reopened by the next one. Subscription notifications are
+ * ignored.
+ */
+export class FulcrumService {
+  /**
+   * @param {string} endpoint - ws:// or wss:// URL of the Fulcrum server
+   * @param {Object} [options]
+   * @param {number} [options.timeoutMs] - Connect and per-request timeout
+   * @param {AddressService} [options.addressService]
+   */
+  constructor(endpoint = config.fulcrumEndpoint, options = {}) {
+    this.endpoint = endpoint;
+    this.timeoutMs = options.timeoutMs ?? config.fulcrumTimeoutMs;
+    this.addressService = options.addressService || new AddressService();
+
+    this.socket = null;
+    this.connecting = null;
+    this.nextId = 1;
+    this.pending = new Map();
+  }
+
+  /**
+   * Call an Electrum protocol method
+   * @param {string} method - e.g. 'blockchain.scripthash.get_balance'
+   * @param {Array} [params]
+   * @returns {Promise<*>} The result member of the reply
+   * @throws {FulcrumError} If the server is unreachable, times out or returns an error
+   */
+  async request(method, params = []) {
+    const endTimer = fulcrumRequestDuration.startTimer();
+    try {
+      await this._connect();
+      const result = await this._send(method, params);
+      endTimer({ method, result: 'success' });
+      return result;
+    } catch (err) {
+      endTimer({ method, result: 'error' });
+      throw err;
+    }
+  }
+
+  /**
+   * Call several methods in one JSON-RPC batch
+   * @param {Array<[string, Array]>} calls - [method, params] pairs
+   * @returns {Promise<Array>} Results in call order
+   * @throws {FulcrumError} If any call fails
+   */
+  async requestBatch(calls) {
+    if (calls.length === 0) {
+      return [];
+    }
+
+    const endTimer = fulcrumRequestDuration.startTimer();
+    const method = 'batch';
+    try {
+      await this._connect();
+      const results = await Promise.all(this._sendBatch(calls));
+      endTimer({ method, result: 'success' });
+      return results;
+    } catch (err) {
+      endTimer({ method, result: 'error' });
+      throw err;
+    }
+  }
+
+  /**
+   * Current chain tip
+   * @returns {Promise<{height: number, hex: string}>}
+   */
+  async getTip() {
+    return this.request('blockchain.headers.subscribe');
+  }
+
+  /**
+   * Confirmed and unconfirmed balance of an address, in satoshis
+   * @param {string} l1Address
+   * @returns {Promise<{confirmed: number, unconfirmed: number}>}
+   */
+  async getBalance(l1Address) {
+    return this.request('blockchain.scripthash.get_balance', [
+      this.addressService.computeScriptHash(l1Address)
+    ]);
+  }
+
+  /**
+   * Transactions touching an address, confirmed ones first in block order
+   * Mempool transactions have height 0, or -1 if they have unconfirmed parents.
+   * @param {string} l1Address
+   * @returns {Promise<Array<{tx_hash: string, height: number, fee?: number}>>}
+   */
+  async getHistory(l1Address) {
+    return this.request('blockchain.scripthash.get_history', [
+      this.addressService.computeScriptHash(l1Address)
+    ]);
+  }
+
+  /**
+   * Unspent outputs of an address, including mempool ones (height 0)
+   * @param {string} l1Address
+   * @returns {Promise<Array<{tx_hash: string, tx_pos: number, height: number, value: number}>>}
+   */
+  async getUnspent(l1Address) {
+    return this.request('blockchain.scripthash.listunspent', [
+      this.addressService.computeScriptHash(l1Address)
+    ]);
+  }
+
+  /**
+   * @param {string} txid
+   * @returns {Promise<string>} Raw transaction hex
+   */
+  async getTransaction(txid) {
+    return this.request('blockchain.transaction.get', [txid]);
+  }
+
+  /**
+   * Hash of the block at a height
+   * @param {number} height
+   * @returns {Promise<string>} Block hash in display (reversed) byte order
+   */
+  async getBlockHash(height) {
+    const header = await this.request('blockchain.block.header', [height]);
+    return hash256(Buffer.from(header, 'hex')).reverse().toString('hex');
+  }
+
+  /**
+   * On-chain state of an address, as shown next to its snapshot balance
+   * @param {string} l1Address
+   * @returns {Promise<Object>} Balances, tip height and the most recent
+   *   MAX_LIVE_HISTORY transactions, newest first
+   */
+  async getAddressSummary(l1Address) {
+    const [balance, history, tip] = await Promise.all([
+      this.getBalance(l1Address),
+      this.getHistory(l1Address),
+      this.getTip()
+    ]);
+
+    return {
+      confirmed: balance.confirmed / Number(SATOSHIS_PER_COIN),
+      confirmedInSmallUnits: balance.confirmed,
+      unconfirmed: balance.unconfirmed / Number(SATOSHIS_PER_COIN),
+      unconfirmedInSmallUnits: balance.unconfirmed,
+      tipHeight: tip.height,
+      historyCount: history.length,
+      history: history
+        .slice(-MAX_LIVE_HISTORY)
+        .reverse()
+        .map(({ tx_hash, height }) => ({ txHash: tx_hash, height }))
+    };
+  }
+
+  /**
+   * Close the connection; the next request reopens it
+   */
+  close() {
+    if (this.socket) {
+      this.socket.close();
+    }
+  }
+
+  /**
+   * Open the connection and negotiate the protocol version, once
+   * @returns {Promise<void>}
+   */
+  _connect() {
+    if (!this.connecting) {
+      this.connecting = this._open().catch((err) => {
+        this.connecting = null;
+        throw err;
+      });
+    }
+    return this.connecting;
+  }
+
+  /**
+   * @returns {Promise<void>}
+   */
+  async _open() {
+    const socket = new WebSocket(this.endpoint, { handshakeTimeout: this.timeoutMs });
+    this.socket = socket;
+
+    socket.on('message', (data) => this._onMessage(data));
+    socket.on('close', () => {
+      if (this.socket === socket) {
+        this.socket = null;
+        this.connecting = null;
+      }
+      this._failPending(new FulcrumError(`Fulcrum connection to ${this.endpoint} closed`));
+    });
+
+    await new Promise((resolve, reject) => {
+      socket.once('open', resolve);
+      socket.once('error', (err) => {
+        reject(new FulcrumError(`Failed to connect to Fulcrum at ${this.endpoint}: ${err.message}`));
+      });
+    });
+    // Later errors are followed by 'close', which fails the pending requests
+    socket.on('error', () => {});
+
+    try {
+      await this._send('server.version', [CLIENT_NAME, ELECTRUM_PROTOCOL_VERSION]);
+    } catch (err) {
+      socket.close();
+      throw err;
+    }
+  }
+
+  /**
+   * @param {string} method
+   * @param {Array} params
+   * @returns {Promise<*>}
+   */
+  _send(method, params) {
+    const { message, promise } = this._track(method, params);
+    this.socket.send(JSON.stringify(message));
+    return promise;
+  }
+
+  /**
+   * @param {Array<[string, Array]>} calls
+   * @returns {Promise[]} One promise per call
+   */
+  _sendBatch(calls) {
+    const tracked = calls.map(([method, params]) => this._track(method, params));
+    this.socket.send(JSON.stringify(tracked.map(({ message }) => message)));
+    return tracked.map(({ promise }) => promise);
+  }
+
+  /**
+   * Register a request awaiting its reply
+   * @param {string} method
+   * @param {Array} params
+   * @returns {{message: Object, promise: Promise}}
+   */
+  _track(method, params) {
+    const id = this.nextId++;
+    const promise = new Promise((resolve, reject) => {
+      const timer = setTimeout(() => {
+        this.pending.delete(id);
+        reject(new FulcrumError(`Fulcrum ${method} timed out after ${this.timeoutMs}ms`));
+      }, this.timeoutMs);
+
+      this.pending.set(id, { method, resolve, reject, timer });
+    });
+    // A failed batch member must not be reported as unhandled before Promise.all sees it
+    promise.catch(() => {});
+
+    return { message: { jsonrpc: '2.0', id, method, params }, promise };
+  }
+
+  /**
+   * @param {Buffer|string} data - JSON-RPC reply, batch of replies, or notification
+   */
+  _onMessage(data) {
+    let replies;
+    try {
+      replies = [].concat(JSON.parse(data.toString()));
+    } catch {
+      return;
+    }
+
+    for (const reply of replies) {
+      this._settle(reply);
+    }
+  }
+
+  /**
+   * @param {Object} reply - One JSON-RPC reply
+   */
+  _settle(reply) {
+    const request = this.pending.get(reply?.id);
+    if (!request) {
+      return;
+    }
+    this.pending.delete(reply.id);
+    clearTimeout(request.timer);
+
+    if (reply.error) {
+      request.reject(new FulcrumError(
+        `Fulcrum ${request.method} failed: ${reply.error.message || JSON.stringify(reply.error)}`,
+        { details: { method: request.method, error: reply.error } }
+      ));
+    } else {
+      request.resolve(reply.result);
+    }
+  }
+
+  /**
+   * @param {FulcrumError} error
+   */
+  _failPending(error) {
+    for (const { reject, timer } of this.pending.values()) {
+      clearTimeout(timer);
+      reject(error);
+    }
+    this.pending.clear();
+  }
+}
+
+export default FulcrumService;
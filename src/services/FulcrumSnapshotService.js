@@ -0,0 +1,218 @@
+import {
+  SNAPSHOT_QUERY_BATCH_SIZE,
+  SNAPSHOT_CONCURRENCY
+} from '../config/constants.js';
+import { parseTransaction } from '../utils/transaction.js';
+
+// Default number of parsed transactions kept for reuse across addresses before the cache is reset
+const MAX_CACHED_TRANSACTIONS = 50_000;
+
+/**
+ * Reconstruct address balances at a past block height from a Fulcrum server
+ *
+ * Fulcrum only knows the current UTXO set, so for each address the balance at
+ * the target height is the sum of:
+ * - current UTXOs confirmed at or below the target, and
+ * - outputs confirmed at or below the target that were spent afterwards,
+ *   found by parsing the address's later (or mempool) transactions and
+ *   looking up the outputs their inputs spend.
+ *
+ * Addresses are queried in JSON-RPC batches, with a bounded number of
+ * batches in flight.
+ */
+export class FulcrumSnapshotService {
+  /**
+   * @param {import('./FulcrumService.js').FulcrumService} fulcrumService
+   * @param {Object} [options]
+   * @param {number} [options.batchSize] - Addresses or transactions per JSON-RPC batch
+   * @param {number} [options.concurrency] - Batches in flight
+   * @param {number} [options.maxCachedTransactions] - Parsed transactions kept
+   *   for reuse before the cache is reset
+   */
+  constructor(fulcrumService, options = {}) {
+    this.fulcrum = fulcrumService;
+    this.addressService = fulcrumService.addressService;
+    this.batchSize = options.batchSize ?? SNAPSHOT_QUERY_BATCH_SIZE;
+    this.concurrency = options.concurrency ?? SNAPSHOT_CONCURRENCY;
+    this.maxCachedTransactions = options.maxCachedTransactions ?? MAX_CACHED_TRANSACTIONS;
+
+    this.transactions = new Map();
+  }
+
+  /**
+   * Balances of the given addresses at a block height
+   * @param {string[]} addresses - Valid, normalized L1 addresses
+   * @param {number} blockHeight
+   * @param {Object} [options]
+   * @param {function(Array<[string, bigint]>): void} [options.onBatch] - Called with
+   *   each finished batch of [address, satoshis], zero balances included
+   * @returns {Promise<{balances: Map<string, bigint>, blockHash: string, tipHeight: number}>}
+   * @throws {Error} If the target height is above the server's tip
+   * @throws {FulcrumError} If the server fails
+   */
+  async scan(addresses, blockHeight, options = {}) {
+    const tip = await this.fulcrum.getTip();
+    if (blockHeight > tip.height) {
+      throw new Error(`Block ${blockHeight} not yet reached. Current height: ${tip.height}`);
+    }
+    const blockHash = await this.fulcrum.getBlockHash(blockHeight);
+
+    const balances = new Map();
+    await runWithConcurrency(chunk(addresses, this.batchSize), this.concurrency, async (batch) => {
+      const entries = await this._scanBatch(batch, blockHeight);
+      for (const [address, amount] of entries) {
+        balances.set(address, amount);
+      }
+      if (options.onBatch) {
+        options.onBatch(entries);
+      }
+    });
+
+    return { balances, blockHash, tipHeight: tip.height };
+  }
+
+  /**
+   * @param {string[]} addresses
+   * @param {number} blockHeight
+   * @returns {Promise<Array<[string, bigint]>>}
+   */
+  async _scanBatch(addresses, blockHeight) {
+    const calls = [];
+    for (const address of addresses) {
+      const scriptHash = this.addressService.computeScriptHash(address);
+      calls.push(['blockchain.scripthash.listunspent', [scriptHash]]);
+      calls.push(['blockchain.scripthash.get_history', [scriptHash]]);
+    }
+    const results = await this.fulcrum.requestBatch(calls);
+
+    return Promise.all(addresses.map(async (address, i) => [
+      address,
+      await this._balanceAt(address, blockHeight, results[2 * i], results[2 * i + 1])
+    ]));
+  }
+
+  /**
+   * @param {string} address
+   * @param {number} blockHeight
+   * @param {Array<{tx_hash: string, tx_pos: number, height: number, value: number}>} utxos
+   * @param {Array<{tx_hash: string, height: number}>} history
+   * @returns {Promise<bigint>} Satoshis held at the end of blockHeight
+   */
+  async _balanceAt(address, blockHeight, utxos, history) {
+    const confirmedBy = (height) => height > 0 && height <= blockHeight;
+    const counted = new Set();
+    let balance = 0n;
+
+    for (const utxo of utxos) {
+      const outpoint = `${utxo.tx_hash}:${utxo.tx_pos}`;
+      if (confirmedBy(utxo.height) && !counted.has(outpoint)) {
+        counted.add(outpoint);
+        balance += BigInt(utxo.value);
+      }
+    }
+
+    // Inputs of later transactions that spend outputs this address held at the target
+    const earlier = new Set(history.filter(({ height }) => confirmedBy(height)).map(({ tx_hash }) => tx_hash));
+    const later = history.filter(({ height }) => !confirmedBy(height)).map(({ tx_hash }) => tx_hash);
+    if (earlier.size === 0 || later.length === 0) {
+      return balance;
+    }
+
+    const spent = [];
+    for (const tx of await this._getTransactions(later)) {
+      for (const input of tx.inputs) {
+        const outpoint = `${input.txid}:${input.vout}`;
+        if (earlier.has(input.txid) && !counted.has(outpoint)) {
+          counted.add(outpoint);
+          spent.push(input);
+        }
+      }
+    }
+    if (spent.length === 0) {
+      return balance;
+    }
+
+    const script = this.addressService.toOutputScript(address);
+    const funding = await this._getTransactions([...new Set(spent.map(({ txid }) => txid))]);
+    const byTxid = new Map(funding.map((tx) => [tx.txid, tx]));
+    for (const { txid, vout } of spent) {
+      const output = byTxid.get(txid).outputs[vout];
+      if (output && output.script.equals(script)) {
+        balance += output.value;
+      }
+    }
+
+    return balance;
+  }
+
+  /**
+   * Fetch and parse transactions, reusing ones fetched for earlier addresses
+   * @param {string[]} txids
+   * @returns {Promise<Object[]>} Parsed transactions in txids order
+   */
+  async _getTransactions(txids) {
+    // Taken before a reset, which must not drop transactions this call returns
+    const requested = new Map(txids.map((txid) => [txid, this.transactions.get(txid)]));
+    const missing = [...requested.keys()].filter((txid) => !requested.get(txid));
+    if (this.transactions.size + missing.length > this.maxCachedTransactions) {
+      this.transactions.clear();
+    }
+
+    for (const batch of chunk(missing, this.batchSize)) {
+      const fetched = this.fulcrum
+        .requestBatch(batch.map((txid) => ['blockchain.transaction.get', [txid]]))
+        .then((raws) => raws.map(parseTransaction));
+      batch.forEach((txid, i) => {
+        const tx = fetched.then((txs) => txs[i]);
+        requested.set(txid, tx);
+        this.transactions.set(txid, tx);
+      });
+      // A failed fetch must not poison the cache for a retry
+      fetched.catch(() => batch.forEach((txid) => this.transactions.delete(txid)));
+    }
+
+    return Promise.all(txids.map((txid) => requested.get(txid)));
+  }
+}
+
+/**
+ * @param {Array} items
+ * @param {number} size
+ * @returns {Array<Array>}
+ */
+function chunk(items, size) {
+  const chunks = [];
+  for (let i = 0; i < items.length; i += size) {
+    chunks.push(items.slice(i, i + size));
+  }
+  return chunks;
+}
+
+/**
+ * Run a task for every item with at most `limit` running at once
+ * The first failure stops further tasks from starting and is rethrown.
+ * @param {Array} items
+ * @param {number} limit
+ * @param {function(*): Promise<void>} task
+ * @returns {Promise<void>}
+ */
+async function runWithConcurrency(items, limit, task) {
+  let next = 0;
+  let failed = false;
+
+  const worker = async () => {
+    while (!failed && next < items.length) {
+      const item = items[next++];
+      try {
+        await task(item);
+      } catch (err) {
+        failed = true;
+        throw err;
+      }
+    }
+  };
+
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+}
+
+export default FulcrumSnapshotService;
@@ -0,0 +1,98 @@
+import config from '../config/index.js';
+
+/**
+ * Background worker that drains the mint job queue
+ *
+ * Jobs are reserved claims accepted with 202; the worker submits each one to
+ * the upstream faucet through BalanceService, which records the outcome.
+ */
+export class MintWorker {
+  /**
+   * @param {import('./BalanceService.js').BalanceService} balanceService
+   * @param {import('../db/MintJobRepository.js').MintJobRepository} mintJobRepo
+   * @param {Object} [options]
+   * @param {number} [options.pollIntervalMs] - How often to look for queued jobs
+   * @param {number} [options.concurrency] - Maximum upstream mints in flight
+   * @param {Object} [options.logger] - pino-compatible logger
+   */
+  constructor(balanceService, mintJobRepo, options = {}) {
+    this.balanceService = balanceService;
+    this.mintJobRepo = mintJobRepo;
+    this.pollIntervalMs = options.pollIntervalMs ?? config.mintWorker.pollIntervalMs;
+    this.concurrency = options.concurrency ?? config.mintWorker.concurrency;
+    this.logger = options.logger || console;
+
+    this.running = false;
+    this.timer = null;
+    this.inFlight = new Set();
+  }
+
+  /**
+   * Start polling the queue
+   */
+  start() {
+    if (this.running) {
+      return;
+    }
+
+    this.running = true;
+    this.timer = setInterval(() => this.notify(), this.pollIntervalMs);
+    this.notify();
+  }
+
+  /**
+   * Stop taking new jobs and wait for in-flight mints to finish
+   * @returns {Promise<void>}
+   */
+  async stop() {
+    this.running = false;
+    clearInterval(this.timer);
+    this.timer = null;
+    await Promise.allSettled([...this.inFlight]);
+  }
+
+  /**
+   * Pick up queued jobs now instead of waiting for the next poll
+   */
+  notify() {
+    while (this.running && this.inFlight.size < this.concurrency) {
+      let job;
+      try {
+        job = this.mintJobRepo.claimNext();
+      } catch (err) {
+        this.logger.error(`Mint worker could not read queue: ${err.message}`);
+        return;
+      }
+
+      if (!job) {
+        return;
+      }
+
+      const run = this._run(job).finally(() => {
+        this.inFlight.delete(run);
+        this.notify();
+      });
+      this.inFlight.add(run);
+    }
+  }
+
+  /**
+   * Submit one job; the claim outcome is recorded by BalanceService
+   * @param {Object} job - mint_jobs row
+   */
+  async _run(job) {
+    try {
+      await this.balanceService.submitQueuedMint(job.mint_request_id);
+      this.mintJobRepo.finish(job.id);
+    } catch (err) {
+      this.logger.warn(`Mint job ${job.id} (request ${job.mint_request_id}) failed: ${err.message}`);
+      try {
+        this.mintJobRepo.finish(job.id, err.message);
+      } catch (finishErr) {
+        this.logger.error(`Could not finish mint job ${job.id}: ${finishErr.message}`);
+      }
+    }
+  }
+}
+
+export default MintWorker;
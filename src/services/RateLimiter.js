@@ -0,0 +1,186 @@
+import config from '../config/index.js';
+import { RateLimitError } from '../utils/errors.js';
+
+/**
+ * In-memory token bucket store (the default)
+ *
+ * State is lost on restart; use RateLimitRepository to persist it.
+ */
+export class MemoryRateLimitStore {
+  constructor() {
+    this.buckets = new Map();
+  }
+
+  /**
+   * Read, modify and write a bucket
+   * @param {string} key - Bucket key
+   * @param {function(({tokens: number, updatedAt: number}|null)): {state: Object|null, result: *}} fn
+   *   Receives the stored state and returns the state to save (null leaves it unchanged)
+   * @returns {*} The result returned by fn
+   */
+  update(key, fn) {
+    const { state, result } = fn(this.buckets.get(key) || null);
+    if (state) {
+      this.buckets.set(key, state);
+    }
+    return result;
+  }
+
+  /**
+   * Remove buckets untouched since the given time
+   * @param {number} before - Epoch milliseconds
+   * @returns {number} Number of buckets removed
+   */
+  prune(before) {
+    let removed = 0;
+    for (const [key, state] of this.buckets) {
+      if (state.updatedAt < before) {
+        this.buckets.delete(key);
+        removed++;
+      }
+    }
+    return removed;
+  }
+}
+
+/**
+ * Token bucket rate limiter
+ *
+ * Each named bucket type has a capacity (the burst size) and refills
+ * continuously at refillPerMinute tokens. A bucket that has sat idle long
+ * enough to refill completely is the same as no bucket, so idle buckets are
+ * pruned periodically.
+ */
+export class RateLimiter {
+  /**
+   * @param {MemoryRateLimitStore|import('../db/RateLimitRepository.js').RateLimitRepository} store
+   * @param {Object} [options]
+   * @param {Object<string, {capacity: number, refillPerMinute: number}>} [options.buckets]
+   * @param {number} [options.pruneIntervalMs] - How often to drop idle buckets
+   * @param {function(): number} [options.now] - Clock, in epoch milliseconds
+   */
+  constructor(store, options = {}) {
+    this.store = store;
+    this.buckets = options.buckets || config.rateLimit.buckets;
+    this.pruneIntervalMs = options.pruneIntervalMs ?? 60000;
+    this.now = options.now || Date.now;
+    this.timer = null;
+  }
+
+  /**
+   * Start pruning idle buckets in the background
+   */
+  start() {
+    if (this.timer) {
+      return;
+    }
+
+    this.timer = setInterval(() => this.prune(), this.pruneIntervalMs);
+    this.timer.unref();
+  }
+
+  /**
+   * Stop background pruning
+   */
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  /**
+   * Take one token, or throw if the bucket is empty
+   * @param {string} bucket - Bucket type, e.g. 'ip'
+   * @param {string} id - Client identifier, e.g. an IP or address
+   * @throws {RateLimitError}
+   */
+  take(bucket, id) {
+    const result = this._consume(bucket, id, true);
+    if (!result.allowed) {
+      throw new RateLimitError(undefined, result.retryAfter, {
+        details: { limit: bucket, retryAfter: result.retryAfter }
+      });
+    }
+  }
+
+  /**
+   * Throw if the bucket is empty, without taking a token
+   * @param {string} bucket
+   * @param {string} id
+   * @throws {RateLimitError}
+   */
+  ensureAvailable(bucket, id) {
+    const result = this._consume(bucket, id, false);
+    if (!result.allowed) {
+      throw new RateLimitError(undefined, result.retryAfter, {
+        details: { limit: bucket, retryAfter: result.retryAfter }
+      });
+    }
+  }
+
+  /**
+   * Take one token if there is one; used to count failures
+   * @param {string} bucket
+   * @param {string} id
+   * @returns {boolean} False if the bucket is now exhausted
+   */
+  penalize(bucket, id) {
+    return this._consume(bucket, id, true).allowed;
+  }
+
+  /**
+   * Drop buckets idle long enough to have refilled completely
+   * @returns {number} Number of buckets removed
+   */
+  prune() {
+    const longestRefillMs = Math.max(
+      ...Object.values(this.buckets).map((b) => (b.capacity / b.refillPerMinute) * 60000)
+    );
+    return this.store.prune(this.now() - longestRefillMs);
+  }
+
+  /**
+   * Refill a bucket for the time elapsed and try to take one token
+   * @param {string} bucket
+   * @param {string} id
+   * @param {boolean} commit - Whether to actually take the token
+   * @returns {{allowed: boolean, remaining: number, retryAfter: number}}
+   *   retryAfter is in whole seconds
+   */
+  _consume(bucket, id, commit) {
+    const limits = this.buckets[bucket];
+    if (!limits) {
+      throw new Error(`Unknown rate limit bucket: ${bucket}`);
+    }
+
+    const now = this.now();
+    const refillPerMs = limits.refillPerMinute / 60000;
+
+    return this.store.update(`${bucket}:${id}`, (stored) => {
+      const tokens = stored
+        ? Math.min(limits.capacity, stored.tokens + (now - stored.updatedAt) * refillPerMs)
+        : limits.capacity;
+
+      if (tokens < 1) {
+        return {
+          state: null,
+          result: {
+            allowed: false,
+            remaining: 0,
+            retryAfter: Math.ceil((1 - tokens) / refillPerMs / 1000)
+          }
+        };
+      }
+
+      return {
+        state: commit ? { tokens: tokens - 1, updatedAt: now } : null,
+        result: {
+          allowed: true,
+          remaining: Math.floor(commit ? tokens - 1 : tokens),
+          retryAfter: 0
+        }
+      };
+    });
+  }
+}
+
+export default RateLimiter;
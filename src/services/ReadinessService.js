@@ -0,0 +1,190 @@
+import config from '../config/index.js';
+import { TOKEN_CONFIG } from '../config/constants.js';
+
+/**
+ * Readiness checks for orchestrators and load balancers
+ *
+ * The database and campaigns are checked on every call; upstream faucet
+ * results are cached so frequent probes do not hammer it.
+ */
+export class ReadinessService {
+  /**
+   * @param {import('../db/BalanceRepository.js').BalanceRepository} balanceRepo
+   * @param {import('./FaucetProxyService.js').FaucetProxyService} faucetProxy
+   * @param {Object} [options]
+   * @param {number} [options.upstreamCacheMs] - How long upstream results are reused
+   * @param {function(): number} [options.now] - Clock, in epoch milliseconds
+   * @param {string} [options.defaultCampaign] - Campaign that must exist
+   */
+  constructor(balanceRepo, faucetProxy, options = {}) {
+    this.balanceRepo = balanceRepo;
+    this.faucetProxy = faucetProxy;
+    this.upstreamCacheMs = options.upstreamCacheMs ?? config.readiness.upstreamCacheMs;
+    this.defaultCampaign = options.defaultCampaign ?? config.defaultCampaign;
+    this.now = options.now || Date.now;
+
+    this.upstreamCache = null;
+  }
+
+  /**
+   * Run all checks
+   * @returns {Promise<{ready: boolean, checks: Object}>}
+   */
+  async check() {
+    const database = this._checkDatabase();
+    const campaigns = database.status === 'ok' ? this._listCampaigns() : null;
+    const snapshot = campaigns
+      ? this._checkSnapshot(campaigns)
+      : { status: 'fail', error: 'Database unavailable' };
+    const { upstream, coins } = await this._checkUpstream();
+    const token = this._checkTokens(campaigns, coins);
+
+    const checks = { database, snapshot, upstream, token };
+
+    return {
+      ready: Object.values(checks).every((c) => c.status === 'ok'),
+      checks
+    };
+  }
+
+  /**
+   * @returns {Object} Database check result
+   */
+  _checkDatabase() {
+    try {
+      this.balanceRepo.ping();
+      return { status: 'ok' };
+    } catch (err) {
+      return { status: 'fail', error: err.message };
+    }
+  }
+
+  /**
+   * @returns {Object[]|null} campaigns rows, or null if they cannot be read
+   */
+  _listCampaigns() {
+    try {
+      return this.balanceRepo.listCampaigns();
+    } catch {
+      return null;
+    }
+  }
+
+  /**
+   * @param {Object[]} campaigns - campaigns rows
+   * @returns {Object} Snapshot check result
+   */
+  _checkSnapshot(campaigns) {
+    const summary = campaigns.map((campaign) => ({
+      id: campaign.id,
+      blockHeight: campaign.block_height,
+      addressCount: campaign.address_count
+    }));
+
+    if (campaigns.length === 0) {
+      return { status: 'fail', campaigns: summary, error: 'No campaign loaded; run the snapshot CLI' };
+    }
+    if (!campaigns.some((campaign) => campaign.id === this.defaultCampaign)) {
+      return {
+        status: 'fail',
+        campaigns: summary,
+        error: `Default campaign ${this.defaultCampaign} not found`
+      };
+    }
+    return { status: 'ok', defaultCampaign: this.defaultCampaign, campaigns: summary };
+  }
+
+  /**
+   * Check that upstream offers the token of every campaign
+   * @param {Object[]|null} campaigns - campaigns rows; the built-in token is checked if unknown
+   * @param {{list?: Array, error?: string, checkedAt: string}} coins - Upstream coin list
+   * @returns {Object} Token check result
+   */
+  _checkTokens(campaigns, coins) {
+    const tokens = campaigns && campaigns.length > 0
+      ? campaigns.map((campaign) => JSON.parse(campaign.token_config))
+      : [TOKEN_CONFIG];
+    const names = [...new Set(tokens.map((token) => token.name))];
+    const { checkedAt } = coins;
+
+    if (coins.error) {
+      return { status: 'fail', coins: names, error: coins.error, checkedAt };
+    }
+
+    const missing = tokens
+      .filter((token) => !coins.list.some((coin) => offersToken(coin, token)))
+      .map((token) => token.name);
+
+    if (missing.length > 0) {
+      return {
+        status: 'fail',
+        coins: names,
+        missing: [...new Set(missing)],
+        error: 'Token not offered by upstream faucet',
+        checkedAt
+      };
+    }
+    return { status: 'ok', coins: names, checkedAt };
+  }
+
+  /**
+   * Check upstream health and coin list, reusing a recent result
+   * Concurrent probes share one in-flight check.
+   * @returns {Promise<{upstream: Object, coins: Object}>}
+   */
+  async _checkUpstream() {
+    const now = this.now();
+
+    if (!this.upstreamCache || now >= this.upstreamCache.expiresAt) {
+      this.upstreamCache = {
+        expiresAt: now + this.upstreamCacheMs,
+        checkedAt: new Date(now).toISOString(),
+        result: this._probeUpstream()
+      };
+    }
+
+    const { upstream, coins } = await this.upstreamCache.result;
+    const checkedAt = this.upstreamCache.checkedAt;
+
+    return {
+      upstream: { ...upstream, checkedAt },
+      coins: { ...coins, checkedAt }
+    };
+  }
+
+  /**
+   * Call upstream /health and the coin list
+   * @returns {Promise<{upstream: Object, coins: {list?: Array, error?: string}}>}
+   */
+  async _probeUpstream() {
+    const [healthy, coins] = await Promise.all([
+      this.faucetProxy.checkHealth(),
+      this.faucetProxy.getCoins().then(
+        (list) => ({ list }),
+        (err) => ({ error: err.message })
+      )
+    ]);
+
+    const upstream = healthy
+      ? { status: 'ok', endpoint: this.faucetProxy.faucetEndpoint }
+      : { status: 'fail', endpoint: this.faucetProxy.faucetEndpoint, error: 'Upstream health check failed' };
+
+    return { upstream, coins };
+  }
+}
+
+/**
+ * Whether an upstream coin list entry is the given token
+ * Entries may be plain names or objects carrying a name or ID.
+ * @param {string|Object} coin
+ * @param {Object} token - Token metadata, same shape as TOKEN_CONFIG
+ * @returns {boolean}
+ */
+function offersToken(coin, token) {
+  const candidates = typeof coin === 'string'
+    ? [coin]
+    : [coin?.name, coin?.id, coin?.coinId];
+  return candidates.includes(token.name) || candidates.includes(token.id);
+}
+
+export default ReadinessService;
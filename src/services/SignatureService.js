@@ -1,24 +1,138 @@
 import { createHash } from 'crypto';
 import elliptic from 'elliptic';
-import { MESSAGE_PREFIX } from '../config/constants.js';
-import { SignatureError, ValidationError } from '../utils/errors.js';
+import {
+  MESSAGE_PREFIX,
+  CLAIM_MESSAGE_V2_TEMPLATE,
+  ADDRESS_TYPES,
+  MAX_MULTISIG_KEYS
+} from '../config/constants.js';
+import config from '../config/index.js';
+import { SignatureError, ValidationError, ERROR_CODES } from '../utils/errors.js';
+import { signatureVerificationDuration } from '../utils/metrics.js';
 import AddressService from './AddressService.js';
+import Bip322Service from './Bip322Service.js';
 
 const ec = new elliptic.ec('secp256k1');
 
+// Compact signatures come as hex, or as the 88 base64 characters of
+// Bitcoin Core and Electrum `signmessage`; any other base64 is taken for a
+// BIP-322 proof. No supported BIP-322 proof is 65 bytes long.
+const HEX_SIGNATURE_PATTERN = /^(0x)?[0-9a-fA-F]+$/;
+const BASE64_SIGNATURE_PATTERN = /^[A-Za-z0-9+/]{87}=?$/;
+
+// Multisig claims travel as `multisig:<witness script>:<signature>,<signature>...`
+const MULTISIG_PROOF_PREFIX = 'multisig:';
+
+const OP_1 = 0x51;
+const OP_16 = 0x60;
+const OP_CHECKMULTISIG = 0xae;
+
+/**
+ * @param {string} message
+ * @returns {ValidationError} Error for a malformed signature
+ */
+function invalidSignatureFormat(message) {
+  return new ValidationError(message, { code: ERROR_CODES.INVALID_SIGNATURE_FORMAT });
+}
+
+/**
+ * @param {string} signature
+ * @returns {'hex'|'base64'|null} Encoding of a compact signature, or null
+ *   for a BIP-322 proof
+ */
+function compactSignatureEncoding(signature) {
+  if (HEX_SIGNATURE_PATTERN.test(signature)) {
+    return 'hex';
+  }
+  if (BASE64_SIGNATURE_PATTERN.test(signature)) {
+    return 'base64';
+  }
+  return null;
+}
+
+/**
+ * Parse a standard `OP_m <pubkey>... OP_n OP_CHECKMULTISIG` script
+ * Segwit scripts only take compressed keys.
+ * @param {Buffer} script
+ * @returns {{m: number, publicKeys: string[]}} Hex public keys in script order
+ */
+function parseMultisigScript(script) {
+  const n = script[script.length - 2] - OP_1 + 1;
+  if (script.length !== 3 + n * 34 || script[script.length - 1] !== OP_CHECKMULTISIG ||
+      n < 1 || n > MAX_MULTISIG_KEYS) {
+    throw invalidSignatureFormat('Witness script is not a standard m-of-n multisig script');
+  }
+
+  const m = script[0] - OP_1 + 1;
+  if (script[0] < OP_1 || script[0] > OP_16 || m > n) {
+    throw invalidSignatureFormat('Witness script has an invalid signature threshold');
+  }
+
+  const publicKeys = [];
+  for (let offset = 1; offset < script.length - 2; offset += 34) {
+    if (script[offset] !== 33 || (script[offset + 1] !== 0x02 && script[offset + 1] !== 0x03)) {
+      throw invalidSignatureFormat('Witness script keys must be compressed public keys');
+    }
+    publicKeys.push(script.subarray(offset + 1, offset + 34).toString('hex'));
+  }
+  if (new Set(publicKeys).size !== n) {
+    throw invalidSignatureFormat('Witness script lists a public key twice');
+  }
+
+  return { m, publicKeys };
+}
+
+/**
+ * Replace {name} placeholders that have a value, leaving the others
+ * @param {string} template
+ * @param {Object} values
+ * @returns {string}
+ */
+function fillTemplate(template, values) {
+  return template.replace(/\{(\w+)\}/g, (placeholder, name) =>
+    (values[name] === undefined ? placeholder : String(values[name])));
+}
+
 /**
  * Service for ECDSA signature verification
+ *
+ * Two claim messages are understood. v1 is `address:unicityId:amount` and
+ * is valid anywhere, forever; v2 (CLAIM_MESSAGE_V2_TEMPLATE) also binds the
+ * network, this deployment's domain, the campaign and an expiry. A claim is
+ * checked against v2 when it carries an expiry.
+ *
+ * Either message may be signed as a 65-byte compact signature, in hex or in
+ * the base64 of `signmessage`, or as a BIP-322 simple or full proof; the
+ * format is detected from the signature. Compact signatures prove P2PKH,
+ * P2SH-P2WPKH and P2WPKH addresses; a BIP-137 header naming an address type
+ * must match the claimed address. Taproot addresses need a BIP-322 proof.
+ *
+ * P2WSH and P2SH-P2WSH multisig addresses are proven by their witness script
+ * and m compact signatures over the message, one per cosigner; see
+ * encodeMultisigProof.
  */
 export class SignatureService {
   /**
    * @param {AddressService} addressService
+   * @param {Object} [options] - Defaults from config.claimMessage
+   * @param {string} [options.domain] - Domain bound into v2 messages
+   * @param {string} [options.network] - Network bound into v2 messages
+   * @param {number} [options.maxValiditySeconds] - Furthest allowed v2 expiry
+   * @param {boolean} [options.acceptV1] - Whether v1 messages are still accepted
+   * @param {function(): number} [options.now] - Clock, in epoch milliseconds
    */
-  constructor(addressService = new AddressService()) {
+  constructor(addressService = new AddressService(), options = {}) {
     this.addressService = addressService;
+    this.bip322 = new Bip322Service(addressService);
+    this.domain = options.domain ?? config.claimMessage.domain;
+    this.network = options.network ?? config.claimMessage.network;
+    this.maxValiditySeconds = options.maxValiditySeconds ?? config.claimMessage.maxValiditySeconds;
+    this.acceptV1 = options.acceptV1 ?? config.claimMessage.acceptV1;
+    this.now = options.now || Date.now;
   }
 
   /**
-   * Create the canonical message for signing
+   * Create the canonical v1 message for signing
    * @param {string} l1Address - Source L1 address
    * @param {string} unicityId - Destination Unicity ID
    * @param {string|number|bigint} amount - Amount in satoshis
@@ -28,6 +142,145 @@ export class SignatureService {
     return `${l1Address}:${unicityId}:${amount}`;
   }
 
+  /**
+   * v2 message template with this server's fields filled in
+   * Wallets replace {address}, {unicityId}, {amount} and {expiresAt}.
+   * @param {string} campaignId
+   * @param {number} blockHeight - Snapshot block height of the campaign
+   * @returns {string}
+   */
+  getMessageTemplate(campaignId, blockHeight) {
+    return fillTemplate(CLAIM_MESSAGE_V2_TEMPLATE, {
+      network: this.network,
+      domain: this.domain,
+      campaign: campaignId,
+      block: blockHeight
+    });
+  }
+
+  /**
+   * Create the canonical v2 message for signing
+   * @param {string} l1Address - Source L1 address
+   * @param {string} unicityId - Destination Unicity ID
+   * @param {string|number|bigint} amount - Amount in satoshis
+   * @param {Object} claim
+   * @param {string} claim.campaignId
+   * @param {number} claim.blockHeight - Snapshot block height of the campaign
+   * @param {number} claim.expiresAt - Unix seconds
+   * @returns {string}
+   */
+  createMessageV2(l1Address, unicityId, amount, { campaignId, blockHeight, expiresAt }) {
+    return fillTemplate(this.getMessageTemplate(campaignId, blockHeight), {
+      address: l1Address,
+      unicityId,
+      amount,
+      expiresAt
+    });
+  }
+
+  /**
+   * Pick and validate the message a claim was signed over
+   * @param {string} l1Address
+   * @param {string} unicityId
+   * @param {string|number|bigint} amount
+   * @param {Object|null} claim - See createMessageV2; v1 unless expiresAt is set
+   * @returns {string}
+   */
+  _claimMessage(l1Address, unicityId, amount, claim) {
+    if (claim?.expiresAt == null) {
+      if (!this.acceptV1) {
+        throw new ValidationError('v1 claim messages are no longer accepted; sign the v2 message', {
+          code: ERROR_CODES.MESSAGE_VERSION_UNSUPPORTED
+        });
+      }
+      return this.createMessage(l1Address, unicityId, amount);
+    }
+
+    const now = Math.floor(this.now() / 1000);
+    if (claim.expiresAt <= now) {
+      throw new ValidationError('Signed message has expired', {
+        code: ERROR_CODES.SIGNATURE_EXPIRED,
+        details: { expiresAt: claim.expiresAt, now }
+      });
+    }
+    if (claim.expiresAt > now + this.maxValiditySeconds) {
+      throw new ValidationError(
+        `expiresAt may be at most ${this.maxValiditySeconds} seconds in the future`,
+        {
+          code: ERROR_CODES.INVALID_EXPIRY,
+          details: { expiresAt: claim.expiresAt, maxValiditySeconds: this.maxValiditySeconds }
+        }
+      );
+    }
+
+    return this.createMessageV2(l1Address, unicityId, amount, claim);
+  }
+
+  /**
+   * Canonical form of a signature, shared by every encoding of one proof
+   * Compact signatures, hex or base64, become the lowercase hex of r||s: the
+   * header byte is dropped, since the same r and s verify for one address
+   * under several headers (31-34 and 39-42 for P2WPKH, 31-34 and 35-38 for
+   * P2SH). BIP-322 proofs, simple or full, become the hex of their witness;
+   * multisig proofs list their signatures so normalized and sorted. Malformed
+   * signatures are only lowercased; verification reports them.
+   * @param {string} signature - Signature as submitted
+   * @returns {string}
+   */
+  normalizeSignature(signature) {
+    if (signature.startsWith(MULTISIG_PROOF_PREFIX)) {
+      try {
+        const { witnessScript, signatures } = this.decodeMultisigProof(signature);
+        return this.encodeMultisigProof(
+          witnessScript,
+          signatures.map((sig) => this.normalizeSignature(sig)).sort()
+        );
+      } catch {
+        return signature.toLowerCase();
+      }
+    }
+
+    const encoding = compactSignatureEncoding(signature);
+    if (encoding) {
+      const hex = encoding === 'hex'
+        ? signature.replace(/^0x/i, '').toLowerCase()
+        : Buffer.from(signature, 'base64').toString('hex');
+      if (hex.length === 130) {
+        return hex.slice(2);
+      }
+    } else {
+      try {
+        return this.bip322.canonicalize(signature);
+      } catch {
+        // Falls through to the plain form
+      }
+    }
+    return signature.replace(/^0x/i, '').toLowerCase();
+  }
+
+  /**
+   * Pack a multisig claim into the single signature string claims carry
+   * @param {string} witnessScript - Multisig witness script in hex
+   * @param {string[]} signatures - Compact signatures of m cosigners, hex or base64
+   * @returns {string}
+   */
+  encodeMultisigProof(witnessScript, signatures) {
+    return `${MULTISIG_PROOF_PREFIX}${witnessScript.toLowerCase()}:${signatures.join(',')}`;
+  }
+
+  /**
+   * @param {string} proof - See encodeMultisigProof
+   * @returns {{witnessScript: string, signatures: string[]}}
+   * @throws {ValidationError} If the proof is malformed
+   */
+  decodeMultisigProof(proof) {
+    const [witnessScript, signatures, ...rest] = proof.slice(MULTISIG_PROOF_PREFIX.length).split(':');
+    if (rest.length > 0 || !/^([0-9a-fA-F]{2})+$/.test(witnessScript) || !signatures) {
+      throw invalidSignatureFormat('Multisig proof must hold a hex witness script and signatures');
+    }
+    return { witnessScript, signatures: signatures.split(',') };
+  }
+
   /**
    * Create Bitcoin-style message hash (double SHA256 with prefix)
    * @param {string} message - Message to hash
@@ -78,47 +331,61 @@ export class SignatureService {
   }
 
   /**
-   * Parse signature from hex string
+   * Parse a compact signature from hex or base64
    * Expected format: 65 bytes = 1 byte recovery header + 32 bytes r + 32 bytes s
-   * @param {string} signatureHex
-   * @returns {{v: number, r: string, s: string, recoveryParam: number}}
+   * @param {string} signature - Hex (optionally 0x-prefixed) or base64
+   * @returns {{v: number, r: string, s: string, recoveryParam: number, compressed: boolean,
+   *   addressType: string|null, encoding: string}} addressType is the type the
+   *   header names, null if it does not name one
    */
-  parseSignature(signatureHex) {
-    // Remove 0x prefix if present
-    const cleanSig = signatureHex.startsWith('0x')
-      ? signatureHex.slice(2)
-      : signatureHex;
-
-    // Validate format
-    if (!/^[0-9a-fA-F]+$/.test(cleanSig)) {
-      throw new ValidationError('Signature must be valid hex');
+  parseSignature(signature) {
+    const encoding = compactSignatureEncoding(signature);
+    if (!encoding) {
+      throw invalidSignatureFormat('Signature must be valid hex or a 65-byte base64 signature');
     }
 
+    const label = encoding === 'hex' ? 'Hex signature' : 'Base64 signature';
+    const cleanSig = encoding === 'hex'
+      ? signature.replace(/^0x/, '')
+      : Buffer.from(signature, 'base64').toString('hex');
+
     if (cleanSig.length !== 130) {
-      throw new ValidationError('Signature must be 65 bytes (130 hex characters)');
+      throw invalidSignatureFormat(
+        `${label} must be 65 bytes (130 hex characters), got ${cleanSig.length} characters`
+      );
     }
 
     const v = parseInt(cleanSig.slice(0, 2), 16);
     const r = cleanSig.slice(2, 66);
     const s = cleanSig.slice(66, 130);
 
-    // Calculate recovery parameter
-    // For P2WPKH (SegWit) with compressed keys:
-    // v = 27 + recoveryParam + 4 (compressed) + 12 (segwit) = 43 + recoveryParam
-    // Or standard: v = 27 + recoveryParam + 4 (compressed) = 31 + recoveryParam
+    // Calculate recovery parameter (BIP-137 header ranges)
+    // Uncompressed: v = 27 + recoveryParam
+    // Compressed: v = 27 + recoveryParam + 4 = 31 + recoveryParam
+    // P2SH-P2WPKH: 35 + recoveryParam; P2WPKH: 39 + recoveryParam
+    // Electrum signs every address type with 31-34, so that range names none.
     let recoveryParam;
+    let compressed = true;
+    let addressType = null;
 
     if (v >= 39 && v <= 42) {
       // SegWit compressed (39-42)
       recoveryParam = v - 39;
+      addressType = ADDRESS_TYPES.P2WPKH;
+    } else if (v >= 35 && v <= 38) {
+      // Wrapped SegWit compressed (35-38)
+      recoveryParam = v - 35;
+      addressType = ADDRESS_TYPES.P2SH;
     } else if (v >= 31 && v <= 34) {
       // Standard compressed (31-34)
       recoveryParam = v - 31;
     } else if (v >= 27 && v <= 30) {
-      // Uncompressed (27-30) - we require compressed
-      throw new ValidationError('Uncompressed signatures not supported');
+      // Uncompressed (27-30), only valid for P2PKH addresses
+      recoveryParam = v - 27;
+      compressed = false;
+      addressType = ADDRESS_TYPES.P2PKH;
     } else {
-      throw new ValidationError(`Invalid recovery parameter v=${v}`);
+      throw invalidSignatureFormat(`${label} has invalid recovery header ${v}; expected 27-42 (BIP-137)`);
     }
 
     // Validate r and s ranges
@@ -127,20 +394,20 @@ export class SignatureService {
     const sBN = BigInt('0x' + s);
 
     if (rBN === 0n || rBN >= curveOrder) {
-      throw new ValidationError('Signature r value out of range');
+      throw invalidSignatureFormat(`${label} r value out of range`);
     }
 
     if (sBN === 0n || sBN >= curveOrder) {
-      throw new ValidationError('Signature s value out of range');
+      throw invalidSignatureFormat(`${label} s value out of range`);
     }
 
     // Check low-S (BIP-62)
     const halfOrder = curveOrder / 2n;
     if (sBN > halfOrder) {
-      throw new ValidationError('Signature s value not normalized (BIP-62)');
+      throw invalidSignatureFormat(`${label} s value not normalized (BIP-62)`);
     }
 
-    return { v, r, s, recoveryParam };
+    return { v, r, s, recoveryParam, compressed, addressType, encoding };
   }
 
   /**
@@ -148,46 +415,103 @@ export class SignatureService {
    * @param {string} l1Address - Claimed source L1 address
    * @param {string} unicityId - Destination Unicity ID
    * @param {string|number|bigint} amount - Amount in satoshis
-   * @param {string} signatureHex - 65-byte signature in hex
-   * @returns {{valid: boolean, recoveredPublicKey?: string, derivedAddress?: string}}
+   * @param {string} signatureHex - 65-byte signature in hex or base64, a base64
+   *   BIP-322 proof or a multisig proof
+   * @param {Object|null} [claim] - Campaign and expiry for v2 messages; see createMessageV2
+   * @returns {{valid: boolean, format: string, encoding?: string, recoveredPublicKey?: string,
+   *   signerPublicKeys?: string[], derivedAddress?: string}}
    */
-  verifySignature(l1Address, unicityId, amount, signatureHex) {
+  verifySignature(l1Address, unicityId, amount, signatureHex, claim = null) {
+    const endTimer = signatureVerificationDuration.startTimer();
+    try {
+      const result = this._verifySignature(l1Address, unicityId, amount, signatureHex, claim);
+      endTimer({ result: 'valid' });
+      return result;
+    } catch (err) {
+      endTimer({ result: 'invalid' });
+      throw err;
+    }
+  }
+
+  /**
+   * Verify a mint request signature (untimed)
+   * @see verifySignature
+   */
+  _verifySignature(l1Address, unicityId, amount, signatureHex, claim) {
     // Validate address format
     const addrValidation = this.addressService.validateAddress(l1Address);
     if (!addrValidation.valid) {
-      throw new ValidationError(`Invalid L1 address: ${addrValidation.error}`);
+      throw new ValidationError(`Invalid L1 address: ${addrValidation.error}`, {
+        code: ERROR_CODES.INVALID_ADDRESS
+      });
+    }
+
+    if (signatureHex.startsWith(MULTISIG_PROOF_PREFIX)) {
+      const message = this._claimMessage(l1Address, unicityId, amount, claim);
+      return this._verifyMultisig(addrValidation, message, signatureHex);
+    }
+
+    if (!compactSignatureEncoding(signatureHex)) {
+      const message = this._claimMessage(l1Address, unicityId, amount, claim);
+      const { publicKey, derivedAddress, format } = this.bip322.verify(
+        addrValidation.normalized,
+        message,
+        signatureHex
+      );
+      return {
+        valid: true,
+        format: `bip322-${format}`,
+        recoveredPublicKey: publicKey,
+        derivedAddress
+      };
+    }
+
+    // Taproot keys only sign Schnorr, so they cannot make compact signatures
+    if (addrValidation.type === ADDRESS_TYPES.P2TR) {
+      throw invalidSignatureFormat('Taproot addresses must sign with a BIP-322 proof');
+    }
+    if (addrValidation.type === ADDRESS_TYPES.P2WSH) {
+      throw invalidSignatureFormat('P2WSH addresses claim with a witness script and signatures');
     }
 
     // Parse signature
-    const { r, s, recoveryParam } = this.parseSignature(signatureHex);
+    const { v, r, s, recoveryParam, compressed, addressType, encoding } = this.parseSignature(signatureHex);
+    if (!compressed && addrValidation.type !== ADDRESS_TYPES.P2PKH) {
+      throw invalidSignatureFormat(
+        `Uncompressed signatures are only valid for P2PKH addresses (${encoding} signature, header ${v})`
+      );
+    }
+    if (addressType && addressType !== addrValidation.type) {
+      throw invalidSignatureFormat(
+        `Signature header ${v} (${encoding}) is for ${addressType} addresses, but ${l1Address} is ${addrValidation.type}`
+      );
+    }
 
     // Create message hash
-    const message = this.createMessage(l1Address, unicityId, amount);
+    const message = this._claimMessage(l1Address, unicityId, amount, claim);
     const messageHash = this.createMessageHash(message);
 
     // Recover public key from signature
-    let recoveredPoint;
-    try {
-      recoveredPoint = ec.recoverPubKey(
-        messageHash,
-        { r, s },
-        recoveryParam
-      );
-    } catch (err) {
-      throw new SignatureError(`Public key recovery failed: ${err.message}`);
-    }
+    const recoveredPoint = this._recoverPublicKey(messageHash, r, s, recoveryParam);
 
-    // Get compressed public key
-    const recoveredPubKeyHex = recoveredPoint.encodeCompressed('hex');
+    // Get public key in the encoding the header names
+    const recoveredPubKeyHex = recoveredPoint.encode('hex', compressed);
     const recoveredPubKeyBuffer = Buffer.from(recoveredPubKeyHex, 'hex');
 
-    // Derive Alpha address from recovered public key
-    const derivedAddress = this.addressService.publicKeyToAddress(recoveredPubKeyBuffer);
+    // Derive an address of the claimed type from recovered public key
+    const derivedAddress = this.addressService.publicKeyToAddress(
+      recoveredPubKeyBuffer,
+      addrValidation.type
+    );
 
     // Verify address matches
-    if (derivedAddress.toLowerCase() !== addrValidation.normalized) {
+    if (derivedAddress !== addrValidation.normalized) {
       throw new SignatureError(
-        `Address mismatch: derived ${derivedAddress}, claimed ${l1Address}`
+        `Address mismatch: derived ${derivedAddress}, claimed ${l1Address}`,
+        {
+          code: ERROR_CODES.SIGNATURE_ADDRESS_MISMATCH,
+          details: { derivedAddress, claimedAddress: l1Address }
+        }
       );
     }
 
@@ -201,21 +525,108 @@ export class SignatureService {
 
     return {
       valid: true,
+      format: 'compact',
+      encoding,
       recoveredPublicKey: recoveredPubKeyHex,
       derivedAddress
     };
   }
 
+  /**
+   * @param {Buffer} messageHash
+   * @param {string} r - Hex
+   * @param {string} s - Hex
+   * @param {number} recoveryParam
+   * @returns {Object} Recovered elliptic point
+   */
+  _recoverPublicKey(messageHash, r, s, recoveryParam) {
+    try {
+      return ec.recoverPubKey(messageHash, { r, s }, recoveryParam);
+    } catch (err) {
+      throw new SignatureError(`Public key recovery failed: ${err.message}`, {
+        code: ERROR_CODES.SIGNATURE_RECOVERY_FAILED
+      });
+    }
+  }
+
+  /**
+   * Verify a multisig proof: the witness script must hash to the address and
+   * exactly m distinct keys of the script must have signed the message
+   * @param {{normalized: string, type: string}} addrValidation
+   * @param {string} message - Claim message
+   * @param {string} proof - See encodeMultisigProof
+   * @returns {Object} See verifySignature
+   */
+  _verifyMultisig(addrValidation, message, proof) {
+    if (addrValidation.type !== ADDRESS_TYPES.P2WSH && addrValidation.type !== ADDRESS_TYPES.P2SH) {
+      throw invalidSignatureFormat('Multisig proofs are only valid for P2WSH and P2SH addresses');
+    }
+
+    const { witnessScript, signatures } = this.decodeMultisigProof(proof);
+    const script = Buffer.from(witnessScript, 'hex');
+    const { m, publicKeys } = parseMultisigScript(script);
+
+    const derivedAddress = this.addressService.witnessScriptToAddress(script, addrValidation.type);
+    if (derivedAddress !== addrValidation.normalized) {
+      throw new SignatureError(
+        `Address mismatch: witness script hashes to ${derivedAddress}, claimed ${addrValidation.normalized}`,
+        {
+          code: ERROR_CODES.SIGNATURE_ADDRESS_MISMATCH,
+          details: { derivedAddress, claimedAddress: addrValidation.normalized }
+        }
+      );
+    }
+
+    if (signatures.length !== m) {
+      throw invalidSignatureFormat(`Witness script needs exactly ${m} signatures, got ${signatures.length}`);
+    }
+
+    const messageHash = this.createMessageHash(message);
+    const signerPublicKeys = [];
+    for (const signature of signatures) {
+      const { r, s, recoveryParam, compressed } = this.parseSignature(signature);
+      if (!compressed) {
+        throw invalidSignatureFormat('Multisig signatures must use compressed keys');
+      }
+
+      const recoveredPoint = this._recoverPublicKey(messageHash, r, s, recoveryParam);
+      const publicKey = recoveredPoint.encode('hex', true);
+      if (!publicKeys.includes(publicKey)) {
+        throw new SignatureError(`Signature by ${publicKey} is not from a key of the witness script`, {
+          code: ERROR_CODES.SIGNATURE_ADDRESS_MISMATCH,
+          details: { publicKey }
+        });
+      }
+      if (signerPublicKeys.includes(publicKey)) {
+        throw new SignatureError(`Key ${publicKey} signed more than once`);
+      }
+      if (!ec.keyFromPublic(recoveredPoint).verify(messageHash, { r, s })) {
+        throw new SignatureError('Mathematical signature verification failed');
+      }
+      signerPublicKeys.push(publicKey);
+    }
+
+    return {
+      valid: true,
+      format: 'multisig',
+      signerPublicKeys,
+      derivedAddress
+    };
+  }
+
   /**
    * Create a signature for testing purposes
    * @param {string} privateKeyHex - Private key in hex
    * @param {string} l1Address
    * @param {string} unicityId
    * @param {string|number|bigint} amount
+   * @param {Object|null} [claim] - Sign the v2 message; see createMessageV2
    * @returns {string} Signature hex
    */
-  createSignature(privateKeyHex, l1Address, unicityId, amount) {
-    const message = this.createMessage(l1Address, unicityId, amount);
+  createSignature(privateKeyHex, l1Address, unicityId, amount, claim = null) {
+    const message = claim
+      ? this.createMessageV2(l1Address, unicityId, amount, claim)
+      : this.createMessage(l1Address, unicityId, amount);
     const messageHash = this.createMessageHash(message);
 
     const keyPair = ec.keyFromPrivate(privateKeyHex, 'hex');
@@ -248,6 +659,23 @@ export class SignatureService {
 
     return v + r + s;
   }
+
+  /**
+   * Create a BIP-322 proof for testing purposes
+   * @param {string} privateKeyHex - Private key in hex
+   * @param {string} l1Address
+   * @param {string} unicityId
+   * @param {string|number|bigint} amount
+   * @param {Object|null} [claim] - Sign the v2 message; see createMessageV2
+   * @param {string} [format] - 'simple' or 'full'
+   * @returns {string} Base64 proof
+   */
+  createBip322Signature(privateKeyHex, l1Address, unicityId, amount, claim = null, format = 'simple') {
+    const message = claim
+      ? this.createMessageV2(l1Address, unicityId, amount, claim)
+      : this.createMessage(l1Address, unicityId, amount);
+    return this.bip322.sign(privateKeyHex, l1Address, message, format);
+  }
 }
 
 export default SignatureService;
@@ -0,0 +1,173 @@
+import config from '../config/index.js';
+import { SnapshotVerificationError, ERROR_CODES } from '../utils/errors.js';
+import { AlphaRpcClient } from './AlphaRpcClient.js';
+
+/**
+ * Check that each campaign's snapshot block is still on the best chain
+ *
+ * The snapshot CLI records the hash of the snapshot block; it is compared
+ * with the hash a full node (RPC getblockhash) or Fulcrum reports at the same
+ * height. Every campaign is checked at startup. Claims are refused for a
+ * campaign whose block was reorganized away, and paused for one that could
+ * not be checked yet; campaigns added while the server runs are checked on
+ * their first claim. Campaigns from databases that predate recorded hashes
+ * are not checked.
+ */
+export class SnapshotVerifier {
+  /**
+   * @param {import('../db/BalanceRepository.js').BalanceRepository} balanceRepo
+   * @param {Object} [options]
+   * @param {string} [options.source] - 'off', 'rpc' or 'fulcrum'
+   * @param {import('./FulcrumService.js').FulcrumService} [options.fulcrumService] - Required for 'fulcrum'
+   * @param {AlphaRpcClient} [options.rpcClient] - Full node for 'rpc'; defaults to
+   *   config.alphaRpc with the verification timeout
+   * @param {function(): number} [options.now] - Clock, in epoch milliseconds
+   */
+  constructor(balanceRepo, options = {}) {
+    this.balanceRepo = balanceRepo;
+    this.source = options.source ?? config.snapshotVerification.source;
+    this.fulcrumService = options.fulcrumService || null;
+    this.rpcClient = options.rpcClient
+      ?? new AlphaRpcClient({ timeoutMs: config.snapshotVerification.timeoutMs });
+    this.now = options.now || Date.now;
+
+    if (!['off', 'rpc', 'fulcrum'].includes(this.source)) {
+      throw new Error(`Unknown snapshot verification source ${this.source}; use off, rpc or fulcrum`);
+    }
+    if (this.source === 'fulcrum' && !this.fulcrumService) {
+      throw new Error('Snapshot verification over Fulcrum needs a FulcrumService');
+    }
+
+    this.results = new Map();
+    this.inFlight = new Map();
+  }
+
+  /**
+   * @returns {boolean} Whether snapshot blocks are checked at all
+   */
+  get enabled() {
+    return this.source !== 'off';
+  }
+
+  /**
+   * Check every campaign, one after the other
+   * @returns {Promise<Array<Object>>} Results with the campaign ID, see verify()
+   */
+  async verifyAll() {
+    if (!this.enabled) {
+      return [];
+    }
+
+    const results = [];
+    for (const campaign of this.balanceRepo.listCampaigns()) {
+      results.push({ campaign: campaign.id, ...await this.verify(campaign) });
+    }
+    return results;
+  }
+
+  /**
+   * Check one campaign and remember the result
+   * Concurrent calls for the same campaign share one lookup.
+   * @param {Object} campaign - campaigns row
+   * @returns {Promise<{status: string, source: string, checkedAt: string,
+   *   bestChainHash?: string, error?: string}>} status is 'ok', 'mismatch',
+   *   'error' (lookup failed) or 'skipped' (no hash recorded)
+   */
+  async verify(campaign) {
+    if (!this.inFlight.has(campaign.id)) {
+      const check = this._check(campaign).then((result) => {
+        this.results.set(campaign.id, result);
+        return result;
+      }).finally(() => {
+        this.inFlight.delete(campaign.id);
+      });
+      this.inFlight.set(campaign.id, check);
+    }
+    return this.inFlight.get(campaign.id);
+  }
+
+  /**
+   * Last result for a campaign
+   * @param {string} campaignId
+   * @returns {Object|null} See verify(); null if disabled or not checked yet
+   */
+  getResult(campaignId) {
+    return this.results.get(campaignId) ?? null;
+  }
+
+  /**
+   * Refuse claims for a campaign not known to be on the best chain
+   * A campaign not checked yet, or whose check failed, is (re)checked in the
+   * background, so a later claim can go through.
+   * @param {Object} campaign - campaigns row
+   * @throws {SnapshotVerificationError}
+   */
+  assertOnBestChain(campaign) {
+    if (!this.enabled) {
+      return;
+    }
+
+    const result = this.results.get(campaign.id);
+    if (result?.status === 'ok' || result?.status === 'skipped') {
+      return;
+    }
+
+    const details = { blockHeight: campaign.block_height, blockHash: campaign.block_hash };
+    if (result?.status === 'mismatch') {
+      throw new SnapshotVerificationError(
+        `Snapshot block of campaign ${campaign.id} is no longer on the best chain`,
+        { code: ERROR_CODES.SNAPSHOT_NOT_ON_BEST_CHAIN, details: { ...details, bestChainHash: result.bestChainHash } }
+      );
+    }
+
+    this.verify(campaign);
+    throw new SnapshotVerificationError(
+      `Snapshot block of campaign ${campaign.id} has not been verified yet; retry shortly`,
+      { details }
+    );
+  }
+
+  /**
+   * @param {Object} campaign - campaigns row
+   * @returns {Promise<Object>} See verify()
+   */
+  async _check(campaign) {
+    const result = { source: this.source, checkedAt: new Date(this.now()).toISOString() };
+
+    if (!campaign.block_hash) {
+      return { status: 'skipped', ...result, error: 'No block hash recorded for this snapshot' };
+    }
+
+    let bestChainHash;
+    try {
+      bestChainHash = await this._getBlockHash(campaign.block_height);
+    } catch (err) {
+      return { status: 'error', ...result, error: err.message };
+    }
+
+    if (bestChainHash !== campaign.block_hash) {
+      return {
+        status: 'mismatch',
+        ...result,
+        bestChainHash,
+        error: `Block ${campaign.block_height} on the best chain is ${bestChainHash}, not ${campaign.block_hash}`
+      };
+    }
+    return { status: 'ok', ...result };
+  }
+
+  /**
+   * Hash of the best chain block at a height
+   * @param {number} height
+   * @returns {Promise<string>}
+   */
+  async _getBlockHash(height) {
+    if (this.source === 'fulcrum') {
+      return this.fulcrumService.getBlockHash(height);
+    }
+    return this.rpcClient.call('getblockhash', [height]);
+  }
+
+}
+
+export default SnapshotVerifier;
@@ -0,0 +1,311 @@
+import { AddressService } from './AddressService.js';
+import { SNAPSHOT_CONCURRENCY } from '../config/constants.js';
+
+// Outputs with longer scripts are unspendable and never enter the UTXO set
+const MAX_SCRIPT_SIZE = 10000;
+
+// Previous txid of coinbase inputs
+const NULL_TXID = '00'.repeat(32);
+
+/**
+ * Build the UTXO set at a block height in an on-disk staging store
+ *
+ * Every block from the first to the snapshot block is applied in height
+ * order: spent outputs are removed and new ones added. Blocks come from a
+ * full node over RPC, fetched in JSON-RPC batches with several batches in
+ * flight, or from the node's raw block files. The tip's UTXO set
+ * (scantxoutset) is not a usable shortcut: its descriptors select outputs by
+ * key, so no scan covers P2WSH, P2SH multisig or P2TR outputs.
+ *
+ * The store commits a checkpoint every checkpointInterval blocks; with
+ * resume, a scan continues from the last one once its block is confirmed to
+ * still be in the chain.
+ */
+export class UtxoSnapshotService {
+  /**
+   * @param {import('../db/UtxoStore.js').UtxoStore} store
+   * @param {Object} [options]
+   * @param {import('./AlphaRpcClient.js').AlphaRpcClient} [options.rpcClient] - Required for scanRpc()
+   * @param {AddressService} [options.addressService]
+   * @param {number} [options.batchSize] - Blocks per JSON-RPC batch
+   * @param {number} [options.concurrency] - Batches in flight
+   * @param {number} [options.checkpointInterval] - Blocks between checkpoints
+   * @param {boolean} [options.resume] - Continue from the store's checkpoint
+   * @param {{log: function, warn: function}} [options.logger] - Progress output
+   */
+  constructor(store, options = {}) {
+    this.store = store;
+    this.rpc = options.rpcClient || null;
+    this.addressService = options.addressService || new AddressService();
+    this.batchSize = options.batchSize ?? 20;
+    this.concurrency = options.concurrency ?? SNAPSHOT_CONCURRENCY;
+    this.checkpointInterval = options.checkpointInterval ?? 10000;
+    this.resume = options.resume ?? false;
+    this.logger = options.logger || console;
+  }
+
+  /**
+   * Build the set at a height from a full node
+   * The result is cross-checked against the node's gettxoutsetinfo.
+   * @param {number} blockHeight
+   * @returns {Promise<{blockHash: string}>} Snapshot block
+   * @throws {Error} If the node has not reached the height, the chain
+   *   reorganizes during the scan or the cross-check fails
+   */
+  async scanRpc(blockHeight) {
+    const info = await this.rpc.call('getblockchaininfo');
+    this.logger.log(`Current chain height: ${info.blocks}`);
+    if (blockHeight > info.blocks) {
+      throw new Error(`Block ${blockHeight} not yet reached. Current height: ${info.blocks}`);
+    }
+
+    const blockHash = await this.rpc.call('getblockhash', [blockHeight]);
+    this.logger.log(`Snapshot block hash: ${blockHash}`);
+
+    const hashAt = (height) => this.rpc.call('getblockhash', [height]);
+    let { height, blockHash: lastHash } = await this.resumePoint(blockHeight, hashAt);
+
+    this.logger.log(`Scanning blocks ${height + 1} to ${blockHeight}...`);
+    let checkpointHeight = height;
+
+    this.store.begin();
+    await this.forEachBlock(height + 1, blockHeight, (block) => {
+      if (block.previousblockhash !== lastHash) {
+        throw new Error(`Chain reorganized during the scan at block ${block.height}; rerun with --resume`);
+      }
+
+      for (const tx of block.tx) {
+        // First: Remove spent outputs from UTXO set
+        for (const vin of tx.vin) {
+          if (vin.txid) {
+            this.store.spend(`${vin.txid}:${vin.vout}`);
+          }
+        }
+
+        // Then: Add new outputs to UTXO set
+        for (let vout = 0; vout < tx.vout.length; vout++) {
+          const output = tx.vout[vout];
+          this.addOutput(`${tx.txid}:${vout}`, output.scriptPubKey.hex, toSatoshis(output.value));
+        }
+      }
+
+      lastHash = block.hash;
+      checkpointHeight = this.afterBlock(block.height, block.hash, checkpointHeight, blockHeight);
+    });
+
+    if (lastHash !== blockHash) {
+      throw new Error(`Chain reorganized during the scan: block ${blockHeight} is ${lastHash}, expected ${blockHash}`);
+    }
+    this.store.checkpoint(blockHeight, blockHash);
+    this.store.commit();
+    await this.crossCheck(blockHeight, blockHash);
+
+    return { blockHash };
+  }
+
+  /**
+   * Build the set at a height from raw block files, without network access
+   * The snapshot block is taken from the best chain in the files. Headers
+   * alone cannot tell the chain the node accepted from one it rejected, so
+   * the block may be pinned by its hash, which must then agree.
+   * @param {import('./BlockFileReader.js').BlockFileReader} reader - Indexed reader
+   * @param {number} blockHeight
+   * @param {string} [blockHash] - Expected snapshot block, e.g. from a trusted node or explorer
+   * @returns {Promise<{blockHash: string}>} Snapshot block
+   * @throws {Error} If the best chain does not reach the height, or has
+   *   another block there
+   */
+  async scanBlockFiles(reader, blockHeight, blockHash = null) {
+    const chain = reader.bestChain();
+    if (chain.length - 1 < blockHeight) {
+      throw new Error(`Block ${blockHeight} not yet reached. Best chain height in the block files: ${chain.length - 1}`);
+    }
+    if (blockHash && chain[blockHeight].hash !== blockHash) {
+      throw new Error(`Block ${blockHeight} of the best chain in the block files is ${chain[blockHeight].hash}, not ${blockHash}`);
+    }
+    blockHash = chain[blockHeight].hash;
+    this.logger.log(`Snapshot block hash: ${blockHash}`);
+
+    const { height } = await this.resumePoint(blockHeight, (h) => chain[h].hash);
+    this.logger.log(`Reading blocks ${height + 1} to ${blockHeight}...`);
+    let checkpointHeight = height;
+
+    this.store.begin();
+    for (let h = height + 1; h <= blockHeight; h++) {
+      const block = reader.readBlock(chain[h]);
+
+      for (const tx of block.transactions) {
+        // First: Remove spent outputs from UTXO set (a coinbase spends nothing)
+        for (const input of tx.inputs) {
+          if (input.txid !== NULL_TXID) {
+            this.store.spend(`${input.txid}:${input.vout}`);
+          }
+        }
+
+        // Then: Add new outputs to UTXO set
+        tx.outputs.forEach((output, vout) => {
+          this.addOutput(`${tx.txid}:${vout}`, output.script.toString('hex'), Number(output.value));
+        });
+      }
+
+      checkpointHeight = this.afterBlock(h, block.hash, checkpointHeight, blockHeight);
+    }
+
+    this.store.checkpoint(blockHeight, blockHash);
+    this.store.commit();
+
+    return { blockHash };
+  }
+
+  /**
+   * Compare the set with the node's own statistics at the snapshot block
+   * Needs -coinstatsindex; skipped with a warning when the node cannot answer.
+   * @param {number} blockHeight
+   * @param {string} blockHash
+   * @throws {Error} If block, output count or total amount differ
+   */
+  async crossCheck(blockHeight, blockHash) {
+    let stats;
+    try {
+      stats = await this.rpc.call('gettxoutsetinfo', ['none', blockHeight]);
+    } catch (err) {
+      this.logger.warn(`Cross-check skipped: gettxoutsetinfo at height ${blockHeight} unavailable (${err.message})`);
+      return;
+    }
+
+    if (stats.bestblock !== blockHash) {
+      throw new Error(`gettxoutsetinfo reported block ${stats.bestblock}, expected ${blockHash}`);
+    }
+
+    const { count, amount } = this.store.totals();
+    const expectedAmount = BigInt(toSatoshis(stats.total_amount));
+
+    if (stats.txouts !== count || expectedAmount !== amount) {
+      throw new Error(
+        `Rebuilt UTXO set (${count} outputs, ${amount} satoshis) does not match ` +
+        `gettxoutsetinfo at block ${blockHeight} (${stats.txouts} outputs, ${expectedAmount} satoshis)`
+      );
+    }
+
+    this.logger.log(`Cross-check passed: ${stats.txouts} outputs, ${stats.total_amount} ALPHA`);
+  }
+
+  /**
+   * Fetch verbose blocks over RPC in order, keeping up to concurrency batches in flight
+   * @param {number} from - First height
+   * @param {number} to - Last height
+   * @param {function(Object): void} onBlock - Called with each block, in height order
+   */
+  async forEachBlock(from, to, onBlock) {
+    const fetchBatch = async (start) => {
+      const heights = [];
+      for (let height = start; height <= Math.min(start + this.batchSize - 1, to); height++) {
+        heights.push(height);
+      }
+      const hashes = await this.rpc.batch(heights.map((height) => ['getblockhash', [height]]));
+      return this.rpc.batch(hashes.map((hash) => ['getblock', [hash, 2]])); // verbosity=2 for full tx details
+    };
+
+    const inFlight = [];
+    let next = from;
+    const refill = () => {
+      while (next <= to && inFlight.length < this.concurrency) {
+        const batch = fetchBatch(next);
+        // Awaited in order below; a later batch failing first must not go unhandled
+        batch.catch(() => {});
+        inFlight.push(batch);
+        next += this.batchSize;
+      }
+    };
+
+    refill();
+    while (inFlight.length > 0) {
+      const blocks = await inFlight.shift();
+      refill();
+      for (const block of blocks) {
+        onBlock(block);
+      }
+    }
+  }
+
+  /**
+   * Where a scan starts
+   * With resume and a checkpoint in the store, that checkpoint, once its
+   * block is confirmed to still be in the chain; otherwise the store is
+   * emptied and the scan starts after the genesis block, whose coinbase cannot
+   * be spent and is not part of the UTXO set.
+   * @param {number} blockHeight - Snapshot height
+   * @param {function(number): (string|Promise<string>)} hashAt - Chain block hash at a height
+   * @returns {Promise<{height: number, blockHash: string}>} Last applied block, so
+   *   the next block's link to it can be checked
+   * @throws {Error} If the checkpoint is past the snapshot height or left the chain
+   */
+  async resumePoint(blockHeight, hashAt) {
+    const state = this.resume ? this.store.getState() : null;
+    if (!state) {
+      if (this.resume) {
+        this.logger.log(`No checkpoint in ${this.store.path}, starting from the first block`);
+      }
+      this.store.reset();
+      return { height: 0, blockHash: await hashAt(0) };
+    }
+
+    if (state.height > blockHeight) {
+      throw new Error(`Checkpoint in ${this.store.path} is past block ${blockHeight}; delete it to start over`);
+    }
+    if (await hashAt(state.height) !== state.blockHash) {
+      throw new Error(`Checkpoint block ${state.blockHash} is no longer in the chain; delete ${this.store.path} to start over`);
+    }
+
+    this.logger.log(`Resuming from checkpoint at block ${state.height}`);
+    return state;
+  }
+
+  /**
+   * Report progress after applying a block and checkpoint every checkpointInterval blocks
+   * @param {number} height
+   * @param {string} hash
+   * @param {number} checkpointHeight - Height of the last checkpoint
+   * @param {number} blockHeight - Snapshot height
+   * @returns {number} Height of the last checkpoint, now
+   */
+  afterBlock(height, hash, checkpointHeight, blockHeight) {
+    if (height % 1000 === 0) {
+      this.logger.log(`Processed block ${height}/${blockHeight}...`);
+    }
+    if (height - checkpointHeight < this.checkpointInterval) {
+      return checkpointHeight;
+    }
+
+    this.store.checkpoint(height, hash);
+    this.logger.log(`Checkpoint saved at block ${height}`);
+    return height;
+  }
+
+  /**
+   * Add an output to the UTXO set, unless it is unspendable
+   * Unspendable outputs (OP_RETURN or oversized scripts) never enter the UTXO
+   * set; outputs to scripts without a claimable address are kept with a NULL
+   * address so the set matches the node's.
+   * @param {string} outpoint - txid:vout
+   * @param {string} script - scriptPubKey hex
+   * @param {number} amount - Satoshis
+   */
+  addOutput(outpoint, script, amount) {
+    if (script.startsWith('6a') || script.length > 2 * MAX_SCRIPT_SIZE) {
+      return;
+    }
+
+    this.store.add(outpoint, this.addressService.outputScriptToAddress(script), amount);
+  }
+}
+
+/**
+ * @param {number} value - Amount in coins, as reported by RPC
+ * @returns {number} Satoshis
+ */
+function toSatoshis(value) {
+  return Math.round(value * 1e8);
+}
+
+export default UtxoSnapshotService;
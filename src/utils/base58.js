@@ -0,0 +1,71 @@
+import { createHash } from 'crypto';
+
+const ALPHABET = '123456789ABCDEFGHJKLMNPQRSTUVWXYZabcdefghijkmnopqrstuvwxyz';
+
+/**
+ * @param {Buffer} data
+ * @returns {Buffer} First 4 bytes of SHA256(SHA256(data))
+ */
+function checksum(data) {
+  const once = createHash('sha256').update(data).digest();
+  return createHash('sha256').update(once).digest().subarray(0, 4);
+}
+
+/**
+ * Encode a payload as Base58Check
+ * @param {Buffer} payload - Version byte followed by data
+ * @returns {string}
+ */
+export function encodeBase58Check(payload) {
+  const bytes = Buffer.concat([payload, checksum(payload)]);
+
+  let n = BigInt('0x' + (bytes.toString('hex') || '0'));
+  let encoded = '';
+  while (n > 0n) {
+    encoded = ALPHABET[Number(n % 58n)] + encoded;
+    n /= 58n;
+  }
+
+  // Each leading zero byte is written as '1'
+  let zeros = 0;
+  while (zeros < bytes.length && bytes[zeros] === 0) {
+    zeros++;
+  }
+  return '1'.repeat(zeros) + encoded;
+}
+
+/**
+ * Decode a Base58Check string
+ * @param {string} encoded
+ * @returns {Buffer} Payload without the checksum
+ * @throws {Error} If a character is not Base58 or the checksum is wrong
+ */
+export function decodeBase58Check(encoded) {
+  let n = 0n;
+  for (const char of encoded) {
+    const digit = ALPHABET.indexOf(char);
+    if (digit === -1) {
+      throw new Error(`Invalid Base58 character "${char}"`);
+    }
+    n = n * 58n + BigInt(digit);
+  }
+
+  let hex = n === 0n ? '' : n.toString(16);
+  if (hex.length % 2) {
+    hex = '0' + hex;
+  }
+  let zeros = 0;
+  while (zeros < encoded.length && encoded[zeros] === '1') {
+    zeros++;
+  }
+  const bytes = Buffer.concat([Buffer.alloc(zeros), Buffer.from(hex, 'hex')]);
+
+  if (bytes.length < 5) {
+    throw new Error('Too short');
+  }
+  const payload = bytes.subarray(0, -4);
+  if (!checksum(payload).equals(bytes.subarray(-4))) {
+    throw new Error('Invalid checksum');
+  }
+  return payload;
+}
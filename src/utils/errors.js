@@ -1,21 +1,95 @@
+/**
+ * Catalogue of machine-readable error codes
+ *
+ * Clients branch on `code`, never on the English message. Codes are stable:
+ * they are never renamed or reused, only added.
+ */
+export const ERROR_CATALOGUE = [
+  { code: 'VALIDATION_ERROR', status: 400, description: 'Request failed schema validation; details lists each failure' },
+  { code: 'INVALID_ADDRESS', status: 400, description: 'L1 address is malformed' },
+  { code: 'INVALID_UNICITY_ID', status: 400, description: 'unicityId is missing or malformed' },
+  { code: 'INVALID_AMOUNT', status: 400, description: 'Amount is not a positive integer' },
+  { code: 'AMOUNT_MISMATCH', status: 400, description: 'Amount differs from the snapshot balance; the campaign only allows claiming the full balance' },
+  { code: 'AMOUNT_EXCEEDS_BALANCE', status: 400, description: 'Tranche is larger than the remaining balance' },
+  { code: 'MESSAGE_VERSION_UNSUPPORTED', status: 400, description: 'v1 claim messages are no longer accepted; sign the v2 message' },
+  { code: 'SIGNATURE_EXPIRED', status: 400, description: 'The signed message has expired' },
+  { code: 'INVALID_EXPIRY', status: 400, description: 'expiresAt is further in the future than the server allows' },
+  { code: 'INVALID_SIGNATURE_FORMAT', status: 400, description: 'Signature is not a well-formed 65-byte compact signature, BIP-322 proof or multisig claim' },
+  { code: 'SIGNATURE_RECOVERY_FAILED', status: 400, description: 'No public key could be recovered from the signature' },
+  { code: 'SIGNATURE_ADDRESS_MISMATCH', status: 400, description: 'Signature was made by a key for a different address, or the witness script hashes to one' },
+  { code: 'SIGNATURE_INVALID', status: 400, description: 'Signature does not verify against the message' },
+  { code: 'RESERVATION_FAILED', status: 400, description: 'Address could not be reserved for this claim' },
+  { code: 'UNAUTHORIZED', status: 401, description: 'Admin API key is missing or invalid' },
+  { code: 'ADDRESS_FROZEN', status: 403, description: 'An operator has frozen the address' },
+  { code: 'CLAIM_WINDOW_CLOSED', status: 403, description: 'The campaign is not accepting claims at this time' },
+  { code: 'NOT_FOUND', status: 404, description: 'Resource not found' },
+  { code: 'ROUTE_NOT_FOUND', status: 404, description: 'No route matches the method and path' },
+  { code: 'ADDRESS_NOT_IN_SNAPSHOT', status: 404, description: 'Address has no balance in the snapshot' },
+  { code: 'CLAIM_NOT_FOUND', status: 404, description: 'No claim with this ID' },
+  { code: 'CAMPAIGN_NOT_FOUND', status: 404, description: 'No campaign with this ID' },
+  { code: 'ALREADY_MINTED', status: 409, description: 'Address has already been minted' },
+  { code: 'INVALID_STATE', status: 409, description: 'Action not allowed in the claim\'s current state' },
+  { code: 'CLAIM_IN_PROGRESS', status: 409, description: 'Another tranche of the address is still being processed' },
+  { code: 'SIGNATURE_ALREADY_USED', status: 409, description: 'Signature already backs another tranche; each tranche needs its own signature' },
+  { code: 'IDEMPOTENCY_CONFLICT', status: 409, description: 'A request with this Idempotency-Key is still being processed' },
+  { code: 'IDEMPOTENCY_KEY_MISMATCH', status: 422, description: 'Idempotency-Key was already used with a different request' },
+  { code: 'RATE_LIMITED', status: 429, description: 'Too many requests; retry after the Retry-After header' },
+  { code: 'INTERNAL_ERROR', status: 500, description: 'Unexpected server error' },
+  { code: 'DATABASE_ERROR', status: 500, description: 'Database operation failed' },
+  { code: 'UPSTREAM_REJECTED', status: 502, description: 'Upstream faucet rejected the mint; the address can be claimed again' },
+  { code: 'UPSTREAM_UNAVAILABLE', status: 502, description: 'Upstream faucet could not be reached; nothing was minted' },
+  { code: 'FULCRUM_UNAVAILABLE', status: 502, description: 'Fulcrum could not be reached or failed the on-chain query' },
+  { code: 'SNAPSHOT_UNVERIFIED', status: 503, description: 'The snapshot block could not be checked against the best chain yet; claims are paused' },
+  { code: 'SNAPSHOT_NOT_ON_BEST_CHAIN', status: 503, description: 'The snapshot block is no longer on the best chain; claims are refused until an operator acts' },
+  { code: 'UPSTREAM_OUTCOME_UNKNOWN', status: 504, description: 'Upstream faucet may have minted; the claim is held for reconciliation and must not be retried' }
+];
+
+/**
+ * Error code constants, e.g. ERROR_CODES.ALREADY_MINTED
+ */
+export const ERROR_CODES = Object.freeze(
+  Object.fromEntries(ERROR_CATALOGUE.map(({ code }) => [code, code]))
+);
+
 /**
  * Base application error class
  */
 export class AppError extends Error {
-  constructor(message, statusCode = 500) {
+  /**
+   * @param {string} message - Human-readable message
+   * @param {number} [statusCode] - HTTP status
+   * @param {Object} [options]
+   * @param {string} [options.code] - One of ERROR_CODES
+   * @param {Object|Array|null} [options.details] - Structured context for clients
+   */
+  constructor(message, statusCode = 500, { code = ERROR_CODES.INTERNAL_ERROR, details = null } = {}) {
     super(message);
     this.statusCode = statusCode;
+    this.code = code;
+    this.details = details;
     this.name = this.constructor.name;
     Error.captureStackTrace(this, this.constructor);
   }
+
+  /**
+   * API error response body
+   * @returns {{success: false, error: string, code: string, details?: Object|Array}}
+   */
+  toResponse() {
+    const body = { success: false, error: this.message, code: this.code };
+    if (this.details) {
+      body.details = this.details;
+    }
+    return body;
+  }
 }
 
 /**
  * Resource not found error (404)
  */
 export class NotFoundError extends AppError {
-  constructor(message = 'Resource not found') {
-    super(message, 404);
+  constructor(message = 'Resource not found', options = {}) {
+    super(message, 404, { code: ERROR_CODES.NOT_FOUND, ...options });
   }
 }
 
@@ -23,8 +97,8 @@ export class NotFoundError extends AppError {
  * Validation error for invalid input (400)
  */
 export class ValidationError extends AppError {
-  constructor(message = 'Validation failed') {
-    super(message, 400);
+  constructor(message = 'Validation failed', options = {}) {
+    super(message, 400, { code: ERROR_CODES.VALIDATION_ERROR, ...options });
   }
 }
 
@@ -32,8 +106,44 @@ export class ValidationError extends AppError {
  * Signature verification failed (400)
  */
 export class SignatureError extends AppError {
-  constructor(message = 'Signature verification failed') {
-    super(message, 400);
+  constructor(message = 'Signature verification failed', options = {}) {
+    super(message, 400, { code: ERROR_CODES.SIGNATURE_INVALID, ...options });
+  }
+}
+
+/**
+ * Missing or invalid credentials (401)
+ */
+export class UnauthorizedError extends AppError {
+  constructor(message = 'Unauthorized', options = {}) {
+    super(message, 401, { code: ERROR_CODES.UNAUTHORIZED, ...options });
+  }
+}
+
+/**
+ * Address frozen by an operator (403 Forbidden)
+ */
+export class AddressFrozenError extends AppError {
+  constructor(message = 'Address is frozen', options = {}) {
+    super(message, 403, { code: ERROR_CODES.ADDRESS_FROZEN, ...options });
+  }
+}
+
+/**
+ * Claim made outside the campaign's claim window (403 Forbidden)
+ */
+export class ClaimWindowError extends AppError {
+  constructor(message = 'Campaign is not accepting claims', options = {}) {
+    super(message, 403, { code: ERROR_CODES.CLAIM_WINDOW_CLOSED, ...options });
+  }
+}
+
+/**
+ * Action not allowed in the resource's current state (409 Conflict)
+ */
+export class InvalidStateError extends AppError {
+  constructor(message = 'Action not allowed in current state', options = {}) {
+    super(message, 409, { code: ERROR_CODES.INVALID_STATE, ...options });
   }
 }
 
@@ -41,8 +151,37 @@ export class SignatureError extends AppError {
  * Address already minted error (409 Conflict)
  */
 export class AlreadyMintedError extends AppError {
-  constructor(message = 'Address has already been minted') {
-    super(message, 409);
+  constructor(message = 'Address has already been minted', options = {}) {
+    super(message, 409, { code: ERROR_CODES.ALREADY_MINTED, ...options });
+  }
+}
+
+/**
+ * Idempotency key is bound to a request still in progress (409 Conflict)
+ */
+export class IdempotencyConflictError extends AppError {
+  constructor(message = 'A request with this Idempotency-Key is still being processed', options = {}) {
+    super(message, 409, { code: ERROR_CODES.IDEMPOTENCY_CONFLICT, ...options });
+  }
+}
+
+/**
+ * Idempotency key reused with a different request body (422 Unprocessable Entity)
+ */
+export class IdempotencyKeyMismatchError extends AppError {
+  constructor(message = 'Idempotency-Key was already used with a different request', options = {}) {
+    super(message, 422, { code: ERROR_CODES.IDEMPOTENCY_KEY_MISMATCH, ...options });
+  }
+}
+
+/**
+ * Client exceeded a rate limit (429 Too Many Requests)
+ * retryAfter is sent as the Retry-After header.
+ */
+export class RateLimitError extends AppError {
+  constructor(message = 'Too many requests', retryAfter = 1, options = {}) {
+    super(message, 429, { code: ERROR_CODES.RATE_LIMITED, ...options });
+    this.retryAfter = retryAfter;
   }
 }
 
@@ -50,8 +189,37 @@ export class AlreadyMintedError extends AppError {
  * Upstream faucet error (502 Bad Gateway)
  */
 export class FaucetError extends AppError {
-  constructor(message = 'Upstream faucet error') {
-    super(message, 502);
+  constructor(message = 'Upstream faucet error', options = {}) {
+    super(message, 502, { code: ERROR_CODES.UPSTREAM_REJECTED, ...options });
+  }
+}
+
+/**
+ * Upstream mint outcome could not be determined (504 Gateway Timeout)
+ * The claim stays reserved until it is reconciled.
+ */
+export class MintOutcomeUnknownError extends FaucetError {
+  constructor(message = 'Upstream mint outcome unknown', options = {}) {
+    super(message, { code: ERROR_CODES.UPSTREAM_OUTCOME_UNKNOWN, ...options });
+    this.statusCode = 504;
+  }
+}
+
+/**
+ * Fulcrum (Electrum server) error (502 Bad Gateway)
+ */
+export class FulcrumError extends AppError {
+  constructor(message = 'Fulcrum request failed', options = {}) {
+    super(message, 502, { code: ERROR_CODES.FULCRUM_UNAVAILABLE, ...options });
+  }
+}
+
+/**
+ * Snapshot block not verified to be on the best chain (503 Service Unavailable)
+ */
+export class SnapshotVerificationError extends AppError {
+  constructor(message = 'Snapshot block not verified', options = {}) {
+    super(message, 503, { code: ERROR_CODES.SNAPSHOT_UNVERIFIED, ...options });
   }
 }
 
@@ -59,7 +227,7 @@ export class FaucetError extends AppError {
  * Database error (500)
  */
 export class DatabaseError extends AppError {
-  constructor(message = 'Database operation failed') {
-    super(message, 500);
+  constructor(message = 'Database operation failed', options = {}) {
+    super(message, 500, { code: ERROR_CODES.DATABASE_ERROR, ...options });
   }
 }
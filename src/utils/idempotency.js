@@ -0,0 +1,52 @@
+import { createHash } from 'crypto';
+
+/**
+ * Idempotency hashes of mint requests
+ *
+ * Signatures are taken in their canonical form (see
+ * SignatureService.normalizeSignature). BalanceService hashes incoming
+ * requests with these; database migrations use them to recompute stored
+ * hashes when the canonical form changes.
+ */
+
+/**
+ * Hash the fields that make up a single-address mint request
+ * @param {string} campaignId
+ * @param {string} l1Address - Normalized L1 address
+ * @param {string} unicityId
+ * @param {number|bigint} amount - Amount in satoshis
+ * @param {string} signature - Canonical signature
+ * @returns {string} Hex SHA-256
+ */
+export function requestHash(campaignId, l1Address, unicityId, amount, signature) {
+  const canonical = JSON.stringify([campaignId, l1Address, unicityId, BigInt(amount).toString(), signature]);
+  return createHash('sha256').update(canonical).digest('hex');
+}
+
+/**
+ * Hash an aggregated claim; entries are sorted by address, so their order does not matter
+ * @param {string} campaignId
+ * @param {string} unicityId
+ * @param {Array<{l1Address: string, amount: number|bigint, signature: string}>} entries - Canonical signatures
+ * @returns {string} Hex SHA-256
+ */
+export function aggregateRequestHash(campaignId, unicityId, entries) {
+  const canonicalEntries = entries
+    .map(({ l1Address, amount, signature }) => [l1Address, BigInt(amount).toString(), signature])
+    .sort(([a], [b]) => (a < b ? -1 : a > b ? 1 : 0));
+  const canonical = JSON.stringify([campaignId, 'aggregate', unicityId, canonicalEntries]);
+  return createHash('sha256').update(canonical).digest('hex');
+}
+
+/**
+ * Idempotency key derived from a request's signatures
+ * @param {string} campaignId
+ * @param {string[]} signatures - Canonical signatures, in any order
+ * @returns {string}
+ */
+export function signatureIdempotencyKey(campaignId, signatures) {
+  const digest = createHash('sha256')
+    .update(`${campaignId}:${[...signatures].sort().join(',')}`)
+    .digest('hex');
+  return `sig:${digest}`;
+}
@@ -0,0 +1,297 @@
+/**
+ * Minimal Prometheus metrics in the text exposition format (version 0.0.4)
+ *
+ * Metrics are module-level singletons registered on the default registry,
+ * so services record them without having a registry injected.
+ */
+
+const DEFAULT_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30];
+
+/**
+ * Escape a label value for the exposition format
+ * @param {*} value
+ * @returns {string}
+ */
+function escapeLabel(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+/**
+ * Render a label set as {a="1",b="2"}
+ * @param {Object} labels
+ * @returns {string}
+ */
+function formatLabels(labels) {
+  const entries = Object.entries(labels);
+  if (entries.length === 0) {
+    return '';
+  }
+  return `{${entries.map(([name, value]) => `${name}="${escapeLabel(value)}"`).join(',')}}`;
+}
+
+/**
+ * Base class holding one value per label combination
+ */
+class Metric {
+  /**
+   * @param {string} type - Prometheus metric type
+   * @param {string} name - Metric name
+   * @param {string} help - Help text
+   * @param {string[]} [labelNames]
+   */
+  constructor(type, name, help, labelNames = []) {
+    this.type = type;
+    this.name = name;
+    this.help = help;
+    this.labelNames = labelNames;
+    this.series = new Map();
+  }
+
+  /**
+   * Get or create the series for a label set
+   * @param {Object} labels
+   * @param {function(): Object} create - Initial series value
+   * @returns {Object}
+   */
+  _series(labels, create) {
+    const values = this.labelNames.map((name) => labels[name] ?? '');
+    const key = JSON.stringify(values);
+    if (!this.series.has(key)) {
+      const labelSet = Object.fromEntries(this.labelNames.map((name, i) => [name, values[i]]));
+      this.series.set(key, { labels: labelSet, ...create() });
+    }
+    return this.series.get(key);
+  }
+
+  /**
+   * Forget all recorded values
+   */
+  reset() {
+    this.series.clear();
+  }
+
+  /**
+   * @returns {string} Exposition text for this metric
+   */
+  render() {
+    const lines = [`# HELP ${this.name} ${this.help}`, `# TYPE ${this.name} ${this.type}`];
+    for (const series of this.series.values()) {
+      lines.push(...this._renderSeries(series));
+    }
+    return lines.join('\n');
+  }
+
+  _renderSeries(series) {
+    return [`${this.name}${formatLabels(series.labels)} ${series.value}`];
+  }
+}
+
+/**
+ * Monotonically increasing count
+ */
+export class Counter extends Metric {
+  constructor(name, help, labelNames) {
+    super('counter', name, help, labelNames);
+  }
+
+  /**
+   * @param {Object} [labels]
+   * @param {number} [value]
+   */
+  inc(labels = {}, value = 1) {
+    this._series(labels, () => ({ value: 0 })).value += value;
+  }
+
+  /**
+   * @param {Object} [labels]
+   * @returns {number}
+   */
+  get(labels = {}) {
+    return this._series(labels, () => ({ value: 0 })).value;
+  }
+}
+
+/**
+ * Value that can go up and down
+ */
+export class Gauge extends Metric {
+  constructor(name, help, labelNames) {
+    super('gauge', name, help, labelNames);
+  }
+
+  /**
+   * @param {Object} labels
+   * @param {number} value
+   */
+  set(labels, value) {
+    this._series(labels, () => ({ value: 0 })).value = value;
+  }
+}
+
+/**
+ * Distribution of observed values, e.g. durations in seconds
+ */
+export class Histogram extends Metric {
+  /**
+   * @param {string} name
+   * @param {string} help
+   * @param {string[]} [labelNames]
+   * @param {number[]} [buckets] - Upper bounds, ascending
+   */
+  constructor(name, help, labelNames, buckets = DEFAULT_BUCKETS) {
+    super('histogram', name, help, labelNames);
+    this.buckets = buckets;
+  }
+
+  /**
+   * @param {Object} labels
+   * @param {number} value
+   */
+  observe(labels, value) {
+    const series = this._series(labels, () => ({
+      counts: this.buckets.map(() => 0),
+      sum: 0,
+      count: 0
+    }));
+
+    this.buckets.forEach((bound, i) => {
+      if (value <= bound) {
+        series.counts[i]++;
+      }
+    });
+    series.sum += value;
+    series.count++;
+  }
+
+  /**
+   * Start timing; call the returned function to observe the elapsed seconds
+   * @param {Object} [labels] - Labels known up front
+   * @returns {function(Object=): number} Takes labels known at the end
+   */
+  startTimer(labels = {}) {
+    const start = process.hrtime.bigint();
+    return (endLabels = {}) => {
+      const seconds = Number(process.hrtime.bigint() - start) / 1e9;
+      this.observe({ ...labels, ...endLabels }, seconds);
+      return seconds;
+    };
+  }
+
+  _renderSeries(series) {
+    const lines = this.buckets.map((bound, i) =>
+      `${this.name}_bucket${formatLabels({ ...series.labels, le: bound })} ${series.counts[i]}`
+    );
+    lines.push(
+      `${this.name}_bucket${formatLabels({ ...series.labels, le: '+Inf' })} ${series.count}`,
+      `${this.name}_sum${formatLabels(series.labels)} ${series.sum}`,
+      `${this.name}_count${formatLabels(series.labels)} ${series.count}`
+    );
+    return lines;
+  }
+}
+
+/**
+ * Collection of metrics rendered together
+ */
+export class Registry {
+  constructor() {
+    this.metrics = [];
+    this.collectors = [];
+  }
+
+  /**
+   * @template {Metric} T
+   * @param {T} metric
+   * @returns {T}
+   */
+  register(metric) {
+    this.metrics.push(metric);
+    return metric;
+  }
+
+  /**
+   * Run a function before every scrape, e.g. to refresh gauges
+   * @param {function(): void} collector
+   */
+  onCollect(collector) {
+    this.collectors.push(collector);
+  }
+
+  /**
+   * @returns {string} Exposition text for all metrics
+   */
+  render() {
+    for (const collect of this.collectors) {
+      collect();
+    }
+    return `${this.metrics.map((metric) => metric.render()).join('\n')}\n`;
+  }
+
+  /**
+   * Forget all recorded values
+   */
+  reset() {
+    for (const metric of this.metrics) {
+      metric.reset();
+    }
+  }
+}
+
+export const registry = new Registry();
+
+export const httpRequestsTotal = registry.register(new Counter(
+  'faucet_http_requests_total',
+  'HTTP requests by route and status',
+  ['method', 'route', 'status']
+));
+
+export const httpRequestDuration = registry.register(new Histogram(
+  'faucet_http_request_duration_seconds',
+  'HTTP request latency by route and status',
+  ['method', 'route', 'status']
+));
+
+export const mintOutcomesTotal = registry.register(new Counter(
+  'faucet_mint_outcomes_total',
+  'Mint requests by outcome: confirmed, or the error class that ended them',
+  ['outcome']
+));
+
+export const upstreamMintDuration = registry.register(new Histogram(
+  'faucet_upstream_mint_duration_seconds',
+  'Upstream faucet mint call latency by result (success, rejected, unknown)',
+  ['result']
+));
+
+export const upstreamMintFailuresTotal = registry.register(new Counter(
+  'faucet_upstream_mint_failures_total',
+  'Failed upstream faucet mint calls by error class',
+  ['error']
+));
+
+export const fulcrumRequestDuration = registry.register(new Histogram(
+  'faucet_fulcrum_request_duration_seconds',
+  'Fulcrum request latency by Electrum method and result (success, error)',
+  ['method', 'result']
+));
+
+export const signatureVerificationDuration = registry.register(new Histogram(
+  'faucet_signature_verification_duration_seconds',
+  'Signature verification time by result (valid, invalid)',
+  ['result'],
+  [0.0005, 0.001, 0.0025, 0.005, 0.01, 0.025, 0.05, 0.1]
+));
+
+export const snapshotAddresses = registry.register(new Gauge(
+  'faucet_snapshot_addresses',
+  'Snapshot addresses by campaign and state (total, available, minted)',
+  ['campaign', 'state']
+));
+
+export const snapshotAmount = registry.register(new Gauge(
+  'faucet_snapshot_amount_satoshis',
+  'Snapshot amounts in satoshis by campaign and state (total, available, minted)',
+  ['campaign', 'state']
+));
+
+export default registry;
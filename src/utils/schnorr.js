@@ -0,0 +1,150 @@
+import { createHash } from 'crypto';
+import elliptic from 'elliptic';
+
+/**
+ * BIP-340 Schnorr signatures and BIP-341 key tweaking on secp256k1
+ *
+ * Public keys are 32-byte x coordinates of points with an even y.
+ */
+
+const ec = new elliptic.ec('secp256k1');
+
+const CURVE_ORDER = BigInt('0x' + ec.n.toString(16));
+const FIELD_PRIME = BigInt('0x' + ec.curve.p.toString(16));
+
+/**
+ * @param {Buffer} bytes
+ * @returns {bigint}
+ */
+function toBigInt(bytes) {
+  return BigInt('0x' + (bytes.toString('hex') || '0'));
+}
+
+/**
+ * @param {bigint} n
+ * @returns {Buffer} 32-byte big-endian
+ */
+function toBytes32(n) {
+  return Buffer.from(n.toString(16).padStart(64, '0'), 'hex');
+}
+
+/**
+ * @param {Object} point - elliptic point
+ * @returns {Buffer} 32-byte x coordinate
+ */
+function xOnly(point) {
+  return Buffer.from(point.getX().toArray('be', 32));
+}
+
+/**
+ * Point with the given x coordinate and an even y
+ * @param {Buffer} x
+ * @returns {Object} elliptic point
+ * @throws {Error} If x is not on the curve
+ */
+function liftX(x) {
+  if (toBigInt(x) >= FIELD_PRIME) {
+    throw new Error('x coordinate out of range');
+  }
+  return ec.curve.pointFromX(x.toString('hex'), false);
+}
+
+/**
+ * BIP-340 tagged hash: SHA256(SHA256(tag) || SHA256(tag) || data...)
+ * @param {string} tag
+ * @param {...Buffer} data
+ * @returns {Buffer}
+ */
+export function taggedHash(tag, ...data) {
+  const tagHash = createHash('sha256').update(tag, 'utf8').digest();
+  const hash = createHash('sha256').update(tagHash).update(tagHash);
+  for (const chunk of data) {
+    hash.update(chunk);
+  }
+  return hash.digest();
+}
+
+/**
+ * Taproot output key for an internal key without a script tree (BIP-86)
+ * @param {Buffer} internalKey - 32-byte x-only public key
+ * @returns {Buffer} 32-byte x-only output key
+ */
+export function tweakPublicKey(internalKey) {
+  const tweak = toBigInt(taggedHash('TapTweak', internalKey));
+  if (tweak >= CURVE_ORDER) {
+    throw new Error('Taproot tweak out of range');
+  }
+  return xOnly(liftX(internalKey).add(ec.g.mul(tweak.toString(16))));
+}
+
+/**
+ * Private key for the taproot output key of a private key (BIP-86)
+ * @param {string} privateKeyHex
+ * @returns {string} Tweaked private key in hex
+ */
+export function tweakPrivateKey(privateKeyHex) {
+  const keyPair = ec.keyFromPrivate(privateKeyHex, 'hex');
+  const point = keyPair.getPublic();
+  let d = BigInt('0x' + keyPair.getPrivate('hex'));
+  if (point.getY().isOdd()) {
+    d = CURVE_ORDER - d;
+  }
+  const tweak = toBigInt(taggedHash('TapTweak', xOnly(point)));
+  return toBytes32((d + tweak) % CURVE_ORDER).toString('hex');
+}
+
+/**
+ * Verify a BIP-340 signature
+ * @param {Buffer} signature - 64 bytes
+ * @param {Buffer} message - 32-byte message
+ * @param {Buffer} publicKey - 32-byte x-only public key
+ * @returns {boolean}
+ */
+export function verifySchnorr(signature, message, publicKey) {
+  let point;
+  try {
+    point = liftX(publicKey);
+  } catch {
+    return false;
+  }
+
+  const r = toBigInt(signature.subarray(0, 32));
+  const s = toBigInt(signature.subarray(32, 64));
+  if (r >= FIELD_PRIME || s >= CURVE_ORDER) {
+    return false;
+  }
+
+  const e = toBigInt(taggedHash('BIP0340/challenge', signature.subarray(0, 32), publicKey, message)) % CURVE_ORDER;
+  // R = s*G - e*P
+  const R = ec.g.mul(s.toString(16)).add(point.mul(((CURVE_ORDER - e) % CURVE_ORDER).toString(16)));
+
+  return !R.isInfinity() && R.getY().isEven() && toBigInt(xOnly(R)) === r;
+}
+
+/**
+ * Create a BIP-340 signature, for testing purposes
+ * Uses all-zero auxiliary randomness, so signatures are deterministic.
+ * @param {Buffer} message - 32-byte message
+ * @param {string} privateKeyHex
+ * @returns {Buffer} 64-byte signature
+ */
+export function signSchnorr(message, privateKeyHex) {
+  const keyPair = ec.keyFromPrivate(privateKeyHex, 'hex');
+  const point = keyPair.getPublic();
+  let d = BigInt('0x' + keyPair.getPrivate('hex'));
+  if (point.getY().isOdd()) {
+    d = CURVE_ORDER - d;
+  }
+  const publicKey = xOnly(point);
+
+  const aux = toBigInt(taggedHash('BIP0340/aux', Buffer.alloc(32)));
+  const nonce = toBigInt(taggedHash('BIP0340/nonce', toBytes32(d ^ aux), publicKey, message)) % CURVE_ORDER;
+  if (nonce === 0n) {
+    throw new Error('Invalid nonce');
+  }
+  const R = ec.g.mul(nonce.toString(16));
+  const k = R.getY().isOdd() ? CURVE_ORDER - nonce : nonce;
+
+  const e = toBigInt(taggedHash('BIP0340/challenge', xOnly(R), publicKey, message)) % CURVE_ORDER;
+  return Buffer.concat([xOnly(R), toBytes32((k + e * d) % CURVE_ORDER)]);
+}
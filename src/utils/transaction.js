@@ -0,0 +1,217 @@
+import { createHash } from 'crypto';
+
+/**
+ * @param {Buffer} data
+ * @returns {Buffer} SHA256(SHA256(data))
+ */
+export function hash256(data) {
+  const once = createHash('sha256').update(data).digest();
+  return createHash('sha256').update(once).digest();
+}
+
+/**
+ * Sequential reader over Bitcoin-serialized data
+ */
+export class ByteReader {
+  /**
+   * @param {Buffer} buffer
+   * @param {number} [offset]
+   */
+  constructor(buffer, offset = 0) {
+    this.buffer = buffer;
+    this.offset = offset;
+  }
+
+  get done() {
+    return this.offset === this.buffer.length;
+  }
+
+  bytes(n) {
+    if (this.offset + n > this.buffer.length) {
+      throw new Error('Unexpected end of data');
+    }
+    const out = this.buffer.subarray(this.offset, this.offset + n);
+    this.offset += n;
+    return out;
+  }
+
+  uint8() {
+    return this.bytes(1)[0];
+  }
+
+  uint32() {
+    return this.bytes(4).readUInt32LE(0);
+  }
+
+  uint64() {
+    return this.bytes(8).readBigUInt64LE(0);
+  }
+
+  varInt() {
+    const first = this.uint8();
+    if (first < 0xfd) {
+      return first;
+    }
+    if (first === 0xfd) {
+      return this.bytes(2).readUInt16LE(0);
+    }
+    if (first === 0xfe) {
+      return this.uint32();
+    }
+    const value = this.uint64();
+    if (value > BigInt(Number.MAX_SAFE_INTEGER)) {
+      throw new Error('VarInt too large');
+    }
+    return Number(value);
+  }
+
+  varSlice() {
+    return this.bytes(this.varInt());
+  }
+}
+
+/**
+ * Read one transaction, with or without segwit marker, at the reader's offset
+ * @param {ByteReader} reader
+ * @returns {{txid: string, version: number, inputs: Array<{txid: string, vout: number,
+ *   scriptSig: Buffer, sequence: number, witness: Buffer[]}>,
+ *   outputs: Array<{value: bigint, script: Buffer}>, locktime: number}}
+ *   txid is in the usual display (reversed) byte order
+ */
+export function readTransaction(reader) {
+  const start = reader.offset;
+  const version = reader.uint32();
+
+  let segwit = false;
+  if (reader.buffer[reader.offset] === 0x00 && reader.buffer[reader.offset + 1] === 0x01) {
+    reader.bytes(2);
+    segwit = true;
+  }
+
+  const inputsStart = reader.offset;
+  const inputs = [];
+  const inputCount = reader.varInt();
+  for (let i = 0; i < inputCount; i++) {
+    inputs.push({
+      txid: Buffer.from(reader.bytes(32)).reverse().toString('hex'),
+      vout: reader.uint32(),
+      scriptSig: reader.varSlice(),
+      sequence: reader.uint32(),
+      witness: []
+    });
+  }
+
+  const outputs = [];
+  const outputCount = reader.varInt();
+  for (let i = 0; i < outputCount; i++) {
+    outputs.push({ value: reader.uint64(), script: reader.varSlice() });
+  }
+  const outputsEnd = reader.offset;
+
+  if (segwit) {
+    for (const input of inputs) {
+      const items = reader.varInt();
+      for (let i = 0; i < items; i++) {
+        input.witness.push(reader.varSlice());
+      }
+    }
+  }
+
+  const locktime = reader.uint32();
+
+  // The txid commits to the serialization without marker, flag and witness
+  const stripped = Buffer.concat([
+    reader.buffer.subarray(start, start + 4),
+    reader.buffer.subarray(inputsStart, outputsEnd),
+    reader.buffer.subarray(reader.offset - 4, reader.offset)
+  ]);
+
+  return {
+    txid: hash256(stripped).reverse().toString('hex'),
+    version,
+    inputs,
+    outputs,
+    locktime
+  };
+}
+
+/**
+ * Parse a raw transaction
+ * @param {Buffer|string} raw - Serialized transaction, or its hex
+ * @returns {Object} See readTransaction
+ * @throws {Error} If the data is not exactly one transaction
+ */
+export function parseTransaction(raw) {
+  const reader = new ByteReader(typeof raw === 'string' ? Buffer.from(raw, 'hex') : raw);
+  const tx = readTransaction(reader);
+  if (!reader.done) {
+    throw new Error('Trailing data after transaction');
+  }
+  return tx;
+}
+
+/**
+ * Parse the standard fields of a block header
+ * Headers longer than 80 bytes keep these first; the hash covers the first 80.
+ * @param {Buffer} header
+ * @returns {{hash: string, version: number, prevHash: string, merkleRoot: string,
+ *   time: number, bits: number, nonce: number}} Hashes in display (reversed) byte order
+ */
+export function parseBlockHeader(header) {
+  const reader = new ByteReader(header);
+  return {
+    hash: hash256(header.subarray(0, 80)).reverse().toString('hex'),
+    version: reader.uint32(),
+    prevHash: Buffer.from(reader.bytes(32)).reverse().toString('hex'),
+    merkleRoot: Buffer.from(reader.bytes(32)).reverse().toString('hex'),
+    time: reader.uint32(),
+    bits: reader.uint32(),
+    nonce: reader.uint32()
+  };
+}
+
+/**
+ * Merkle root of a block's transactions
+ * @param {string[]} txids - In display (reversed) byte order, block order
+ * @returns {{root: string, mutated: boolean}} Root in display byte order;
+ *   mutated if two identical subtrees are paired, so that a list with
+ *   duplicated transactions has the same root (CVE-2012-2459)
+ */
+export function merkleRoot(txids) {
+  let level = txids.map((txid) => Buffer.from(txid, 'hex').reverse());
+  let mutated = false;
+  while (level.length > 1) {
+    const next = [];
+    for (let i = 0; i < level.length; i += 2) {
+      const right = level[i + 1] ?? level[i];
+      if (i + 1 < level.length && level[i].equals(right)) {
+        mutated = true;
+      }
+      next.push(hash256(Buffer.concat([level[i], right])));
+    }
+    level = next;
+  }
+  return { root: Buffer.from(level[0]).reverse().toString('hex'), mutated };
+}
+
+/**
+ * Parse a serialized block
+ * @param {Buffer} raw
+ * @param {number} [headerSize] - Bytes before the transaction count
+ * @returns {Object} Header fields (see parseBlockHeader) and transactions
+ *   (see readTransaction)
+ * @throws {Error} If the data is not exactly one block
+ */
+export function parseBlock(raw, headerSize = 80) {
+  const reader = new ByteReader(raw, headerSize);
+  const transactions = [];
+  const count = reader.varInt();
+  for (let i = 0; i < count; i++) {
+    transactions.push(readTransaction(reader));
+  }
+  if (!reader.done) {
+    throw new Error('Trailing data after block');
+  }
+
+  return { ...parseBlockHeader(raw), transactions };
+}
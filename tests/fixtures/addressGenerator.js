@@ -134,6 +134,17 @@ export function signMintRequest(privateKeyHex, l1Address, unicityId, amount) {
   return v + r + s;
 }
 
+/**
+ * Build a standard m-of-n multisig witness script
+ * @param {number} m - Signature threshold
+ * @param {string[]} publicKeys - Compressed public keys in hex
+ * @returns {string} `OP_m <pubkey>... OP_n OP_CHECKMULTISIG` in hex
+ */
+export function createMultisigScript(m, publicKeys) {
+  const op = (n) => (0x50 + n).toString(16);
+  return op(m) + publicKeys.map((key) => '21' + key).join('') + op(publicKeys.length) + 'ae';
+}
+
 /**
  * Create Bitcoin-style message hash
  */
@@ -159,5 +170,6 @@ export default {
   generateKeyPair,
   publicKeyToAddress,
   generateTestBalances,
-  signMintRequest
+  signMintRequest,
+  createMultisigScript
 };
@@ -0,0 +1,87 @@
+import { writeFileSync } from 'fs';
+import { join } from 'path';
+import { hash256, merkleRoot, parseTransaction } from '../../src/utils/transaction.js';
+
+// Regtest-style easiest target, met by about every other nonce
+export const EASY_BITS = 0x207fffff;
+
+// Network magic the files are written with by default (regtest's)
+export const MAGIC = 0xdab5bffa;
+
+/**
+ * Serialize a block for tests
+ * The nonce is searched from the given one until the header meets its
+ * target, or misses it with validPow false.
+ * @param {Object} block
+ * @param {string} block.prevHash - Display order; zeros for a genesis block
+ * @param {string[]} block.transactions - Raw transaction hex
+ * @param {number} [block.bits]
+ * @param {number} [block.nonce] - Vary to get distinct blocks with the same content
+ * @param {boolean} [block.validPow]
+ * @param {string} [block.merkleRoot] - Display order; defaults to the transactions' root
+ * @param {function(Buffer): Buffer} [block.headerSuffix] - Extra header bytes
+ *   appended to the mined 80-byte header, for chains with longer headers
+ * @returns {{hash: string, raw: Buffer}} hash is the double SHA-256 of the whole header
+ */
+export function buildBlock({
+  prevHash, transactions, bits = EASY_BITS, nonce = 0, validPow = true,
+  merkleRoot: root = merkleRoot(transactions.map((hex) => parseTransaction(hex).txid)).root,
+  headerSuffix = () => Buffer.alloc(0)
+}) {
+  const header = Buffer.alloc(80);
+  header.writeUInt32LE(0x20000000, 0);
+  Buffer.from(prevHash, 'hex').reverse().copy(header, 4);
+  Buffer.from(root, 'hex').reverse().copy(header, 36);
+  header.writeUInt32LE(1700000000, 68);
+  header.writeUInt32LE(bits, 72);
+
+  const target = BigInt(bits & 0x007fffff) << BigInt(8 * ((bits >>> 24) - 3));
+  for (; ; nonce++) {
+    header.writeUInt32LE(nonce, 76);
+    if ((BigInt(`0x${hash256(header).reverse().toString('hex')}`) <= target) === validPow) {
+      break;
+    }
+  }
+
+  const fullHeader = Buffer.concat([header, headerSuffix(header)]);
+  const hash = hash256(fullHeader).reverse().toString('hex');
+  const raw = Buffer.concat([
+    fullHeader,
+    Buffer.from([transactions.length]),
+    ...transactions.map((hex) => Buffer.from(hex, 'hex'))
+  ]);
+  return { hash, raw };
+}
+
+/**
+ * Write blocks as blk00000.dat, blk00001.dat... the way a node stores them
+ * @param {string} dir
+ * @param {Buffer[][]} files - Raw blocks per file, in file order
+ * @param {Object} [options]
+ * @param {number} [options.magic] - Network magic
+ * @param {Buffer} [options.xorKey] - Written to xor.dat and applied to the files
+ * @param {number} [options.padding] - Zero bytes appended, like preallocated space
+ */
+export function writeBlockFiles(dir, files, { magic = MAGIC, xorKey, padding = 0 } = {}) {
+  files.forEach((blocks, i) => {
+    const records = blocks.map((raw) => {
+      const prefix = Buffer.alloc(8);
+      prefix.writeUInt32LE(magic, 0);
+      prefix.writeUInt32LE(raw.length, 4);
+      return Buffer.concat([prefix, raw]);
+    });
+    const data = Buffer.concat([...records, Buffer.alloc(padding)]);
+    if (xorKey) {
+      for (let p = 0; p < data.length; p++) {
+        data[p] ^= xorKey[p % xorKey.length];
+      }
+    }
+    writeFileSync(join(dir, `blk${String(i).padStart(5, '0')}.dat`), data);
+  });
+
+  if (xorKey) {
+    writeFileSync(join(dir, 'xor.dat'), xorKey);
+  }
+}
+
+export default { buildBlock, writeBlockFiles, EASY_BITS, MAGIC };
@@ -0,0 +1,19 @@
+import { TOKEN_CONFIG, DEFAULT_CAMPAIGN_ID } from '../../src/config/constants.js';
+
+/**
+ * Create a campaign for tests, defaulting to the default campaign
+ * @param {import('../../src/db/BalanceRepository.js').BalanceRepository} balanceRepo
+ * @param {Object} [overrides] - Fields passed to BalanceRepository.createCampaign
+ * @returns {string} Campaign ID
+ */
+export function createCampaign(balanceRepo, overrides = {}) {
+  const campaign = {
+    id: DEFAULT_CAMPAIGN_ID,
+    name: 'Test campaign',
+    blockHeight: 100,
+    token: TOKEN_CONFIG,
+    ...overrides
+  };
+  balanceRepo.createCampaign(campaign);
+  return campaign.id;
+}
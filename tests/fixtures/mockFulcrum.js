@@ -0,0 +1,126 @@
+import { readFileSync } from 'fs';
+import { pathToFileURL } from 'url';
+import { WebSocketServer } from 'ws';
+import { AddressService } from '../../src/services/AddressService.js';
+
+const addressService = new AddressService();
+
+/**
+ * Start a local Fulcrum stand-in speaking the Electrum protocol over WebSocket
+ *
+ * Address data is keyed by L1 address; the server answers scripthash
+ * queries for them. Raw transactions and block headers are keyed by txid and
+ * height. handlers override or add methods and may return a promise (one
+ * that never settles simulates a hung server). JSON-RPC batches are answered
+ * with one array of replies.
+ *
+ * @param {Object} [options]
+ * @param {number} [options.port] - 0 picks a free port
+ * @param {{height: number, hex: string}} [options.tip]
+ * @param {Object<string, {confirmed?: number, unconfirmed?: number,
+ *   history?: Array<{tx_hash: string, height: number}>,
+ *   utxos?: Array<{tx_hash: string, tx_pos: number, height: number, value: number}>}>} [options.addresses]
+ * @param {Object<string, string>} [options.transactions] - txid → raw hex
+ * @param {Object<number, string>} [options.headers] - height → header hex
+ * @param {Object<string, function(Array): *>} [options.handlers]
+ * @returns {Promise<{url: string, requests: Array<{method: string, params: Array}>,
+ *   setAddress: function(string, Object): void, close: function(): Promise<void>}>}
+ */
+export async function startMockFulcrum({
+  port = 0,
+  tip,
+  addresses = {},
+  transactions = {},
+  headers = {},
+  handlers = {}
+} = {}) {
+  const state = {
+    tip: tip || { height: 100, hex: '00'.repeat(80) },
+    byScriptHash: new Map()
+  };
+  const requests = [];
+
+  const setAddress = (address, data) => {
+    state.byScriptHash.set(addressService.computeScriptHash(address), data);
+  };
+  for (const [address, data] of Object.entries(addresses)) {
+    setAddress(address, data);
+  }
+
+  const scriptHashData = ([scriptHash]) => state.byScriptHash.get(scriptHash) || {};
+  const methods = {
+    'server.version': () => ['MockFulcrum 1.0', '1.4'],
+    'server.ping': () => null,
+    'blockchain.headers.subscribe': () => state.tip,
+    'blockchain.scripthash.get_balance': (params) => {
+      const { confirmed = 0, unconfirmed = 0 } = scriptHashData(params);
+      return { confirmed, unconfirmed };
+    },
+    'blockchain.scripthash.get_history': (params) => scriptHashData(params).history || [],
+    'blockchain.scripthash.listunspent': (params) => scriptHashData(params).utxos || [],
+    'blockchain.transaction.get': ([txid]) => {
+      if (!transactions[txid]) {
+        throw new Error(`No such mempool or blockchain transaction ${txid}`);
+      }
+      return transactions[txid];
+    },
+    'blockchain.block.header': ([height]) => {
+      if (headers[height] === undefined) {
+        throw new Error(`Height ${height} out of range`);
+      }
+      return headers[height];
+    },
+    ...handlers
+  };
+
+  const server = new WebSocketServer({ port, host: '127.0.0.1' });
+  await new Promise((resolve) => server.once('listening', resolve));
+
+  const answer = async ({ id, method, params = [] }) => {
+    requests.push({ method, params });
+
+    if (!methods[method]) {
+      return { jsonrpc: '2.0', id, error: { code: -32601, message: `unknown method "${method}"` } };
+    }
+    try {
+      return { jsonrpc: '2.0', id, result: await methods[method](params) };
+    } catch (err) {
+      return { jsonrpc: '2.0', id, error: { code: 1, message: err.message } };
+    }
+  };
+
+  server.on('connection', (socket) => {
+    socket.on('message', async (data) => {
+      const message = JSON.parse(data.toString());
+      const reply = Array.isArray(message)
+        ? await Promise.all(message.map(answer))
+        : await answer(message);
+
+      if (socket.readyState === socket.OPEN) {
+        socket.send(JSON.stringify(reply));
+      }
+    });
+  });
+
+  return {
+    url: `ws://127.0.0.1:${server.address().port}`,
+    requests,
+    setAddress,
+    close: () => new Promise((resolve) => {
+      for (const client of server.clients) {
+        client.terminate();
+      }
+      server.close(() => resolve());
+    })
+  };
+}
+
+// Run standalone: node tests/fixtures/mockFulcrum.js [port] [addresses.json]
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) {
+  const [port = '50004', dataFile] = process.argv.slice(2);
+  const addresses = dataFile ? JSON.parse(readFileSync(dataFile, 'utf8')) : {};
+  const mock = await startMockFulcrum({ port: parseInt(port, 10), addresses });
+  console.log(`Mock Fulcrum listening on ${mock.url}`);
+}
+
+export default { startMockFulcrum };
@@ -0,0 +1,74 @@
+import { createHash } from 'crypto';
+
+const sha256 = (data) => createHash('sha256').update(data).digest();
+
+/**
+ * @param {number} n
+ * @returns {Buffer} Bitcoin CompactSize encoding
+ */
+function varInt(n) {
+  if (n < 0xfd) {
+    return Buffer.from([n]);
+  }
+  const out = Buffer.alloc(3);
+  out[0] = 0xfd;
+  out.writeUInt16LE(n, 1);
+  return out;
+}
+
+/**
+ * @param {Buffer} data
+ * @returns {Buffer} Length-prefixed data
+ */
+function varSlice(data) {
+  return Buffer.concat([varInt(data.length), data]);
+}
+
+/**
+ * Serialize a transaction for tests
+ *
+ * Inputs carry no real signatures; nothing here is validated by consensus
+ * rules. When any input has a witness the segwit serialization is used.
+ *
+ * @param {Object} tx
+ * @param {Array<{txid: string, vout: number, witness?: Buffer[]}>} [tx.inputs]
+ * @param {Array<{value: number|bigint, script: Buffer}>} tx.outputs
+ * @param {number} [tx.locktime]
+ * @returns {{txid: string, hex: string}}
+ */
+export function buildTransaction({ inputs = [], outputs, locktime = 0 }) {
+  const version = Buffer.alloc(4);
+  version.writeUInt32LE(2);
+
+  const body = [varInt(inputs.length)];
+  for (const input of inputs) {
+    const vout = Buffer.alloc(4);
+    vout.writeUInt32LE(input.vout);
+    body.push(Buffer.from(input.txid, 'hex').reverse(), vout, varSlice(Buffer.alloc(0)));
+    body.push(Buffer.from('ffffffff', 'hex'));
+  }
+  body.push(varInt(outputs.length));
+  for (const output of outputs) {
+    const value = Buffer.alloc(8);
+    value.writeBigUInt64LE(BigInt(output.value));
+    body.push(value, varSlice(output.script));
+  }
+
+  const lock = Buffer.alloc(4);
+  lock.writeUInt32LE(locktime);
+
+  const stripped = Buffer.concat([version, ...body, lock]);
+  const txid = sha256(sha256(stripped)).reverse().toString('hex');
+
+  if (!inputs.some(({ witness }) => witness)) {
+    return { txid, hex: stripped.toString('hex') };
+  }
+
+  const witnesses = inputs.map(({ witness = [] }) => (
+    Buffer.concat([varInt(witness.length), ...witness.map(varSlice)])
+  ));
+  const full = Buffer.concat([version, Buffer.from([0x00, 0x01]), ...body, ...witnesses, lock]);
+  return { txid, hex: full.toString('hex') };
+}
+
+export default { buildTransaction };
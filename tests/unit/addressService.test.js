@@ -97,4 +97,81 @@ describe('AddressService', () => {
       expect(result).toBe(false);
     });
   });
+
+  describe('address types', () => {
+    // Bitcoin vectors for the generator point G and the BIP-86 test key
+    const bitcoin = new AddressService('bc');
+    const G = '0279be667ef9dcbbac55a06295ce870b07029bfcdb2dce28d959f2815b16f81798';
+    const vectors = [
+      ['p2pkh', G, '1BgGZ9tcN4rm9KBzDn7KprQz87SZ26SAMH'],
+      ['p2sh', G, '3JvL6Ymt8MVWiCNHC7oWU6nLeHNJKLZGLN'],
+      ['p2wpkh', G, 'bc1qw508d6qejxtdg4y5r3zarvary0c5xw7kv8f3t4'],
+      [
+        'p2tr',
+        '02cc8a4bc64d897bddc5fbc2f670f7a8ba0b386779106cf1223c6fc5d7cd6fc115',
+        'bc1p5cyxnuxmeuwuvkwfem96lqzszd02n6xdcjrs20cac6yqjjwudpxqkedrcr'
+      ]
+    ];
+
+    it.each(vectors)('should derive and validate %s addresses', (type, publicKey, address) => {
+      expect(bitcoin.publicKeyToAddress(publicKey, type)).toBe(address);
+      expect(bitcoin.validateAddress(address)).toEqual({ valid: true, normalized: address, type });
+      expect(bitcoin.verifyPublicKeyMatchesAddress(publicKey, address)).toBe(true);
+    });
+
+    it('should build output scripts', () => {
+      expect(bitcoin.toOutputScript('1BgGZ9tcN4rm9KBzDn7KprQz87SZ26SAMH').toString('hex'))
+        .toBe('76a914751e76e8199196d454941c45d1b3a323f1433bd688ac');
+      expect(bitcoin.toOutputScript('bc1p5cyxnuxmeuwuvkwfem96lqzszd02n6xdcjrs20cac6yqjjwudpxqkedrcr').toString('hex'))
+        .toBe('5120a60869f0dbcf1dc659c9cecbaf8050135ea9e8cdc487053f1dc6880949dc684c');
+    });
+
+    it('should map output scripts back to addresses', () => {
+      for (const [, , address] of vectors) {
+        expect(bitcoin.outputScriptToAddress(bitcoin.toOutputScript(address))).toBe(address);
+      }
+      // P2PK, OP_RETURN and a witness v2 program have no supported address
+      expect(bitcoin.outputScriptToAddress('21' + G + 'ac')).toBeNull();
+      expect(bitcoin.outputScriptToAddress('6a0568656c6c6f')).toBeNull();
+      expect(bitcoin.outputScriptToAddress('5220' + '00'.repeat(32))).toBeNull();
+    });
+
+    it('should derive P2WSH and P2SH-P2WSH addresses from witness scripts', () => {
+      // BIP-173 P2WSH vector: <G> OP_CHECKSIG
+      const witnessScript = '21' + G + 'ac';
+      const address = 'bc1qrp33g0q5c5txsp9arysrx4k6zdkfs4nce4xj0gdcccefvpysxf3qccfmv3';
+
+      expect(bitcoin.witnessScriptToAddress(witnessScript)).toBe(address);
+      expect(bitcoin.validateAddress(address)).toEqual({ valid: true, normalized: address, type: 'p2wsh' });
+      expect(bitcoin.toOutputScript(address).toString('hex'))
+        .toBe('00201863143c14c5166804bd19203356da136c985678cd4d27a1b8c6329604903262');
+      expect(bitcoin.validateAddress(bitcoin.witnessScriptToAddress(witnessScript, 'p2sh')).type)
+        .toBe('p2sh');
+      expect(() => bitcoin.publicKeyToAddress(G, 'p2wsh')).toThrow('witness script');
+    });
+
+    it('should keep Base58 addresses case-sensitive', () => {
+      const result = bitcoin.validateAddress('1bgGZ9tcN4rm9KBzDn7KprQz87SZ26SAMH');
+
+      expect(result.valid).toBe(false);
+      expect(result.error).toContain('checksum');
+    });
+
+    it('should require Bech32m for taproot and Bech32 for v0', () => {
+      // Witness v1 program with a Bech32 checksum (BIP-350 invalid vector)
+      expect(bitcoin.validateAddress('bc1p0xlxvlhemja6c4dqv22uapctqupfhlxm9h8z3k2e72q4k9hcz7vqh2y7hd').valid)
+        .toBe(false);
+      expect(addressService.validateAddress(
+        addressService.encodeAddress(Buffer.alloc(32, 1), 'p2tr')
+      )).toMatchObject({ valid: true, type: 'p2tr' });
+    });
+
+    it('should accept uncompressed keys only for P2PKH', () => {
+      const uncompressed = '04' + '79be667ef9dcbbac55a06295ce870b07029bfcdb2dce28d959f2815b16f81798' +
+        '483ada7726a3c4655da4fbfc0e1108a8fd17b448a68554199c47d08ffb10d4b8';
+
+      expect(bitcoin.publicKeyToAddress(uncompressed, 'p2pkh')).toBe('1EHNa6Q4Jz2uvNExL497mE43ikXhwF6kZm');
+      expect(() => bitcoin.publicKeyToAddress(uncompressed, 'p2wpkh')).toThrow('33 bytes');
+    });
+  });
 });
@@ -0,0 +1,125 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { initDatabase } from '../../src/db/index.js';
+import { BalanceRepository } from '../../src/db/BalanceRepository.js';
+import { AuditRepository } from '../../src/db/AuditRepository.js';
+import { BalanceService } from '../../src/services/BalanceService.js';
+import { AdminService } from '../../src/services/AdminService.js';
+import { InvalidStateError } from '../../src/utils/errors.js';
+import { generateKeyPair } from '../fixtures/addressGenerator.js';
+
+describe('AdminService', () => {
+  let balanceRepo;
+  let auditRepo;
+  let balanceService;
+  let adminService;
+
+  beforeEach(() => {
+    const db = initDatabase(':memory:');
+    balanceRepo = new BalanceRepository(db);
+    auditRepo = new AuditRepository(db);
+    balanceService = new BalanceService(balanceRepo, null, null);
+    adminService = new AdminService(balanceRepo, auditRepo, balanceService);
+  });
+
+  afterEach(() => {
+    balanceRepo.close();
+  });
+
+  /**
+   * Put an address into the given claim state without going upstream
+   */
+  function claimInState(status, idempotency = {}) {
+    const address = generateKeyPair().address;
+    balanceRepo.insertBalance(address, 1000n);
+    const requestId = balanceRepo.logMintRequest(address, 'uid', 1000n, 'sig', `claim-${address}`, idempotency);
+    balanceRepo.atomicReserve(address, 'uid', requestId);
+    if (status !== 'reserved') {
+      balanceRepo.transitionMint(requestId, 'submitted');
+      balanceRepo.transitionMint(requestId, status);
+    }
+    return { address, requestId };
+  }
+
+  describe('releaseReservation', () => {
+    it('should release an unknown claim and audit it', () => {
+      const { address } = claimInState('unknown');
+
+      const claim = adminService.releaseReservation(address, 'ops', 'upstream never minted');
+
+      expect(claim.status).toBe('failed');
+      expect(balanceRepo.findByAddress(address).spent).toBe(0);
+      const [entry] = auditRepo.findByAddress(address);
+      expect(entry.actor).toBe('ops');
+      expect(entry.action).toBe('release');
+    });
+
+    it('should refuse to release a confirmed claim', () => {
+      const { address } = claimInState('confirmed');
+
+      expect(() => adminService.releaseReservation(address, 'ops', 'oops'))
+        .toThrow(InvalidStateError);
+      expect(auditRepo.findByAddress(address)).toHaveLength(0);
+    });
+  });
+
+  describe('confirmClaim', () => {
+    it('should confirm an unknown claim with the upstream txId', () => {
+      const { address } = claimInState('unknown');
+
+      const claim = adminService.confirmClaim(address, 'tx-manual', 'ops', 'found upstream');
+
+      expect(claim.status).toBe('confirmed');
+      expect(claim.txId).toBe('tx-manual');
+      expect(balanceRepo.findByAddress(address).mint_tx_id).toBe('tx-manual');
+    });
+
+    it('should answer retries of the claim with the mint result instead of the unknown outcome', () => {
+      const idempotency = { key: 'key-1', requestHash: 'hash-1' };
+      const { address } = claimInState('unknown', idempotency);
+      balanceService.storeIdempotentResponse('key-1', 504, { success: false, code: 'UPSTREAM_OUTCOME_UNKNOWN' });
+
+      adminService.confirmClaim(address, 'tx-manual', 'ops', 'found upstream');
+
+      expect(balanceService.findIdempotentReplay('key-1', 'hash-1')).toEqual({
+        statusCode: 200,
+        body: expect.objectContaining({ success: true, txId: 'tx-manual', l1_addr: address })
+      });
+    });
+
+    it('should free the key of a released claim for a new attempt', () => {
+      const { address } = claimInState('unknown', { key: 'key-2', requestHash: 'hash-2' });
+      balanceService.storeIdempotentResponse('key-2', 504, { success: false, code: 'UPSTREAM_OUTCOME_UNKNOWN' });
+
+      adminService.releaseReservation(address, 'ops', 'upstream never minted');
+
+      expect(balanceService.findIdempotentReplay('key-2', 'hash-2')).toBeNull();
+    });
+  });
+
+  describe('setFrozen', () => {
+    it('should block reservations for a frozen address', () => {
+      const address = generateKeyPair().address;
+      balanceRepo.insertBalance(address, 1000n);
+
+      adminService.setFrozen(address, true, 'ops', 'suspicious');
+      const requestId = balanceRepo.logMintRequest(address, 'uid', 1000n, 'sig');
+      const result = balanceRepo.atomicReserve(address, 'uid', requestId);
+
+      expect(result).toMatchObject({ success: false, error: 'frozen' });
+    });
+  });
+
+  describe('listClaims', () => {
+    it('should filter by status and paginate', () => {
+      claimInState('unknown');
+      claimInState('unknown');
+      claimInState('confirmed');
+
+      const page = adminService.listClaims({ status: 'unknown', limit: 1, offset: 0 });
+
+      expect(page.total).toBe(2);
+      expect(page.items).toHaveLength(1);
+      expect(page.items[0].status).toBe('unknown');
+    });
+  });
+});
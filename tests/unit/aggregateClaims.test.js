@@ -0,0 +1,118 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { initDatabase } from '../../src/db/index.js';
+import { BalanceRepository } from '../../src/db/BalanceRepository.js';
+import { BalanceService } from '../../src/services/BalanceService.js';
+import { SignatureService } from '../../src/services/SignatureService.js';
+import { AddressService } from '../../src/services/AddressService.js';
+import { MINT_STATUS } from '../../src/config/constants.js';
+import { FaucetError, SignatureError } from '../../src/utils/errors.js';
+import { generateKeyPair, signMintRequest } from '../fixtures/addressGenerator.js';
+import { createCampaign } from '../fixtures/campaigns.js';
+
+describe('aggregated claims', () => {
+  const unicityId = 'unicity-id-1';
+  const amounts = [100000000, 50000000, 25000000];
+
+  let balanceRepo;
+  let balanceService;
+  let mints;
+  let wallet;
+
+  beforeEach(() => {
+    balanceRepo = new BalanceRepository(initDatabase(':memory:'));
+    createCampaign(balanceRepo);
+    mints = [];
+    const faucetProxy = {
+      mintToken: async (id, coins) => {
+        mints.push(coins);
+        return { success: true, txId: 'tx-1', data: {} };
+      }
+    };
+    balanceService = new BalanceService(
+      balanceRepo,
+      new SignatureService(new AddressService()),
+      faucetProxy
+    );
+
+    wallet = amounts.map((amount) => {
+      const { privateKey, address } = generateKeyPair();
+      balanceRepo.insertBalance(address, BigInt(amount));
+      return {
+        l1Address: address,
+        amount,
+        signature: signMintRequest(privateKey, address, unicityId, amount)
+      };
+    });
+  });
+
+  afterEach(() => {
+    balanceRepo.close();
+  });
+
+  it('should mint the sum of every address in one upstream mint', async () => {
+    const result = await balanceService.processAggregateClaim(unicityId, wallet);
+
+    expect(mints).toEqual([1.75]);
+    expect(result.amountInSmallUnits).toBe(175000000);
+    expect(result.addresses.map(({ l1_addr }) => l1_addr)).toEqual(wallet.map(({ l1Address }) => l1Address));
+
+    for (const { l1Address, amount } of wallet) {
+      const balance = balanceService.getBalance(l1Address);
+      expect(balance).toMatchObject({ spent: true, unicityId, mintStatus: MINT_STATUS.CONFIRMED });
+      expect(balance.tranches).toEqual([
+        expect.objectContaining({ claimId: result.claimId, amountInSmallUnits: amount })
+      ]);
+    }
+  });
+
+  it('should reserve nothing if any signature is invalid', async () => {
+    wallet[2].signature = wallet[1].signature;
+
+    const error = await balanceService.processAggregateClaim(unicityId, wallet).catch((err) => err);
+
+    expect(error).toBeInstanceOf(SignatureError);
+    expect(error.details.l1_addr).toBe(wallet[2].l1Address);
+    expect(mints).toEqual([]);
+    for (const { l1Address } of wallet) {
+      expect(balanceRepo.findByAddress(l1Address)).toMatchObject({ spent: 0, claimed_amount: 0 });
+    }
+  });
+
+  it('should reserve nothing if any address was already claimed', async () => {
+    await balanceService.processMintRequest(
+      wallet[1].l1Address, unicityId, wallet[1].amount, wallet[1].signature
+    );
+
+    const error = await balanceService.processAggregateClaim(unicityId, wallet).catch((err) => err);
+
+    expect(error.code).toBe('ALREADY_MINTED');
+    expect(error.details.l1_addr).toBe(wallet[1].l1Address);
+    expect(balanceRepo.findByAddress(wallet[0].l1Address).spent).toBe(0);
+  });
+
+  it('should release every address when upstream rejects the mint', async () => {
+    balanceService.faucetProxy.mintToken = async () => {
+      throw new FaucetError('Upstream rejected');
+    };
+
+    await expect(balanceService.processAggregateClaim(unicityId, wallet)).rejects.toThrow(FaucetError);
+
+    for (const { l1Address } of wallet) {
+      expect(balanceRepo.findByAddress(l1Address)).toMatchObject({
+        spent: 0,
+        claimed_amount: 0,
+        mint_request_id: null
+      });
+    }
+  });
+
+  it('should reject an address listed twice', () => {
+    expect(() => balanceService.reserveAggregateClaim(unicityId, [wallet[0], wallet[0]]))
+      .toThrow('listed more than once');
+  });
+
+  it('should hash entries independently of their order', () => {
+    expect(balanceService.createAggregateRequestHash(unicityId, wallet))
+      .toBe(balanceService.createAggregateRequestHash(unicityId, [...wallet].reverse()));
+  });
+});
@@ -0,0 +1,75 @@
+import { describe, it, expect, beforeAll, afterAll } from 'vitest';
+import { createServer } from 'http';
+import { AlphaRpcClient } from '../../src/services/AlphaRpcClient.js';
+
+describe('AlphaRpcClient', () => {
+  const methods = {
+    getblockcount: () => ({ result: 120 }),
+    getblockhash: ([height]) => (height <= 120
+      ? { result: height.toString(16).padStart(64, '0') }
+      : { error: { code: -8, message: 'Block height out of range' } })
+  };
+
+  let server;
+  let url;
+  let lastAuth;
+
+  beforeAll(async () => {
+    server = createServer((req, res) => {
+      lastAuth = req.headers.authorization;
+      let body = '';
+      req.on('data', (chunk) => { body += chunk; });
+      req.on('end', () => {
+        const payload = JSON.parse(body);
+        const answer = ({ id, method, params }) => {
+          if (method === 'slow') {
+            return null;
+          }
+          return methods[method]
+            ? { id, error: null, result: null, ...methods[method](params) }
+            : { id, error: { code: -32601, message: 'Method not found' }, result: null };
+        };
+
+        if (Array.isArray(payload)) {
+          res.end(JSON.stringify(payload.map(answer)));
+        } else if (payload.method === 'teapot') {
+          res.writeHead(418).end('not json');
+        } else if (payload.method !== 'slow') {
+          const reply = answer(payload);
+          res.writeHead(reply.error ? 500 : 200).end(JSON.stringify(reply));
+        }
+      });
+    });
+    await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+    url = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  afterAll(async () => {
+    server.closeAllConnections();
+    await new Promise((resolve) => server.close(resolve));
+  });
+
+  it('should call methods and batches with basic authentication', async () => {
+    const client = new AlphaRpcClient({ url, user: 'alice', pass: 'secret' });
+
+    expect(await client.call('getblockcount')).toBe(120);
+    expect(lastAuth).toBe(`Basic ${Buffer.from('alice:secret').toString('base64')}`);
+    expect(await client.batch([['getblockhash', [1]], ['getblockhash', [2]]])).toEqual([
+      '01'.padStart(64, '0'),
+      '02'.padStart(64, '0')
+    ]);
+
+    await new AlphaRpcClient({ url, user: '', pass: '' }).call('getblockcount');
+    expect(lastAuth).toBeUndefined();
+  });
+
+  it('should report failures the same way for calls and batches', async () => {
+    const client = new AlphaRpcClient({ url, timeoutMs: 200 });
+
+    await expect(client.call('getblockhash', [500])).rejects.toThrow('RPC getblockhash failed: Block height out of range');
+    await expect(client.batch([['getblockhash', [1]], ['getblockhash', [500]]]))
+      .rejects.toThrow('RPC getblockhash failed: Block height out of range');
+    await expect(client.call('teapot')).rejects.toThrow('RPC teapot failed with HTTP 418');
+    await expect(client.call('slow')).rejects.toThrow(/^RPC slow failed: .*timeout/i);
+  });
+});
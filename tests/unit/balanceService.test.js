@@ -0,0 +1,251 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { initDatabase } from '../../src/db/index.js';
+import { BalanceRepository } from '../../src/db/BalanceRepository.js';
+import { BalanceService } from '../../src/services/BalanceService.js';
+import { SignatureService } from '../../src/services/SignatureService.js';
+import { AddressService } from '../../src/services/AddressService.js';
+import {
+  FaucetError,
+  MintOutcomeUnknownError,
+  IdempotencyConflictError,
+  IdempotencyKeyMismatchError
+} from '../../src/utils/errors.js';
+import { generateKeyPair, signMintRequest } from '../fixtures/addressGenerator.js';
+import { createCampaign } from '../fixtures/campaigns.js';
+
+describe('BalanceService', () => {
+  let balanceRepo;
+  let balanceService;
+  let faucetProxy;
+
+  beforeEach(() => {
+    balanceRepo = new BalanceRepository(initDatabase(':memory:'));
+    createCampaign(balanceRepo);
+    faucetProxy = {
+      mintToken: async () => ({ success: true, txId: 'tx-123', data: { txId: 'tx-123' } })
+    };
+    balanceService = new BalanceService(
+      balanceRepo,
+      new SignatureService(new AddressService()),
+      faucetProxy
+    );
+  });
+
+  afterEach(() => {
+    balanceRepo.close();
+  });
+
+  describe('getBalances', () => {
+    it('should return per-address results in request order', () => {
+      const funded = generateKeyPair().address;
+      const missing = generateKeyPair().address;
+      balanceRepo.insertBalance(funded, 150000000n);
+
+      const result = balanceService.getBalances([missing, funded]);
+
+      expect(result.success).toBe(true);
+      expect(result.balances.map((b) => b.l1_addr)).toEqual([missing, funded]);
+      expect(result.balances[0].inSnapshot).toBe(false);
+      expect(result.balances[1].inSnapshot).toBe(true);
+      expect(result.balances[1].amountInSmallUnits).toBe(150000000);
+    });
+
+    it('should aggregate totals across mintable and spent addresses', () => {
+      const available = generateKeyPair().address;
+      const minted = generateKeyPair().address;
+      balanceRepo.insertBalance(available, 100000000n);
+      balanceRepo.insertBalance(minted, 50000000n);
+      balanceRepo.markAsSpent(minted, 'unicity-id', 'tx-1');
+
+      const { totals } = balanceService.getBalances([available, minted, generateKeyPair().address]);
+
+      expect(totals.addresses).toBe(3);
+      expect(totals.inSnapshot).toBe(2);
+      expect(totals.mintable).toBe(1);
+      expect(totals.spent).toBe(1);
+      expect(totals.amountInSmallUnits).toBe(100000000);
+      expect(totals.initialAmountInSmallUnits).toBe(150000000);
+    });
+
+    it('should not match Base58 addresses that differ only in case', () => {
+      const addressService = new AddressService();
+      const legacy = addressService.publicKeyToAddress(generateKeyPair().publicKey, 'p2pkh');
+      const index = [...legacy].findIndex((char) => /[a-z]/i.test(char));
+      const swapped = legacy.slice(0, index) +
+        (legacy[index] === legacy[index].toLowerCase() ? legacy[index].toUpperCase() : legacy[index].toLowerCase()) +
+        legacy.slice(index + 1);
+      balanceRepo.insertBalance(legacy, 100000000n);
+      balanceRepo.insertBalance(swapped, 200000000n);
+
+      const result = balanceService.getBalances([legacy, swapped]);
+
+      expect(result.balances.map((b) => b.amountInSmallUnits)).toEqual([100000000, 200000000]);
+      expect(balanceService.getBalance(swapped).amountInSmallUnits).toBe(200000000);
+      balanceRepo.setFrozen(swapped, true);
+      expect(balanceRepo.findByAddress(legacy).frozen).toBe(0);
+    });
+
+    it('should handle an empty address list', () => {
+      const result = balanceService.getBalances([]);
+
+      expect(result.balances).toEqual([]);
+      expect(result.totals.addresses).toBe(0);
+    });
+  });
+
+  describe('processMintRequest', () => {
+    const amount = 150000000;
+    const unicityId = 'unicity-id-1';
+
+    function fundedClaim() {
+      const { privateKey, address } = generateKeyPair();
+      balanceRepo.insertBalance(address, BigInt(amount));
+      const signature = signMintRequest(privateKey, address, unicityId, amount);
+      return { address, signature };
+    }
+
+    it('should confirm the claim and store the upstream txId', async () => {
+      const { address, signature } = fundedClaim();
+
+      const result = await balanceService.processMintRequest(address, unicityId, amount, signature);
+
+      expect(result.txId).toBe('tx-123');
+      const record = balanceRepo.findByAddress(address);
+      expect(record.spent).toBe(1);
+      expect(record.mint_status).toBe('confirmed');
+      expect(record.mint_tx_id).toBe('tx-123');
+      expect(balanceRepo.findMintRequest(record.mint_request_id).status).toBe('confirmed');
+    });
+
+    it('should release the reservation when upstream rejects the mint', async () => {
+      const { address, signature } = fundedClaim();
+      faucetProxy.mintToken = async () => {
+        throw new FaucetError('Upstream faucet error: coin not supported');
+      };
+
+      await expect(
+        balanceService.processMintRequest(address, unicityId, amount, signature)
+      ).rejects.toThrow(FaucetError);
+
+      const record = balanceRepo.findByAddress(address);
+      expect(record.spent).toBe(0);
+      expect(record.mint_status).toBeNull();
+      expect(balanceRepo.findMintRequestsByStatus('failed')).toHaveLength(1);
+    });
+
+    it('should park the claim as unknown when the upstream outcome is ambiguous', async () => {
+      const { address, signature } = fundedClaim();
+      faucetProxy.mintToken = async () => {
+        throw new MintOutcomeUnknownError('Upstream faucet did not respond: timeout');
+      };
+
+      await expect(
+        balanceService.processMintRequest(address, unicityId, amount, signature)
+      ).rejects.toThrow(MintOutcomeUnknownError);
+
+      const record = balanceRepo.findByAddress(address);
+      expect(record.spent).toBe(1);
+      expect(record.mint_status).toBe('unknown');
+      expect(balanceRepo.findMintRequestsByStatus('unknown')).toHaveLength(1);
+    });
+
+    it('should record validation failures without reserving', async () => {
+      const { address, signature } = fundedClaim();
+
+      await expect(
+        balanceService.processMintRequest(address, unicityId, amount + 1, signature)
+      ).rejects.toMatchObject({
+        code: 'AMOUNT_MISMATCH',
+        details: { requested: amount + 1, available: amount }
+      });
+
+      expect(balanceRepo.findByAddress(address).spent).toBe(0);
+      expect(balanceRepo.findMintRequestsByStatus('failed')).toHaveLength(1);
+    });
+  });
+
+  describe('recoverInterruptedMints', () => {
+    it('should release reserved claims and park submitted ones', () => {
+      const reservedAddr = generateKeyPair().address;
+      const submittedAddr = generateKeyPair().address;
+      balanceRepo.insertBalance(reservedAddr, 1000n);
+      balanceRepo.insertBalance(submittedAddr, 1000n);
+
+      const reservedId = balanceRepo.logMintRequest(reservedAddr, 'id', 1000n, 'sig');
+      balanceRepo.atomicReserve(reservedAddr, 'id', reservedId);
+      const submittedId = balanceRepo.logMintRequest(submittedAddr, 'id', 1000n, 'sig');
+      balanceRepo.atomicReserve(submittedAddr, 'id', submittedId);
+      balanceRepo.transitionMint(submittedId, 'submitted');
+
+      const result = balanceService.recoverInterruptedMints();
+
+      expect(result).toEqual({ released: 1, parked: 1 });
+      expect(balanceRepo.findByAddress(reservedAddr).spent).toBe(0);
+      expect(balanceRepo.findByAddress(submittedAddr).mint_status).toBe('unknown');
+    });
+  });
+
+  describe('idempotency', () => {
+    const amount = 150000000;
+    const unicityId = 'unicity-id-1';
+
+    function signedRequest() {
+      const { privateKey, address } = generateKeyPair();
+      balanceRepo.insertBalance(address, BigInt(amount));
+      const signature = signMintRequest(privateKey, address, unicityId, amount);
+      const idempotency = {
+        key: balanceService.deriveIdempotencyKey(signature),
+        requestHash: balanceService.createRequestHash(address, unicityId, amount, signature)
+      };
+      return { address, signature, idempotency };
+    }
+
+    it('should derive the same key from a signature with or without 0x', () => {
+      const { signature } = signedRequest();
+
+      expect(balanceService.deriveIdempotencyKey('0x' + signature))
+        .toBe(balanceService.deriveIdempotencyKey(signature));
+    });
+
+    it('should replay the stored response for the same key', async () => {
+      const { address, signature, idempotency } = signedRequest();
+      const result = await balanceService.processMintRequest(
+        address, unicityId, amount, signature, idempotency
+      );
+      balanceService.storeIdempotentResponse(idempotency.key, 200, result);
+
+      const replay = balanceService.findIdempotentReplay(idempotency.key, idempotency.requestHash);
+
+      expect(replay).toEqual({ statusCode: 200, body: result });
+    });
+
+    it('should reject a key reused with a different request', async () => {
+      const { address, signature, idempotency } = signedRequest();
+      await balanceService.processMintRequest(address, unicityId, amount, signature, idempotency);
+
+      expect(() => balanceService.findIdempotentReplay(idempotency.key, 'other-hash'))
+        .toThrow(IdempotencyKeyMismatchError);
+    });
+
+    it('should report a key whose request is still in flight', () => {
+      const { address, signature, idempotency } = signedRequest();
+      balanceService.reserveMintRequest(address, unicityId, amount, signature, idempotency);
+
+      expect(() => balanceService.findIdempotentReplay(idempotency.key, idempotency.requestHash))
+        .toThrow(IdempotencyConflictError);
+    });
+
+    it('should free the key when the attempt failed outright', async () => {
+      const { address, signature, idempotency } = signedRequest();
+      faucetProxy.mintToken = async () => {
+        throw new FaucetError('Upstream faucet error: rejected');
+      };
+
+      await expect(
+        balanceService.processMintRequest(address, unicityId, amount, signature, idempotency)
+      ).rejects.toThrow(FaucetError);
+
+      expect(balanceService.findIdempotentReplay(idempotency.key, idempotency.requestHash)).toBeNull();
+    });
+  });
+});
@@ -0,0 +1,112 @@
+import { describe, it, expect } from 'vitest';
+import { Bip322Service } from '../../src/services/Bip322Service.js';
+import { SignatureService } from '../../src/services/SignatureService.js';
+import { AddressService } from '../../src/services/AddressService.js';
+import { ERROR_CODES, SignatureError } from '../../src/utils/errors.js';
+import { generateKeyPair } from '../fixtures/addressGenerator.js';
+
+describe('Bip322Service', () => {
+  // Test vectors from BIP-322, with Bitcoin's tag and address prefix
+  describe('BIP-322 test vectors', () => {
+    const bitcoin = new Bip322Service(new AddressService('bc'), 'BIP0322-signed-message');
+    const address = 'bc1q9vza2e8x573nczrlzms0wvx3gsqjx7vavgkx0l';
+
+    it('should hash messages and build to_spend', () => {
+      expect(bitcoin.createMessageHash('').toString('hex'))
+        .toBe('c90c269c4f8fcbe6880f72a721ddfbf1914268a794cbb21cfafee13770ae19f1');
+
+      const scriptPubKey = bitcoin.addressService.toOutputScript(address);
+      const txid = bitcoin._toSpendTxid(scriptPubKey, bitcoin.createMessageHash('Hello World'));
+      expect(Buffer.from(txid).reverse().toString('hex'))
+        .toBe('b79d196740ad5217771c1098fc4a4b51e0535c32236c71f1ea4d61a2d603352b');
+    });
+
+    it('should verify simple signatures', () => {
+      const helloWorld = 'AkcwRAIgZRfIY3p7/DoVTty6YZbWS71bc5Vct9p9Fia83eRmw2QCICK/ENGfwLtptFluMGs2KsqoNSk89pO7F29zJLUx9a/sASECx/EgAxlkQpQ9hYjgGu6EBCPMVPwVIVJqO4XCsMvViHI=';
+      const empty = 'AkcwRAIgM2gBAQqvZX15ZiysmKmQpDrG83avLIT492QBzLnQIxYCIBaTpOaD20qRlEylyxFSeEA2ba9YOixpX8z46TSDtS40ASECx/EgAxlkQpQ9hYjgGu6EBCPMVPwVIVJqO4XCsMvViHI=';
+
+      expect(bitcoin.verify(address, 'Hello World', helloWorld)).toMatchObject({ format: 'simple' });
+      expect(bitcoin.verify(address, '', empty)).toMatchObject({ format: 'simple' });
+      expect(() => bitcoin.verify(address, '', helloWorld)).toThrow('does not verify');
+    });
+
+    it('should verify taproot signatures', () => {
+      const taproot = 'bc1ppv609nr0vr25u07u95waq5lucwfm6tde4nydujnu8npg4q75mr5sxq8lt3';
+      const signature = 'AUHd69PrJQEv+oKTfZ8l+WROBHuy9HKrbFCJu7U1iK2iiEy1vMU5EfMtjc+VSHM7aU0SDbak5IUZRVno2P5mjSafAQ==';
+
+      expect(bitcoin.verify(taproot, 'Hello World', signature).derivedAddress).toBe(taproot);
+      expect(() => bitcoin.verify(taproot, 'Hello', signature)).toThrow('does not verify');
+    });
+  });
+
+  describe('alpha proofs', () => {
+    const signatureService = new SignatureService(new AddressService());
+    const unicityId = 'test-id';
+    const amount = 1000000;
+
+    it('should verify simple and full proofs and share their canonical form', () => {
+      const { privateKey, address } = generateKeyPair();
+      const simple = signatureService.createBip322Signature(privateKey, address, unicityId, amount);
+      const full = signatureService.createBip322Signature(privateKey, address, unicityId, amount, null, 'full');
+
+      expect(signatureService.verifySignature(address, unicityId, amount, simple))
+        .toMatchObject({ valid: true, format: 'bip322-simple', derivedAddress: address });
+      expect(signatureService.verifySignature(address, unicityId, amount, full))
+        .toMatchObject({ valid: true, format: 'bip322-full' });
+      expect(signatureService.normalizeSignature(full)).toBe(signatureService.normalizeSignature(simple));
+    });
+
+    it.each(['p2sh', 'p2tr'])('should verify %s proofs in both formats', (type) => {
+      const { privateKey, publicKey } = generateKeyPair();
+      const address = signatureService.addressService.publicKeyToAddress(publicKey, type);
+
+      for (const format of ['simple', 'full']) {
+        const proof = signatureService.createBip322Signature(privateKey, address, unicityId, amount, null, format);
+        expect(signatureService.verifySignature(address, unicityId, amount, proof))
+          .toMatchObject({ valid: true, format: `bip322-${format}`, derivedAddress: address });
+        expect(() => signatureService.verifySignature(address, unicityId, amount + 1, proof))
+          .toThrow(SignatureError);
+      }
+    });
+
+    it('should refuse BIP-322 proofs for P2PKH addresses', () => {
+      const { privateKey, publicKey, address } = generateKeyPair();
+      const legacy = signatureService.addressService.publicKeyToAddress(publicKey, 'p2pkh');
+      const proof = signatureService.createBip322Signature(privateKey, address, unicityId, amount);
+
+      expect(() => signatureService.verifySignature(legacy, unicityId, amount, proof))
+        .toThrow(expect.objectContaining({ code: ERROR_CODES.INVALID_SIGNATURE_FORMAT }));
+    });
+
+    it('should not accept Bitcoin-tagged proofs', () => {
+      const { privateKey, address } = generateKeyPair();
+      const bitcoinTagged = new Bip322Service(new AddressService(), 'BIP0322-signed-message')
+        .sign(privateKey, address, signatureService.createMessage(address, unicityId, amount));
+
+      expect(() => signatureService.verifySignature(address, unicityId, amount, bitcoinTagged))
+        .toThrow('does not verify');
+    });
+
+    it('should reject proofs from another key or for another amount', () => {
+      const signer = generateKeyPair();
+      const other = generateKeyPair();
+      const proof = signatureService.createBip322Signature(signer.privateKey, other.address, unicityId, amount);
+
+      expect(() => signatureService.verifySignature(other.address, unicityId, amount, proof))
+        .toThrow(expect.objectContaining({ code: ERROR_CODES.SIGNATURE_ADDRESS_MISMATCH }));
+
+      const own = signatureService.createBip322Signature(signer.privateKey, signer.address, unicityId, amount);
+      expect(() => signatureService.verifySignature(signer.address, unicityId, amount + 1, own))
+        .toThrow('does not verify');
+    });
+
+    it('should reject malformed proofs', () => {
+      const { address } = generateKeyPair();
+
+      for (const proof of ['not base64!', 'AAAA', Buffer.from([2, 1, 0]).toString('base64')]) {
+        expect(() => signatureService.verifySignature(address, unicityId, amount, proof))
+          .toThrow(expect.objectContaining({ code: ERROR_CODES.INVALID_SIGNATURE_FORMAT }));
+      }
+    });
+  });
+});
@@ -0,0 +1,171 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { mkdtempSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { createHash } from 'crypto';
+import { BlockFileReader, SHA256D_HEADERS } from '../../src/services/BlockFileReader.js';
+import { AddressService } from '../../src/services/AddressService.js';
+import { generateKeyPair } from '../fixtures/addressGenerator.js';
+import { buildTransaction } from '../fixtures/transactions.js';
+import { buildBlock, writeBlockFiles, MAGIC } from '../fixtures/blockFiles.js';
+
+describe('BlockFileReader', () => {
+  const addressService = new AddressService();
+  const { address } = generateKeyPair();
+  const script = addressService.toOutputScript(address);
+  const coinbase = (value) => buildTransaction({
+    inputs: [{ txid: '00'.repeat(32), vout: 0xffffffff }],
+    outputs: [{ value, script }]
+  });
+
+  const genesisTx = coinbase(50);
+  const genesis = buildBlock({ prevHash: '00'.repeat(32), transactions: [genesisTx.hex] });
+  const block1Tx = coinbase(51);
+  const block1 = buildBlock({ prevHash: genesis.hash, transactions: [block1Tx.hex] });
+  const spend = buildTransaction({
+    inputs: [{ txid: block1Tx.txid, vout: 0, witness: [Buffer.alloc(71, 1)] }],
+    outputs: [{ value: 40, script }]
+  });
+  const block2 = buildBlock({ prevHash: block1.hash, transactions: [coinbase(52).hex, spend.hex] });
+  const stale = buildBlock({ prevHash: genesis.hash, transactions: [coinbase(53).hex] });
+
+  let dir;
+
+  beforeEach(() => {
+    dir = mkdtempSync(join(tmpdir(), 'blocks-'));
+  });
+
+  afterEach(() => {
+    rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('should follow the best chain through out-of-order, obfuscated files', () => {
+    writeBlockFiles(dir, [[genesis.raw, block2.raw, stale.raw], [block1.raw]], {
+      xorKey: Buffer.from('0102030405060708', 'hex'),
+      padding: 64
+    });
+
+    const reader = new BlockFileReader(dir, { magic: MAGIC });
+    expect(reader.buildIndex()).toBe(4);
+    const chain = reader.bestChain();
+
+    expect(chain.map(({ hash }) => hash)).toEqual([genesis.hash, block1.hash, block2.hash]);
+    const block = reader.readBlock(chain[2]);
+    reader.close();
+
+    expect(block.prevHash).toBe(block1.hash);
+    expect(block.transactions.map(({ txid }) => txid)).toEqual([expect.any(String), spend.txid]);
+    expect(block.transactions[1].inputs[0]).toMatchObject({ txid: block1Tx.txid, vout: 0 });
+    expect(block.transactions[1].outputs).toEqual([{ value: 40n, script }]);
+  });
+
+  it('should prefer the branch with more work over the longer one', () => {
+    // One block at a harder target outweighs two at the easiest one
+    const heavy = buildBlock({ prevHash: genesis.hash, transactions: [coinbase(54).hex], bits: 0x1f00ffff });
+    writeBlockFiles(dir, [[genesis.raw, block1.raw, block2.raw, heavy.raw]]);
+
+    const reader = new BlockFileReader(dir, { magic: MAGIC });
+    reader.buildIndex();
+
+    expect(reader.bestChain().map(({ hash }) => hash)).toEqual([genesis.hash, heavy.hash]);
+  });
+
+  it('should drop headers that miss their target, with their descendants', () => {
+    // Claims far more work than the real chain, without having done it
+    const forged = buildBlock({ prevHash: genesis.hash, transactions: [coinbase(55).hex], bits: 0x1d00ffff, validPow: false });
+    const child = buildBlock({ prevHash: forged.hash, transactions: [coinbase(56).hex] });
+    writeBlockFiles(dir, [[genesis.raw, forged.raw, child.raw, block1.raw, stale.raw]]);
+
+    const reader = new BlockFileReader(dir, { magic: MAGIC });
+    reader.buildIndex();
+
+    expect(reader.bestChain().map(({ hash }) => hash)).toEqual([genesis.hash, block1.hash]);
+    expect(reader.chainTo(stale.hash).map(({ hash }) => hash)).toEqual([genesis.hash, stale.hash]);
+    expect(() => reader.chainTo(child.hash)).toThrow('does not descend from a genesis block with valid proof of work');
+    expect(() => reader.chainTo(block2.hash)).toThrow('is not in');
+  });
+
+  it('should refuse a block whose transactions do not match its merkle root', () => {
+    const tampered = buildBlock({
+      prevHash: genesis.hash,
+      transactions: [coinbase(57).hex],
+      merkleRoot: block1.raw.subarray(36, 68).reverse().toString('hex')
+    });
+    // Repeating the last transaction of an odd list keeps its root
+    const extra = coinbase(59).hex;
+    const mutated = buildBlock({ prevHash: genesis.hash, transactions: [coinbase(58).hex, spend.hex, extra, extra] });
+    writeBlockFiles(dir, [[genesis.raw, tampered.raw, mutated.raw]]);
+
+    const reader = new BlockFileReader(dir, { magic: MAGIC });
+    reader.buildIndex();
+
+    expect(() => reader.readBlock(reader.chainTo(tampered.hash)[1])).toThrow(`Block ${tampered.hash} at blk00000.dat:`);
+    expect(() => reader.readBlock(reader.chainTo(mutated.hash)[1])).toThrow('does not match its merkle root');
+    expect(reader.readBlock(reader.chainTo(genesis.hash)[0]).hash).toBe(genesis.hash);
+    reader.close();
+  });
+
+  it('should check real headers with the default proof of work', () => {
+    // Bitcoin's genesis block header, with no transactions
+    const header = Buffer.from(
+      '0100000000000000000000000000000000000000000000000000000000000000000000003ba3edfd7a7b12b27ac72c3e67768f617fc' +
+      '81bc3888a51323a9fb8aa4b1e5e4a29ab5f49ffff001d1dac2b7c', 'hex'
+    );
+    const hash = '000000000019d6689c085ae165831e934ff763ae46a2a6c172b3f1b60a8ce26f';
+    const forged = Buffer.from(header);
+    forged.writeUInt32LE(0x1c00ffff, 72);
+    writeBlockFiles(dir, [[Buffer.concat([header, Buffer.from([0])]), Buffer.concat([forged, Buffer.from([0])])]], {
+      magic: 0xd9b4bef9
+    });
+
+    const reader = new BlockFileReader(dir, { magic: 0xd9b4bef9 });
+    reader.buildIndex();
+
+    expect(reader.bestChain().map((block) => block.hash)).toEqual([hash]);
+    expect(reader.blocks.size).toBe(2);
+  });
+
+  it('should take the header size and proof of work of other chains', () => {
+    // 32 more header bytes committing to the rest, standing in for another proof of work
+    const commitment = (header) => createHash('sha256').update(header.subarray(0, 80)).digest();
+    const headers = {
+      ...SHA256D_HEADERS,
+      size: 112,
+      checkProofOfWork: (header) => header.subarray(80).equals(commitment(header))
+    };
+    const build = (prevHash, value, headerSuffix = commitment) => buildBlock({
+      prevHash, transactions: [coinbase(value).hex], headerSuffix
+    });
+    const first = build('00'.repeat(32), 60);
+    const second = build(first.hash, 61);
+    const forged = build(first.hash, 62, () => Buffer.alloc(32));
+    const child = build(forged.hash, 63);
+    writeBlockFiles(dir, [[first.raw, forged.raw, child.raw, second.raw]]);
+
+    const reader = new BlockFileReader(dir, { magic: MAGIC, headers });
+    reader.buildIndex();
+    const chain = reader.bestChain();
+
+    expect(chain.map(({ hash }) => hash)).toEqual([first.hash, second.hash]);
+    expect(reader.readBlock(chain[1])).toMatchObject({ hash: second.hash, prevHash: first.hash, transactions: [{}] });
+    expect(() => reader.chainTo(child.hash)).toThrow('does not descend from a genesis block with valid proof of work');
+    reader.close();
+  });
+
+  it('should reject files from another network or without blocks', () => {
+    writeBlockFiles(dir, [[genesis.raw], [block1.raw]]);
+    writeBlockFiles(dir, [[genesis.raw]], { magic: 0xd9b4bef9 });
+
+    expect(() => new BlockFileReader(mkdtempSync(join(dir, 'empty-')), { magic: MAGIC })).toThrow('No blk*.dat files');
+    expect(() => new BlockFileReader(dir)).toThrow('network magic of the expected chain is required');
+    const reader = new BlockFileReader(dir, { magic: MAGIC });
+    expect(() => reader.buildIndex()).toThrow('Unexpected network magic f9beb4d9 in blk00000.dat at offset 0, expected fabfb5da');
+  });
+
+  it('should reject a datadir of another network from its first record', () => {
+    writeBlockFiles(dir, [[genesis.raw, block1.raw]]);
+
+    const reader = new BlockFileReader(dir, { magic: 0xd9b4bef9 });
+    expect(() => reader.buildIndex()).toThrow('Unexpected network magic fabfb5da in blk00000.dat at offset 0');
+  });
+});
@@ -0,0 +1,183 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import Database from 'better-sqlite3';
+import { mkdtempSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { initDatabase } from '../../src/db/index.js';
+import { BalanceRepository } from '../../src/db/BalanceRepository.js';
+import { BalanceService } from '../../src/services/BalanceService.js';
+import { SignatureService } from '../../src/services/SignatureService.js';
+import { AddressService } from '../../src/services/AddressService.js';
+import { AlreadyMintedError, ClaimWindowError, NotFoundError, SignatureError } from '../../src/utils/errors.js';
+import { generateKeyPair, signMintRequest } from '../fixtures/addressGenerator.js';
+import { createCampaign } from '../fixtures/campaigns.js';
+
+describe('campaigns', () => {
+  const amount = 150000000;
+  const unicityId = 'unicity-id-1';
+
+  let balanceRepo;
+  let balanceService;
+  let mintedCoins;
+
+  beforeEach(() => {
+    balanceRepo = new BalanceRepository(initDatabase(':memory:'));
+    mintedCoins = [];
+    const faucetProxy = {
+      mintToken: async (id, coins, coin) => {
+        mintedCoins.push(coin);
+        return { success: true, txId: `tx-${mintedCoins.length}`, data: {} };
+      }
+    };
+    balanceService = new BalanceService(
+      balanceRepo,
+      new SignatureService(new AddressService()),
+      faucetProxy
+    );
+
+    createCampaign(balanceRepo);
+    createCampaign(balanceRepo, {
+      id: 'spring',
+      blockHeight: 200,
+      token: { id: 'beef', name: 'spring_test', symbol: 'SPR', decimals: 8 }
+    });
+  });
+
+  afterEach(() => {
+    balanceRepo.close();
+  });
+
+  it('should keep balances and claims separate per campaign', async () => {
+    const { privateKey, address } = generateKeyPair();
+    const signature = signMintRequest(privateKey, address, unicityId, amount);
+    balanceRepo.insertBalance(address, BigInt(amount));
+    balanceRepo.insertBalance(address, BigInt(amount), 'spring');
+
+    const result = await balanceService.processMintRequest(
+      address, unicityId, amount, signature, {}, 'spring'
+    );
+
+    expect(result.campaign).toBe('spring');
+    expect(mintedCoins).toEqual(['spring_test']);
+    expect(balanceService.getBalance(address, 'spring')).toMatchObject({ spent: true, symbol: 'SPR' });
+    expect(balanceService.getBalance(address)).toMatchObject({ spent: false, symbol: 'ALPHT' });
+
+    await expect(
+      balanceService.processMintRequest(address, unicityId, amount, signature, {}, 'spring')
+    ).rejects.toThrow(AlreadyMintedError);
+    await balanceService.processMintRequest(address, unicityId, amount, signature);
+    expect(mintedCoins).toEqual(['spring_test', 'alpha_test']);
+  });
+
+  it('should reject claims outside the claim window', () => {
+    createCampaign(balanceRepo, { id: 'later', claimStartsAt: '2999-01-01T00:00:00.000Z' });
+    createCampaign(balanceRepo, { id: 'over', claimEndsAt: '2000-01-01T00:00:00.000Z' });
+    const { privateKey, address } = generateKeyPair();
+    const signature = signMintRequest(privateKey, address, unicityId, amount);
+
+    for (const campaignId of ['later', 'over']) {
+      balanceRepo.insertBalance(address, BigInt(amount), campaignId);
+      expect(balanceService.getCampaign(campaignId).open).toBe(false);
+      expect(() => balanceService.reserveMintRequest(
+        address, unicityId, amount, signature, {}, campaignId
+      )).toThrow(ClaimWindowError);
+    }
+    expect(balanceService.getCampaign('spring').open).toBe(true);
+  });
+
+  it('should accept v2 signatures only for the campaign they name', async () => {
+    const { privateKey, address } = generateKeyPair();
+    const expiresAt = Math.floor(Date.now() / 1000) + 600;
+    const signature = balanceService.signatureService.createSignature(
+      privateKey, address, unicityId, amount, { campaignId: 'spring', blockHeight: 200, expiresAt }
+    );
+    balanceRepo.insertBalance(address, BigInt(amount));
+    balanceRepo.insertBalance(address, BigInt(amount), 'spring');
+
+    expect(() => balanceService.reserveMintRequest(
+      address, unicityId, amount, signature, {}, 'default', expiresAt
+    )).toThrow(SignatureError);
+
+    const result = await balanceService.processMintRequest(
+      address, unicityId, amount, signature, {}, 'spring', expiresAt
+    );
+    expect(result.campaign).toBe('spring');
+    expect(balanceService.getClaimMessage('spring')).toMatchObject({
+      version: 2,
+      blockHeight: 200,
+      template: expect.stringContaining('campaign: spring\nblock: 200')
+    });
+  });
+
+  it('should reject unknown campaigns', () => {
+    expect(() => balanceService.getBalance('alpha1xyz', 'missing')).toThrow(NotFoundError);
+    expect(() => balanceService.getStats('missing')).toThrow('Campaign missing not found');
+  });
+
+  it('should derive different idempotency keys per campaign', () => {
+    const signature = 'ab'.repeat(65);
+    expect(balanceService.deriveIdempotencyKey(signature, 'spring'))
+      .not.toBe(balanceService.deriveIdempotencyKey(signature));
+  });
+
+  describe('migration', () => {
+    let dir;
+
+    beforeEach(() => {
+      dir = mkdtempSync(join(tmpdir(), 'faucet-'));
+    });
+
+    afterEach(() => {
+      rmSync(dir, { recursive: true, force: true });
+    });
+
+    it('should move a single-snapshot database into the default campaign', () => {
+      const dbPath = join(dir, 'faucet.db');
+      const legacy = new Database(dbPath);
+      legacy.exec(`
+        CREATE TABLE balances (
+          l1_address TEXT PRIMARY KEY,
+          initial_amount INTEGER NOT NULL,
+          spent INTEGER NOT NULL DEFAULT 0,
+          unicity_id TEXT,
+          mint_tx_id TEXT,
+          minted_at TEXT,
+          created_at TEXT DEFAULT CURRENT_TIMESTAMP
+        );
+        CREATE TABLE snapshot_meta (
+          id INTEGER PRIMARY KEY CHECK (id = 1),
+          block_height INTEGER NOT NULL,
+          fulcrum_endpoint TEXT,
+          faucet_endpoint TEXT,
+          address_count INTEGER DEFAULT 0,
+          total_amount INTEGER DEFAULT 0,
+          created_at TEXT DEFAULT CURRENT_TIMESTAMP
+        );
+        INSERT INTO balances (l1_address, initial_amount) VALUES ('alpha1old', 5000);
+        INSERT INTO balances (l1_address, initial_amount, spent) VALUES ('alpha1spent', 3000, 1);
+        INSERT INTO balances (l1_address, initial_amount) VALUES ('ALPHA1UPPER', 2000);
+        INSERT INTO balances (l1_address, initial_amount) VALUES ('1BgGZ9tcN4rm9KBzDn7KprQz87SZ26SAMH', 1000);
+        INSERT INTO snapshot_meta (id, block_height, address_count, total_amount)
+        VALUES (1, 123, 1, 5000);
+      `);
+      legacy.close();
+
+      const migrated = new BalanceRepository(initDatabase(dbPath));
+      try {
+        expect(migrated.findCampaign('default')).toMatchObject({ block_height: 123, address_count: 1 });
+        expect(migrated.findByAddress('alpha1old')).toMatchObject({ initial_amount: 5000, spent: 0 });
+        expect(migrated.findByAddress('alpha1spent')).toMatchObject({ claimed_amount: 3000, spent: 1 });
+        // Bech32 addresses are stored lowercase, Base58 ones as encoded
+        expect(migrated.findByAddress('alpha1upper')).toMatchObject({ initial_amount: 2000 });
+        expect(migrated.findByAddress('1BgGZ9tcN4rm9KBzDn7KprQz87SZ26SAMH')).toMatchObject({ initial_amount: 1000 });
+
+        // The address can now also appear in another campaign
+        createCampaign(migrated, { id: 'second' });
+        migrated.insertBalance('alpha1old', 7000n, 'second');
+        expect(migrated.findByAddress('alpha1old', 'second').initial_amount).toBe(7000);
+      } finally {
+        migrated.close();
+      }
+    });
+  });
+});
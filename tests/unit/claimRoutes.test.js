@@ -0,0 +1,159 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import Fastify from 'fastify';
+import { initDatabase } from '../../src/db/index.js';
+import { BalanceRepository } from '../../src/db/BalanceRepository.js';
+import { MintJobRepository } from '../../src/db/MintJobRepository.js';
+import { BalanceService } from '../../src/services/BalanceService.js';
+import { SignatureService } from '../../src/services/SignatureService.js';
+import { AddressService } from '../../src/services/AddressService.js';
+import { MintWorker } from '../../src/services/MintWorker.js';
+import { registerRoutes } from '../../src/api/routes.js';
+import { generateKeyPair, signMintRequest } from '../fixtures/addressGenerator.js';
+import { createCampaign } from '../fixtures/campaigns.js';
+
+describe('claim routes', () => {
+  const amount = 150000000;
+  const unicityId = 'unicity-id-1';
+
+  let balanceRepo;
+  let balanceService;
+  let worker;
+  let app;
+  // Settles the upstream mint in flight
+  let finishMint;
+
+  beforeEach(async () => {
+    const db = initDatabase(':memory:');
+    balanceRepo = new BalanceRepository(db);
+    createCampaign(balanceRepo);
+    const mintJobRepo = new MintJobRepository(db);
+    const faucetProxy = {
+      mintToken: () => new Promise((resolve) => {
+        finishMint = () => resolve({ success: true, txId: 'tx-async', data: {} });
+      })
+    };
+    const addressService = new AddressService();
+    const signatureService = new SignatureService(addressService);
+    balanceService = new BalanceService(balanceRepo, signatureService, faucetProxy, mintJobRepo);
+    worker = new MintWorker(balanceService, mintJobRepo, {
+      pollIntervalMs: 10,
+      concurrency: 1,
+      logger: { warn: () => {}, error: () => {} }
+    });
+    worker.start();
+
+    app = Fastify();
+    await registerRoutes(app, { balanceService, signatureService, addressService, mintWorker: worker, rateLimiter: null });
+  });
+
+  afterEach(async () => {
+    await app.close();
+    finishMint?.();
+    await worker.stop();
+    balanceRepo.close();
+    finishMint = null;
+  });
+
+  /**
+   * Submit a claim for a fresh address with "Prefer: respond-async"
+   */
+  function submitAsync() {
+    const { privateKey, address } = generateKeyPair();
+    balanceRepo.insertBalance(address, BigInt(amount));
+    return app.inject({
+      method: 'POST',
+      url: '/api/v1/faucet/request',
+      headers: { prefer: 'respond-async' },
+      payload: {
+        l1_addr: address,
+        unicityId,
+        amount,
+        signature: signMintRequest(privateKey, address, unicityId, amount)
+      }
+    });
+  }
+
+  /**
+   * Wait until the upstream mint of a claim has started
+   */
+  async function untilMinting() {
+    while (!finishMint) {
+      await new Promise((resolve) => setTimeout(resolve, 5));
+    }
+  }
+
+  /**
+   * @param {string} payload - text/event-stream body
+   * @returns {Object[]} Data of each claim event
+   */
+  function claimEvents(payload) {
+    return payload
+      .split('\n\n')
+      .filter((chunk) => chunk.startsWith('event: claim\n'))
+      .map((chunk) => JSON.parse(chunk.split('\ndata: ')[1]));
+  }
+
+  it('should accept a claim with 202 and report its state until it is final', async () => {
+    const response = await submitAsync();
+
+    expect(response.statusCode).toBe(202);
+    const accepted = response.json();
+    const statusUrl = `/api/v1/faucet/claims/${accepted.claimId}`;
+    expect(accepted).toMatchObject({ status: 'reserved', final: false, statusUrl, eventsUrl: `${statusUrl}/events` });
+    expect(response.headers.location).toBe(statusUrl);
+
+    await untilMinting();
+    const pending = await app.inject({ method: 'GET', url: statusUrl });
+    expect(pending.json()).toMatchObject({ claimId: accepted.claimId, final: false });
+
+    finishMint();
+    let claim;
+    do {
+      await new Promise((resolve) => setTimeout(resolve, 5));
+      claim = (await app.inject({ method: 'GET', url: statusUrl })).json();
+    } while (!claim.final);
+    expect(claim).toMatchObject({ status: 'confirmed', txId: 'tx-async', amountInSmallUnits: amount });
+
+    const missing = await app.inject({ method: 'GET', url: '/api/v1/faucet/claims/00000000-0000-4000-8000-000000000000' });
+    expect(missing.statusCode).toBe(404);
+  });
+
+  it('should stream claim events until the claim is final', async () => {
+    const { eventsUrl } = (await submitAsync()).json();
+    await untilMinting();
+
+    const stream = app.inject({ method: 'GET', url: eventsUrl });
+    while (balanceService.events.listenerCount('claim') === 0) {
+      await new Promise((resolve) => setTimeout(resolve, 5));
+    }
+    finishMint();
+    const response = await stream;
+
+    expect(response.statusCode).toBe(200);
+    expect(response.headers['content-type']).toBe('text/event-stream');
+    const events = claimEvents(response.payload);
+    expect(events[0]).toMatchObject({ final: false });
+    expect(events.at(-1)).toMatchObject({ status: 'confirmed', final: true, txId: 'tx-async' });
+    expect(events.slice(0, -1).every((event) => !event.final)).toBe(true);
+    expect(balanceService.events.listenerCount('claim')).toBe(0);
+
+    // A final claim gets its state and the end of the stream at once
+    const replay = await app.inject({ method: 'GET', url: eventsUrl });
+    expect(claimEvents(replay.payload)).toEqual([expect.objectContaining({ status: 'confirmed', final: true })]);
+  });
+
+  it('should end open event streams when the server shuts down', async () => {
+    const { eventsUrl } = (await submitAsync()).json();
+    await untilMinting();
+
+    const stream = app.inject({ method: 'GET', url: eventsUrl });
+    while (balanceService.events.listenerCount('claim') === 0) {
+      await new Promise((resolve) => setTimeout(resolve, 5));
+    }
+    await app.close();
+    const response = await stream;
+
+    expect(claimEvents(response.payload)).toEqual([expect.objectContaining({ final: false })]);
+    expect(balanceService.events.listenerCount('claim')).toBe(0);
+  });
+});
@@ -0,0 +1,45 @@
+import { describe, it, expect } from 'vitest';
+import * as errors from '../../src/utils/errors.js';
+
+const { ERROR_CATALOGUE, ERROR_CODES, AppError, ValidationError, RateLimitError } = errors;
+
+const errorClasses = Object.values(errors).filter(
+  (value) => typeof value === 'function' && (value === AppError || value.prototype instanceof AppError)
+);
+
+describe('errors', () => {
+  it('should list each code once', () => {
+    const codes = ERROR_CATALOGUE.map(({ code }) => code);
+    expect(new Set(codes).size).toBe(codes.length);
+  });
+
+  it.each(errorClasses.map((ErrorClass) => [ErrorClass.name, ErrorClass]))(
+    '%s should default to a catalogued code with a matching status',
+    (name, ErrorClass) => {
+      const error = new ErrorClass();
+      const entry = ERROR_CATALOGUE.find(({ code }) => code === error.code);
+
+      expect(entry).toBeDefined();
+      expect(entry.status).toBe(error.statusCode);
+    }
+  );
+
+  it('should build response bodies with code and details', () => {
+    const error = new ValidationError('Bad address', {
+      code: ERROR_CODES.INVALID_ADDRESS,
+      details: { l1_addr: 'x' }
+    });
+
+    expect(error.toResponse()).toEqual({
+      success: false,
+      error: 'Bad address',
+      code: 'INVALID_ADDRESS',
+      details: { l1_addr: 'x' }
+    });
+    expect(new RateLimitError().toResponse()).toEqual({
+      success: false,
+      error: 'Too many requests',
+      code: 'RATE_LIMITED'
+    });
+  });
+});
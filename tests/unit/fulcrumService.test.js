@@ -0,0 +1,93 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { FulcrumService } from '../../src/services/FulcrumService.js';
+import { FulcrumError } from '../../src/utils/errors.js';
+import { generateKeyPair } from '../fixtures/addressGenerator.js';
+import { startMockFulcrum } from '../fixtures/mockFulcrum.js';
+
+describe('FulcrumService', () => {
+  const { address } = generateKeyPair();
+  const history = [
+    { tx_hash: 'aa'.repeat(32), height: 90 },
+    { tx_hash: 'bb'.repeat(32), height: 95 },
+    { tx_hash: 'cc'.repeat(32), height: 0 }
+  ];
+
+  let mock;
+  let fulcrum;
+
+  beforeEach(async () => {
+    mock = await startMockFulcrum({
+      tip: { height: 120, hex: '00'.repeat(80) },
+      addresses: { [address]: { confirmed: 250000000, unconfirmed: -50000000, history } },
+      handlers: { 'server.hang': () => new Promise(() => {}) }
+    });
+    fulcrum = new FulcrumService(mock.url, { timeoutMs: 500 });
+  });
+
+  afterEach(async () => {
+    fulcrum.close();
+    await mock.close();
+  });
+
+  it('should negotiate the protocol once and share the connection', async () => {
+    await fulcrum.getTip();
+    await fulcrum.getBalance(address);
+
+    expect(mock.requests.map(({ method }) => method)).toEqual([
+      'server.version',
+      'blockchain.headers.subscribe',
+      'blockchain.scripthash.get_balance'
+    ]);
+    expect(mock.requests[2].params).toEqual([fulcrum.addressService.computeScriptHash(address)]);
+  });
+
+  it('should summarize balance and history newest first', async () => {
+    expect(await fulcrum.getAddressSummary(address)).toEqual({
+      confirmed: 2.5,
+      confirmedInSmallUnits: 250000000,
+      unconfirmed: -0.5,
+      unconfirmedInSmallUnits: -50000000,
+      tipHeight: 120,
+      historyCount: 3,
+      history: [
+        { txHash: 'cc'.repeat(32), height: 0 },
+        { txHash: 'bb'.repeat(32), height: 95 },
+        { txHash: 'aa'.repeat(32), height: 90 }
+      ]
+    });
+  });
+
+  it('should surface server errors and timeouts as FulcrumError', async () => {
+    await expect(fulcrum.request('server.missing')).rejects.toThrow('unknown method');
+    await expect(fulcrum.request('server.hang')).rejects.toThrow('timed out after 500ms');
+    await expect(fulcrum.request('server.ping')).resolves.toBeNull();
+  });
+
+  it('should send batches as one message and return results in order', async () => {
+    await expect(fulcrum.requestBatch([
+      ['blockchain.scripthash.get_balance', [fulcrum.addressService.computeScriptHash(address)]],
+      ['server.ping', []]
+    ])).resolves.toEqual([{ confirmed: 250000000, unconfirmed: -50000000 }, null]);
+
+    await expect(fulcrum.requestBatch([['server.ping', []], ['server.missing', []]]))
+      .rejects.toThrow('Fulcrum server.missing failed');
+  });
+
+  it('should fail requests in flight on disconnect and reconnect afterwards', async () => {
+    await fulcrum.getTip();
+    const hung = fulcrum.request('server.hang');
+    fulcrum.close();
+
+    await expect(hung).rejects.toThrow('closed');
+    await expect(fulcrum.getTip()).resolves.toMatchObject({ height: 120 });
+    expect(mock.requests.filter(({ method }) => method === 'server.version')).toHaveLength(2);
+  });
+
+  it('should report unreachable servers', async () => {
+    const url = mock.url;
+    await mock.close();
+    mock = { close: async () => {} };
+
+    await expect(new FulcrumService(url, { timeoutMs: 500 }).getTip()).rejects.toThrow(FulcrumError);
+  });
+});
@@ -0,0 +1,116 @@
+import { describe, it, expect, beforeAll, afterAll } from 'vitest';
+import { FulcrumService } from '../../src/services/FulcrumService.js';
+import { FulcrumSnapshotService } from '../../src/services/FulcrumSnapshotService.js';
+import { AddressService } from '../../src/services/AddressService.js';
+import { hash256 } from '../../src/utils/transaction.js';
+import { generateKeyPair } from '../fixtures/addressGenerator.js';
+import { startMockFulcrum } from '../fixtures/mockFulcrum.js';
+import { buildTransaction } from '../fixtures/transactions.js';
+
+const COIN = 100_000_000;
+
+describe('FulcrumSnapshotService', () => {
+  const addressService = new AddressService();
+  const [alice, bob, carol, dave] = Array.from({ length: 4 }, () => generateKeyPair().address);
+  const pay = (address, coins) => ({ value: coins * COIN, script: addressService.toOutputScript(address) });
+  const funding = (n) => ({ txid: n.toString(16).padStart(64, '0'), vout: 0 });
+
+  // Alice: +5 @50, +2 @80, -2 @90, +7 @110, -5 +1 change @120, +3 in mempool
+  const tx1 = buildTransaction({ inputs: [funding(1)], outputs: [pay(alice, 5)] });
+  const tx2 = buildTransaction({ inputs: [funding(2)], outputs: [pay(alice, 2)] });
+  const tx3 = buildTransaction({ inputs: [{ txid: tx2.txid, vout: 0 }], outputs: [pay(bob, 2)] });
+  const tx4 = buildTransaction({
+    inputs: [{ txid: tx1.txid, vout: 0, witness: [Buffer.alloc(71, 1)] }],
+    outputs: [pay(bob, 4), pay(alice, 1)]
+  });
+  const tx5 = buildTransaction({ inputs: [funding(5)], outputs: [pay(alice, 7)] });
+  const tx6 = buildTransaction({ inputs: [funding(6)], outputs: [pay(alice, 3)] });
+  const tx7 = buildTransaction({ inputs: [funding(7)], outputs: [pay(carol, 3)] });
+
+  const header = 'ab'.repeat(80);
+  let mock;
+  let fulcrum;
+
+  beforeAll(async () => {
+    mock = await startMockFulcrum({
+      tip: { height: 130, hex: '00'.repeat(80) },
+      addresses: {
+        [alice]: {
+          history: [
+            { tx_hash: tx1.txid, height: 50 },
+            { tx_hash: tx2.txid, height: 80 },
+            { tx_hash: tx3.txid, height: 90 },
+            { tx_hash: tx5.txid, height: 110 },
+            { tx_hash: tx4.txid, height: 120 },
+            { tx_hash: tx6.txid, height: 0 }
+          ],
+          utxos: [
+            { tx_hash: tx5.txid, tx_pos: 0, height: 110, value: 7 * COIN },
+            { tx_hash: tx4.txid, tx_pos: 1, height: 120, value: 1 * COIN },
+            { tx_hash: tx6.txid, tx_pos: 0, height: 0, value: 3 * COIN }
+          ]
+        },
+        [carol]: {
+          history: [{ tx_hash: tx7.txid, height: 60 }],
+          utxos: [{ tx_hash: tx7.txid, tx_pos: 0, height: 60, value: 3 * COIN }]
+        }
+      },
+      transactions: Object.fromEntries([tx1, tx2, tx3, tx4, tx5, tx6, tx7].map(({ txid, hex }) => [txid, hex])),
+      headers: { 85: header, 100: header, 130: header }
+    });
+    fulcrum = new FulcrumService(mock.url, { timeoutMs: 2000 });
+  });
+
+  afterAll(async () => {
+    fulcrum.close();
+    await mock.close();
+  });
+
+  it.each([
+    [85, 7n],
+    [100, 5n],
+    [130, 8n]
+  ])('should reconstruct balances at height %i', async (height, aliceCoins) => {
+    const snapshot = new FulcrumSnapshotService(fulcrum);
+    const { balances, blockHash, tipHeight } = await snapshot.scan([alice, carol, dave], height);
+
+    expect(balances).toEqual(new Map([
+      [alice, aliceCoins * BigInt(COIN)],
+      [carol, 3n * BigInt(COIN)],
+      [dave, 0n]
+    ]));
+    expect(blockHash).toBe(hash256(Buffer.from(header, 'hex')).reverse().toString('hex'));
+    expect(tipHeight).toBe(130);
+  });
+
+  it('should batch address queries and fetch each transaction once', async () => {
+    const snapshot = new FulcrumSnapshotService(fulcrum, { batchSize: 2, concurrency: 1 });
+    const batches = [];
+    mock.requests.length = 0;
+
+    await snapshot.scan([alice, bob, carol], 100, { onBatch: (entries) => batches.push(entries) });
+    await snapshot.scan([alice], 100);
+
+    expect(batches.map((entries) => entries.map(([address]) => address))).toEqual([[alice, bob], [carol]]);
+    const fetched = mock.requests
+      .filter(({ method }) => method === 'blockchain.transaction.get')
+      .map(({ params }) => params[0]);
+    expect(fetched.sort()).toEqual([tx1.txid, tx4.txid, tx5.txid, tx6.txid].sort());
+  });
+
+  it('should keep the transactions a lookup needs when the cache is reset', async () => {
+    const snapshot = new FulcrumSnapshotService(fulcrum, { maxCachedTransactions: 2 });
+
+    // Caches the mempool transaction; at height 100 it is needed again with two new ones
+    await snapshot.scan([alice], 130);
+    const { balances } = await snapshot.scan([alice], 100);
+
+    expect(balances.get(alice)).toBe(5n * BigInt(COIN));
+    expect(snapshot.transactions.size).toBeLessThanOrEqual(2);
+  });
+
+  it('should refuse heights above the server tip', async () => {
+    const snapshot = new FulcrumSnapshotService(fulcrum);
+    await expect(snapshot.scan([alice], 131)).rejects.toThrow('Block 131 not yet reached');
+  });
+});
@@ -0,0 +1,103 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { Registry, Counter, Histogram, mintOutcomesTotal } from '../../src/utils/metrics.js';
+import { initDatabase } from '../../src/db/index.js';
+import { BalanceRepository } from '../../src/db/BalanceRepository.js';
+import { BalanceService } from '../../src/services/BalanceService.js';
+import { SignatureService } from '../../src/services/SignatureService.js';
+import { AddressService } from '../../src/services/AddressService.js';
+import { FaucetError } from '../../src/utils/errors.js';
+import { generateKeyPair, signMintRequest } from '../fixtures/addressGenerator.js';
+import { createCampaign } from '../fixtures/campaigns.js';
+
+describe('metrics', () => {
+  describe('Registry', () => {
+    it('should render counters in Prometheus text format', () => {
+      const registry = new Registry();
+      const counter = registry.register(new Counter('test_total', 'Test counter', ['route']));
+
+      counter.inc({ route: '/a' });
+      counter.inc({ route: '/a' });
+      counter.inc({ route: 'say "hi"' });
+
+      expect(registry.render()).toBe([
+        '# HELP test_total Test counter',
+        '# TYPE test_total counter',
+        'test_total{route="/a"} 2',
+        'test_total{route="say \\"hi\\""} 1',
+        ''
+      ].join('\n'));
+    });
+
+    it('should render cumulative histogram buckets', () => {
+      const registry = new Registry();
+      const histogram = registry.register(new Histogram('test_seconds', 'Test', [], [0.1, 1]));
+
+      histogram.observe({}, 0.05);
+      histogram.observe({}, 0.5);
+      histogram.observe({}, 5);
+
+      const text = registry.render();
+      expect(text).toContain('test_seconds_bucket{le="0.1"} 1');
+      expect(text).toContain('test_seconds_bucket{le="1"} 2');
+      expect(text).toContain('test_seconds_bucket{le="+Inf"} 3');
+      expect(text).toContain('test_seconds_sum 5.55');
+      expect(text).toContain('test_seconds_count 3');
+    });
+
+    it('should run collectors before rendering', () => {
+      const registry = new Registry();
+      const counter = registry.register(new Counter('scrapes_total', 'Scrapes'));
+      registry.onCollect(() => counter.inc());
+
+      registry.render();
+
+      expect(registry.render()).toContain('scrapes_total 2');
+    });
+  });
+
+  describe('mint outcomes', () => {
+    const amount = 150000000;
+    let balanceRepo;
+    let faucetProxy;
+    let balanceService;
+
+    beforeEach(() => {
+      mintOutcomesTotal.reset();
+      balanceRepo = new BalanceRepository(initDatabase(':memory:'));
+      createCampaign(balanceRepo);
+      faucetProxy = { mintToken: async () => ({ success: true, txId: 'tx-1', data: {} }) };
+      balanceService = new BalanceService(
+        balanceRepo,
+        new SignatureService(new AddressService()),
+        faucetProxy
+      );
+    });
+
+    afterEach(() => {
+      balanceRepo.close();
+    });
+
+    function signedRequest() {
+      const { privateKey, address } = generateKeyPair();
+      balanceRepo.insertBalance(address, BigInt(amount));
+      return [address, 'uid', amount, signMintRequest(privateKey, address, 'uid', amount)];
+    }
+
+    it('should count confirmed mints and failures by error class', async () => {
+      await balanceService.processMintRequest(...signedRequest());
+
+      faucetProxy.mintToken = async () => {
+        throw new FaucetError('rejected');
+      };
+      await expect(balanceService.processMintRequest(...signedRequest())).rejects.toThrow(FaucetError);
+
+      const [address] = signedRequest();
+      await expect(balanceService.processMintRequest(address, 'uid', amount + 1, '00'.repeat(65)))
+        .rejects.toThrow();
+
+      expect(mintOutcomesTotal.get({ outcome: 'confirmed' })).toBe(1);
+      expect(mintOutcomesTotal.get({ outcome: 'FaucetError' })).toBe(1);
+      expect(mintOutcomesTotal.get({ outcome: 'ValidationError' })).toBe(1);
+    });
+  });
+});
@@ -0,0 +1,92 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { initDatabase } from '../../src/db/index.js';
+import { BalanceRepository } from '../../src/db/BalanceRepository.js';
+import { MintJobRepository } from '../../src/db/MintJobRepository.js';
+import { BalanceService } from '../../src/services/BalanceService.js';
+import { SignatureService } from '../../src/services/SignatureService.js';
+import { AddressService } from '../../src/services/AddressService.js';
+import { MintWorker } from '../../src/services/MintWorker.js';
+import { generateKeyPair, signMintRequest } from '../fixtures/addressGenerator.js';
+import { createCampaign } from '../fixtures/campaigns.js';
+
+const silentLogger = { warn: () => {}, error: () => {} };
+
+describe('MintWorker', () => {
+  const amount = 150000000;
+  const unicityId = 'unicity-id-1';
+
+  let db;
+  let balanceRepo;
+  let mintJobRepo;
+  let balanceService;
+  let worker;
+
+  beforeEach(() => {
+    db = initDatabase(':memory:');
+    balanceRepo = new BalanceRepository(db);
+    createCampaign(balanceRepo);
+    mintJobRepo = new MintJobRepository(db);
+    const faucetProxy = {
+      mintToken: async () => ({ success: true, txId: 'tx-async', data: {} })
+    };
+    balanceService = new BalanceService(
+      balanceRepo,
+      new SignatureService(new AddressService()),
+      faucetProxy,
+      mintJobRepo
+    );
+    worker = new MintWorker(balanceService, mintJobRepo, {
+      pollIntervalMs: 10,
+      concurrency: 1,
+      logger: silentLogger
+    });
+  });
+
+  afterEach(async () => {
+    await worker.stop();
+    balanceRepo.close();
+  });
+
+  function enqueueClaim() {
+    const { privateKey, address } = generateKeyPair();
+    balanceRepo.insertBalance(address, BigInt(amount));
+    const signature = signMintRequest(privateKey, address, unicityId, amount);
+    return balanceService.enqueueMintRequest(address, unicityId, amount, signature);
+  }
+
+  it('should accept a claim as reserved and queue it', () => {
+    const claim = enqueueClaim();
+
+    expect(claim.status).toBe('reserved');
+    expect(claim.final).toBe(false);
+    expect(mintJobRepo.countByStatus('queued')).toBe(1);
+  });
+
+  it('should drive queued claims to confirmed and emit each state', async () => {
+    const claim = enqueueClaim();
+    const seen = [];
+    const settled = new Promise((resolve) => {
+      balanceService.events.on('claim', (update) => {
+        seen.push(update.status);
+        if (update.final) resolve();
+      });
+    });
+
+    worker.start();
+    await settled;
+    await worker.stop();
+
+    expect(seen).toEqual(['submitted', 'confirmed']);
+    expect(balanceService.getClaim(claim.claimId).txId).toBe('tx-async');
+    expect(mintJobRepo.countByStatus('done')).toBe(1);
+  });
+
+  it('should leave queued claims reserved during startup recovery', () => {
+    const claim = enqueueClaim();
+
+    const result = balanceService.recoverInterruptedMints();
+
+    expect(result.released).toBe(0);
+    expect(balanceService.getClaim(claim.claimId).status).toBe('reserved');
+  });
+});
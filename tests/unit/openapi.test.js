@@ -0,0 +1,70 @@
+import { describe, it, expect, beforeAll, afterAll } from 'vitest';
+import Fastify from 'fastify';
+import { registerOpenApi } from '../../src/api/openapi.js';
+import { registerRoutes } from '../../src/api/routes.js';
+
+describe('OpenAPI document', () => {
+  let app;
+  let document;
+
+  beforeAll(async () => {
+    app = Fastify();
+    await registerOpenApi(app, { rateLimitedPrefixes: ['/api/v1/faucet/'] });
+    // Route registration only needs the services to exist
+    await registerRoutes(app, {
+      balanceService: {},
+      addressService: {},
+      mintWorker: {},
+      rateLimiter: null
+    });
+
+    const response = await app.inject({ method: 'GET', url: '/api/openapi.json' });
+    expect(response.statusCode).toBe(200);
+    document = response.json();
+  });
+
+  afterAll(async () => {
+    await app.close();
+  });
+
+  it('should describe every faucet route with OpenAPI path templates', () => {
+    expect(document.openapi).toBe('3.1.0');
+    expect(Object.keys(document.paths)).toEqual(expect.arrayContaining([
+      '/api/v1/faucet/balance/{l1_addr}',
+      '/api/v1/faucet/balances',
+      '/api/v1/faucet/request',
+      '/api/v1/faucet/request/aggregate',
+      '/api/v1/faucet/claims/{id}',
+      '/api/v1/faucet/claims/{id}/events',
+      '/api/v1/faucet/campaigns/{id}/claim-message',
+      '/health'
+    ]));
+    expect(document.paths['/api/openapi.json']).toBeUndefined();
+  });
+
+  it('should carry request and response schemas from the route definitions', () => {
+    const operation = document.paths['/api/v1/faucet/request'].post;
+
+    const body = operation.requestBody.content['application/json'].schema;
+    expect(body.required).toEqual(['l1_addr', 'unicityId', 'amount']);
+    expect(body.oneOf).toEqual([
+      { required: ['signature'] },
+      { required: ['witnessScript', 'signatures'] }
+    ]);
+    expect(operation.parameters.map((p) => p.name)).toContain('idempotency-key');
+    expect(operation.responses['200'].content['application/json'].schema.properties)
+      .toHaveProperty('txId');
+    expect(operation.responses['202'].content['application/json'].schema.properties)
+      .toHaveProperty('statusUrl');
+  });
+
+  it('should list declared AppErrors as error responses', () => {
+    const responses = document.paths['/api/v1/faucet/request'].post.responses;
+
+    expect(Object.keys(responses['409'].content['application/json'].examples))
+      .toEqual(['AlreadyMintedError', 'InvalidStateError', 'IdempotencyConflictError']);
+    expect(responses['504'].description).toBe('MintOutcomeUnknownError');
+    expect(responses['429'].headers).toHaveProperty('Retry-After');
+    expect(document.paths['/health'].get.responses['429']).toBeUndefined();
+  });
+});
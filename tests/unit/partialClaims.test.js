@@ -0,0 +1,193 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { mkdtempSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { initDatabase } from '../../src/db/index.js';
+import { BalanceRepository } from '../../src/db/BalanceRepository.js';
+import { BalanceService } from '../../src/services/BalanceService.js';
+import { SignatureService } from '../../src/services/SignatureService.js';
+import { AddressService } from '../../src/services/AddressService.js';
+import { MINT_STATUS } from '../../src/config/constants.js';
+import { requestHash, signatureIdempotencyKey } from '../../src/utils/idempotency.js';
+import {
+  AlreadyMintedError,
+  FaucetError,
+  InvalidStateError,
+  ValidationError
+} from '../../src/utils/errors.js';
+import { generateKeyPair, signMintRequest } from '../fixtures/addressGenerator.js';
+import { createCampaign } from '../fixtures/campaigns.js';
+
+describe('partial claims', () => {
+  const balance = 150000000;
+
+  let balanceRepo;
+  let balanceService;
+  let faucetProxy;
+  let privateKey;
+  let address;
+
+  beforeEach(() => {
+    balanceRepo = new BalanceRepository(initDatabase(':memory:'));
+    createCampaign(balanceRepo, { partialClaims: true });
+    faucetProxy = {
+      mintToken: async () => ({ success: true, txId: 'tx-1', data: {} })
+    };
+    balanceService = new BalanceService(
+      balanceRepo,
+      new SignatureService(new AddressService()),
+      faucetProxy
+    );
+
+    ({ privateKey, address } = generateKeyPair());
+    balanceRepo.insertBalance(address, BigInt(balance));
+  });
+
+  afterEach(() => {
+    balanceRepo.close();
+  });
+
+  /**
+   * Claim a tranche with a fresh signature
+   */
+  function claim(unicityId, amount) {
+    const signature = signMintRequest(privateKey, address, unicityId, amount);
+    return balanceService.processMintRequest(address, unicityId, amount, signature);
+  }
+
+  it('should claim the balance in tranches to several Unicity IDs', async () => {
+    await claim('personal-id', 100000000);
+
+    expect(balanceService.getBalance(address)).toMatchObject({
+      spent: false,
+      claimedAmountInSmallUnits: 100000000,
+      remainingAmountInSmallUnits: 50000000,
+      amountInSmallUnits: 50000000
+    });
+
+    await claim('team-id', 50000000);
+
+    const result = balanceService.getBalance(address);
+    expect(result).toMatchObject({ spent: true, remainingAmountInSmallUnits: 0 });
+    expect(result.tranches.map(({ unicityId, amountInSmallUnits, status }) => [
+      unicityId, amountInSmallUnits, status
+    ])).toEqual([
+      ['personal-id', 100000000, MINT_STATUS.CONFIRMED],
+      ['team-id', 50000000, MINT_STATUS.CONFIRMED]
+    ]);
+    await expect(claim('team-id', 1)).rejects.toThrow(AlreadyMintedError);
+    expect(balanceService.getStats().mintedAddresses).toBe(1);
+  });
+
+  it('should reject a tranche larger than the remaining balance', async () => {
+    await claim('personal-id', 100000000);
+
+    const error = await claim('team-id', 60000000).catch((err) => err);
+    expect(error).toBeInstanceOf(ValidationError);
+    expect(error.code).toBe('AMOUNT_EXCEEDS_BALANCE');
+    expect(error.details).toEqual({ requested: 60000000, available: 50000000 });
+  });
+
+  it('should return a released tranche to the remaining balance', async () => {
+    faucetProxy.mintToken = async () => {
+      throw new FaucetError('Upstream rejected');
+    };
+
+    await expect(claim('personal-id', 100000000)).rejects.toThrow(FaucetError);
+
+    expect(balanceService.getBalance(address)).toMatchObject({
+      remainingAmountInSmallUnits: balance,
+      tranches: []
+    });
+  });
+
+  it('should allow one tranche in flight at a time', () => {
+    const signature = signMintRequest(privateKey, address, 'personal-id', 1000);
+    balanceService.reserveMintRequest(address, 'personal-id', 1000, signature);
+
+    const second = signMintRequest(privateKey, address, 'team-id', 2000);
+    expect(() => balanceService.reserveMintRequest(address, 'team-id', 2000, second))
+      .toThrow(InvalidStateError);
+  });
+
+  it('should not accept the same signature for a second tranche', async () => {
+    const signature = signMintRequest(privateKey, address, 'personal-id', 1000);
+    await balanceService.processMintRequest(address, 'personal-id', 1000, signature);
+
+    const error = await balanceService.processMintRequest(
+      address, 'personal-id', 1000, `0x${signature.toUpperCase()}`, { key: 'fresh-key' }
+    ).catch((err) => err);
+    expect(error.code).toBe('SIGNATURE_ALREADY_USED');
+    expect(balanceService.getBalance(address).claimedAmountInSmallUnits).toBe(1000);
+  });
+
+  it('should not accept a used signature under another header byte or in base64', async () => {
+    const signature = signMintRequest(privateKey, address, 'personal-id', 1000);
+    await balanceService.processMintRequest(address, 'personal-id', 1000, signature);
+
+    // 31-34 names no address type; 39-42 names P2WPKH and verifies for the same address
+    const bytes = Buffer.from(signature, 'hex');
+    bytes[0] += 8;
+    const variants = [bytes.toString('hex'), bytes.toString('base64')];
+
+    for (const [i, variant] of variants.entries()) {
+      expect(balanceService.deriveIdempotencyKey(variant)).toBe(balanceService.deriveIdempotencyKey(signature));
+      const error = await balanceService.processMintRequest(
+        address, 'personal-id', 1000, variant, { key: `fresh-key-${i}` }
+      ).catch((err) => err);
+      expect(error.code).toBe('SIGNATURE_ALREADY_USED');
+    }
+    expect(balanceService.getBalance(address).claimedAmountInSmallUnits).toBe(1000);
+  });
+
+  it('should keep replaying requests stored with the header byte of their signature', async () => {
+    const dir = mkdtempSync(join(tmpdir(), 'faucet-'));
+    const dbPath = join(dir, 'faucet.db');
+    const open = () => {
+      const repo = new BalanceRepository(initDatabase(dbPath));
+      return [repo, new BalanceService(repo, new SignatureService(new AddressService()), faucetProxy)];
+    };
+    let [repo, service] = open();
+
+    try {
+      createCampaign(repo, { partialClaims: true });
+      repo.insertBalance(address, BigInt(balance));
+      const signature = signMintRequest(privateKey, address, 'personal-id', 1000);
+      const idempotency = {
+        key: service.deriveIdempotencyKey(signature),
+        requestHash: service.createRequestHash(address, 'personal-id', 1000, signature)
+      };
+      const result = await service.processMintRequest(address, 'personal-id', 1000, signature, idempotency);
+      service.storeIdempotentResponse(idempotency.key, 200, result);
+
+      // As stored before compact signatures were compared as r||s
+      repo.db.prepare('UPDATE mint_requests SET signature = ?, idempotency_key = ?, request_hash = ?').run(
+        signature,
+        signatureIdempotencyKey('default', [signature]),
+        requestHash('default', address, 'personal-id', 1000, signature)
+      );
+      repo.close();
+
+      [repo, service] = open();
+      expect(repo.findMintRequestByIdempotencyKey(idempotency.key).signature).toBe(signature.slice(2));
+      expect(service.findIdempotentReplay(idempotency.key, idempotency.requestHash)).toEqual({
+        statusCode: 200,
+        body: JSON.parse(JSON.stringify(result))
+      });
+    } finally {
+      repo.close();
+      rmSync(dir, { recursive: true, force: true });
+    }
+  });
+
+  it('should still require the full balance when the campaign does not allow partial claims', async () => {
+    createCampaign(balanceRepo, { id: 'full' });
+    balanceRepo.insertBalance(address, BigInt(balance), 'full');
+    const signature = signMintRequest(privateKey, address, 'personal-id', 1000);
+
+    const error = await balanceService.processMintRequest(
+      address, 'personal-id', 1000, signature, {}, 'full'
+    ).catch((err) => err);
+    expect(error.code).toBe('AMOUNT_MISMATCH');
+  });
+});
@@ -0,0 +1,123 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import Fastify from 'fastify';
+import { initDatabase } from '../../src/db/index.js';
+import { BalanceRepository } from '../../src/db/BalanceRepository.js';
+import { BalanceService } from '../../src/services/BalanceService.js';
+import { SignatureService } from '../../src/services/SignatureService.js';
+import { AddressService } from '../../src/services/AddressService.js';
+import { RateLimiter, MemoryRateLimitStore } from '../../src/services/RateLimiter.js';
+import { registerErrorHandlers } from '../../src/api/errorHandlers.js';
+import { registerRoutes } from '../../src/api/routes.js';
+import { generateKeyPair, signMintRequest } from '../fixtures/addressGenerator.js';
+import { createCampaign } from '../fixtures/campaigns.js';
+
+describe('rate limited routes', () => {
+  const amount = 150000000;
+  // Next to nothing refills during a test
+  const slow = (capacity) => ({ capacity, refillPerMinute: 0.01 });
+
+  let balanceRepo;
+  let app;
+  let privateKey;
+  let address;
+
+  /**
+   * @param {Object<string, {capacity: number, refillPerMinute: number}>} buckets - Overrides
+   */
+  async function buildApp(buckets) {
+    const rateLimiter = new RateLimiter(new MemoryRateLimitStore(), {
+      buckets: { ip: slow(100), address: slow(100), signatureFailure: slow(100), ...buckets }
+    });
+    const faucetProxy = {
+      mintToken: async () => ({ success: true, txId: 'tx-1', data: {} })
+    };
+    const addressService = new AddressService();
+    const signatureService = new SignatureService(addressService);
+
+    app = Fastify();
+    registerErrorHandlers(app);
+    await registerRoutes(app, {
+      balanceService: new BalanceService(balanceRepo, signatureService, faucetProxy),
+      signatureService,
+      addressService,
+      mintWorker: { notify() {} },
+      rateLimiter
+    });
+  }
+
+  /**
+   * POST a single-address claim
+   * @param {string} unicityId
+   * @param {string} [signature] - Defaults to a valid one
+   */
+  function claim(unicityId, signature = signMintRequest(privateKey, address, unicityId, amount)) {
+    return app.inject({
+      method: 'POST',
+      url: '/api/v1/faucet/request',
+      payload: { l1_addr: address, unicityId, amount, signature }
+    });
+  }
+
+  beforeEach(() => {
+    balanceRepo = new BalanceRepository(initDatabase(':memory:'));
+    createCampaign(balanceRepo, { partialClaims: true });
+    ({ privateKey, address } = generateKeyPair());
+    balanceRepo.insertBalance(address, BigInt(amount) * 10n);
+  });
+
+  afterEach(async () => {
+    await app.close();
+    balanceRepo.close();
+  });
+
+  it('should limit faucet routes per IP, with Retry-After, and leave other routes alone', async () => {
+    await buildApp({ ip: slow(2) });
+
+    for (let i = 0; i < 3; i++) {
+      expect((await app.inject({ method: 'GET', url: '/health' })).statusCode).toBe(200);
+    }
+    const url = `/api/v1/faucet/balance/${address}`;
+    expect((await app.inject({ method: 'GET', url })).statusCode).toBe(200);
+    expect((await app.inject({ method: 'GET', url })).statusCode).toBe(200);
+
+    const limited = await app.inject({ method: 'GET', url });
+    expect(limited.statusCode).toBe(429);
+    expect(Number(limited.headers['retry-after'])).toBeGreaterThan(0);
+    expect(limited.json()).toMatchObject({ success: false, code: 'RATE_LIMITED', details: { limit: 'ip' } });
+    expect((await app.inject({ method: 'GET', url: '/health' })).statusCode).toBe(200);
+  });
+
+  it('should refuse mint requests from an IP that keeps sending bad signatures', async () => {
+    await buildApp({ signatureFailure: slow(2) });
+    const { privateKey: otherKey } = generateKeyPair();
+
+    for (const unicityId of ['id-1', 'id-2']) {
+      const response = await claim(unicityId, signMintRequest(otherKey, address, unicityId, amount));
+      expect(response.statusCode).toBe(400);
+      expect(response.json().code).toBe('SIGNATURE_ADDRESS_MISMATCH');
+    }
+
+    // Even a valid signature is refused until the failure bucket refills
+    const refused = await claim('id-3');
+    expect(refused.statusCode).toBe(429);
+    expect(refused.headers['retry-after']).toBeDefined();
+    expect(refused.json().details).toMatchObject({ limit: 'signatureFailure' });
+  });
+
+  it('should replay a stored response without taking an address token', async () => {
+    await buildApp({ address: slow(1) });
+    const signature = signMintRequest(privateKey, address, 'id-1', amount);
+
+    const first = await claim('id-1', signature);
+    expect(first.statusCode).toBe(200);
+
+    const retry = await claim('id-1', signature);
+    expect(retry.statusCode).toBe(200);
+    expect(retry.headers['idempotent-replayed']).toBe('true');
+    expect(retry.json()).toEqual(first.json());
+
+    const next = await claim('id-2');
+    expect(next.statusCode).toBe(429);
+    expect(next.json().details).toMatchObject({ limit: 'address' });
+  });
+});
@@ -0,0 +1,102 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import { initDatabase } from '../../src/db/index.js';
+import { RateLimitRepository } from '../../src/db/RateLimitRepository.js';
+import { RateLimiter, MemoryRateLimitStore } from '../../src/services/RateLimiter.js';
+import { RateLimitError } from '../../src/utils/errors.js';
+
+const buckets = {
+  ip: { capacity: 3, refillPerMinute: 60 },
+  signatureFailure: { capacity: 2, refillPerMinute: 1 }
+};
+
+describe.each([
+  ['memory', () => new MemoryRateLimitStore()],
+  ['sqlite', () => new RateLimitRepository(initDatabase(':memory:'))]
+])('RateLimiter (%s store)', (_name, createStore) => {
+  let now;
+  let limiter;
+
+  beforeEach(() => {
+    now = 1_000_000;
+    limiter = new RateLimiter(createStore(), { buckets, now: () => now });
+  });
+
+  describe('take', () => {
+    it('should allow a burst up to capacity, then refuse', () => {
+      for (let i = 0; i < 3; i++) {
+        limiter.take('ip', '10.0.0.1');
+      }
+
+      expect(() => limiter.take('ip', '10.0.0.1')).toThrow(RateLimitError);
+    });
+
+    it('should report when the next token is available', () => {
+      for (let i = 0; i < 3; i++) {
+        limiter.take('ip', '10.0.0.1');
+      }
+
+      try {
+        limiter.take('ip', '10.0.0.1');
+        expect.unreachable();
+      } catch (err) {
+        expect(err.statusCode).toBe(429);
+        expect(err.retryAfter).toBe(1);
+      }
+    });
+
+    it('should refill over time', () => {
+      for (let i = 0; i < 3; i++) {
+        limiter.take('ip', '10.0.0.1');
+      }
+
+      now += 1000;
+
+      expect(() => limiter.take('ip', '10.0.0.1')).not.toThrow();
+      expect(() => limiter.take('ip', '10.0.0.1')).toThrow(RateLimitError);
+    });
+
+    it('should keep separate buckets per client', () => {
+      for (let i = 0; i < 3; i++) {
+        limiter.take('ip', '10.0.0.1');
+      }
+
+      expect(() => limiter.take('ip', '10.0.0.2')).not.toThrow();
+    });
+  });
+
+  describe('signature failures', () => {
+    it('should refuse a client once its failures are spent', () => {
+      limiter.ensureAvailable('signatureFailure', '10.0.0.1');
+      limiter.penalize('signatureFailure', '10.0.0.1');
+      limiter.penalize('signatureFailure', '10.0.0.1');
+
+      expect(() => limiter.ensureAvailable('signatureFailure', '10.0.0.1'))
+        .toThrow(RateLimitError);
+
+      now += 60000;
+      expect(() => limiter.ensureAvailable('signatureFailure', '10.0.0.1')).not.toThrow();
+    });
+
+    it('should not take a token when only checking', () => {
+      for (let i = 0; i < 5; i++) {
+        limiter.ensureAvailable('signatureFailure', '10.0.0.1');
+      }
+
+      expect(limiter.penalize('signatureFailure', '10.0.0.1')).toBe(true);
+    });
+  });
+
+  describe('prune', () => {
+    it('should drop buckets idle longer than the slowest refill', () => {
+      limiter.take('ip', '10.0.0.1');
+      limiter.penalize('signatureFailure', '10.0.0.2');
+
+      // ip refills in 3s, signatureFailure in 2 minutes
+      now += 60000;
+      expect(limiter.prune()).toBe(0);
+
+      now += 60001;
+      expect(limiter.prune()).toBe(2);
+    });
+  });
+});
@@ -0,0 +1,90 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { initDatabase } from '../../src/db/index.js';
+import { BalanceRepository } from '../../src/db/BalanceRepository.js';
+import { ReadinessService } from '../../src/services/ReadinessService.js';
+import { FaucetError } from '../../src/utils/errors.js';
+import { createCampaign } from '../fixtures/campaigns.js';
+
+describe('ReadinessService', () => {
+  let balanceRepo;
+  let faucetProxy;
+  let probes;
+  let now;
+  let readiness;
+
+  beforeEach(() => {
+    balanceRepo = new BalanceRepository(initDatabase(':memory:'));
+    createCampaign(balanceRepo);
+
+    probes = 0;
+    faucetProxy = {
+      faucetEndpoint: 'https://faucet',
+      checkHealth: async () => {
+        probes++;
+        return true;
+      },
+      getCoins: async () => [{ name: 'alpha_test' }]
+    };
+
+    now = 0;
+    readiness = new ReadinessService(balanceRepo, faucetProxy, {
+      upstreamCacheMs: 30000,
+      now: () => now
+    });
+  });
+
+  afterEach(() => {
+    if (balanceRepo.db.open) {
+      balanceRepo.close();
+    }
+  });
+
+  it('should be ready when every check passes', async () => {
+    const { ready, checks } = await readiness.check();
+
+    expect(ready).toBe(true);
+    expect(checks.snapshot).toMatchObject({ status: 'ok', campaigns: [{ id: 'default', blockHeight: 100 }] });
+    expect(checks.token).toMatchObject({ status: 'ok', coins: ['alpha_test'] });
+  });
+
+  it('should reuse upstream results until the cache expires', async () => {
+    await readiness.check();
+    now += 29999;
+    await readiness.check();
+    expect(probes).toBe(1);
+
+    now += 1;
+    await readiness.check();
+    expect(probes).toBe(2);
+  });
+
+  it('should fail when upstream does not offer the token', async () => {
+    faucetProxy.getCoins = async () => ['other_coin'];
+
+    const { ready, checks } = await readiness.check();
+
+    expect(ready).toBe(false);
+    expect(checks.upstream.status).toBe('ok');
+    expect(checks.token).toMatchObject({
+      status: 'fail',
+      missing: ['alpha_test'],
+      error: 'Token not offered by upstream faucet'
+    });
+  });
+
+  it('should report each failing component', async () => {
+    faucetProxy.checkHealth = async () => false;
+    faucetProxy.getCoins = async () => {
+      throw new FaucetError('Failed to fetch coins: timeout');
+    };
+    balanceRepo.close();
+
+    const { ready, checks } = await readiness.check();
+
+    expect(ready).toBe(false);
+    expect(checks.database.status).toBe('fail');
+    expect(checks.snapshot.status).toBe('fail');
+    expect(checks.upstream.status).toBe('fail');
+    expect(checks.token.error).toBe('Failed to fetch coins: timeout');
+  });
+});
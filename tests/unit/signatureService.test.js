@@ -1,7 +1,10 @@
 import { describe, it, expect } from 'vitest';
+import elliptic from 'elliptic';
 import { SignatureService } from '../../src/services/SignatureService.js';
 import { AddressService } from '../../src/services/AddressService.js';
-import { generateKeyPair, signMintRequest } from '../fixtures/addressGenerator.js';
+import { generateKeyPair, signMintRequest, createMultisigScript } from '../fixtures/addressGenerator.js';
+
+const ec = new elliptic.ec('secp256k1');
 
 describe('SignatureService', () => {
   const addressService = new AddressService();
@@ -59,7 +62,31 @@ describe('SignatureService', () => {
     });
 
     it('should reject wrong length', () => {
-      expect(() => signatureService.parseSignature('deadbeef')).toThrow('65 bytes');
+      expect(() => signatureService.parseSignature('deadbeef')).toThrow('Hex signature must be 65 bytes');
+    });
+
+    it('should parse base64 signatures as produced by signmessage', () => {
+      const { privateKey, address } = generateKeyPair();
+      const signature = signMintRequest(privateKey, address, 'test-id', 1000000);
+      const base64 = Buffer.from(signature, 'hex').toString('base64');
+
+      expect(base64).toHaveLength(88);
+      expect(signatureService.parseSignature(base64)).toEqual({
+        ...signatureService.parseSignature(signature),
+        encoding: 'base64'
+      });
+      expect(signatureService.normalizeSignature(base64)).toBe(signature.slice(2));
+    });
+
+    it('should name the address type of BIP-137 headers', () => {
+      const body = '11'.repeat(64);
+      const typeOf = (v) => signatureService.parseSignature(v.toString(16) + body).addressType;
+
+      expect([27, 31, 35, 39].map(typeOf)).toEqual(['p2pkh', null, 'p2sh', 'p2wpkh']);
+      expect(() => typeOf(43)).toThrow('Hex signature has invalid recovery header 43');
+      expect(() => signatureService.parseSignature(
+        Buffer.from('2b' + body, 'hex').toString('base64')
+      )).toThrow('Base64 signature has invalid recovery header 43');
     });
   });
 
@@ -120,6 +147,165 @@ describe('SignatureService', () => {
     });
   });
 
+  describe('address types', () => {
+    const unicityId = 'test-id';
+    const amount = 1000000;
+
+    it.each(['p2pkh', 'p2sh'])('should verify compact signatures for %s addresses', (type) => {
+      const { privateKey, publicKey } = generateKeyPair();
+      const address = addressService.publicKeyToAddress(publicKey, type);
+      const signature = signatureService.createSignature(privateKey, address, unicityId, amount);
+
+      expect(signatureService.verifySignature(address, unicityId, amount, signature))
+        .toMatchObject({ valid: true, format: 'compact', derivedAddress: address });
+    });
+
+    it('should verify uncompressed signatures only for P2PKH', () => {
+      const keyPair = ec.genKeyPair();
+      const privateKey = keyPair.getPrivate('hex').padStart(64, '0');
+      const address = addressService.publicKeyToAddress(keyPair.getPublic(false, 'hex'), 'p2pkh');
+
+      // Same signature with the uncompressed header (27-30 instead of 31-34)
+      const compact = signatureService.createSignature(privateKey, address, unicityId, amount);
+      const uncompressed = (parseInt(compact.slice(0, 2), 16) - 4).toString(16) + compact.slice(2);
+
+      expect(signatureService.verifySignature(address, unicityId, amount, uncompressed).derivedAddress)
+        .toBe(address);
+      expect(() => signatureService.verifySignature(address, unicityId, amount, compact)).toThrow('mismatch');
+
+      const segwit = addressService.publicKeyToAddress(keyPair.getPublic(true, 'hex'));
+      expect(() => signatureService.verifySignature(segwit, unicityId, amount, uncompressed))
+        .toThrow('only valid for P2PKH');
+    });
+
+    it.each([
+      ['p2pkh', 0],
+      ['p2sh', 4],
+      ['p2wpkh', 8]
+    ])('should accept the BIP-137 header of %s addresses in base64', (type, offset) => {
+      const { privateKey, publicKey } = generateKeyPair();
+      const address = addressService.publicKeyToAddress(publicKey, type);
+      const compact = signatureService.createSignature(privateKey, address, unicityId, amount);
+      const header = (parseInt(compact.slice(0, 2), 16) + offset).toString(16);
+      const base64 = Buffer.from(header + compact.slice(2), 'hex').toString('base64');
+
+      expect(signatureService.verifySignature(address, unicityId, amount, base64))
+        .toMatchObject({ valid: true, format: 'compact', encoding: 'base64' });
+    });
+
+    it.each([
+      ['p2pkh', [0]],
+      ['p2sh', [0, 4]],
+      ['p2wpkh', [0, 8]]
+    ])('should normalize every valid encoding and header of one %s signature alike', (type, offsets) => {
+      const { privateKey, publicKey } = generateKeyPair();
+      const address = addressService.publicKeyToAddress(publicKey, type);
+      const compact = signatureService.createSignature(privateKey, address, unicityId, amount);
+      const variants = offsets.flatMap((offset) => {
+        const bytes = Buffer.from(compact, 'hex');
+        bytes[0] += offset;
+        return [bytes.toString('hex'), `0x${bytes.toString('hex').toUpperCase()}`, bytes.toString('base64')];
+      });
+
+      for (const variant of variants) {
+        expect(signatureService.verifySignature(address, unicityId, amount, variant).valid).toBe(true);
+        expect(signatureService.normalizeSignature(variant)).toBe(compact.slice(2));
+      }
+    });
+
+    it('should reject headers naming another address type', () => {
+      const { privateKey, address } = generateKeyPair();
+      const compact = signatureService.createSignature(privateKey, address, unicityId, amount);
+      const p2sh = (parseInt(compact.slice(0, 2), 16) + 4).toString(16) + compact.slice(2);
+
+      expect(() => signatureService.verifySignature(address, unicityId, amount, p2sh))
+        .toThrow(`is for p2sh addresses, but ${address} is p2wpkh`);
+    });
+
+    it('should require BIP-322 proofs for taproot addresses', () => {
+      const { privateKey, publicKey } = generateKeyPair();
+      const address = addressService.publicKeyToAddress(publicKey, 'p2tr');
+      const signature = signatureService.createSignature(privateKey, address, unicityId, amount);
+
+      expect(() => signatureService.verifySignature(address, unicityId, amount, signature))
+        .toThrow('BIP-322');
+    });
+  });
+
+  describe('multisig', () => {
+    const unicityId = 'test-id';
+    const amount = 1000000;
+    const cosigners = [generateKeyPair(), generateKeyPair(), generateKeyPair()];
+    const witnessScript = createMultisigScript(2, cosigners.map(({ publicKey }) => publicKey));
+
+    const sign = (address, signers) => signatureService.encodeMultisigProof(
+      witnessScript,
+      signers.map(({ privateKey }) => signatureService.createSignature(privateKey, address, unicityId, amount))
+    );
+
+    it.each(['p2wsh', 'p2sh'])('should verify 2-of-3 signatures for %s addresses', (type) => {
+      const address = addressService.witnessScriptToAddress(witnessScript, type);
+      const proof = sign(address, [cosigners[2], cosigners[0]]);
+
+      expect(signatureService.verifySignature(address, unicityId, amount, proof)).toMatchObject({
+        valid: true,
+        format: 'multisig',
+        derivedAddress: address,
+        signerPublicKeys: [cosigners[2].publicKey, cosigners[0].publicKey]
+      });
+    });
+
+    it('should require the threshold of distinct cosigners', () => {
+      const address = addressService.witnessScriptToAddress(witnessScript);
+
+      expect(() => signatureService.verifySignature(address, unicityId, amount, sign(address, [cosigners[0]])))
+        .toThrow('exactly 2 signatures');
+      expect(() => signatureService.verifySignature(
+        address, unicityId, amount, sign(address, [cosigners[1], cosigners[1]])
+      )).toThrow('more than once');
+      expect(() => signatureService.verifySignature(
+        address, unicityId, amount, sign(address, [cosigners[0], generateKeyPair()])
+      )).toThrow('not from a key of the witness script');
+    });
+
+    it('should reject a witness script that does not hash to the address', () => {
+      const other = createMultisigScript(1, [cosigners[0].publicKey]);
+      const address = addressService.witnessScriptToAddress(other);
+
+      expect(() => signatureService.verifySignature(address, unicityId, amount, sign(address, cosigners.slice(1))))
+        .toThrow('mismatch');
+      const p2wsh = addressService.witnessScriptToAddress(witnessScript);
+      const single = signatureService.createSignature(cosigners[0].privateKey, p2wsh, unicityId, amount);
+      expect(() => signatureService.verifySignature(p2wsh, unicityId, amount, single))
+        .toThrow('witness script and signatures');
+    });
+
+    it('should normalize proofs regardless of signature order and case', () => {
+      const address = addressService.witnessScriptToAddress(witnessScript);
+      const proof = sign(address, [cosigners[0], cosigners[1]]);
+      const reordered = sign(address, [cosigners[1], cosigners[0]]).toUpperCase().replace('MULTISIG:', 'multisig:');
+
+      expect(signatureService.normalizeSignature(reordered)).toBe(signatureService.normalizeSignature(proof));
+    });
+
+    it('should normalize cosigner signatures regardless of header and encoding', () => {
+      const address = addressService.witnessScriptToAddress(witnessScript);
+      const signatures = cosigners.slice(0, 2).map(({ privateKey }) =>
+        signatureService.createSignature(privateKey, address, unicityId, amount));
+      const variants = signatures.map((signature, i) => {
+        const bytes = Buffer.from(signature, 'hex');
+        // 39-42 also verifies: multisig cosigners are checked by recovered key only
+        bytes[0] += 8;
+        return i === 0 ? bytes.toString('base64') : bytes.toString('hex');
+      });
+      const proof = signatureService.encodeMultisigProof(witnessScript, signatures);
+      const variant = signatureService.encodeMultisigProof(witnessScript, variants);
+
+      expect(signatureService.verifySignature(address, unicityId, amount, variant).valid).toBe(true);
+      expect(signatureService.normalizeSignature(variant)).toBe(signatureService.normalizeSignature(proof));
+    });
+  });
+
   describe('createSignature', () => {
     it('should create verifiable signature', () => {
       const { privateKey, address } = generateKeyPair();
@@ -140,4 +326,71 @@ describe('SignatureService', () => {
       expect(result.valid).toBe(true);
     });
   });
+
+  describe('v2 messages', () => {
+    const unicityId = 'test-id';
+    const amount = 1000000;
+    const now = 1700000000;
+    const v2Service = new SignatureService(addressService, {
+      domain: 'faucet.example',
+      network: 'alpha-test',
+      maxValiditySeconds: 3600,
+      acceptV1: false,
+      now: () => now * 1000
+    });
+    const claim = { campaignId: 'spring', blockHeight: 200, expiresAt: now + 600 };
+
+    it('should bind network, domain, campaign and expiry', () => {
+      expect(v2Service.createMessageV2('alpha1abc', unicityId, amount, claim)).toBe([
+        'Unicity faucet claim',
+        'version: 2',
+        'network: alpha-test',
+        'domain: faucet.example',
+        'campaign: spring',
+        'block: 200',
+        'address: alpha1abc',
+        `unicityId: ${unicityId}`,
+        `amount: ${amount}`,
+        `expires: ${now + 600}`
+      ].join('\n'));
+      expect(v2Service.getMessageTemplate('spring', 200)).toContain('address: {address}');
+    });
+
+    it('should verify only against the signed campaign and domain', () => {
+      const { privateKey, address } = generateKeyPair();
+      const signature = v2Service.createSignature(privateKey, address, unicityId, amount, claim);
+
+      expect(v2Service.verifySignature(address, unicityId, amount, signature, claim).valid).toBe(true);
+      expect(() => v2Service.verifySignature(
+        address, unicityId, amount, signature, { ...claim, campaignId: 'default' }
+      )).toThrow();
+
+      const otherDomain = new SignatureService(addressService, {
+        domain: 'elsewhere.example',
+        now: () => now * 1000
+      });
+      expect(() => otherDomain.verifySignature(address, unicityId, amount, signature, claim)).toThrow();
+    });
+
+    it('should reject expired and too distant expiries', () => {
+      const { privateKey, address } = generateKeyPair();
+      const signature = signMintRequest(privateKey, address, unicityId, amount);
+
+      expect(() => v2Service.verifySignature(address, unicityId, amount, signature, {
+        ...claim, expiresAt: now
+      })).toThrow(expect.objectContaining({ code: 'SIGNATURE_EXPIRED' }));
+      expect(() => v2Service.verifySignature(address, unicityId, amount, signature, {
+        ...claim, expiresAt: now + 3601
+      })).toThrow(expect.objectContaining({ code: 'INVALID_EXPIRY' }));
+    });
+
+    it('should reject v1 messages when they are disabled', () => {
+      const { privateKey, address } = generateKeyPair();
+      const signature = signMintRequest(privateKey, address, unicityId, amount);
+
+      expect(() => v2Service.verifySignature(address, unicityId, amount, signature))
+        .toThrow(expect.objectContaining({ code: 'MESSAGE_VERSION_UNSUPPORTED' }));
+      expect(signatureService.verifySignature(address, unicityId, amount, signature).valid).toBe(true);
+    });
+  });
 });
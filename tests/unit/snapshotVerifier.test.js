@@ -0,0 +1,114 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { initDatabase } from '../../src/db/index.js';
+import { BalanceRepository } from '../../src/db/BalanceRepository.js';
+import { BalanceService } from '../../src/services/BalanceService.js';
+import { SignatureService } from '../../src/services/SignatureService.js';
+import { AddressService } from '../../src/services/AddressService.js';
+import { SnapshotVerifier } from '../../src/services/SnapshotVerifier.js';
+import { generateKeyPair, signMintRequest } from '../fixtures/addressGenerator.js';
+import { createCampaign } from '../fixtures/campaigns.js';
+
+describe('SnapshotVerifier', () => {
+  const bestChain = { 100: 'aa'.repeat(32), 200: 'bb'.repeat(32) };
+
+  let balanceRepo;
+  let fulcrumService;
+  let lookups;
+  let verifier;
+  let balanceService;
+
+  beforeEach(() => {
+    balanceRepo = new BalanceRepository(initDatabase(':memory:'));
+    createCampaign(balanceRepo, {
+      blockHash: bestChain[100],
+      chain: 'main',
+      utxoCount: 12,
+      utxoAmount: 250000000n,
+      cliVersion: '1.0.0'
+    });
+    createCampaign(balanceRepo, { id: 'forked', blockHeight: 200, blockHash: 'cc'.repeat(32) });
+    createCampaign(balanceRepo, { id: 'legacy', blockHeight: 300 });
+
+    lookups = 0;
+    fulcrumService = {
+      getBlockHash: async (height) => {
+        lookups++;
+        return bestChain[height];
+      }
+    };
+    verifier = new SnapshotVerifier(balanceRepo, { source: 'fulcrum', fulcrumService, now: () => 0 });
+    balanceService = new BalanceService(
+      balanceRepo,
+      new SignatureService(new AddressService()),
+      { mintToken: async () => ({ success: true, txId: 'tx-1', data: {} }) },
+      null,
+      verifier
+    );
+  });
+
+  afterEach(() => {
+    balanceRepo.close();
+  });
+
+  it('should refuse claims for a snapshot block that left the best chain', async () => {
+    const results = await verifier.verifyAll();
+
+    expect(results.map(({ campaign, status }) => [campaign, status])).toEqual([
+      ['default', 'ok'],
+      ['forked', 'mismatch'],
+      ['legacy', 'skipped']
+    ]);
+    expect(results[1].bestChainHash).toBe(bestChain[200]);
+
+    const { privateKey, address } = generateKeyPair();
+    balanceRepo.insertBalance(address, 100000000n, 'forked');
+    const signature = signMintRequest(privateKey, address, 'unicity-id-1', 100000000);
+    await expect(balanceService.processMintRequest(
+      address, 'unicity-id-1', 100000000, signature, {}, 'forked'
+    )).rejects.toMatchObject({ statusCode: 503, code: 'SNAPSHOT_NOT_ON_BEST_CHAIN' });
+
+    expect(balanceService.getStats()).toMatchObject({
+      snapshotBlock: 100,
+      snapshotBlockHash: bestChain[100],
+      chain: 'main',
+      utxoCount: 12,
+      utxoAmount: 2.5,
+      utxoAmountInSmallUnits: 250000000,
+      cliVersion: '1.0.0',
+      verification: { status: 'ok', source: 'fulcrum', checkedAt: '1970-01-01T00:00:00.000Z' }
+    });
+    expect(balanceService.getStats('legacy')).toMatchObject({ snapshotBlockHash: null, utxoCount: null });
+  });
+
+  it('should pause claims until a failed or missing check succeeds', async () => {
+    fulcrumService.getBlockHash = async () => {
+      lookups++;
+      throw new Error('Fulcrum unreachable');
+    };
+    const [result] = await verifier.verifyAll();
+    expect(result).toMatchObject({ status: 'error', error: 'Fulcrum unreachable' });
+
+    const campaign = balanceRepo.findCampaign('default');
+    fulcrumService.getBlockHash = async (height) => {
+      lookups++;
+      return bestChain[height];
+    };
+    expect(() => verifier.assertOnBestChain(campaign)).toThrow(
+      expect.objectContaining({ code: 'SNAPSHOT_UNVERIFIED' })
+    );
+    // Claims arriving while the recheck runs share it
+    expect(() => verifier.assertOnBestChain(campaign)).toThrow('not been verified yet');
+    await verifier.verify(campaign);
+
+    expect(lookups).toBe(3);
+    expect(() => verifier.assertOnBestChain(campaign)).not.toThrow();
+  });
+
+  it('should let every claim through when disabled', () => {
+    const disabled = new SnapshotVerifier(balanceRepo, { source: 'off' });
+
+    expect(() => disabled.assertOnBestChain(balanceRepo.findCampaign('forked'))).not.toThrow();
+    expect(disabled.getResult('forked')).toBeNull();
+    expect(() => new SnapshotVerifier(balanceRepo, { source: 'electrum' })).toThrow('Unknown snapshot verification source');
+  });
+});
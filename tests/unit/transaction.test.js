@@ -0,0 +1,60 @@
+import { describe, it, expect } from 'vitest';
+import { merkleRoot, parseTransaction } from '../../src/utils/transaction.js';
+import { buildTransaction } from '../fixtures/transactions.js';
+
+// Bitcoin genesis block coinbase, shared by the Alpha chain's serialization format
+const GENESIS_COINBASE = '01000000010000000000000000000000000000000000000000000000000000000000000000ffffffff4d04ffff001d0104455468652054696d65732030332f4a616e2f32303039204368616e63656c6c6f72206f6e206272696e6b206f66207365636f6e64206261696c6f757420666f722062616e6b73ffffffff0100f2052a01000000434104678afdb0fe5548271967f1a67130b7105cd6a828e03909a67962e0ea1f61deb649f6bc3f4cef38c4f35504e51ec112de5c384df7ba0b8d578a4c702b6bf11d5fac00000000';
+
+describe('parseTransaction', () => {
+  it('should parse a legacy transaction and compute its txid', () => {
+    const tx = parseTransaction(GENESIS_COINBASE);
+
+    expect(tx.txid).toBe('4a5e1e4baab89f3a32518a88c31bc87f618f76673e2cc77ab2127b7afdeda33b');
+    expect(tx.inputs).toHaveLength(1);
+    expect(tx.inputs[0].txid).toBe('00'.repeat(32));
+    expect(tx.outputs).toEqual([{ value: 5000000000n, script: expect.any(Buffer) }]);
+    expect(tx.outputs[0].script).toHaveLength(67);
+  });
+
+  it('should exclude the witness from the txid of a segwit transaction', () => {
+    const outputs = [{ value: 1234n, script: Buffer.from('0014' + '11'.repeat(20), 'hex') }];
+    const legacy = buildTransaction({ inputs: [{ txid: 'ab'.repeat(32), vout: 3 }], outputs });
+    const segwit = buildTransaction({
+      inputs: [{ txid: 'ab'.repeat(32), vout: 3, witness: [Buffer.alloc(71, 1), Buffer.alloc(33, 2)] }],
+      outputs
+    });
+
+    const tx = parseTransaction(segwit.hex);
+    expect(segwit.hex).not.toBe(legacy.hex);
+    expect(tx.txid).toBe(legacy.txid);
+    expect(tx.inputs[0]).toMatchObject({ txid: 'ab'.repeat(32), vout: 3 });
+    expect(tx.inputs[0].witness.map((item) => item.length)).toEqual([71, 33]);
+    expect(tx.outputs[0].value).toBe(1234n);
+  });
+
+  it('should reject truncated and trailing data', () => {
+    expect(() => parseTransaction(GENESIS_COINBASE.slice(0, -2))).toThrow('Unexpected end of data');
+    expect(() => parseTransaction(GENESIS_COINBASE + '00')).toThrow('Trailing data');
+  });
+});
+
+describe('merkleRoot', () => {
+  // Bitcoin block 100000
+  const txids = [
+    '8c14f0db3df150123e6f3dbbf30f8b955a8249b62ac1d1ff16284aefa3d06d87',
+    'fff2525b8931402dd09222c50775608f75787bd2b87e56995a7bdd30f79702c4',
+    '6359f0868171b1d194cbee1af2f16ea598ae8fad666d9b012c8ed2b79a236ec4',
+    'e9a66845e05d5abc0ad04ec80f774a7e585c6e8db975962d069a522137b80c1d'
+  ];
+  const root = 'f3e94742aca4b5ef85488dc37c06c3282295ffec960994b2c0d5ac2a25a95766';
+
+  it('should compute the root of a block, pairing the last transaction with itself', () => {
+    expect(merkleRoot(txids)).toEqual({ root, mutated: false });
+    expect(merkleRoot([txids[0]])).toEqual({ root: txids[0], mutated: false });
+
+    const odd = merkleRoot(txids.slice(0, 3));
+    expect(odd.mutated).toBe(false);
+    // The same root with the last transaction repeated is a mutated block
+    expect(merkleRoot([...txids.slice(0, 3), txids[2]])).toEqual({ root: odd.root, mutated: true });
+  });
+});
@@ -0,0 +1,252 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { mkdtempSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { UtxoStore } from '../../src/db/UtxoStore.js';
+import { AddressService } from '../../src/services/AddressService.js';
+import { UtxoSnapshotService } from '../../src/services/UtxoSnapshotService.js';
+import { BlockFileReader } from '../../src/services/BlockFileReader.js';
+import { generateKeyPair } from '../fixtures/addressGenerator.js';
+import { buildTransaction } from '../fixtures/transactions.js';
+import { buildBlock, writeBlockFiles, MAGIC } from '../fixtures/blockFiles.js';
+
+describe('UtxoSnapshotService', () => {
+  const addressService = new AddressService();
+  const [alice, bob] = Array.from({ length: 2 }, () => generateKeyPair().address);
+  const script = (address) => ({ hex: addressService.toOutputScript(address).toString('hex') });
+
+  /**
+   * Verbose blocks 0..tip: each coinbase pays 50 to Alice (plus an OP_RETURN),
+   * and from block 2 on the previous coinbase is spent to Bob
+   */
+  function buildChain(tip, tag = 'a') {
+    const chain = [];
+    for (let height = 0; height <= tip; height++) {
+      const tx = [{
+        txid: `cb${tag}${height}`,
+        vin: [{ coinbase: '00' }],
+        vout: [{ value: 50, scriptPubKey: script(alice) }, { value: 0, scriptPubKey: { hex: '6a00' } }]
+      }];
+      if (height >= 2) {
+        tx.push({
+          txid: `sp${tag}${height}`,
+          vin: [{ txid: `cb${tag}${height - 1}`, vout: 0 }],
+          vout: [{ value: 50, scriptPubKey: script(bob) }]
+        });
+      }
+      chain.push({
+        hash: `${tag}${height}`.padStart(64, '0'),
+        height,
+        previousblockhash: height > 0 ? chain[height - 1].hash : undefined,
+        tx
+      });
+    }
+    return chain;
+  }
+
+  /**
+   * RPC client stub over a chain; stats is the gettxoutsetinfo reply, or an
+   * Error to throw. Batches for later blocks answer sooner, and getblock
+   * fails for the block at failAt.
+   */
+  function stubRpc(chain, stats, { failAt = null } = {}) {
+    const rpc = {
+      calls: [],
+      inFlight: 0,
+      maxInFlight: 0,
+      async call(method, params = []) {
+        rpc.calls.push([method, ...params]);
+        if (method === 'getblock' && chain[failAt]?.hash === params[0]) {
+          throw new Error('RPC getblock failed: connection reset');
+        }
+        if (method === 'getblockchaininfo') {
+          return { chain: 'main', blocks: chain.length - 1 };
+        }
+        if (method === 'getblockhash') {
+          return chain[params[0]].hash;
+        }
+        if (method === 'getblock') {
+          return chain.find((block) => block.hash === params[0]);
+        }
+        if (method === 'gettxoutsetinfo') {
+          if (stats instanceof Error) {
+            throw stats;
+          }
+          return stats;
+        }
+        throw new Error(`Unexpected RPC ${method}`);
+      },
+      async batch(calls) {
+        rpc.inFlight++;
+        rpc.maxInFlight = Math.max(rpc.maxInFlight, rpc.inFlight);
+        try {
+          const [first] = calls[0][1];
+          const height = typeof first === 'number' ? first : chain.findIndex((block) => block.hash === first);
+          await new Promise((resolve) => setTimeout(resolve, Math.max(0, 30 - 2 * height)));
+          return await Promise.all(calls.map(([method, params]) => rpc.call(method, params)));
+        } finally {
+          rpc.inFlight--;
+        }
+      }
+    };
+    return rpc;
+  }
+
+  let store;
+  let warnings;
+  const logger = { log() {}, warn: (message) => warnings.push(message) };
+
+  beforeEach(() => {
+    store = new UtxoStore();
+    warnings = [];
+  });
+
+  afterEach(() => {
+    store.close();
+  });
+
+  it('should rebuild the set at the snapshot block and cross-check it', async () => {
+    const chain = buildChain(12);
+    const stats = { bestblock: chain[10].hash, txouts: 10, total_amount: 500 };
+    const service = new UtxoSnapshotService(store, { rpcClient: stubRpc(chain, stats), logger });
+
+    expect(await service.scanRpc(10)).toEqual({ blockHash: chain[10].hash });
+    expect(store.totals()).toEqual({ count: 10, amount: 50000000000n });
+    store.aggregateBalances();
+    expect(new Map(store.iterateBalances())).toEqual(new Map([
+      [alice, 5000000000n],
+      [bob, 45000000000n]
+    ]));
+    expect(warnings).toEqual([]);
+  });
+
+  it('should fail when the set does not match gettxoutsetinfo', async () => {
+    const chain = buildChain(10);
+    const rpc = stubRpc(chain, { bestblock: chain[10].hash, txouts: 11, total_amount: 500 });
+    const service = new UtxoSnapshotService(store, { rpcClient: rpc, logger });
+
+    await expect(service.scanRpc(10)).rejects.toThrow(
+      'Rebuilt UTXO set (10 outputs, 50000000000 satoshis) does not match gettxoutsetinfo at block 10 ' +
+      '(11 outputs, 50000000000 satoshis)'
+    );
+
+    await expect(new UtxoSnapshotService(store, {
+      rpcClient: stubRpc(chain, { bestblock: chain[9].hash, txouts: 10, total_amount: 500 }),
+      logger
+    }).crossCheck(10, chain[10].hash)).rejects.toThrow(`gettxoutsetinfo reported block ${chain[9].hash}`);
+  });
+
+  it('should skip the cross-check with a warning when the node has no coin statistics', async () => {
+    const chain = buildChain(10);
+    const rpc = stubRpc(chain, new Error('RPC gettxoutsetinfo failed: Querying specific block heights requires coinstatsindex'));
+    const service = new UtxoSnapshotService(store, { rpcClient: rpc, logger });
+
+    await service.scanRpc(10);
+
+    expect(rpc.calls.filter(([method]) => method === 'gettxoutsetinfo')).toEqual([['gettxoutsetinfo', 'none', 10]]);
+    expect(warnings).toEqual([expect.stringContaining('Cross-check skipped: gettxoutsetinfo at height 10 unavailable')]);
+    expect(store.totals()).toEqual({ count: 10, amount: 50000000000n });
+  });
+
+  it('should apply blocks in height order while later batches arrive first', async () => {
+    const chain = buildChain(12);
+    const rpc = stubRpc(chain);
+    const service = new UtxoSnapshotService(store, { rpcClient: rpc, batchSize: 2, concurrency: 3, logger });
+
+    const heights = [];
+    await service.forEachBlock(1, 11, (block) => heights.push(block.height));
+
+    expect(heights).toEqual([1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11]);
+    expect(rpc.maxInFlight).toBe(3);
+  });
+
+  it('should stop when a block does not link to the previous one, from block 1 on', async () => {
+    const chain = buildChain(10);
+    chain[6] = { ...chain[6], previousblockhash: buildChain(5, 'b')[5].hash };
+    const service = new UtxoSnapshotService(store, {
+      rpcClient: stubRpc(chain, new Error('no index')), batchSize: 3, concurrency: 2, logger
+    });
+
+    await expect(service.scanRpc(10)).rejects.toThrow('Chain reorganized during the scan at block 6; rerun with --resume');
+
+    store.rollback();
+    const orphan = buildChain(10);
+    orphan[1] = { ...orphan[1], previousblockhash: buildChain(0, 'b')[0].hash };
+    await expect(new UtxoSnapshotService(store, { rpcClient: stubRpc(orphan), logger }).scanRpc(10))
+      .rejects.toThrow('at block 1;');
+  });
+
+  it('should checkpoint every interval and resume from the last checkpoint', async () => {
+    const chain = buildChain(10);
+    const stats = { bestblock: chain[10].hash, txouts: 10, total_amount: 500 };
+    const options = { batchSize: 2, concurrency: 2, checkpointInterval: 3, logger };
+
+    const failing = new UtxoSnapshotService(store, { ...options, rpcClient: stubRpc(chain, stats, { failAt: 8 }) });
+    await expect(failing.scanRpc(10)).rejects.toThrow('connection reset');
+    // Blocks applied after the last checkpoint are lost, as in a crash
+    store.rollback();
+    expect(store.getState()).toEqual({ height: 6, blockHash: chain[6].hash });
+    expect(store.totals().count).toBe(6);
+
+    const rpc = stubRpc(chain, stats);
+    await new UtxoSnapshotService(store, { ...options, rpcClient: rpc, resume: true }).scanRpc(10);
+
+    const fetched = rpc.calls.filter(([method]) => method === 'getblock').map(([, hash]) => chain.findIndex((block) => block.hash === hash));
+    expect(fetched.sort((a, b) => a - b)).toEqual([7, 8, 9, 10]);
+    expect(store.getState()).toEqual({ height: 10, blockHash: chain[10].hash });
+    expect(store.totals()).toEqual({ count: 10, amount: 50000000000n });
+  });
+
+  it('should refuse a checkpoint whose block left the chain or is past the snapshot', async () => {
+    const chain = buildChain(10);
+    store.begin();
+    store.checkpoint(6, chain[6].hash);
+    store.commit();
+
+    const fork = [...chain.slice(0, 5), ...buildChain(10, 'b').slice(5)];
+    const forked = new UtxoSnapshotService(store, { rpcClient: stubRpc(fork), resume: true, logger });
+    await expect(forked.scanRpc(10)).rejects.toThrow(`Checkpoint block ${chain[6].hash} is no longer in the chain`);
+
+    const past = new UtxoSnapshotService(store, { rpcClient: stubRpc(chain), resume: true, logger });
+    await expect(past.scanRpc(5)).rejects.toThrow('Checkpoint in :memory: is past block 5');
+    expect(store.getState()).toEqual({ height: 6, blockHash: chain[6].hash });
+  });
+
+  it('should read the best chain in the block files, pinned by an optional block hash', async () => {
+    const dir = mkdtempSync(join(tmpdir(), 'blocks-'));
+    const coinbase = (value, address) => buildTransaction({
+      inputs: [{ txid: '00'.repeat(32), vout: 0xffffffff }],
+      outputs: [{ value, script: addressService.toOutputScript(address) }]
+    });
+    const genesis = buildBlock({ prevHash: '00'.repeat(32), transactions: [coinbase(50, alice).hex] });
+    const block1 = buildBlock({ prevHash: genesis.hash, transactions: [coinbase(51, alice).hex] });
+    const block2 = buildBlock({ prevHash: block1.hash, transactions: [coinbase(52, alice).hex] });
+    // A branch with less work, and one with as much seen after the best chain
+    const stale = buildBlock({ prevHash: genesis.hash, transactions: [coinbase(53, bob).hex] });
+    const sibling = buildBlock({ prevHash: block1.hash, transactions: [coinbase(54, bob).hex] });
+    writeBlockFiles(dir, [[genesis.raw, stale.raw, block1.raw, block2.raw, sibling.raw]]);
+
+    const reader = new BlockFileReader(dir, { magic: MAGIC });
+    reader.buildIndex();
+    try {
+      const service = new UtxoSnapshotService(store, { logger });
+      await expect(service.scanBlockFiles(reader, 3)).rejects.toThrow(
+        'Block 3 not yet reached. Best chain height in the block files: 2'
+      );
+      await expect(service.scanBlockFiles(reader, 2, sibling.hash)).rejects.toThrow(
+        `Block 2 of the best chain in the block files is ${block2.hash}, not ${sibling.hash}`
+      );
+
+      expect(await service.scanBlockFiles(reader, 1)).toEqual({ blockHash: block1.hash });
+      expect(store.totals()).toEqual({ count: 1, amount: 51n });
+
+      expect(await service.scanBlockFiles(reader, 2, block2.hash)).toEqual({ blockHash: block2.hash });
+      expect(store.totals()).toEqual({ count: 2, amount: 103n });
+      expect(store.getState()).toEqual({ height: 2, blockHash: block2.hash });
+    } finally {
+      reader.close();
+      rmSync(dir, { recursive: true, force: true });
+    }
+  });
+
+});
@@ -0,0 +1,57 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { mkdtempSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { UtxoStore } from '../../src/db/UtxoStore.js';
+
+describe('UtxoStore', () => {
+  let dir;
+  let path;
+
+  beforeEach(() => {
+    dir = mkdtempSync(join(tmpdir(), 'utxo-'));
+    path = join(dir, 'staging.db');
+  });
+
+  afterEach(() => {
+    rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('should aggregate unspent outputs by address with set-based SQL', () => {
+    const store = new UtxoStore();
+    store.begin();
+    store.add('aa:0', 'alpha1qa', 500);
+    store.add('aa:1', 'alpha1qb', 200);
+    store.add('bb:0', 'alpha1qa', 300);
+    store.add('bb:1', null, 1000);
+    store.add('cc:0', 'alpha1qc', 0);
+    store.spend('aa:1');
+    store.spend('ff:9');
+    store.commit();
+
+    expect(store.totals()).toEqual({ count: 4, amount: 1800n });
+    expect(store.aggregateBalances()).toEqual({ addressCount: 1, totalAmount: 800n });
+    expect([...store.iterateBalances()]).toEqual([['alpha1qa', 800n]]);
+    store.close();
+  });
+
+  it('should resume from the last checkpoint after a crash', () => {
+    const store = new UtxoStore(path);
+    store.begin();
+    store.add('aa:0', 'alpha1qa', 500);
+    store.checkpoint(10, 'hash-10');
+    store.add('bb:0', 'alpha1qb', 700);
+    store.spend('aa:0');
+    // Closing with the transaction open simulates a crash before the next checkpoint
+    store.close();
+
+    const reopened = new UtxoStore(path);
+    expect(reopened.getState()).toEqual({ height: 10, blockHash: 'hash-10' });
+    expect(reopened.totals()).toEqual({ count: 1, amount: 500n });
+
+    reopened.reset();
+    expect(reopened.getState()).toBeNull();
+    expect(reopened.totals()).toEqual({ count: 0, amount: 0n });
+    reopened.close();
+  });
+});